@@ -0,0 +1,92 @@
+// app.js
+//
+// The Express app, HTTP server and Socket.io server, wired together but not
+// listening, so server.js and the tests (test/support/app.js) can each start
+// one. Settings come from the environment, as read when the modules load.
+
+const express = require('express');
+const http = require('http');
+const cors = require('cors');
+const { Server } = require("socket.io");
+const { createRealtime } = require('./services/realtime');
+const { createPubSub } = require('./services/pubsub');
+const { mountRoutes } = require('./routes');
+const { registerSocketHandlers } = require('./sockets');
+
+const createApp = () => {
+  const app = express();
+
+  // Behind a load balancer, TRUST_PROXY (e.g. 1 or "loopback") makes req.ip the client's address
+  if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY, 10);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+  }
+
+  // Enable CORS for all routes
+  app.use(cors({
+    origin: "*",
+    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    credentials: true
+  }));
+
+  app.use(express.json({ limit: '1mb' })); // Files go through /attachments, not JSON bodies
+
+  const server = http.createServer(app);
+
+  // Initialize Socket.io and enable CORS for the client
+  const io = new Server(server, {
+    cors: {
+      origin: "*",
+      methods: ["GET", "POST"]
+    }
+  });
+
+  // Rooms, presence, typing and push, shared by the routes and socket handlers
+  const realtime = createRealtime(io);
+
+  // Simple root route to check if the server is running
+  app.get('/', (req, res) => {
+    res.send('<h1>Real-time chat server is running!</h1>');
+  });
+
+  // The API under /api/v1 (and /auth), see routes/index.js
+  mountRoutes(app, { realtime });
+
+  const { pendingDisconnects } = registerSocketHandlers(io, realtime);
+
+  let pubsub = null;
+
+  // Listen on port (0 picks a free one); resolves with the port in use
+  const listen = async (port) => {
+    // Fan socket events out to the other instances (PUBSUB_ADAPTER)
+    pubsub = await createPubSub();
+    if (pubsub.adapter) {
+      io.adapter(pubsub.adapter);
+    }
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, resolve);
+    });
+    return server.address().port;
+  };
+
+  // Drain: stop accepting connections, drop sockets without a disconnect packet
+  // so clients reconnect (to another node behind the load balancer), finish
+  // their presence updates and pending push notifications, then close pub/sub.
+  // The database pool is left to the caller.
+  const close = async () => {
+    server.close();
+    io.engine.close();
+    await Promise.allSettled([...pendingDisconnects]);
+    // Send batched push notifications now rather than dropping them
+    await realtime.pushDispatcher.flushAll();
+    await io.close();
+    if (pubsub) {
+      await pubsub.close();
+    }
+  };
+
+  return { app, server, io, realtime, listen, close };
+};
+
+module.exports = { createApp };
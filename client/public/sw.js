@@ -0,0 +1,36 @@
+// Service worker for push notifications. The server only pushes while the app
+// is closed or in the background (see services/push.js); each payload is
+// { type, tag, title, body, count, friend_id?, conversation_id? }.
+self.addEventListener('push', (event) => {
+  if (!event.data) return;
+
+  let payload;
+  try {
+    payload = event.data.json();
+  } catch {
+    payload = { title: 'Messenger', body: event.data.text() };
+  }
+
+  event.waitUntil(self.registration.showNotification(payload.title, {
+    body: payload.body,
+    // A newer notification for the same chat replaces the older one, and still alerts
+    tag: payload.tag,
+    renotify: Boolean(payload.tag),
+    icon: '/logo.png',
+    data: payload,
+  }));
+});
+
+// Bring an open window to the front, or open the app
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const existing = windows.find((client) => new URL(client.url).origin === self.location.origin);
+    if (existing) {
+      return existing.focus();
+    }
+    return self.clients.openWindow('/');
+  })());
+});
@@ -1,8 +1,27 @@
 import React, { useState, useEffect, useRef } from 'react';
 import io from 'socket.io-client';
 import Auth from './Auth';
+import { addToOutbox, removeFromOutbox, listOutbox } from './outbox';
+import { setupDevice, encryptMessage, updateDevices, decryptMessage } from './e2e';
+import { isPushSupported, enablePush, disablePush } from './push';
+import { apiFetch, clearSession, getToken, refreshSession } from './session';
 import './App.css';
 
+// How long to wait for the server to acknowledge a message before leaving it
+// in the outbox for the next reconnect
+const ACK_TIMEOUT_MS = 10000;
+// Times an encrypted message is re-encrypted after the recipient's devices changed
+const MAX_DEVICE_RETRIES = 2;
+
+// Optimistic copy of an outbox entry, replaced once the server acks it
+const pendingMessage = (entry) => ({
+  client_message_id: entry.clientMessageId,
+  sender_id: entry.userId,
+  receiver_id: entry.receiverId,
+  content: entry.content,
+  pending: true,
+});
+
 const App = () => {
   const [currentUser, setCurrentUser] = useState(null);
   const [view, setView] = useState('auth');
@@ -11,9 +30,153 @@ const App = () => {
   const [input, setInput] = useState('');
   const [friendUsername, setFriendUsername] = useState('');
   const [currentChatFriend, setCurrentChatFriend] = useState(null);
+  const [pushPermission, setPushPermission] = useState(isPushSupported() ? Notification.permission : 'unsupported');
 
   const socketRef = useRef(null);
 
+  // Insert a message, or replace the copy we already have (matched by id or client_message_id)
+  const mergeMessage = (msg) => {
+    setMessages((prevMessages) => {
+      const index = prevMessages.findIndex((m) =>
+        (msg.id && m.id === msg.id) ||
+        (msg.client_message_id && m.client_message_id === msg.client_message_id)
+      );
+      if (index === -1) {
+        return [...prevMessages, msg];
+      }
+      const next = [...prevMessages];
+      next[index] = msg;
+      return next;
+    });
+  };
+
+  // Send an outbox entry; it stays queued until the server acks it. Direct
+  // messages are end-to-end encrypted whenever the friend has set up encryption.
+  const deliver = async (entry, attempt = 0) => {
+    const socket = socketRef.current;
+    // Offline sends are not buffered by socket.io; the outbox is flushed on reconnect instead
+    if (!socket || !socket.connected) return;
+
+    let encrypted;
+    try {
+      encrypted = await encryptMessage(entry.userId, entry.receiverId, entry.content);
+    } catch (error) {
+      console.error('Error encrypting message:', error);
+      return;
+    }
+
+    const payload = encrypted
+      ? { receiverId: entry.receiverId, clientMessageId: entry.clientMessageId, encrypted }
+      : { receiverId: entry.receiverId, content: entry.content, clientMessageId: entry.clientMessageId };
+
+    socket.timeout(ACK_TIMEOUT_MS).emit('chat message', payload, (err, response) => {
+      if (err) return;
+      // Someone signed in or out on another device: fix up the sessions and encrypt again
+      const details = !response.ok && response.error.details;
+      if (details && (details.missing_devices || details.stale_devices) && attempt < MAX_DEVICE_RETRIES) {
+        updateDevices(entry.userId, details)
+          .then(() => deliver(entry, attempt + 1))
+          .catch((error) => console.error('Error updating encryption sessions:', error));
+        return;
+      }
+      removeFromOutbox(entry.clientMessageId).catch((error) => console.error('Error updating outbox:', error));
+      if (response.ok) {
+        // The server never has the text of an encrypted message, so keep ours
+        mergeMessage(response.message.encrypted ? { ...response.message, content: entry.content } : response.message);
+      } else {
+        console.error('Message rejected:', response.error.message);
+        mergeMessage({ ...pendingMessage(entry), pending: false, failed: true });
+      }
+    });
+  };
+
+  const flushOutbox = async (user) => {
+    try {
+      const entries = await listOutbox(user.id);
+      entries.forEach((entry) => {
+        mergeMessage(pendingMessage(entry));
+        deliver(entry);
+      });
+    } catch (error) {
+      console.error('Error reading outbox:', error);
+    }
+  };
+
+  // The server only sends push notifications while the app is not on screen
+  const reportAppState = () => {
+    if (socketRef.current) {
+      socketRef.current.emit('app state', { foreground: document.visibilityState === 'visible' });
+    }
+  };
+
+  const connectSocket = (user) => {
+    // Publish this device's encryption keys (created on first use)
+    setupDevice(user.id).catch((error) => console.error('Error setting up encryption:', error));
+
+    // The token is read on every (re)connect, so a refreshed one is picked up
+    let handshakeToken = null;
+    const socket = io('http://localhost:5000', {
+      auth: (cb) => {
+        handshakeToken = getToken();
+        cb({ token: handshakeToken });
+      },
+    });
+    socketRef.current = socket;
+
+    // Fires on the first connection and on every reconnect
+    socketRef.current.on('connect', () => {
+      reportAppState();
+      flushOutbox(user);
+    });
+
+    // socket.io does not retry a refused handshake by itself. An expired access
+    // token is refreshed and the connection tried again; a session that cannot
+    // be refreshed is over.
+    socketRef.current.on('connect_error', (err) => {
+      if (!err.data || err.data.error.code !== 'unauthorized') return;
+      refreshSession(handshakeToken)
+        .then((token) => (token ? socket.connect() : logOut()))
+        .catch((error) => console.error('Error refreshing session:', error));
+    });
+
+    // Renew the push subscription if notifications were already allowed
+    if (pushPermission === 'granted') {
+      enablePush().catch((error) => console.error('Error enabling push notifications:', error));
+    }
+
+    socketRef.current.on('chat message', async (msg) => {
+      if (msg.encrypted) {
+        try {
+          msg = { ...msg, content: await decryptMessage(user.id, msg) };
+        } catch (error) {
+          console.error('Error decrypting message:', error);
+          msg = { ...msg, content: 'This message could not be decrypted', undecryptable: true };
+        }
+      }
+      mergeMessage(msg);
+      // Let the sender know the message reached this device
+      if (msg.receiver_id === user.id) {
+        socketRef.current.emit('message delivered', { messageId: msg.id });
+      }
+    });
+
+    // Keep the friends list current without refetching
+    socketRef.current.on('friend request accepted', ({ friend }) => {
+      setFriends((prevFriends) => [...prevFriends.filter((f) => f.id !== friend.id), friend]);
+    });
+
+    socketRef.current.on('friend removed', ({ user_id }) => {
+      setFriends((prevFriends) => prevFriends.filter((f) => f.id !== user_id));
+    });
+  };
+
+  // The mount effect below calls whichever connectSocket is current
+  const connectSocketRef = useRef(connectSocket);
+  useEffect(() => {
+    connectSocketRef.current = connectSocket;
+  });
+
+  // Restore the session once on mount
   useEffect(() => {
     const token = localStorage.getItem('token');
     const savedUser = localStorage.getItem('currentUser');
@@ -24,13 +187,7 @@ const App = () => {
       setView('friends');
 
       // Initialize socket connection with the JWT token
-      socketRef.current = io('http://localhost:5000', {
-        query: { token },
-      });
-
-      socketRef.current.on('chat message', (msg) => {
-        setMessages((prevMessages) => [...prevMessages, msg]);
-      });
+      connectSocketRef.current(user);
 
       return () => {
         if (socketRef.current) {
@@ -45,12 +202,7 @@ const App = () => {
 
     const fetchFriends = async () => {
       try {
-        const token = localStorage.getItem('token');
-        const response = await fetch('/api/friends', {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-          },
-        });
+        const response = await apiFetch('/api/v1/friends');
         if (response.ok) {
           const data = await response.json();
           setFriends(data);
@@ -66,9 +218,36 @@ const App = () => {
     fetchFriends();
   }, [currentUser]);
 
+  useEffect(() => {
+    document.addEventListener('visibilitychange', reportAppState);
+    return () => document.removeEventListener('visibilitychange', reportAppState);
+  }, []);
+
+  const turnOnNotifications = async () => {
+    try {
+      await enablePush();
+    } catch (error) {
+      console.error('Error enabling push notifications:', error);
+    }
+    setPushPermission(Notification.permission);
+  };
+
   const logOut = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('currentUser');
+    const refreshToken = localStorage.getItem('refreshToken');
+    disablePush().catch((error) => console.error('Error disabling push notifications:', error));
+    if (refreshToken) {
+      // Revoke this device's session on the server with the refresh token,
+      // which outlives the access token; local state is cleared either way
+      fetch('/auth/logout', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ refreshToken }),
+      }).catch((error) => console.error('Error logging out:', error));
+    }
+
+    clearSession();
     setCurrentUser(null);
     setFriends([]);
     setMessages([]);
@@ -83,35 +262,26 @@ const App = () => {
     setView('friends');
     
     // Re-initialize socket connection after login
-    const token = localStorage.getItem('token');
-    socketRef.current = io('http://localhost:5000', {
-      query: { token },
-    });
-    
-    socketRef.current.on('chat message', (msg) => {
-      setMessages((prevMessages) => [...prevMessages, msg]);
-    });
+    connectSocket(user);
   };
 
   const addFriend = async () => {
     if (friendUsername.trim() === '') return;
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch('/api/add-friend', {
+      // The friend appears in the list once they accept ('friend request accepted')
+      const response = await apiFetch('/api/v1/friend-requests', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`,
         },
-        body: JSON.stringify({ friendUsername }),
+        body: JSON.stringify({ receiverUsername: friendUsername.trim() }),
       });
       if (response.ok) {
-        const newFriend = await response.json();
-        setFriends([...friends, newFriend]);
         setFriendUsername('');
+        alert('Friend request sent.');
       } else {
         const errorData = await response.json();
-        alert(errorData.error);
+        alert(errorData.error.message);
       }
     } catch (error) {
       console.error('Error adding friend:', error);
@@ -132,13 +302,20 @@ const App = () => {
 
   const sendMessage = (e) => {
     e.preventDefault();
-    if (input.trim() && currentChatFriend && socketRef.current) {
-      socketRef.current.emit('chat message', {
-        senderId: currentUser.id,
+    if (input.trim() && currentChatFriend) {
+      const entry = {
+        clientMessageId: crypto.randomUUID(),
+        userId: currentUser.id,
         receiverId: currentChatFriend.id,
         content: input,
-      });
+        createdAt: Date.now(),
+      };
+      mergeMessage(pendingMessage(entry));
       setInput('');
+      // Queue before sending so the message survives a reload or a lost ack
+      addToOutbox(entry)
+        .catch((error) => console.error('Error updating outbox:', error))
+        .finally(() => deliver(entry));
     }
   };
 
@@ -157,6 +334,9 @@ const App = () => {
           <div className="user-info" style={{ color: '#e2e8f0', padding: '20px' }}>
             Logged in as: {currentUser?.username}
           </div>
+          {pushPermission === 'default' && (
+            <button onClick={turnOnNotifications} className="notifications-btn">Enable notifications</button>
+          )}
           <div className="add-friend-section">
             <div className="add-friend-form">
               <input
@@ -182,7 +362,7 @@ const App = () => {
                     <div className="friend-avatar">{friend.username.charAt(0).toUpperCase()}</div>
                     <div>
                       <div>{friend.username}</div>
-                      <div className="friend-status">Online</div>
+                      <div className="friend-status">{friend.online ? 'Online' : 'Offline'}</div>
                     </div>
                   </div>
                 </div>
@@ -208,13 +388,17 @@ const App = () => {
               <div className="friend-avatar">{currentChatFriend.username.charAt(0).toUpperCase()}</div>
               <div>
                 <div style={{ fontWeight: 'bold' }}>{currentChatFriend.username}</div>
-                <div className="friend-status">Online</div>
+                <div className="friend-status">{currentChatFriend.online ? 'Online' : 'Offline'}</div>
               </div>
             </div>
           </div>
           <div className="messages" id="messages">
-            {messages.map((msg, index) => (
-              <div key={index} className={`message ${msg.senderId === currentUser.id ? 'own' : 'other'}`}>
+            {messages.map((msg) => (
+              <div
+                key={msg.id || msg.client_message_id}
+                className={`message ${msg.sender_id === currentUser.id ? 'own' : 'other'}${msg.pending ? ' pending' : ''}${msg.failed ? ' failed' : ''}${msg.undecryptable ? ' undecryptable' : ''}`}
+                title={msg.encrypted ? 'End-to-end encrypted' : undefined}
+              >
                 {msg.content}
               </div>
             ))}
@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { saveSession } from './session';
 
 const Auth = ({ onLogin }) => {
   const [isLogin, setIsLogin] = useState(true);
@@ -10,7 +11,7 @@ const Auth = ({ onLogin }) => {
     const endpoint = isLoginAttempt ? '/auth/login' : '/auth/register';
     const body = isLoginAttempt
       ? { username, password }
-      : { username, password, fullName };
+      : { username, password, name: fullName };
 
     try {
       const response = await fetch(endpoint, {
@@ -23,13 +24,12 @@ const Auth = ({ onLogin }) => {
 
       const data = await response.json();
       if (response.ok) {
-        // Save the token and user data to localStorage
-        localStorage.setItem('token', data.token);
-        localStorage.setItem('currentUser', JSON.stringify(data.user));
+        // Save the tokens and user data to localStorage
+        saveSession(data);
         
         onLogin(data.user); // Pass the user data back to the parent component
       } else {
-        alert(data.error);
+        alert(data.error.message);
       }
     } catch (error) {
       console.error('Error during authentication:', error);
@@ -0,0 +1,41 @@
+// The client's IndexedDB database. Each feature keeps its data in its own
+// object store: the outbox of unacknowledged messages, and the end-to-end
+// encryption keys and sessions of this device.
+const DB_NAME = 'messenger';
+const DB_VERSION = 2;
+
+export const OUTBOX_STORE = 'outbox';
+export const E2E_STORE = 'e2e';
+
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = (event) => {
+    const db = request.result;
+    if (event.oldVersion < 1) {
+      db.createObjectStore(OUTBOX_STORE, { keyPath: 'clientMessageId' });
+    }
+    if (event.oldVersion < 2) {
+      // Out-of-line keys, e.g. "<userId>/device" or "<userId>/session/<peerUserId>/<peerDeviceId>"
+      db.createObjectStore(E2E_STORE);
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run one request against a store and resolve with its result once the transaction commits
+export const withStore = async (storeName, mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+};
@@ -0,0 +1,231 @@
+// End-to-end encryption for direct messages. This device's keys and its
+// sessions with other devices live in IndexedDB; the server only ever sees
+// public keys and ciphertext envelopes (one per recipient device).
+import { E2E_STORE, withStore } from '../db';
+import { apiFetch } from '../session';
+import * as protocol from './protocol';
+import {
+  decodeText, encodeText, fromBase64, generateDhKeyPair, generateSigningKeyPair, isSupported, toBase64,
+} from './primitives';
+
+// Upload more one-time prekeys when the server has fewer than this many left
+const MIN_ONE_TIME_PREKEYS = 20;
+const ONE_TIME_PREKEY_BATCH = 50;
+const SIGNED_PREKEY_ROTATION_MS = 7 * 24 * 60 * 60 * 1000;
+// How long to remember that a user has no devices before asking the server again
+const NO_DEVICES_RETRY_MS = 60 * 1000;
+
+const deviceKey = (userId) => `${userId}/device`;
+const preKeyKey = (userId, keyId) => `${userId}/prekey/${keyId}`;
+const sessionPrefix = (userId, peerId) => `${userId}/session/${peerId}/`;
+
+const get = (key) => withStore(E2E_STORE, 'readonly', (store) => store.get(key));
+const put = (key, value) => withStore(E2E_STORE, 'readwrite', (store) => store.put(value, key));
+const remove = (key) => withStore(E2E_STORE, 'readwrite', (store) => store.delete(key));
+
+// Device IDs of the peer's devices we have a session with
+const listSessionDevices = async (userId, peerId) => {
+  const prefix = sessionPrefix(userId, peerId);
+  const keys = await withStore(E2E_STORE, 'readonly', (store) => store.getAllKeys(IDBKeyRange.bound(prefix, `${prefix}\uffff`)));
+  return keys.map((key) => key.slice(prefix.length));
+};
+
+const request = async (method, path, body) => {
+  const response = await apiFetch(path, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error((data.error && data.error.message) || `${method} ${path} failed`);
+  }
+  return data;
+};
+
+// Key work for one device happens one operation at a time, since every
+// message advances a session
+let queue = Promise.resolve();
+const exclusive = (operation) => {
+  const run = queue.then(operation);
+  queue = run.catch(() => {});
+  return run;
+};
+
+const noDevicesUntil = new Map();
+
+const newSignedPreKey = async (signingPrivateKey, keyId) => {
+  const pair = await generateDhKeyPair();
+  const signature = await protocol.signPreKey(signingPrivateKey, pair.publicKey);
+  return { keyId, ...pair, signature, createdAt: Date.now() };
+};
+
+const loadOrCreateDevice = async (userId) => {
+  const existing = await get(deviceKey(userId));
+  if (existing) return existing;
+
+  const identity = { dh: await generateDhKeyPair(), signing: await generateSigningKeyPair() };
+  const device = {
+    deviceId: crypto.randomUUID(),
+    identity,
+    signedPreKey: await newSignedPreKey(identity.signing.privateKey, 1),
+    previousSignedPreKey: null,
+    nextPreKeyId: 1,
+  };
+  await put(deviceKey(userId), device);
+  return device;
+};
+
+const publish = (device, oneTimePreKeys = []) => request('POST', '/api/v1/keys', {
+  deviceId: device.deviceId,
+  identityKey: device.identity.dh.publicKey,
+  signingKey: device.identity.signing.publicKey,
+  signedPreKey: {
+    keyId: device.signedPreKey.keyId,
+    publicKey: device.signedPreKey.publicKey,
+    signature: device.signedPreKey.signature,
+  },
+  oneTimePreKeys,
+});
+
+// Create this device's keys on first use, rotate its signed prekey weekly and
+// keep the server stocked with one-time prekeys. Call after every login.
+// Resolves to false if the browser lacks the required algorithms.
+export const setupDevice = (userId) => exclusive(async () => {
+  if (!(await isSupported())) return false;
+
+  let device = await loadOrCreateDevice(userId);
+  if (Date.now() - device.signedPreKey.createdAt > SIGNED_PREKEY_ROTATION_MS) {
+    // The previous one stays around for first messages that are still in flight
+    device = {
+      ...device,
+      previousSignedPreKey: device.signedPreKey,
+      signedPreKey: await newSignedPreKey(device.identity.signing.privateKey, device.signedPreKey.keyId + 1),
+    };
+    await put(deviceKey(userId), device);
+  }
+
+  const { one_time_prekeys: remaining } = await publish(device);
+  if (remaining < MIN_ONE_TIME_PREKEYS) {
+    const firstId = device.nextPreKeyId;
+    const pairs = await Promise.all(Array.from({ length: ONE_TIME_PREKEY_BATCH }, () => generateDhKeyPair()));
+    await Promise.all(pairs.map((pair, i) => put(preKeyKey(userId, firstId + i), pair)));
+    device = { ...device, nextPreKeyId: firstId + pairs.length };
+    await put(deviceKey(userId), device);
+    await publish(device, pairs.map((pair, i) => ({ keyId: firstId + i, publicKey: pair.publicKey })));
+  }
+  return true;
+});
+
+// Fetch bundles for a user's devices (all, or only deviceIds) and start sessions with them
+const startSessions = async (userId, device, peerId, deviceIds = null) => {
+  const query = deviceIds ? `?deviceIds=${encodeURIComponent(deviceIds.join(','))}` : '';
+  const { devices } = await request('GET', `/api/v1/keys/${peerId}${query}`);
+  await Promise.all(devices.map(async (bundle) => {
+    const session = await protocol.initiateSession(device.identity, bundle);
+    await put(`${sessionPrefix(userId, peerId)}${bundle.device_id}`, session);
+  }));
+  return devices.length;
+};
+
+// Devices of peerId we can encrypt to, starting sessions if we have none yet.
+// An empty list means the peer has not set up encryption.
+const peerDevices = async (userId, device, peerId) => {
+  let deviceIds = await listSessionDevices(userId, peerId);
+  if (deviceIds.length === 0 && (noDevicesUntil.get(peerId) || 0) < Date.now()) {
+    if ((await startSessions(userId, device, peerId)) === 0) {
+      noDevicesUntil.set(peerId, Date.now() + NO_DEVICES_RETRY_MS);
+    }
+    deviceIds = await listSessionDevices(userId, peerId);
+  }
+  return deviceIds;
+};
+
+const encryptForDevice = async (userId, peerId, deviceId, plaintext) => {
+  const key = `${sessionPrefix(userId, peerId)}${deviceId}`;
+  const { session, message } = await protocol.encrypt(await get(key), plaintext);
+  await put(key, session);
+  return {
+    userId: peerId,
+    deviceId,
+    type: message.preKey ? 'prekey' : 'message',
+    body: toBase64(encodeText(JSON.stringify(message))),
+  };
+};
+
+// The `encrypted` part of a 'chat message' to peerId carrying `content`, or
+// null if either side has not set up encryption (the message is then sent in
+// plaintext). Our own other devices get a copy too.
+export const encryptMessage = (userId, peerId, content) => exclusive(async () => {
+  const device = await get(deviceKey(userId));
+  if (!device) return null;
+
+  const theirs = await peerDevices(userId, device, peerId);
+  if (theirs.length === 0) return null;
+  const ours = await peerDevices(userId, device, userId);
+
+  const plaintext = JSON.stringify({ content });
+  const envelopes = await Promise.all([
+    ...theirs.map((deviceId) => encryptForDevice(userId, peerId, deviceId, plaintext)),
+    ...ours.map((deviceId) => encryptForDevice(userId, userId, deviceId, plaintext)),
+  ]);
+  return { envelopes };
+});
+
+// Bring sessions in line with a rejected message's missing_devices and
+// stale_devices ({ user_id, device_id } lists) before sending it again
+export const updateDevices = (userId, { missing_devices: missing = [], stale_devices: stale = [] }) => exclusive(async () => {
+  const device = await get(deviceKey(userId));
+  await Promise.all(stale.map(({ user_id: peerId, device_id: deviceId }) => remove(`${sessionPrefix(userId, peerId)}${deviceId}`)));
+
+  const missingByUser = new Map();
+  missing.forEach(({ user_id: peerId, device_id: deviceId }) => {
+    missingByUser.set(peerId, [...(missingByUser.get(peerId) || []), deviceId]);
+  });
+  for (const [peerId, deviceIds] of missingByUser) {
+    noDevicesUntil.delete(peerId);
+    await startSessions(userId, device, peerId, deviceIds);
+  }
+});
+
+// Our signed or one-time prekey pair with this id, if we still have it
+const findSignedPreKey = (device, keyId) => {
+  return [device.signedPreKey, device.previousSignedPreKey].find((key) => key && key.keyId === keyId) || null;
+};
+
+// The content of an encrypted message delivered to this device (one that
+// carries an `envelope`). Throws if it cannot be decrypted.
+export const decryptMessage = (userId, message) => exclusive(async () => {
+  const device = await get(deviceKey(userId));
+  if (!device || !message.envelope) {
+    throw new Error('This device cannot read the message');
+  }
+
+  const wire = JSON.parse(decodeText(fromBase64(message.envelope.body)));
+  const key = `${sessionPrefix(userId, message.sender_id)}${message.sender_device_id}`;
+  let session = await get(key);
+
+  // A prekey message that is not a repeat of the one our session started
+  // from begins a new session (the sender reinstalled or lost its session)
+  if (wire.preKey && (!session || session.baseKey !== wire.preKey.ephemeralKey)) {
+    const signedPreKey = findSignedPreKey(device, wire.preKey.signedPreKeyId);
+    const oneTimePreKey = wire.preKey.oneTimePreKeyId === null ? null : await get(preKeyKey(userId, wire.preKey.oneTimePreKeyId));
+    if (!signedPreKey || (wire.preKey.oneTimePreKeyId !== null && !oneTimePreKey)) {
+      throw new Error('Prekey is no longer available');
+    }
+    session = await protocol.acceptSession(device.identity, wire.preKey, signedPreKey, oneTimePreKey);
+  }
+  if (!session) {
+    throw new Error('No session with the sending device');
+  }
+
+  const result = await protocol.decrypt(session, wire);
+  await put(key, result.session);
+  // One-time prekeys are used exactly once
+  if (wire.preKey && wire.preKey.oneTimePreKeyId !== null) {
+    await remove(preKeyKey(userId, wire.preKey.oneTimePreKeyId));
+  }
+  return JSON.parse(result.plaintext).content;
+});
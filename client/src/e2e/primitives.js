@@ -0,0 +1,97 @@
+// WebCrypto building blocks for end-to-end encryption: X25519 key agreement,
+// Ed25519 signatures, HKDF/HMAC-SHA-256 key derivation and AES-256-GCM.
+// Private keys are generated non-extractable; they can be stored in IndexedDB
+// but never read back out as bytes.
+const subtle = globalThis.crypto.subtle;
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export const toBase64 = (bytes) => {
+  let binary = '';
+  new Uint8Array(bytes).forEach((byte) => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+};
+
+export const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+export const encodeText = (text) => encoder.encode(text);
+
+export const decodeText = (bytes) => decoder.decode(bytes);
+
+export const concatBytes = (...parts) => {
+  const result = new Uint8Array(parts.reduce((length, part) => length + part.byteLength, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    result.set(new Uint8Array(part), offset);
+    offset += part.byteLength;
+  });
+  return result;
+};
+
+export const randomBytes = (length) => globalThis.crypto.getRandomValues(new Uint8Array(length));
+
+// Whether this browser can do the key agreement and signatures we need
+export const isSupported = async () => {
+  try {
+    await subtle.generateKey({ name: 'X25519' }, false, ['deriveBits']);
+    await subtle.generateKey({ name: 'Ed25519' }, false, ['sign', 'verify']);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// { privateKey, publicKey } where publicKey is the raw public key in base64
+export const generateDhKeyPair = async () => {
+  const pair = await subtle.generateKey({ name: 'X25519' }, false, ['deriveBits']);
+  return { privateKey: pair.privateKey, publicKey: toBase64(await subtle.exportKey('raw', pair.publicKey)) };
+};
+
+export const generateSigningKeyPair = async () => {
+  const pair = await subtle.generateKey({ name: 'Ed25519' }, false, ['sign', 'verify']);
+  return { privateKey: pair.privateKey, publicKey: toBase64(await subtle.exportKey('raw', pair.publicKey)) };
+};
+
+// X25519 shared secret between our private key and their base64 public key
+export const dh = async (privateKey, publicKey) => {
+  const theirs = await subtle.importKey('raw', fromBase64(publicKey), { name: 'X25519' }, false, []);
+  return new Uint8Array(await subtle.deriveBits({ name: 'X25519', public: theirs }, privateKey, 256));
+};
+
+export const sign = async (privateKey, bytes) => {
+  return toBase64(await subtle.sign({ name: 'Ed25519' }, privateKey, bytes));
+};
+
+export const verify = async (publicKey, signature, bytes) => {
+  const key = await subtle.importKey('raw', fromBase64(publicKey), { name: 'Ed25519' }, false, ['verify']);
+  return subtle.verify({ name: 'Ed25519' }, key, fromBase64(signature), bytes);
+};
+
+export const hkdf = async (inputKeyMaterial, salt, info, length) => {
+  const key = await subtle.importKey('raw', inputKeyMaterial, 'HKDF', false, ['deriveBits']);
+  const bits = await subtle.deriveBits({ name: 'HKDF', hash: 'SHA-256', salt, info: encodeText(info) }, key, length * 8);
+  return new Uint8Array(bits);
+};
+
+export const hmac = async (keyBytes, bytes) => {
+  const key = await subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await subtle.sign('HMAC', key, bytes));
+};
+
+// AES-256-GCM with a key and IV derived from a single-use message key
+const messageCipher = async (messageKey) => {
+  const material = await hkdf(messageKey, new Uint8Array(32), 'MessengerMessageKeys', 44);
+  const key = await subtle.importKey('raw', material.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  return { key, iv: material.slice(32) };
+};
+
+export const seal = async (messageKey, plaintext, associatedData) => {
+  const { key, iv } = await messageCipher(messageKey);
+  return new Uint8Array(await subtle.encrypt({ name: 'AES-GCM', iv, additionalData: associatedData }, key, plaintext));
+};
+
+// Throws if the ciphertext or associated data was tampered with
+export const open = async (messageKey, ciphertext, associatedData) => {
+  const { key, iv } = await messageCipher(messageKey);
+  return new Uint8Array(await subtle.decrypt({ name: 'AES-GCM', iv, additionalData: associatedData }, key, ciphertext));
+};
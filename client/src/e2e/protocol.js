@@ -0,0 +1,178 @@
+// X3DH key agreement and the Double Ratchet, after the Signal specifications
+// (https://signal.org/docs/). Sessions are plain objects that can be stored in
+// IndexedDB; every function returns a new session instead of changing the one
+// it was given, so a message that fails to decrypt leaves the session as it was.
+//
+// A device's identity is an X25519 key (for key agreement) plus an Ed25519 key
+// that signs its prekeys; both are bound into every message's associated data.
+import {
+  concatBytes, decodeText, dh, encodeText, fromBase64, generateDhKeyPair,
+  hkdf, hmac, open, seal, sign, toBase64, verify,
+} from './primitives';
+
+// Most message keys kept (and skipped in one go) for out-of-order messages
+const MAX_SKIP = 1000;
+
+export const signPreKey = (signingPrivateKey, publicKey) => sign(signingPrivateKey, fromBase64(publicKey));
+
+const associatedData = (initiator, responder) => toBase64(encodeText(
+  [initiator.identityKey, initiator.signingKey, responder.identityKey, responder.signingKey].join('|')
+));
+
+// The X3DH shared secret from the DH outputs, with the 32 0xFF bytes the spec prefixes
+const deriveSharedSecret = async (dhOutputs) => {
+  return hkdf(concatBytes(new Uint8Array(32).fill(0xff), ...dhOutputs), new Uint8Array(32), 'MessengerX3DH', 32);
+};
+
+// [rootKey, chainKey] after mixing a DH ratchet step into the root key
+const kdfRoot = async (rootKey, dhOutput) => {
+  const output = await hkdf(dhOutput, rootKey, 'MessengerRatchet', 64);
+  return [output.slice(0, 32), output.slice(32)];
+};
+
+// [nextChainKey, messageKey]
+const kdfChain = async (chainKey) => {
+  return Promise.all([hmac(chainKey, new Uint8Array([2])), hmac(chainKey, new Uint8Array([1]))]);
+};
+
+const headerBytes = (header) => encodeText(JSON.stringify({ dh: header.dh, pn: header.pn, n: header.n }));
+
+// Start a session with a device from its published bundle (as returned by
+// GET /keys/:userId). The first messages carry pendingPreKey so the other
+// device can derive the same secret; it is dropped once they reply.
+export const initiateSession = async (identity, bundle) => {
+  const signedPreKey = bundle.signed_prekey;
+  if (!(await verify(bundle.signing_key, signedPreKey.signature, fromBase64(signedPreKey.public_key)))) {
+    throw new Error('Signed prekey signature is not valid');
+  }
+
+  const ephemeral = await generateDhKeyPair();
+  const dhOutputs = await Promise.all([
+    dh(identity.dh.privateKey, signedPreKey.public_key),
+    dh(ephemeral.privateKey, bundle.identity_key),
+    dh(ephemeral.privateKey, signedPreKey.public_key),
+    ...(bundle.one_time_prekey ? [dh(ephemeral.privateKey, bundle.one_time_prekey.public_key)] : []),
+  ]);
+  const sharedSecret = await deriveSharedSecret(dhOutputs);
+
+  const sendingRatchetKey = await generateDhKeyPair();
+  const [rootKey, sendingChainKey] = await kdfRoot(sharedSecret, await dh(sendingRatchetKey.privateKey, signedPreKey.public_key));
+
+  return {
+    peerIdentityKey: bundle.identity_key,
+    associatedData: associatedData(
+      { identityKey: identity.dh.publicKey, signingKey: identity.signing.publicKey },
+      { identityKey: bundle.identity_key, signingKey: bundle.signing_key }
+    ),
+    rootKey,
+    sendingRatchetKey,
+    receivingRatchetKey: signedPreKey.public_key,
+    sendingChainKey,
+    receivingChainKey: null,
+    sendCount: 0,
+    receiveCount: 0,
+    previousCount: 0,
+    skipped: {},
+    pendingPreKey: {
+      identityKey: identity.dh.publicKey,
+      signingKey: identity.signing.publicKey,
+      ephemeralKey: ephemeral.publicKey,
+      signedPreKeyId: signedPreKey.key_id,
+      oneTimePreKeyId: bundle.one_time_prekey ? bundle.one_time_prekey.key_id : null,
+    },
+  };
+};
+
+// The other side of initiateSession, from the preKey block of the first
+// message and our own signed (and, if one was used, one-time) prekey pairs
+export const acceptSession = async (identity, preKey, signedPreKey, oneTimePreKey) => {
+  const dhOutputs = await Promise.all([
+    dh(signedPreKey.privateKey, preKey.identityKey),
+    dh(identity.dh.privateKey, preKey.ephemeralKey),
+    dh(signedPreKey.privateKey, preKey.ephemeralKey),
+    ...(oneTimePreKey ? [dh(oneTimePreKey.privateKey, preKey.ephemeralKey)] : []),
+  ]);
+
+  return {
+    peerIdentityKey: preKey.identityKey,
+    associatedData: associatedData(
+      { identityKey: preKey.identityKey, signingKey: preKey.signingKey },
+      { identityKey: identity.dh.publicKey, signingKey: identity.signing.publicKey }
+    ),
+    // Identifies the session a repeated prekey message belongs to
+    baseKey: preKey.ephemeralKey,
+    rootKey: await deriveSharedSecret(dhOutputs),
+    sendingRatchetKey: { privateKey: signedPreKey.privateKey, publicKey: signedPreKey.publicKey },
+    receivingRatchetKey: null,
+    sendingChainKey: null,
+    receivingChainKey: null,
+    sendCount: 0,
+    receiveCount: 0,
+    previousCount: 0,
+    skipped: {},
+    pendingPreKey: null,
+  };
+};
+
+// Returns { session, message } where message is { header, ciphertext, preKey? }
+export const encrypt = async (session, plaintext) => {
+  const [sendingChainKey, messageKey] = await kdfChain(session.sendingChainKey);
+  const header = { dh: session.sendingRatchetKey.publicKey, pn: session.previousCount, n: session.sendCount };
+  const ciphertext = await seal(messageKey, encodeText(plaintext), concatBytes(fromBase64(session.associatedData), headerBytes(header)));
+
+  const message = { header, ciphertext: toBase64(ciphertext) };
+  if (session.pendingPreKey) message.preKey = session.pendingPreKey;
+  return { session: { ...session, sendingChainKey, sendCount: session.sendCount + 1 }, message };
+};
+
+// Store the keys of messages up to (not including) number `until` in the
+// current receiving chain, so they can still be read if they arrive later
+const skipMessageKeys = async (session, until) => {
+  if (!session.receivingChainKey) return;
+  if (until - session.receiveCount > MAX_SKIP) {
+    throw new Error('Too many skipped messages');
+  }
+  while (session.receiveCount < until) {
+    const [chainKey, messageKey] = await kdfChain(session.receivingChainKey);
+    session.skipped[`${session.receivingRatchetKey}:${session.receiveCount}`] = messageKey;
+    session.receivingChainKey = chainKey;
+    session.receiveCount += 1;
+  }
+  const keys = Object.keys(session.skipped);
+  keys.slice(0, Math.max(0, keys.length - MAX_SKIP)).forEach((key) => delete session.skipped[key]);
+};
+
+const ratchetStep = async (session, theirRatchetKey) => {
+  session.previousCount = session.sendCount;
+  session.sendCount = 0;
+  session.receiveCount = 0;
+  session.receivingRatchetKey = theirRatchetKey;
+  [session.rootKey, session.receivingChainKey] = await kdfRoot(session.rootKey, await dh(session.sendingRatchetKey.privateKey, theirRatchetKey));
+  session.sendingRatchetKey = await generateDhKeyPair();
+  [session.rootKey, session.sendingChainKey] = await kdfRoot(session.rootKey, await dh(session.sendingRatchetKey.privateKey, theirRatchetKey));
+};
+
+// Returns { session, plaintext }; throws if the message cannot be decrypted
+export const decrypt = async (session, { header, ciphertext }) => {
+  const next = { ...session, skipped: { ...session.skipped } };
+  const associated = concatBytes(fromBase64(session.associatedData), headerBytes(header));
+  const skippedKey = `${header.dh}:${header.n}`;
+
+  let messageKey = next.skipped[skippedKey];
+  if (messageKey) {
+    delete next.skipped[skippedKey];
+  } else {
+    if (header.dh !== next.receivingRatchetKey) {
+      await skipMessageKeys(next, header.pn);
+      await ratchetStep(next, header.dh);
+    }
+    await skipMessageKeys(next, header.n);
+    [next.receivingChainKey, messageKey] = await kdfChain(next.receivingChainKey);
+    next.receiveCount += 1;
+  }
+
+  const plaintext = decodeText(await open(messageKey, fromBase64(ciphertext), associated));
+  // Anything they send proves they have the session, so stop repeating the prekey block
+  next.pendingPreKey = null;
+  return { session: next, plaintext };
+};
@@ -0,0 +1,16 @@
+// Messages that have not been acknowledged by the server yet. They live in
+// IndexedDB so they survive reloads and are retried whenever the socket reconnects.
+import { OUTBOX_STORE, withStore } from './db';
+
+// entry: { clientMessageId, userId, receiverId, content, createdAt }
+export const addToOutbox = (entry) => withStore(OUTBOX_STORE, 'readwrite', (store) => store.put(entry));
+
+export const removeFromOutbox = (clientMessageId) => withStore(OUTBOX_STORE, 'readwrite', (store) => store.delete(clientMessageId));
+
+// Only the logged-in user's entries, oldest first
+export const listOutbox = async (userId) => {
+  const entries = await withStore(OUTBOX_STORE, 'readonly', (store) => store.getAll());
+  return entries
+    .filter((entry) => entry.userId === userId)
+    .sort((a, b) => a.createdAt - b.createdAt);
+};
@@ -0,0 +1,54 @@
+// Web Push subscription for this browser. The service worker (public/sw.js)
+// shows the notifications; the server decides when to send them.
+import { apiFetch } from './session';
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+export const isPushSupported = () => 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+// The VAPID key comes as base64url; pushManager.subscribe wants the raw bytes
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+};
+
+// Subscribe (asking for permission if needed) and register the subscription
+// with the server. Resolves to false if push is unavailable or not allowed.
+export const enablePush = async () => {
+  if (!isPushSupported()) return false;
+  if ((await Notification.requestPermission()) !== 'granted') return false;
+
+  const keyResponse = await apiFetch('/api/v1/push/public-key');
+  // 503 when the server has no VAPID keys configured
+  if (!keyResponse.ok) return false;
+  const { public_key: publicKey } = await keyResponse.json();
+
+  const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription()
+    || await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: fromBase64Url(publicKey) });
+
+  const response = await apiFetch('/api/v1/push/subscriptions', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(subscription.toJSON()),
+  });
+  if (!response.ok) {
+    throw new Error('Failed to register push subscription');
+  }
+  return true;
+};
+
+// Unsubscribe this browser on logout, so the next user does not get the
+// previous one's notifications. Needs no token: the server stops using a
+// subscription once its session is revoked.
+export const disablePush = async () => {
+  if (!isPushSupported()) return;
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  const subscription = registration && await registration.pushManager.getSubscription();
+  if (subscription) {
+    await subscription.unsubscribe();
+  }
+};
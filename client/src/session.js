@@ -0,0 +1,74 @@
+// The signed-in session's tokens, kept in localStorage. Access tokens are
+// short-lived and renewed with the refresh token, which the server rotates on
+// every use.
+export const getToken = () => localStorage.getItem('token');
+
+export const saveSession = ({ token, refreshToken, user }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+  if (user) {
+    localStorage.setItem('currentUser', JSON.stringify(user));
+  }
+};
+
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('currentUser');
+};
+
+const rotate = async (rejectedToken) => {
+  // Another tab refreshed while we waited for the lock
+  if (getToken() !== rejectedToken) return getToken();
+
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) return null;
+  const response = await fetch('/auth/refresh', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ refreshToken }),
+  });
+  if (response.status === 401) return null;
+  if (!response.ok) {
+    throw new Error('Failed to refresh the session');
+  }
+  const tokens = await response.json();
+  saveSession(tokens);
+  return tokens.token;
+};
+
+let refreshing = null;
+
+// Renew the access token after the server rejected `rejectedToken`. Resolves
+// to the new token, or null once the session is over (logged out elsewhere,
+// revoked or expired). Refreshes never overlap, not even across tabs: sending
+// a refresh token that was already rotated revokes the session.
+export const refreshSession = (rejectedToken) => {
+  if (!refreshing) {
+    const run = () => rotate(rejectedToken);
+    refreshing = (navigator.locks ? navigator.locks.request('session-refresh', run) : run())
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+// fetch() with the access token, refreshing it and retrying once on a 401
+export const apiFetch = async (path, { headers, ...options } = {}) => {
+  const send = (token) => fetch(path, {
+    ...options,
+    headers: {
+      ...headers,
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const token = getToken();
+  const response = await send(token);
+  if (response.status !== 401) return response;
+  const renewed = await refreshSession(token);
+  return renewed ? send(renewed) : response;
+};
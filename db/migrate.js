@@ -0,0 +1,150 @@
+// db/migrate.js
+//
+// Versioned schema migrations. Each file in db/migrations is named
+// <version>_<name>.js and exports `up` and `down` SQL strings. Applied
+// versions are recorded in schema_migrations; each migration runs in its
+// own transaction.
+//
+// Usage: node db/migrate.js [up | down [steps] | status]
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary key so concurrent runners (e.g. several instances booting) take turns
+const LOCK_KEY = 727274;
+
+const loadMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map((file) => {
+      const [version, ...rest] = path.basename(file, '.js').split('_');
+      const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+      return { version, name: rest.join('_'), up, down };
+    });
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version CHARACTER VARYING PRIMARY KEY,
+      name CHARACTER VARYING NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+};
+
+const getAppliedVersions = async (client) => {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map((row) => row.version);
+};
+
+// Run `fn` with a dedicated client holding the migration lock
+const withLock = async (pool, fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+};
+
+const runInTransaction = async (client, sql, record) => {
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await record();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+};
+
+// Apply every pending migration in order. Returns the versions applied.
+const migrateUp = async (pool, { log = console.log } = {}) => {
+  return withLock(pool, async (client) => {
+    const applied = new Set(await getAppliedVersions(client));
+    const pending = loadMigrations().filter((m) => !applied.has(m.version));
+
+    for (const migration of pending) {
+      log(`Applying ${migration.version}_${migration.name}`);
+      await runInTransaction(client, migration.up, () => client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      ));
+    }
+
+    return pending.map((m) => m.version);
+  });
+};
+
+// Revert the most recent `steps` migrations. Returns the versions reverted.
+const migrateDown = async (pool, { steps = 1, log = console.log } = {}) => {
+  return withLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const byVersion = new Map(loadMigrations().map((m) => [m.version, m]));
+    const toRevert = applied.reverse().slice(0, steps);
+
+    for (const version of toRevert) {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${version} not found`);
+      }
+      log(`Reverting ${migration.version}_${migration.name}`);
+      await runInTransaction(client, migration.down, () => client.query(
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [version]
+      ));
+    }
+
+    return toRevert;
+  });
+};
+
+const status = async (pool) => {
+  return withLock(pool, async (client) => {
+    const applied = new Set(await getAppliedVersions(client));
+    return loadMigrations().map((m) => ({
+      version: m.version,
+      name: m.name,
+      applied: applied.has(m.version)
+    }));
+  });
+};
+
+module.exports = { migrateUp, migrateDown, status };
+
+if (require.main === module) {
+  require('dotenv').config();
+  const pool = require('./pool');
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  const run = async () => {
+    if (command === 'up') {
+      const versions = await migrateUp(pool);
+      console.log(versions.length ? `Applied ${versions.length} migration(s)` : 'Database is up to date');
+    } else if (command === 'down') {
+      const versions = await migrateDown(pool, { steps: parseInt(arg, 10) || 1 });
+      console.log(`Reverted ${versions.length} migration(s)`);
+    } else if (command === 'status') {
+      for (const m of await status(pool)) {
+        console.log(`${m.applied ? '[x]' : '[ ]'} ${m.version}_${m.name}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down [steps] or status.`);
+    }
+  };
+
+  run()
+    .catch((err) => {
+      console.error('Migration failed:', err.stack || err);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
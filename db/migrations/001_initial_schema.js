@@ -0,0 +1,64 @@
+// Tables the original server was written against: users, friend requests,
+// friendships and 1:1 messages. IF NOT EXISTS lets databases that predate
+// the migrations adopt this version without changes.
+
+exports.up = `
+  CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+  CREATE TABLE IF NOT EXISTS users (
+    id CHARACTER VARYING PRIMARY KEY DEFAULT gen_random_uuid()::text,
+    username CHARACTER VARYING NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    name CHARACTER VARYING,
+    last_login TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS friend_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sender_id CHARACTER VARYING NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    receiver_id CHARACTER VARYING NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status CHARACTER VARYING NOT NULL DEFAULT 'pending'
+      CHECK (status IN ('pending', 'accepted', 'declined')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (sender_id <> receiver_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS friend_requests_receiver_status_idx ON friend_requests (receiver_id, status);
+  CREATE INDEX IF NOT EXISTS friend_requests_sender_idx ON friend_requests (sender_id);
+
+  CREATE TABLE IF NOT EXISTS friendships (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user1_id CHARACTER VARYING NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user2_id CHARACTER VARYING NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (user1_id <> user2_id)
+  );
+
+  -- A pair of users can only be friends once, whichever column each one is in
+  CREATE UNIQUE INDEX IF NOT EXISTS friendships_pair_idx
+    ON friendships (LEAST(user1_id, user2_id), GREATEST(user1_id, user2_id));
+  CREATE INDEX IF NOT EXISTS friendships_user2_idx ON friendships (user2_id);
+
+  CREATE TABLE IF NOT EXISTS messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sender_id CHARACTER VARYING NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    receiver_id CHARACTER VARYING NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    content TEXT,
+    message_type CHARACTER VARYING NOT NULL DEFAULT 'text'
+      CHECK (message_type IN ('text', 'image')),
+    image_data TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );
+
+  CREATE INDEX IF NOT EXISTS messages_pair_created_idx ON messages (sender_id, receiver_id, created_at);
+  CREATE INDEX IF NOT EXISTS messages_receiver_idx ON messages (receiver_id);
+`;
+
+exports.down = `
+  DROP TABLE IF EXISTS messages;
+  DROP TABLE IF EXISTS friendships;
+  DROP TABLE IF EXISTS friend_requests;
+  DROP TABLE IF EXISTS users;
+`;
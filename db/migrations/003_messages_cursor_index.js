@@ -0,0 +1,12 @@
+// Conversation pages are keyed on (created_at, id), so include id in the index
+// to keep the tie-break in index order.
+
+exports.up = `
+  DROP INDEX IF EXISTS messages_pair_created_idx;
+  CREATE INDEX messages_pair_cursor_idx ON messages (sender_id, receiver_id, created_at, id);
+`;
+
+exports.down = `
+  DROP INDEX IF EXISTS messages_pair_cursor_idx;
+  CREATE INDEX messages_pair_created_idx ON messages (sender_id, receiver_id, created_at);
+`;
@@ -0,0 +1,33 @@
+// Uploaded files live in the attachment store; messages reference them by ID
+// instead of carrying base64 image_data inline.
+
+exports.up = `
+  CREATE TABLE attachments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    owner_id CHARACTER VARYING NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    storage_key TEXT NOT NULL UNIQUE,
+    mime_type CHARACTER VARYING NOT NULL,
+    size INTEGER NOT NULL,
+    original_name TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );
+
+  CREATE INDEX attachments_owner_idx ON attachments (owner_id);
+
+  ALTER TABLE messages ADD COLUMN attachment_id UUID REFERENCES attachments(id) ON DELETE SET NULL;
+  CREATE INDEX messages_attachment_idx ON messages (attachment_id) WHERE attachment_id IS NOT NULL;
+
+  ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_message_type_check;
+  ALTER TABLE messages ADD CONSTRAINT messages_message_type_check
+    CHECK (message_type IN ('text', 'image', 'audio', 'file'));
+`;
+
+exports.down = `
+  ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_message_type_check;
+  ALTER TABLE messages ADD CONSTRAINT messages_message_type_check
+    CHECK (message_type IN ('text', 'image'));
+
+  DROP INDEX IF EXISTS messages_attachment_idx;
+  ALTER TABLE messages DROP COLUMN IF EXISTS attachment_id;
+  DROP TABLE IF EXISTS attachments;
+`;
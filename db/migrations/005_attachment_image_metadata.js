@@ -0,0 +1,17 @@
+// Dimensions, blurhash placeholder and thumbnail location for image attachments.
+
+exports.up = `
+  ALTER TABLE attachments
+    ADD COLUMN width INTEGER,
+    ADD COLUMN height INTEGER,
+    ADD COLUMN blurhash CHARACTER VARYING,
+    ADD COLUMN thumbnail_key TEXT;
+`;
+
+exports.down = `
+  ALTER TABLE attachments
+    DROP COLUMN IF EXISTS width,
+    DROP COLUMN IF EXISTS height,
+    DROP COLUMN IF EXISTS blurhash,
+    DROP COLUMN IF EXISTS thumbnail_key;
+`;
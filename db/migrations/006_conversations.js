@@ -0,0 +1,40 @@
+// Group conversations. Direct messages keep using sender_id/receiver_id;
+// group messages have a conversation_id and no receiver.
+
+exports.up = `
+  CREATE TABLE conversations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name CHARACTER VARYING NOT NULL,
+    created_by CHARACTER VARYING REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );
+
+  CREATE TABLE conversation_members (
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    user_id CHARACTER VARYING NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role CHARACTER VARYING NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member')),
+    joined_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (conversation_id, user_id)
+  );
+
+  CREATE INDEX conversation_members_user_idx ON conversation_members (user_id);
+
+  ALTER TABLE messages ADD COLUMN conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE;
+  ALTER TABLE messages ALTER COLUMN receiver_id DROP NOT NULL;
+  ALTER TABLE messages ADD CONSTRAINT messages_target_check
+    CHECK ((receiver_id IS NULL) <> (conversation_id IS NULL));
+
+  CREATE INDEX messages_conversation_cursor_idx ON messages (conversation_id, created_at, id)
+    WHERE conversation_id IS NOT NULL;
+`;
+
+exports.down = `
+  DELETE FROM messages WHERE conversation_id IS NOT NULL;
+  DROP INDEX IF EXISTS messages_conversation_cursor_idx;
+  ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_target_check;
+  ALTER TABLE messages ALTER COLUMN receiver_id SET NOT NULL;
+  ALTER TABLE messages DROP COLUMN IF EXISTS conversation_id;
+  DROP TABLE IF EXISTS conversation_members;
+  DROP TABLE IF EXISTS conversations;
+`;
@@ -0,0 +1,21 @@
+// Delivery and read receipts. Direct messages carry their own timestamps;
+// group members keep a read marker instead of a row per message and reader.
+
+exports.up = `
+  ALTER TABLE messages
+    ADD COLUMN delivered_at TIMESTAMPTZ,
+    ADD COLUMN read_at TIMESTAMPTZ;
+
+  CREATE INDEX messages_unread_idx ON messages (receiver_id, sender_id)
+    WHERE read_at IS NULL AND receiver_id IS NOT NULL;
+
+  ALTER TABLE conversation_members ADD COLUMN last_read_at TIMESTAMPTZ;
+`;
+
+exports.down = `
+  ALTER TABLE conversation_members DROP COLUMN IF EXISTS last_read_at;
+  DROP INDEX IF EXISTS messages_unread_idx;
+  ALTER TABLE messages
+    DROP COLUMN IF EXISTS delivered_at,
+    DROP COLUMN IF EXISTS read_at;
+`;
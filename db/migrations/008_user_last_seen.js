@@ -0,0 +1,9 @@
+// When a user's last socket disconnected, so "last seen" survives restarts.
+
+exports.up = `
+  ALTER TABLE users ADD COLUMN last_seen_at TIMESTAMPTZ;
+`;
+
+exports.down = `
+  ALTER TABLE users DROP COLUMN IF EXISTS last_seen_at;
+`;
@@ -0,0 +1,36 @@
+// Message edits and deletes. Every edit keeps the previous content as a
+// revision; unsending sets deleted_at but keeps the row; "delete for me"
+// hides a message from one user only.
+
+exports.up = `
+  ALTER TABLE messages
+    ADD COLUMN edited_at TIMESTAMPTZ,
+    ADD COLUMN deleted_at TIMESTAMPTZ,
+    ADD COLUMN deleted_by CHARACTER VARYING REFERENCES users(id) ON DELETE SET NULL;
+
+  CREATE TABLE message_revisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    content TEXT,
+    edited_by CHARACTER VARYING REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );
+
+  CREATE INDEX message_revisions_message_idx ON message_revisions (message_id, created_at);
+
+  CREATE TABLE message_hidden (
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id CHARACTER VARYING NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    hidden_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_id, message_id)
+  );
+`;
+
+exports.down = `
+  DROP TABLE IF EXISTS message_hidden;
+  DROP TABLE IF EXISTS message_revisions;
+  ALTER TABLE messages
+    DROP COLUMN IF EXISTS edited_at,
+    DROP COLUMN IF EXISTS deleted_at,
+    DROP COLUMN IF EXISTS deleted_by;
+`;
@@ -0,0 +1,22 @@
+// Replies (reply_to_id), forwarded copies (forwarded_from_id) and emoji reactions.
+
+exports.up = `
+  ALTER TABLE messages
+    ADD COLUMN reply_to_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+    ADD COLUMN forwarded_from_id UUID REFERENCES messages(id) ON DELETE SET NULL;
+
+  CREATE TABLE message_reactions (
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id CHARACTER VARYING NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    emoji CHARACTER VARYING(32) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (message_id, user_id, emoji)
+  );
+`;
+
+exports.down = `
+  DROP TABLE IF EXISTS message_reactions;
+  ALTER TABLE messages
+    DROP COLUMN IF EXISTS reply_to_id,
+    DROP COLUMN IF EXISTS forwarded_from_id;
+`;
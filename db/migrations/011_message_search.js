@@ -0,0 +1,14 @@
+// Full-text search over message content. The 'simple' configuration does no
+// stemming or stop words, which suits chats written in mixed languages.
+
+exports.up = `
+  ALTER TABLE messages ADD COLUMN search_vector tsvector
+    GENERATED ALWAYS AS (to_tsvector('simple', COALESCE(content, ''))) STORED;
+
+  CREATE INDEX messages_search_idx ON messages USING GIN (search_vector);
+`;
+
+exports.down = `
+  DROP INDEX IF EXISTS messages_search_idx;
+  ALTER TABLE messages DROP COLUMN IF EXISTS search_vector;
+`;
@@ -0,0 +1,14 @@
+// Client-generated ids let a sender retry a message without creating duplicates
+
+exports.up = `
+  ALTER TABLE messages ADD COLUMN client_message_id VARCHAR(64);
+
+  CREATE UNIQUE INDEX messages_client_message_id_idx
+    ON messages (sender_id, client_message_id)
+    WHERE client_message_id IS NOT NULL;
+`;
+
+exports.down = `
+  DROP INDEX IF EXISTS messages_client_message_id_idx;
+  ALTER TABLE messages DROP COLUMN IF EXISTS client_message_id;
+`;
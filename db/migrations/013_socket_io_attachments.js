@@ -0,0 +1,14 @@
+// Overflow storage for the Postgres pub/sub adapter (PUBSUB_ADAPTER=postgres):
+// NOTIFY payloads are capped at 8000 bytes, larger or binary ones go here
+
+exports.up = `
+  CREATE TABLE IF NOT EXISTS socket_io_attachments (
+    id          BIGSERIAL UNIQUE,
+    created_at  TIMESTAMPTZ DEFAULT NOW(),
+    payload     BYTEA
+  );
+`;
+
+exports.down = `
+  DROP TABLE IF EXISTS socket_io_attachments;
+`;
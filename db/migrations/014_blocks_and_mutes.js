@@ -0,0 +1,59 @@
+// Blocking, per-conversation mutes, cancellable friend requests, and at most
+// one pending request between two users at a time.
+
+exports.up = `
+  ALTER TABLE friend_requests DROP CONSTRAINT IF EXISTS friend_requests_status_check;
+  ALTER TABLE friend_requests ADD CONSTRAINT friend_requests_status_check
+    CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled'));
+
+  -- Keep only the newest pending request of each pair before enforcing uniqueness
+  UPDATE friend_requests fr SET status = 'cancelled', updated_at = NOW()
+  WHERE fr.status = 'pending' AND EXISTS (
+    SELECT 1 FROM friend_requests newer
+    WHERE newer.status = 'pending'
+      AND LEAST(newer.sender_id, newer.receiver_id) = LEAST(fr.sender_id, fr.receiver_id)
+      AND GREATEST(newer.sender_id, newer.receiver_id) = GREATEST(fr.sender_id, fr.receiver_id)
+      AND (newer.created_at, newer.id) > (fr.created_at, fr.id)
+  );
+
+  CREATE UNIQUE INDEX friend_requests_pending_pair_idx
+    ON friend_requests (LEAST(sender_id, receiver_id), GREATEST(sender_id, receiver_id))
+    WHERE status = 'pending';
+
+  CREATE TABLE user_blocks (
+    blocker_id CHARACTER VARYING NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    blocked_id CHARACTER VARYING NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (blocker_id, blocked_id),
+    CHECK (blocker_id <> blocked_id)
+  );
+
+  CREATE INDEX user_blocks_blocked_idx ON user_blocks (blocked_id);
+
+  -- A mute covers either a direct chat (friend_id) or a group (conversation_id).
+  -- muted_until NULL means until the user unmutes it.
+  CREATE TABLE muted_conversations (
+    user_id CHARACTER VARYING NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    friend_id CHARACTER VARYING REFERENCES users(id) ON DELETE CASCADE,
+    conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+    muted_until TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK ((friend_id IS NULL) <> (conversation_id IS NULL))
+  );
+
+  CREATE UNIQUE INDEX muted_conversations_friend_idx
+    ON muted_conversations (user_id, friend_id) WHERE friend_id IS NOT NULL;
+  CREATE UNIQUE INDEX muted_conversations_group_idx
+    ON muted_conversations (user_id, conversation_id) WHERE conversation_id IS NOT NULL;
+`;
+
+exports.down = `
+  DROP TABLE IF EXISTS muted_conversations;
+  DROP TABLE IF EXISTS user_blocks;
+  DROP INDEX IF EXISTS friend_requests_pending_pair_idx;
+
+  UPDATE friend_requests SET status = 'declined' WHERE status = 'cancelled';
+  ALTER TABLE friend_requests DROP CONSTRAINT IF EXISTS friend_requests_status_check;
+  ALTER TABLE friend_requests ADD CONSTRAINT friend_requests_status_check
+    CHECK (status IN ('pending', 'accepted', 'declined'));
+`;
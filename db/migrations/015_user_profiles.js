@@ -0,0 +1,26 @@
+// Profile fields (bio, status message, avatar) and trigram indexes for user search
+
+exports.up = `
+  CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+  ALTER TABLE users
+    ADD COLUMN bio TEXT,
+    ADD COLUMN status_message CHARACTER VARYING,
+    ADD COLUMN avatar_attachment_id UUID REFERENCES attachments(id) ON DELETE SET NULL,
+    ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+  -- Serve both prefix (LIKE 'abc%') and fuzzy (%) matches on lowercased names
+  CREATE INDEX users_username_trgm_idx ON users USING GIN (lower(username) gin_trgm_ops);
+  CREATE INDEX users_name_trgm_idx ON users USING GIN (lower(name) gin_trgm_ops);
+`;
+
+exports.down = `
+  DROP INDEX IF EXISTS users_name_trgm_idx;
+  DROP INDEX IF EXISTS users_username_trgm_idx;
+
+  ALTER TABLE users
+    DROP COLUMN IF EXISTS updated_at,
+    DROP COLUMN IF EXISTS avatar_attachment_id,
+    DROP COLUMN IF EXISTS status_message,
+    DROP COLUMN IF EXISTS bio;
+`;
@@ -0,0 +1,40 @@
+// Account recovery and brute-force protection: an optional email address to
+// send password resets to, single-use reset tokens (stored hashed), and
+// attempt counters for rate limiting /login and /register.
+
+exports.up = `
+  ALTER TABLE users
+    ADD COLUMN email CHARACTER VARYING,
+    ADD COLUMN password_changed_at TIMESTAMPTZ;
+
+  CREATE UNIQUE INDEX users_email_idx ON users (lower(email));
+
+  CREATE TABLE password_reset_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id CHARACTER VARYING NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ
+  );
+
+  CREATE INDEX password_reset_tokens_user_idx ON password_reset_tokens (user_id);
+
+  -- One row per throttled key (e.g. "login-ip:1.2.3.4" or "login-user:alice")
+  CREATE TABLE auth_throttles (
+    key TEXT PRIMARY KEY,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    window_started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    locked_until TIMESTAMPTZ
+  );
+`;
+
+exports.down = `
+  DROP TABLE IF EXISTS auth_throttles;
+  DROP TABLE IF EXISTS password_reset_tokens;
+  DROP INDEX IF EXISTS users_email_idx;
+
+  ALTER TABLE users
+    DROP COLUMN IF EXISTS password_changed_at,
+    DROP COLUMN IF EXISTS email;
+`;
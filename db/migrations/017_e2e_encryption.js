@@ -0,0 +1,62 @@
+// End-to-end encrypted direct messages. Each signed-in device publishes public
+// keys (an X25519 identity key, an Ed25519 key that signs its prekeys, a signed
+// prekey and a pool of one-time prekeys); private keys never leave the device.
+// An encrypted message stores no content, only one ciphertext envelope per
+// recipient device.
+
+exports.up = `
+  CREATE TABLE e2e_devices (
+    user_id CHARACTER VARYING NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    device_id VARCHAR(64) NOT NULL,
+    -- The device stops receiving envelopes once its session is signed out
+    session_id UUID REFERENCES sessions(id) ON DELETE SET NULL,
+    identity_key TEXT NOT NULL,
+    signing_key TEXT NOT NULL,
+    signed_prekey_id INTEGER NOT NULL,
+    signed_prekey TEXT NOT NULL,
+    signed_prekey_signature TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_id, device_id)
+  );
+
+  CREATE TABLE e2e_one_time_prekeys (
+    user_id CHARACTER VARYING NOT NULL,
+    device_id VARCHAR(64) NOT NULL,
+    key_id INTEGER NOT NULL,
+    public_key TEXT NOT NULL,
+    PRIMARY KEY (user_id, device_id, key_id),
+    FOREIGN KEY (user_id, device_id) REFERENCES e2e_devices (user_id, device_id) ON DELETE CASCADE
+  );
+
+  ALTER TABLE messages ADD COLUMN encrypted BOOLEAN NOT NULL DEFAULT false;
+  ALTER TABLE messages ADD COLUMN sender_device_id VARCHAR(64);
+  -- The server never holds plaintext for an encrypted message
+  ALTER TABLE messages ADD CONSTRAINT messages_encrypted_check CHECK (
+    NOT encrypted OR (
+      content IS NULL AND image_data IS NULL AND attachment_id IS NULL
+      AND conversation_id IS NULL AND sender_device_id IS NOT NULL
+    )
+  );
+
+  CREATE TABLE message_envelopes (
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    recipient_id CHARACTER VARYING NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    device_id VARCHAR(64) NOT NULL,
+    -- "prekey" envelopes start a new session, "message" ones continue it
+    type VARCHAR(16) NOT NULL CHECK (type IN ('prekey', 'message')),
+    body TEXT NOT NULL,
+    PRIMARY KEY (message_id, recipient_id, device_id)
+  );
+
+  CREATE INDEX message_envelopes_device_idx ON message_envelopes (recipient_id, device_id);
+`;
+
+exports.down = `
+  DROP TABLE IF EXISTS message_envelopes;
+  ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_encrypted_check;
+  ALTER TABLE messages DROP COLUMN IF EXISTS sender_device_id;
+  ALTER TABLE messages DROP COLUMN IF EXISTS encrypted;
+  DROP TABLE IF EXISTS e2e_one_time_prekeys;
+  DROP TABLE IF EXISTS e2e_devices;
+`;
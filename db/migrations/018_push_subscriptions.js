@@ -0,0 +1,22 @@
+// Web Push subscriptions, one per browser. A subscription belongs to the
+// session that created it, so signing out of a device stops its notifications.
+
+exports.up = `
+  CREATE TABLE push_subscriptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id CHARACTER VARYING NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    session_id UUID REFERENCES sessions(id) ON DELETE CASCADE,
+    endpoint TEXT NOT NULL UNIQUE,
+    p256dh TEXT NOT NULL,
+    auth TEXT NOT NULL,
+    user_agent TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ
+  );
+
+  CREATE INDEX push_subscriptions_user_id_idx ON push_subscriptions (user_id);
+`;
+
+exports.down = `
+  DROP TABLE IF EXISTS push_subscriptions;
+`;
@@ -0,0 +1,18 @@
+// db/pool.js
+
+const { Pool } = require('pg');
+
+// Create a connection pool for the PostgreSQL database
+const pool = new Pool({
+  user: process.env.PGUSER,
+  host: process.env.PGHOST,
+  database: process.env.PGDATABASE,
+  password: process.env.PGPASSWORD,
+  port: process.env.PGPORT,
+  // Local databases usually run without TLS; set PGSSL=false for those
+  ssl: process.env.PGSSL === 'false' ? false : {
+    rejectUnauthorized: false
+  }
+});
+
+module.exports = pool;
@@ -0,0 +1,58 @@
+// db/repositories/attachments.js
+
+const pool = require('../pool');
+
+// Columns that are safe to send back to the client
+const PUBLIC_COLUMNS = `
+  id, owner_id, mime_type, size, original_name, width, height, blurhash,
+  (thumbnail_key IS NOT NULL) AS has_thumbnail, created_at
+`;
+
+// width, height, blurhash and thumbnailKey are only set for images
+const create = async ({ id, ownerId, storageKey, mimeType, size, originalName, width, height, blurhash, thumbnailKey }) => {
+  const query = `
+    INSERT INTO attachments (id, owner_id, storage_key, mime_type, size, original_name, width, height, blurhash, thumbnail_key)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING ${PUBLIC_COLUMNS}
+  `;
+  const values = [id, ownerId, storageKey, mimeType, size, originalName || null, width || null, height || null, blurhash || null, thumbnailKey || null];
+  const result = await pool.query(query, values);
+  return result.rows[0];
+};
+
+const findOwned = async (id, ownerId) => {
+  const result = await pool.query(`SELECT ${PUBLIC_COLUMNS} FROM attachments WHERE id = $1 AND owner_id = $2`, [id, ownerId]);
+  return result.rows[0] || null;
+};
+
+// An attachment (including its storage keys) if the user uploaded it, is a
+// participant of a message that references it (for groups, a member since
+// before it was sent) and was not deleted for everyone, or it is someone's
+// current avatar
+const findAccessible = async (id, userId) => {
+  const query = `
+    SELECT a.* FROM attachments a
+    WHERE a.id = $1 AND (
+      a.owner_id = $2
+      OR EXISTS (SELECT 1 FROM users u WHERE u.avatar_attachment_id = a.id)
+      OR EXISTS (
+        SELECT 1 FROM messages m
+        WHERE m.attachment_id = a.id AND m.deleted_at IS NULL AND (
+          m.sender_id = $2 OR m.receiver_id = $2
+          OR EXISTS (
+            SELECT 1 FROM conversation_members cm
+            WHERE cm.conversation_id = m.conversation_id AND cm.user_id = $2 AND m.created_at >= cm.joined_at
+          )
+        )
+      )
+    )
+  `;
+  const result = await pool.query(query, [id, userId]);
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  create,
+  findOwned,
+  findAccessible
+};
@@ -0,0 +1,73 @@
+// db/repositories/blocks.js
+
+const pool = require('../pool');
+
+// Whether either user has blocked the other
+const isBlockedBetween = async (userId, otherId) => {
+  const query = 'SELECT 1 FROM user_blocks WHERE (blocker_id = $1 AND blocked_id = $2) OR (blocker_id = $2 AND blocked_id = $1)';
+  const result = await pool.query(query, [userId, otherId]);
+  return result.rows.length > 0;
+};
+
+// Block a user: ends the friendship and settles pending requests in both
+// directions. Returns { created } (false if they were already blocked),
+// { unfriended } and the settled { requests }.
+const block = async (blockerId, blockedId) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const inserted = await client.query(
+      'INSERT INTO user_blocks (blocker_id, blocked_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [blockerId, blockedId]
+    );
+
+    const unfriended = await client.query(
+      'DELETE FROM friendships WHERE (user1_id = $1 AND user2_id = $2) OR (user1_id = $2 AND user2_id = $1)',
+      [blockerId, blockedId]
+    );
+
+    // The blocker's own request is cancelled; one they received is declined
+    const requests = await client.query(`
+      UPDATE friend_requests
+      SET status = CASE WHEN sender_id = $1 THEN 'cancelled' ELSE 'declined' END, updated_at = NOW()
+      WHERE status = 'pending'
+        AND ((sender_id = $1 AND receiver_id = $2) OR (sender_id = $2 AND receiver_id = $1))
+      RETURNING *
+    `, [blockerId, blockedId]);
+
+    await client.query('COMMIT');
+    return { created: inserted.rowCount > 0, unfriended: unfriended.rowCount > 0, requests: requests.rows };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Returns false if the user was not blocked. Unblocking does not restore the friendship.
+const unblock = async (blockerId, blockedId) => {
+  const result = await pool.query('DELETE FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2', [blockerId, blockedId]);
+  return result.rowCount > 0;
+};
+
+// Users blocked by userId, most recent first
+const listBlocked = async (userId) => {
+  const query = `
+    SELECT u.id, u.username, u.name, b.created_at AS blocked_at
+    FROM user_blocks b
+    JOIN users u ON u.id = b.blocked_id
+    WHERE b.blocker_id = $1
+    ORDER BY b.created_at DESC
+  `;
+  const result = await pool.query(query, [userId]);
+  return result.rows;
+};
+
+module.exports = {
+  isBlockedBetween,
+  block,
+  unblock,
+  listBlocked
+};
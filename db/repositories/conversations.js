@@ -0,0 +1,184 @@
+// db/repositories/conversations.js
+
+const pool = require('../pool');
+
+const MEMBER_COLUMNS = 'u.id, u.username, u.name, cm.role, cm.joined_at';
+
+// Run fn(client) inside a transaction
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// A group always keeps at least one admin: if the last one is gone, the
+// longest-standing member is promoted
+const ensureAdmin = async (client, conversationId) => {
+  await client.query(`
+    UPDATE conversation_members SET role = 'admin'
+    WHERE conversation_id = $1 AND user_id = (
+      SELECT user_id FROM conversation_members
+      WHERE conversation_id = $1
+      ORDER BY joined_at, user_id
+      LIMIT 1
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM conversation_members WHERE conversation_id = $1 AND role = 'admin'
+    )
+  `, [conversationId]);
+};
+
+// Create a group with the creator as its admin and memberIds as members
+const createGroup = async ({ name, creatorId, memberIds }) => {
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      'INSERT INTO conversations (name, created_by) VALUES ($1, $2) RETURNING *',
+      [name, creatorId]
+    );
+    const conversation = result.rows[0];
+
+    await client.query(
+      'INSERT INTO conversation_members (conversation_id, user_id, role) VALUES ($1, $2, \'admin\')',
+      [conversation.id, creatorId]
+    );
+    await client.query(`
+      INSERT INTO conversation_members (conversation_id, user_id)
+      SELECT $1, unnest($2::character varying[])
+      ON CONFLICT DO NOTHING
+    `, [conversation.id, memberIds]);
+
+    return conversation;
+  });
+};
+
+const findById = async (conversationId) => {
+  const result = await pool.query('SELECT * FROM conversations WHERE id = $1', [conversationId]);
+  return result.rows[0] || null;
+};
+
+// The conversation with the user's role in it, or null if they are not a member
+const findForMember = async (conversationId, userId) => {
+  const query = `
+    SELECT c.*, cm.role FROM conversations c
+    JOIN conversation_members cm ON cm.conversation_id = c.id AND cm.user_id = $2
+    WHERE c.id = $1
+  `;
+  const result = await pool.query(query, [conversationId, userId]);
+  return result.rows[0] || null;
+};
+
+// Groups the user belongs to, most recently active first: the later of the
+// last change to the group and the last message the user can see. Messages from
+// others after the user's read marker (or since they joined) count as unread.
+// muted/muted_until describe the user's mute of the group, if any.
+const listForUser = async (userId) => {
+  const query = `
+    SELECT c.*, cm.role, cm.last_read_at,
+      (SELECT COUNT(*)::int FROM conversation_members WHERE conversation_id = c.id) AS member_count,
+      (
+        SELECT COUNT(*)::int FROM messages m
+        WHERE m.conversation_id = c.id AND m.sender_id <> $1 AND m.deleted_at IS NULL
+          AND m.created_at > COALESCE(cm.last_read_at, cm.joined_at)
+      ) AS unread_count,
+      (mc.user_id IS NOT NULL) AS muted, mc.muted_until
+    FROM conversations c
+    JOIN conversation_members cm ON cm.conversation_id = c.id AND cm.user_id = $1
+    LEFT JOIN muted_conversations mc ON mc.user_id = $1 AND mc.conversation_id = c.id
+      AND (mc.muted_until IS NULL OR mc.muted_until > NOW())
+    ORDER BY GREATEST(c.updated_at, (
+      SELECT MAX(m.created_at) FROM messages m
+      WHERE m.conversation_id = c.id AND m.created_at >= cm.joined_at
+    )) DESC
+  `;
+  const result = await pool.query(query, [userId]);
+  return result.rows;
+};
+
+const listMembers = async (conversationId) => {
+  const query = `
+    SELECT ${MEMBER_COLUMNS} FROM conversation_members cm
+    JOIN users u ON u.id = cm.user_id
+    WHERE cm.conversation_id = $1
+    ORDER BY cm.joined_at, u.username
+  `;
+  const result = await pool.query(query, [conversationId]);
+  return result.rows;
+};
+
+const listMemberIds = async (conversationId) => {
+  const result = await pool.query('SELECT user_id FROM conversation_members WHERE conversation_id = $1', [conversationId]);
+  return result.rows.map((row) => row.user_id);
+};
+
+const rename = async (conversationId, name) => {
+  const result = await pool.query(
+    'UPDATE conversations SET name = $2, updated_at = NOW() WHERE id = $1 RETURNING *',
+    [conversationId, name]
+  );
+  return result.rows[0] || null;
+};
+
+// Returns the IDs that were actually added (existing members are skipped)
+const addMembers = async (conversationId, userIds) => {
+  return withTransaction(async (client) => {
+    const result = await client.query(`
+      INSERT INTO conversation_members (conversation_id, user_id)
+      SELECT $1, unnest($2::character varying[])
+      ON CONFLICT DO NOTHING
+      RETURNING user_id
+    `, [conversationId, userIds]);
+    await client.query('UPDATE conversations SET updated_at = NOW() WHERE id = $1', [conversationId]);
+    return result.rows.map((row) => row.user_id);
+  });
+};
+
+// Remove a member (kick or leave). Returns false if they were not a member.
+const removeMember = async (conversationId, userId) => {
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      'DELETE FROM conversation_members WHERE conversation_id = $1 AND user_id = $2',
+      [conversationId, userId]
+    );
+    if (result.rowCount === 0) return false;
+
+    await ensureAdmin(client, conversationId);
+    await client.query('UPDATE conversations SET updated_at = NOW() WHERE id = $1', [conversationId]);
+    return true;
+  });
+};
+
+// Returns the updated membership, or null if the user is not a member
+const setRole = async (conversationId, userId, role) => {
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      'UPDATE conversation_members SET role = $3 WHERE conversation_id = $1 AND user_id = $2 RETURNING *',
+      [conversationId, userId, role]
+    );
+    if (result.rows.length === 0) return null;
+
+    await ensureAdmin(client, conversationId);
+    return result.rows[0];
+  });
+};
+
+module.exports = {
+  createGroup,
+  findById,
+  findForMember,
+  listForUser,
+  listMembers,
+  listMemberIds,
+  rename,
+  addMembers,
+  removeMember,
+  setRole
+};
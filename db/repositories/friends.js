@@ -0,0 +1,189 @@
+// db/repositories/friends.js
+
+const pool = require('../pool');
+
+const areFriends = async (userId, otherId) => {
+  const query = 'SELECT 1 FROM friendships WHERE (user1_id = $1 AND user2_id = $2) OR (user1_id = $2 AND user2_id = $1)';
+  const result = await pool.query(query, [userId, otherId]);
+  return result.rows.length > 0;
+};
+
+const listFriendIds = async (userId) => {
+  const query = `
+    SELECT CASE WHEN user1_id = $1 THEN user2_id ELSE user1_id END AS friend_id
+    FROM friendships
+    WHERE user1_id = $1 OR user2_id = $1
+  `;
+  const result = await pool.query(query, [userId]);
+  return result.rows.map((row) => row.friend_id);
+};
+
+// The subset of userIds that are friends of userId
+const filterFriends = async (userId, userIds) => {
+  const query = `
+    SELECT CASE WHEN user1_id = $1 THEN user2_id ELSE user1_id END AS friend_id
+    FROM friendships
+    WHERE (user1_id = $1 AND user2_id = ANY($2::character varying[]))
+       OR (user2_id = $1 AND user1_id = ANY($2::character varying[]))
+  `;
+  const result = await pool.query(query, [userId, userIds]);
+  return result.rows.map((row) => row.friend_id);
+};
+
+// The pending request between the two users, in either direction. Answered
+// and cancelled requests are history and never block a new one.
+const findPendingRequestBetween = async (userId, otherId) => {
+  const query = `
+    SELECT * FROM friend_requests
+    WHERE status = 'pending' AND ((sender_id = $1 AND receiver_id = $2) OR (sender_id = $2 AND receiver_id = $1))
+  `;
+  const result = await pool.query(query, [userId, otherId]);
+  return result.rows[0] || null;
+};
+
+const createRequest = async (senderId, receiverId) => {
+  const query = 'INSERT INTO friend_requests (sender_id, receiver_id, status) VALUES ($1, $2, \'pending\') RETURNING *';
+  const result = await pool.query(query, [senderId, receiverId]);
+  return result.rows[0];
+};
+
+// Accepted friends of a user, with how many of their messages are still unread
+// and whether the user has muted the chat. Pass friendId to fetch just that friend.
+const listFriends = async (userId, friendId = null) => {
+  const query = `
+    SELECT
+      u.id, u.username, u.name, u.last_seen_at,
+      (
+        SELECT COUNT(*)::int FROM messages m
+        WHERE m.sender_id = u.id AND m.receiver_id = $1::character varying AND m.read_at IS NULL AND m.deleted_at IS NULL
+      ) AS unread_count,
+      (mc.user_id IS NOT NULL) AS muted, mc.muted_until
+    FROM users u
+    JOIN friendships f ON (u.id = f.user1_id AND f.user2_id = $1::character varying) OR (u.id = f.user2_id AND f.user1_id = $1::character varying)
+    LEFT JOIN muted_conversations mc ON mc.user_id = $1::character varying AND mc.friend_id = u.id
+      AND (mc.muted_until IS NULL OR mc.muted_until > NOW())
+    WHERE u.id != $1::character varying AND ($2::character varying IS NULL OR u.id = $2::character varying)
+  `;
+  const result = await pool.query(query, [userId, friendId]);
+  return result.rows;
+};
+
+// One friend in listFriends() shape, or null
+const findFriend = async (userId, friendId) => {
+  const rows = await listFriends(userId, friendId);
+  return rows[0] || null;
+};
+
+// A request with both users' names: a superset of the listPendingRequests()
+// and listSentRequests() row shapes
+const findRequestDetails = async (requestId) => {
+  const query = `
+    SELECT fr.id AS request_id, fr.status,
+      fr.sender_id, s.username AS sender_username, s.name AS sender_name,
+      fr.receiver_id, r.username AS receiver_username, r.name AS receiver_name,
+      fr.created_at
+    FROM friend_requests fr
+    JOIN users s ON s.id = fr.sender_id
+    JOIN users r ON r.id = fr.receiver_id
+    WHERE fr.id = $1
+  `;
+  const result = await pool.query(query, [requestId]);
+  return result.rows[0] || null;
+};
+
+// Pending requests where the user is the receiver
+const listPendingRequests = async (userId) => {
+  const query = `
+    SELECT fr.id AS request_id, fr.sender_id, u.username AS sender_username, u.name AS sender_name, fr.created_at
+    FROM friend_requests fr
+    JOIN users u ON fr.sender_id = u.id
+    WHERE fr.receiver_id = $1 AND fr.status = 'pending'
+    ORDER BY fr.created_at DESC
+  `;
+  const result = await pool.query(query, [userId]);
+  return result.rows;
+};
+
+// Pending requests the user has sent
+const listSentRequests = async (userId) => {
+  const query = `
+    SELECT fr.id AS request_id, fr.receiver_id, u.username AS receiver_username, u.name AS receiver_name, fr.created_at
+    FROM friend_requests fr
+    JOIN users u ON fr.receiver_id = u.id
+    WHERE fr.sender_id = $1 AND fr.status = 'pending'
+    ORDER BY fr.created_at DESC
+  `;
+  const result = await pool.query(query, [userId]);
+  return result.rows;
+};
+
+// Accept a pending request addressed to receiverId and create the friendship.
+// Returns the updated request, or null if there was no such pending request.
+const acceptRequest = async (requestId, receiverId) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const requestQuery = 'SELECT * FROM friend_requests WHERE id = $1 AND receiver_id = $2 AND status = \'pending\' FOR UPDATE';
+    const requestResult = await client.query(requestQuery, [requestId, receiverId]);
+    const request = requestResult.rows[0];
+
+    if (!request) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const updateRequestQuery = 'UPDATE friend_requests SET status = \'accepted\', updated_at = NOW() WHERE id = $1 RETURNING *';
+    const updated = await client.query(updateRequestQuery, [requestId]);
+
+    const insertFriendshipQuery = 'INSERT INTO friendships (user1_id, user2_id) VALUES ($1, $2) ON CONFLICT (LEAST(user1_id, user2_id), GREATEST(user1_id, user2_id)) DO NOTHING';
+    await client.query(insertFriendshipQuery, [request.sender_id, request.receiver_id]);
+
+    await client.query('COMMIT');
+    return updated.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Returns the declined request, or null if there was no such pending request
+const declineRequest = async (requestId, receiverId) => {
+  const query = 'UPDATE friend_requests SET status = \'declined\', updated_at = NOW() WHERE id = $1 AND receiver_id = $2 AND status = \'pending\' RETURNING *';
+  const result = await pool.query(query, [requestId, receiverId]);
+  return result.rows[0] || null;
+};
+
+// Withdraw a pending request the user sent. Returns the cancelled request, or
+// null if there was no such pending request.
+const cancelRequest = async (requestId, senderId) => {
+  const query = 'UPDATE friend_requests SET status = \'cancelled\', updated_at = NOW() WHERE id = $1 AND sender_id = $2 AND status = \'pending\' RETURNING *';
+  const result = await pool.query(query, [requestId, senderId]);
+  return result.rows[0] || null;
+};
+
+// Returns false if the two were not friends
+const removeFriendship = async (userId, friendId) => {
+  const query = 'DELETE FROM friendships WHERE (user1_id = $1 AND user2_id = $2) OR (user1_id = $2 AND user2_id = $1)';
+  const result = await pool.query(query, [userId, friendId]);
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  areFriends,
+  filterFriends,
+  findPendingRequestBetween,
+  createRequest,
+  listFriends,
+  findFriend,
+  findRequestDetails,
+  listFriendIds,
+  listPendingRequests,
+  listSentRequests,
+  acceptRequest,
+  declineRequest,
+  cancelRequest,
+  removeFriendship
+};
@@ -0,0 +1,13 @@
+// db/repositories/index.js
+
+module.exports = {
+  users: require('./users'),
+  friends: require('./friends'),
+  messages: require('./messages'),
+  attachments: require('./attachments'),
+  conversations: require('./conversations'),
+  blocks: require('./blocks'),
+  mutes: require('./mutes'),
+  keys: require('./keys'),
+  pushSubscriptions: require('./pushSubscriptions')
+};
@@ -0,0 +1,131 @@
+// db/repositories/keys.js
+//
+// Public key bundles of end-to-end encryption devices. A device is active while
+// the session it was published from is signed in; inactive devices are never
+// handed out and no longer receive envelopes.
+
+const pool = require('../pool');
+
+const ACTIVE_DEVICE = `
+  EXISTS (
+    SELECT 1 FROM sessions s
+    WHERE s.id = d.session_id AND s.revoked_at IS NULL AND s.expires_at > NOW()
+  )
+`;
+
+// Register or refresh a device's keys and add one-time prekeys. A new identity
+// (the app was reinstalled under the same device id) discards the old prekeys.
+// Returns the number of one-time prekeys the device has left.
+const publish = async (userId, sessionId, { deviceId, identityKey, signingKey, signedPreKey, oneTimePreKeys }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const previous = await client.query(
+      'SELECT identity_key, signing_key FROM e2e_devices WHERE user_id = $1 AND device_id = $2 FOR UPDATE',
+      [userId, deviceId]
+    );
+    const replaced = previous.rows[0] && (previous.rows[0].identity_key !== identityKey || previous.rows[0].signing_key !== signingKey);
+    if (replaced) {
+      await client.query('DELETE FROM e2e_one_time_prekeys WHERE user_id = $1 AND device_id = $2', [userId, deviceId]);
+    }
+
+    // A session speaks for one device at a time
+    await client.query(
+      'UPDATE e2e_devices SET session_id = NULL WHERE session_id = $1 AND NOT (user_id = $2 AND device_id = $3)',
+      [sessionId, userId, deviceId]
+    );
+
+    await client.query(`
+      INSERT INTO e2e_devices (user_id, device_id, session_id, identity_key, signing_key, signed_prekey_id, signed_prekey, signed_prekey_signature)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (user_id, device_id) DO UPDATE SET
+        session_id = EXCLUDED.session_id,
+        identity_key = EXCLUDED.identity_key,
+        signing_key = EXCLUDED.signing_key,
+        signed_prekey_id = EXCLUDED.signed_prekey_id,
+        signed_prekey = EXCLUDED.signed_prekey,
+        signed_prekey_signature = EXCLUDED.signed_prekey_signature,
+        updated_at = NOW()
+    `, [userId, deviceId, sessionId, identityKey, signingKey, signedPreKey.keyId, signedPreKey.publicKey, signedPreKey.signature]);
+
+    // Re-uploading a key id replaces it, so a retried upload is harmless
+    if (oneTimePreKeys.length > 0) {
+      await client.query(`
+        INSERT INTO e2e_one_time_prekeys (user_id, device_id, key_id, public_key)
+        SELECT $1, $2, key_id, public_key FROM unnest($3::int[], $4::text[]) AS k(key_id, public_key)
+        ON CONFLICT (user_id, device_id, key_id) DO UPDATE SET public_key = EXCLUDED.public_key
+      `, [userId, deviceId, oneTimePreKeys.map((key) => key.keyId), oneTimePreKeys.map((key) => key.publicKey)]);
+    }
+
+    const remaining = await client.query(
+      'SELECT COUNT(*)::int AS count FROM e2e_one_time_prekeys WHERE user_id = $1 AND device_id = $2',
+      [userId, deviceId]
+    );
+
+    await client.query('COMMIT');
+    return remaining.rows[0].count;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Key bundles for a user's active devices, optionally only deviceIds and
+// leaving out the device signed in as excludeSessionId. Each bundle claims
+// (removes) one of the device's one-time prekeys; once they run out,
+// one_time_prekey is null and sessions start from the signed prekey alone.
+const claimBundles = async (userId, { deviceIds = null, excludeSessionId = null } = {}) => {
+  const devices = await pool.query(`
+    SELECT device_id, identity_key, signing_key,
+      json_build_object('key_id', signed_prekey_id, 'public_key', signed_prekey, 'signature', signed_prekey_signature) AS signed_prekey
+    FROM e2e_devices d
+    WHERE d.user_id = $1 AND ${ACTIVE_DEVICE}
+      AND d.session_id IS DISTINCT FROM $2::uuid
+      AND ($3::varchar[] IS NULL OR d.device_id = ANY($3::varchar[]))
+    ORDER BY d.created_at
+  `, [userId, excludeSessionId, deviceIds]);
+
+  return Promise.all(devices.rows.map(async (device) => {
+    // SKIP LOCKED: concurrent claims never hand out the same prekey
+    const claimed = await pool.query(`
+      DELETE FROM e2e_one_time_prekeys
+      WHERE (user_id, device_id, key_id) = (
+        SELECT user_id, device_id, key_id FROM e2e_one_time_prekeys
+        WHERE user_id = $1 AND device_id = $2
+        ORDER BY key_id
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING key_id, public_key
+    `, [userId, device.device_id]);
+    return { ...device, one_time_prekey: claimed.rows[0] || null };
+  }));
+};
+
+// [{ user_id, device_id }] for every active device of the given users
+const listActiveDevices = async (userIds) => {
+  const result = await pool.query(
+    `SELECT user_id, device_id FROM e2e_devices d WHERE d.user_id = ANY($1::varchar[]) AND ${ACTIVE_DEVICE}`,
+    [userIds]
+  );
+  return result.rows;
+};
+
+// The device a session published, if it is still active
+const findDeviceForSession = async (userId, sessionId) => {
+  const result = await pool.query(
+    `SELECT device_id FROM e2e_devices d WHERE d.user_id = $1 AND d.session_id = $2 AND ${ACTIVE_DEVICE}`,
+    [userId, sessionId]
+  );
+  return result.rows[0] ? result.rows[0].device_id : null;
+};
+
+module.exports = {
+  publish,
+  claimBundles,
+  listActiveDevices,
+  findDeviceForSession
+};
@@ -0,0 +1,513 @@
+// db/repositories/messages.js
+
+const pool = require('../pool');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Attachment metadata as a nested object (or null); the file itself is
+// downloaded from /attachments/:id and its thumbnail from /attachments/:id/thumbnail
+const ATTACHMENT_JSON = `
+  CASE WHEN a.id IS NULL OR m.deleted_at IS NOT NULL THEN NULL ELSE json_build_object(
+    'id', a.id, 'mime_type', a.mime_type, 'size', a.size, 'original_name', a.original_name,
+    'width', a.width, 'height', a.height, 'blurhash', a.blurhash,
+    'has_thumbnail', a.thumbnail_key IS NOT NULL
+  ) END AS attachment
+`;
+
+// Whether the viewer (a SQL expression) may read r, the message being replied
+// to. Group members do not see what was said before they joined (see
+// isGroupMemberSince), so neither do its quotes. Without a viewer, for payloads
+// sent to the whole group, r is only quoted if every current member was there.
+const canQuote = (viewer) => `(
+  r.conversation_id IS NULL OR r.sender_id = ${viewer} OR NOT EXISTS (
+    SELECT 1 FROM conversation_members cm
+    WHERE cm.conversation_id = r.conversation_id AND cm.joined_at > r.created_at
+      AND (${viewer} IS NULL OR cm.user_id = ${viewer})
+  )
+)`;
+
+// A short quote of the message being replied to (joined as r), or null. The
+// content is null if r was deleted or the viewer may not read it.
+const REPLY_PREVIEW_LENGTH = 200;
+const replyToJson = (viewer) => `
+  CASE WHEN r.id IS NULL THEN NULL ELSE json_build_object(
+    'id', r.id, 'sender_id', r.sender_id, 'message_type', r.message_type, 'encrypted', r.encrypted,
+    'content', CASE WHEN r.deleted_at IS NULL AND ${canQuote(viewer)} THEN left(r.content, ${REPLY_PREVIEW_LENGTH}) END,
+    'deleted', r.deleted_at IS NOT NULL
+  ) END AS reply_to
+`;
+
+// Reaction counts per emoji, in the order they were first used. `reacted` says
+// whether the viewer (a SQL expression) is among user_ids.
+const reactionsJson = (viewer) => `
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'emoji', emoji, 'count', count, 'user_ids', user_ids, 'reacted', reacted
+    ) ORDER BY first_reacted_at)
+    FROM (
+      SELECT emoji, COUNT(*)::int AS count, json_agg(user_id ORDER BY created_at) AS user_ids,
+        COALESCE(BOOL_OR(user_id = ${viewer}), false) AS reacted, MIN(created_at) AS first_reacted_at
+      FROM message_reactions WHERE message_id = m.id
+      GROUP BY emoji
+    ) counts
+  ), '[]'::json) AS reactions
+`;
+
+// List results carry has_image instead of any legacy inline image payload.
+// Unsent messages stay in place as tombstones with their content blanked.
+// Encrypted messages have no content; see attachEnvelopes().
+const listColumns = (viewer = 'NULL::character varying') => `
+  m.id, m.sender_id, m.receiver_id, m.conversation_id, m.message_type,
+  m.encrypted, m.sender_device_id,
+  CASE WHEN m.deleted_at IS NULL THEN m.content END AS content,
+  CASE WHEN m.deleted_at IS NULL THEN m.attachment_id END AS attachment_id,
+  (m.image_data IS NOT NULL AND m.deleted_at IS NULL) AS has_image,
+  m.reply_to_id, m.forwarded_from_id, m.client_message_id,
+  m.delivered_at, m.read_at, m.edited_at, m.deleted_at,
+  m.created_at, m.created_at::text AS cursor_created_at,
+  ${ATTACHMENT_JSON},
+  ${replyToJson(viewer)},
+  ${reactionsJson(viewer)}
+`;
+
+// Joins listColumns() expects on top of messages m
+const LIST_JOINS = `
+  LEFT JOIN attachments a ON a.id = m.attachment_id
+  LEFT JOIN messages r ON r.id = m.reply_to_id
+`;
+
+// Cursors are opaque to clients: the exact (created_at, id) of a message.
+// created_at is carried as Postgres text so no sub-millisecond precision is lost.
+const encodeCursor = (row) => {
+  return Buffer.from(JSON.stringify([row.cursor_created_at, row.id])).toString('base64url');
+};
+
+// Returns { createdAt, id } or null if the cursor is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof createdAt !== 'string' || !UUID_PATTERN.test(id) || Number.isNaN(Date.parse(createdAt))) return null;
+    return { createdAt, id };
+  } catch (err) {
+    return null;
+  }
+};
+
+// Replace the internal cursor column with the encoded cursor
+const withCursor = (row) => {
+  const { cursor_created_at, ...message } = row;
+  return { ...message, cursor: encodeCursor(row) };
+};
+
+const clampLimit = (limit) => {
+  const parsed = parseInt(limit, 10);
+  if (!parsed || parsed < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(parsed, MAX_PAGE_SIZE);
+};
+
+// One page of the messages matching `scope` (a WHERE fragment over m.* whose
+// parameters are `scopeValues`), always returned oldest first.
+// - no cursor: the most recent page
+// - before: the page just older than the cursor (scrolling back)
+// - after: the page just newer than the cursor (catching up after a reconnect)
+// next_cursor continues in the same direction and is null once there is nothing more.
+// Messages viewerId deleted "for me" are left out.
+const listPage = async (scope, scopeValues, { viewerId, before, after, limit } = {}) => {
+  const pageSize = clampLimit(limit);
+  const values = [...scopeValues, viewerId, pageSize + 1];
+  const viewerParam = `$${values.length - 1}`;
+  const limitParam = `$${values.length}`;
+  let cursorCondition = '';
+  let order = 'DESC';
+
+  const cursor = after || before;
+  if (cursor) {
+    values.push(cursor.createdAt, cursor.id);
+    const comparison = after ? '>' : '<';
+    cursorCondition = `AND (m.created_at, m.id) ${comparison} ($${values.length - 1}::timestamptz, $${values.length}::uuid)`;
+    order = after ? 'ASC' : 'DESC';
+  }
+
+  const query = `
+    SELECT ${listColumns(viewerParam)} FROM messages m
+    ${LIST_JOINS}
+    WHERE (${scope})
+    AND NOT EXISTS (SELECT 1 FROM message_hidden h WHERE h.message_id = m.id AND h.user_id = ${viewerParam})
+    ${cursorCondition}
+    ORDER BY m.created_at ${order}, m.id ${order}
+    LIMIT ${limitParam}
+  `;
+  const result = await pool.query(query, values);
+
+  const hasMore = result.rows.length > pageSize;
+  const rows = result.rows.slice(0, pageSize).map(withCursor);
+  const nextCursor = hasMore ? rows[rows.length - 1].cursor : null;
+
+  return {
+    messages: after ? rows : rows.reverse(),
+    next_cursor: nextCursor
+  };
+};
+
+// One page of the 1:1 conversation between two users
+const listConversation = async (userId, friendId, options) => {
+  const scope = '(m.sender_id = $1::character varying AND m.receiver_id = $2::character varying) OR (m.sender_id = $2::character varying AND m.receiver_id = $1::character varying)';
+  return listPage(scope, [userId, friendId], { ...options, viewerId: userId });
+};
+
+// Group members see the messages sent since they joined, not what was said
+// before they were added
+const isGroupMemberSince = (userParam) => `
+  EXISTS (
+    SELECT 1 FROM conversation_members cm
+    WHERE cm.conversation_id = m.conversation_id AND cm.user_id = ${userParam}
+      AND m.created_at >= cm.joined_at
+  )`;
+
+// One page of a group conversation, as seen by viewerId
+const listGroupMessages = async (conversationId, viewerId, options) => {
+  return listPage(`m.conversation_id = $1 AND ${isGroupMemberSince('$2')}`, [conversationId, viewerId], { ...options, viewerId });
+};
+
+// Content is HTML-escaped before highlighting, so the snippet is safe to render
+// and only the <mark> tags are markup
+const SNIPPET = `
+  ts_headline(
+    'simple',
+    replace(replace(replace(m.content, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+    query,
+    'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10'
+  ) AS snippet
+`;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Full-text search across every conversation userId is part of, newest first.
+// Filters: friendId (a direct chat), conversationId (a group), from/to (dates)
+// and type (message_type). Pages with `before` cursors like the history routes.
+const search = async (userId, { q, friendId, conversationId, from, to, type }, { before, limit } = {}) => {
+  const pageSize = clampLimit(limit);
+  const values = [userId, q];
+  const conditions = [];
+  const param = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  if (friendId) {
+    const friend = param(friendId);
+    conditions.push(`((m.sender_id = $1 AND m.receiver_id = ${friend}) OR (m.sender_id = ${friend} AND m.receiver_id = $1))`);
+  } else if (conversationId) {
+    conditions.push(`m.conversation_id = ${param(conversationId)}`);
+  }
+  if (from) conditions.push(`m.created_at >= ${param(from)}::timestamptz`);
+  if (to) {
+    // A date-only `to` includes that whole day
+    const end = DATE_ONLY.test(to) ? `${param(to)}::date + 1` : `${param(to)}::timestamptz`;
+    conditions.push(`m.created_at < ${end}`);
+  }
+  if (type) conditions.push(`m.message_type = ${param(type)}`);
+  if (before) {
+    conditions.push(`(m.created_at, m.id) < (${param(before.createdAt)}::timestamptz, ${param(before.id)}::uuid)`);
+  }
+
+  const query = `
+    SELECT ${listColumns('$1')}, ${SNIPPET}
+    FROM messages m
+    ${LIST_JOINS}
+    CROSS JOIN websearch_to_tsquery('simple', $2) query
+    WHERE m.search_vector @@ query
+      AND m.deleted_at IS NULL
+      AND (
+        m.sender_id = $1 OR m.receiver_id = $1
+        OR ${isGroupMemberSince('$1')}
+      )
+      AND NOT EXISTS (SELECT 1 FROM message_hidden h WHERE h.message_id = m.id AND h.user_id = $1)
+      ${conditions.map((condition) => `AND ${condition}`).join('\n      ')}
+    ORDER BY m.created_at DESC, m.id DESC
+    LIMIT ${param(pageSize + 1)}
+  `;
+  const result = await pool.query(query, values);
+
+  const hasMore = result.rows.length > pageSize;
+  const rows = result.rows.slice(0, pageSize).map(withCursor);
+  return {
+    results: rows,
+    next_cursor: hasMore ? rows[rows.length - 1].cursor : null
+  };
+};
+
+// The raw message row if userId is its sender, receiver or a member of its
+// group who joined before it was sent
+const findForParticipant = async (messageId, userId) => {
+  const query = `
+    SELECT m.* FROM messages m
+    WHERE m.id = $1 AND (
+      m.sender_id = $2 OR m.receiver_id = $2
+      OR ${isGroupMemberSince('$2')}
+    )
+  `;
+  const result = await pool.query(query, [messageId, userId]);
+  return result.rows[0] || null;
+};
+
+// Replace a message's content, keeping the previous content as a revision.
+// Returns the message in list shape.
+const updateContent = async (messageId, content, editorId) => {
+  // All parts of the statement see the row as it was before the UPDATE
+  const query = `
+    WITH revision AS (
+      INSERT INTO message_revisions (message_id, content, edited_by)
+      SELECT id, content, $3 FROM messages WHERE id = $1
+    ), m AS (
+      UPDATE messages SET content = $2, edited_at = NOW() WHERE id = $1 RETURNING *
+    )
+    SELECT ${listColumns()} FROM m
+    ${LIST_JOINS}
+  `;
+  const result = await pool.query(query, [messageId, content, editorId]);
+  return withCursor(result.rows[0]);
+};
+
+// Unsend a message for everyone, dropping any encrypted envelopes with it.
+// Returns the tombstone in list shape.
+const softDelete = async (messageId, deletedBy) => {
+  const query = `
+    WITH envelopes AS (
+      DELETE FROM message_envelopes WHERE message_id = $1
+    ), m AS (
+      UPDATE messages SET deleted_at = NOW(), deleted_by = $2 WHERE id = $1 RETURNING *
+    )
+    SELECT ${listColumns()} FROM m
+    ${LIST_JOINS}
+  `;
+  const result = await pool.query(query, [messageId, deletedBy]);
+  return withCursor(result.rows[0]);
+};
+
+// Hide a message from one user's history only
+const hideForUser = async (messageId, userId) => {
+  await pool.query(
+    'INSERT INTO message_hidden (message_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+    [messageId, userId]
+  );
+};
+
+// Earlier versions of a message, oldest first
+const listRevisions = async (messageId) => {
+  const query = `
+    SELECT id, content, edited_by, created_at AS replaced_at FROM message_revisions
+    WHERE message_id = $1
+    ORDER BY created_at
+  `;
+  const result = await pool.query(query, [messageId]);
+  return result.rows;
+};
+
+// The inline image payload of a message stored before attachments existed,
+// only if userId is one of its participants
+const findImage = async (messageId, userId) => {
+  const query = `
+    SELECT id, image_data FROM messages
+    WHERE id = $1 AND (sender_id = $2::character varying OR receiver_id = $2::character varying)
+  `;
+  const result = await pool.query(query, [messageId, userId]);
+  return result.rows[0] || null;
+};
+
+// Mark direct messages addressed to receiverId as delivered. Returns the rows
+// that changed ({ id, sender_id, delivered_at }); already-delivered ones are skipped.
+const markDelivered = async (messageIds, receiverId) => {
+  const query = `
+    UPDATE messages SET delivered_at = NOW()
+    WHERE id = ANY($1::uuid[]) AND receiver_id = $2 AND delivered_at IS NULL
+    RETURNING id, sender_id, delivered_at
+  `;
+  const result = await pool.query(query, [messageIds, receiverId]);
+  return result.rows;
+};
+
+// Mark every message friendId sent to readerId, up to and including
+// upToMessageId, as read. Returns { read_at, message_ids }, or null if
+// upToMessageId is not part of their conversation.
+const markReadUpTo = async (readerId, friendId, upToMessageId) => {
+  const targetQuery = `
+    SELECT 1 FROM messages
+    WHERE id = $1 AND ((sender_id = $2 AND receiver_id = $3) OR (sender_id = $3 AND receiver_id = $2))
+  `;
+  const target = await pool.query(targetQuery, [upToMessageId, readerId, friendId]);
+  if (target.rows.length === 0) return null;
+
+  // The bound is compared in SQL; a JS Date would drop created_at's microseconds
+  const query = `
+    UPDATE messages m SET read_at = NOW(), delivered_at = COALESCE(m.delivered_at, NOW())
+    FROM messages target
+    WHERE target.id = $3
+      AND m.sender_id = $1 AND m.receiver_id = $2 AND m.read_at IS NULL
+      AND (m.created_at, m.id) <= (target.created_at, target.id)
+    RETURNING m.id, m.read_at
+  `;
+  const result = await pool.query(query, [friendId, readerId, upToMessageId]);
+  return {
+    read_at: result.rows.length > 0 ? result.rows[0].read_at : null,
+    message_ids: result.rows.map((row) => row.id)
+  };
+};
+
+// Move the user's read marker in a group forward to upToMessageId. Returns
+// { read_at } (the marker, which never moves backwards), or null if the
+// message is not in the group or the user is not a member.
+const markGroupReadUpTo = async (userId, conversationId, upToMessageId) => {
+  const query = `
+    UPDATE conversation_members cm
+    SET last_read_at = GREATEST(COALESCE(cm.last_read_at, '-infinity'), m.created_at)
+    FROM messages m
+    WHERE m.id = $3 AND m.conversation_id = $2
+      AND cm.conversation_id = $2 AND cm.user_id = $1
+    RETURNING cm.last_read_at AS read_at
+  `;
+  const result = await pool.query(query, [userId, conversationId, upToMessageId]);
+  return result.rows[0] || null;
+};
+
+// Insert a message and return it in the same shape as list results.
+// Returns null if the sender already has a message with the same client_message_id.
+// envelopes ([{ userId, deviceId, type, body }]) are stored with an encrypted message.
+const insertMessage = async (columns, values, envelopes = []) => {
+  const placeholders = values.map((_, i) => `$${i + 1}`).join(', ');
+  const envelopeValues = [
+    envelopes.map((envelope) => envelope.userId),
+    envelopes.map((envelope) => envelope.deviceId),
+    envelopes.map((envelope) => envelope.type),
+    envelopes.map((envelope) => envelope.body)
+  ];
+  const envelopeParams = envelopeValues.map((_, i) => `$${values.length + i + 1}`);
+  const query = `
+    WITH m AS (
+      INSERT INTO messages (${columns.join(', ')}) VALUES (${placeholders})
+      ON CONFLICT (sender_id, client_message_id) WHERE client_message_id IS NOT NULL DO NOTHING
+      RETURNING *
+    ), e AS (
+      INSERT INTO message_envelopes (message_id, recipient_id, device_id, type, body)
+      SELECT m.id, x.recipient_id, x.device_id, x.type, x.body
+      FROM m, unnest(${envelopeParams[0]}::varchar[], ${envelopeParams[1]}::varchar[], ${envelopeParams[2]}::varchar[], ${envelopeParams[3]}::text[])
+        AS x(recipient_id, device_id, type, body)
+    )
+    SELECT ${listColumns()} FROM m
+    ${LIST_JOINS}
+  `;
+  const result = await pool.query(query, [...values, ...envelopeValues]);
+  return result.rows[0] ? withCursor(result.rows[0]) : null;
+};
+
+// A message the sender already sent under this client_message_id, in list-result shape
+const findByClientMessageId = async (senderId, clientMessageId) => {
+  const result = await pool.query(
+    `SELECT ${listColumns('$1')} FROM messages m
+     ${LIST_JOINS}
+     WHERE m.sender_id = $1 AND m.client_message_id = $2`,
+    [senderId, clientMessageId]
+  );
+  return result.rows[0] ? withCursor(result.rows[0]) : null;
+};
+
+// Messages go either to a receiverId (1:1) or to a group conversationId,
+// optionally as a reply to another message in the same conversation
+const createText = async ({ senderId, receiverId, conversationId, content, replyToId, clientMessageId }) => {
+  return insertMessage(
+    ['sender_id', 'receiver_id', 'conversation_id', 'content', 'message_type', 'reply_to_id', 'client_message_id'],
+    [senderId, receiverId || null, conversationId || null, content, 'text', replyToId || null, clientMessageId || null]
+  );
+};
+
+// A message referencing an uploaded attachment, with an optional text caption
+const createWithAttachment = async ({ senderId, receiverId, conversationId, content, attachmentId, messageType, replyToId, clientMessageId }) => {
+  return insertMessage(
+    ['sender_id', 'receiver_id', 'conversation_id', 'content', 'message_type', 'attachment_id', 'reply_to_id', 'client_message_id'],
+    [senderId, receiverId || null, conversationId || null, content || null, messageType, attachmentId, replyToId || null, clientMessageId || null]
+  );
+};
+
+// A direct message encrypted on the sender's device. The server only stores
+// and relays the per-device envelopes; it never sees the content.
+const createEncrypted = async ({ senderId, receiverId, senderDeviceId, envelopes, replyToId, clientMessageId }) => {
+  return insertMessage(
+    ['sender_id', 'receiver_id', 'encrypted', 'sender_device_id', 'message_type', 'reply_to_id', 'client_message_id'],
+    [senderId, receiverId, true, senderDeviceId, 'text', replyToId || null, clientMessageId || null],
+    envelopes
+  );
+};
+
+// Add each encrypted message's envelope for one of the viewer's devices as
+// `envelope` ({ type, body }, or null if the message was not sent to that device)
+const attachEnvelopes = async (rows, userId, deviceId) => {
+  const ids = rows.filter((row) => row.encrypted).map((row) => row.id);
+  if (ids.length === 0) return rows;
+
+  const result = await pool.query(`
+    SELECT message_id, type, body FROM message_envelopes
+    WHERE message_id = ANY($1::uuid[]) AND recipient_id = $2 AND device_id = $3
+  `, [ids, userId, deviceId]);
+  const byMessage = new Map(result.rows.map(({ message_id, ...envelope }) => [message_id, envelope]));
+  return rows.map((row) => (row.encrypted ? { ...row, envelope: byMessage.get(row.id) || null } : row));
+};
+
+// Copy a message's content and attachment into a new message from senderId
+const forward = async (original, { senderId, receiverId, conversationId }) => {
+  return insertMessage(
+    ['sender_id', 'receiver_id', 'conversation_id', 'content', 'message_type', 'attachment_id', 'image_data', 'forwarded_from_id'],
+    [senderId, receiverId || null, conversationId || null, original.content, original.message_type, original.attachment_id, original.image_data, original.id]
+  );
+};
+
+// Returns false if the user had already reacted with that emoji
+const addReaction = async (messageId, userId, emoji) => {
+  const result = await pool.query(
+    'INSERT INTO message_reactions (message_id, user_id, emoji) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+    [messageId, userId, emoji]
+  );
+  return result.rowCount > 0;
+};
+
+// Returns false if there was no such reaction
+const removeReaction = async (messageId, userId, emoji) => {
+  const result = await pool.query(
+    'DELETE FROM message_reactions WHERE message_id = $1 AND user_id = $2 AND emoji = $3',
+    [messageId, userId, emoji]
+  );
+  return result.rowCount > 0;
+};
+
+// The aggregated reactions of one message, in list-result shape
+const getReactions = async (messageId) => {
+  const result = await pool.query(`SELECT ${reactionsJson('NULL::character varying')} FROM messages m WHERE m.id = $1`, [messageId]);
+  return result.rows[0] ? result.rows[0].reactions : [];
+};
+
+module.exports = {
+  decodeCursor,
+  listConversation,
+  listGroupMessages,
+  search,
+  findForParticipant,
+  findByClientMessageId,
+  updateContent,
+  softDelete,
+  hideForUser,
+  listRevisions,
+  findImage,
+  markDelivered,
+  markReadUpTo,
+  markGroupReadUpTo,
+  createText,
+  createWithAttachment,
+  createEncrypted,
+  attachEnvelopes,
+  forward,
+  addReaction,
+  removeReaction,
+  getReactions
+};
@@ -0,0 +1,42 @@
+// db/repositories/mutes.js
+//
+// Per-user mutes of a direct chat ({ friendId }) or a group ({ conversationId }).
+// A mute with muted_until NULL lasts until it is removed.
+
+const pool = require('../pool');
+
+// Create or replace a mute; returns { muted_until }
+const mute = async (userId, { friendId, conversationId }, mutedUntil = null) => {
+  const [column, value] = friendId ? ['friend_id', friendId] : ['conversation_id', conversationId];
+  const query = `
+    INSERT INTO muted_conversations (user_id, ${column}, muted_until) VALUES ($1, $2, $3)
+    ON CONFLICT (user_id, ${column}) WHERE ${column} IS NOT NULL
+    DO UPDATE SET muted_until = EXCLUDED.muted_until, created_at = NOW()
+    RETURNING muted_until
+  `;
+  const result = await pool.query(query, [userId, value, mutedUntil]);
+  return result.rows[0];
+};
+
+// Returns false if there was no mute
+const unmute = async (userId, { friendId, conversationId }) => {
+  const [column, value] = friendId ? ['friend_id', friendId] : ['conversation_id', conversationId];
+  const result = await pool.query(`DELETE FROM muted_conversations WHERE user_id = $1 AND ${column} = $2`, [userId, value]);
+  return result.rowCount > 0;
+};
+
+// Whether the user has a mute on the chat that has not run out yet
+const isMuted = async (userId, { friendId, conversationId }) => {
+  const [column, value] = friendId ? ['friend_id', friendId] : ['conversation_id', conversationId];
+  const result = await pool.query(
+    `SELECT 1 FROM muted_conversations WHERE user_id = $1 AND ${column} = $2 AND (muted_until IS NULL OR muted_until > NOW())`,
+    [userId, value]
+  );
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  mute,
+  unmute,
+  isMuted
+};
@@ -0,0 +1,59 @@
+// db/repositories/pushSubscriptions.js
+
+const pool = require('../pool');
+
+// Columns that are safe to send back to the client
+const SUBSCRIPTION_COLUMNS = 'id, endpoint, user_agent, created_at, last_used_at';
+
+// Save a browser's subscription for the signed-in session. Subscribing the
+// same browser again (e.g. after signing in as someone else) moves it over.
+const upsert = async (userId, sessionId, { endpoint, p256dh, auth, userAgent }) => {
+  const query = `
+    INSERT INTO push_subscriptions (user_id, session_id, endpoint, p256dh, auth, user_agent)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (endpoint) DO UPDATE SET
+      user_id = EXCLUDED.user_id,
+      session_id = EXCLUDED.session_id,
+      p256dh = EXCLUDED.p256dh,
+      auth = EXCLUDED.auth,
+      user_agent = EXCLUDED.user_agent
+    RETURNING ${SUBSCRIPTION_COLUMNS}
+  `;
+  const result = await pool.query(query, [userId, sessionId, endpoint, p256dh, auth, userAgent || null]);
+  return result.rows[0];
+};
+
+// Returns false if the user had no subscription with that endpoint
+const remove = async (userId, endpoint) => {
+  const result = await pool.query('DELETE FROM push_subscriptions WHERE user_id = $1 AND endpoint = $2', [userId, endpoint]);
+  return result.rowCount > 0;
+};
+
+// For subscriptions the push service reports as gone
+const removeByEndpoint = async (endpoint) => {
+  await pool.query('DELETE FROM push_subscriptions WHERE endpoint = $1', [endpoint]);
+};
+
+// Subscriptions of the user's signed-in sessions, in the shape web-push expects
+const listActive = async (userId) => {
+  const query = `
+    SELECT p.endpoint, json_build_object('p256dh', p.p256dh, 'auth', p.auth) AS keys
+    FROM push_subscriptions p
+    JOIN sessions s ON s.id = p.session_id
+    WHERE p.user_id = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW()
+  `;
+  const result = await pool.query(query, [userId]);
+  return result.rows;
+};
+
+const touch = async (endpoint) => {
+  await pool.query('UPDATE push_subscriptions SET last_used_at = NOW() WHERE endpoint = $1', [endpoint]);
+};
+
+module.exports = {
+  upsert,
+  remove,
+  removeByEndpoint,
+  listActive,
+  touch
+};
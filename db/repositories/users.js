@@ -0,0 +1,185 @@
+// db/repositories/users.js
+
+const pool = require('../pool');
+
+// Columns that are safe to send back to the client
+const PUBLIC_COLUMNS = 'id, username, name';
+
+// A user's profile (users u), with their avatar joined as av
+const PROFILE_COLUMNS = `
+  u.id, u.username, u.name, u.bio, u.status_message, u.created_at,
+  CASE WHEN av.id IS NULL THEN NULL ELSE json_build_object(
+    'id', av.id, 'mime_type', av.mime_type, 'width', av.width, 'height', av.height,
+    'blurhash', av.blurhash, 'has_thumbnail', av.thumbnail_key IS NOT NULL
+  ) END AS avatar
+`;
+const PROFILE_JOINS = 'LEFT JOIN attachments av ON av.id = u.avatar_attachment_id';
+
+// How the viewer ($1) relates to user u: self, blocked (by the viewer),
+// friends, request_sent, request_received or none
+const FRIENDSHIP_STATE = `
+  CASE
+    WHEN u.id = $1 THEN 'self'
+    WHEN EXISTS (SELECT 1 FROM user_blocks b WHERE b.blocker_id = $1 AND b.blocked_id = u.id) THEN 'blocked'
+    WHEN EXISTS (
+      SELECT 1 FROM friendships f
+      WHERE (f.user1_id = $1 AND f.user2_id = u.id) OR (f.user1_id = u.id AND f.user2_id = $1)
+    ) THEN 'friends'
+    WHEN EXISTS (
+      SELECT 1 FROM friend_requests fr WHERE fr.status = 'pending' AND fr.sender_id = $1 AND fr.receiver_id = u.id
+    ) THEN 'request_sent'
+    WHEN EXISTS (
+      SELECT 1 FROM friend_requests fr WHERE fr.status = 'pending' AND fr.sender_id = u.id AND fr.receiver_id = $1
+    ) THEN 'request_received'
+    ELSE 'none'
+  END AS friendship
+`;
+
+// Users who blocked the viewer ($1) do not exist as far as the viewer can tell
+const NOT_BLOCKED_BY_USER = 'NOT EXISTS (SELECT 1 FROM user_blocks b WHERE b.blocker_id = u.id AND b.blocked_id = $1)';
+
+// Profile fields a user can change, keyed by column
+const PROFILE_FIELDS = ['name', 'bio', 'status_message', 'avatar_attachment_id', 'email'];
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+
+const create = async ({ username, passwordHash, name, email }) => {
+  const query = `INSERT INTO users(username, password_hash, name, email) VALUES($1, $2, $3, $4) RETURNING ${PUBLIC_COLUMNS}`;
+  const result = await pool.query(query, [username, passwordHash, name || username, email || null]);
+  return result.rows[0];
+};
+
+// Insert legacy accounts with their existing IDs in one transaction. Rows whose
+// ID, username or email is already taken are skipped rather than failing the
+// batch. A dry run rolls back, so it reports what would happen without writing.
+// Returns { created, skipped }, each a list of indexes into rows.
+const importBatch = async (rows, { dryRun = false } = {}) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const created = [];
+    const skipped = [];
+    for (const [index, row] of rows.entries()) {
+      const result = await client.query(`
+        INSERT INTO users (id, username, password_hash, name, email, created_at)
+        VALUES ($1, $2, $3, $4, $5, COALESCE($6::timestamptz, NOW()))
+        ON CONFLICT DO NOTHING
+      `, [row.id, row.username, row.passwordHash, row.name || row.username, row.email || null, row.createdAt || null]);
+      (result.rowCount > 0 ? created : skipped).push(index);
+    }
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    return { created, skipped };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Includes password_hash; only for credential checks
+const findByUsername = async (username) => {
+  const result = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
+  return result.rows[0] || null;
+};
+
+// Includes password_hash; only for credential checks
+const findCredentialsById = async (id) => {
+  const result = await pool.query('SELECT * FROM users WHERE id = $1', [id]);
+  return result.rows[0] || null;
+};
+
+// Includes password_hash; emails match case-insensitively
+const findByEmail = async (email) => {
+  const result = await pool.query('SELECT * FROM users WHERE lower(email) = lower($1)', [email]);
+  return result.rows[0] || null;
+};
+
+const findById = async (id) => {
+  const result = await pool.query(`SELECT ${PUBLIC_COLUMNS} FROM users WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+const touchLastLogin = async (id) => {
+  await pool.query('UPDATE users SET last_login = NOW() WHERE id = $1', [id]);
+};
+
+const updatePasswordHash = async (id, passwordHash) => {
+  await pool.query('UPDATE users SET password_hash = $2, password_changed_at = NOW(), updated_at = NOW() WHERE id = $1', [id, passwordHash]);
+};
+
+// The user's own profile, including their (private) email address
+const findProfile = async (id) => {
+  const result = await pool.query(`SELECT ${PROFILE_COLUMNS}, u.email FROM users u ${PROFILE_JOINS} WHERE u.id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+// Another user's profile as seen by viewerId, with the friendship state;
+// null if they do not exist or have blocked the viewer
+const findPublicProfile = async (viewerId, id) => {
+  const query = `
+    SELECT ${PROFILE_COLUMNS}, ${FRIENDSHIP_STATE}
+    FROM users u ${PROFILE_JOINS}
+    WHERE u.id = $2 AND ${NOT_BLOCKED_BY_USER}
+  `;
+  const result = await pool.query(query, [viewerId, id]);
+  return result.rows[0] || null;
+};
+
+// Updates the given PROFILE_FIELDS (others are ignored) and returns the profile
+const updateProfile = async (id, fields) => {
+  const columns = PROFILE_FIELDS.filter((column) => fields[column] !== undefined);
+  if (columns.length > 0) {
+    const assignments = columns.map((column, i) => `${column} = $${i + 2}`).join(', ');
+    await pool.query(
+      `UPDATE users SET ${assignments}, updated_at = NOW() WHERE id = $1`,
+      [id, ...columns.map((column) => fields[column])]
+    );
+  }
+  return findProfile(id);
+};
+
+// Users whose username or display name starts with q, or resembles it
+// (trigram similarity). Exact and prefix matches rank first. Users blocked in
+// either direction and the searcher themselves are left out.
+const search = async (viewerId, q, limit = DEFAULT_SEARCH_LIMIT) => {
+  const term = q.trim().toLowerCase();
+  const prefix = `${term.replace(/[\\%_]/g, '\\$&')}%`;
+  const query = `
+    SELECT ${PROFILE_COLUMNS}, ${FRIENDSHIP_STATE}
+    FROM users u ${PROFILE_JOINS}
+    WHERE u.id <> $1
+      AND ${NOT_BLOCKED_BY_USER}
+      AND NOT EXISTS (SELECT 1 FROM user_blocks b WHERE b.blocker_id = $1 AND b.blocked_id = u.id)
+      AND (
+        lower(u.username) LIKE $3 OR lower(u.name) LIKE $3
+        OR lower(u.username) % $2 OR lower(u.name) % $2
+      )
+    ORDER BY
+      (lower(u.username) = $2) DESC,
+      (lower(u.username) LIKE $3 OR lower(u.name) LIKE $3) DESC,
+      GREATEST(similarity(lower(u.username), $2), similarity(lower(COALESCE(u.name, '')), $2)) DESC,
+      u.username
+    LIMIT $4
+  `;
+  const result = await pool.query(query, [viewerId, term, prefix, Math.min(Math.max(limit, 1), MAX_SEARCH_LIMIT)]);
+  return result.rows;
+};
+
+module.exports = {
+  create,
+  importBatch,
+  findByUsername,
+  findCredentialsById,
+  findByEmail,
+  findById,
+  touchLastLogin,
+  updatePasswordHash,
+  findProfile,
+  findPublicProfile,
+  updateProfile,
+  search
+};
@@ -0,0 +1,27 @@
+// middleware/adminAuth.js
+
+const crypto = require('crypto');
+const { sendError } = require('./errors');
+
+// Admin routes are off unless ADMIN_TOKEN is set; use a long random value
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Express middleware: requires "Authorization: Bearer <ADMIN_TOKEN>". Without a
+// configured token the admin routes behave as if they did not exist.
+const requireAdminToken = (req, res, next) => {
+  if (!ADMIN_TOKEN) {
+    return sendError(res, 404, 'Not found');
+  }
+
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  // Hashing first gives equal lengths, which timingSafeEqual needs
+  if (scheme !== 'Bearer' || !token || !crypto.timingSafeEqual(digest(token), digest(ADMIN_TOKEN))) {
+    return sendError(res, 401, 'Admin token required');
+  }
+  next();
+};
+
+module.exports = { requireAdminToken };
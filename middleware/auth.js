@@ -0,0 +1,104 @@
+// middleware/auth.js
+
+const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../services/sessions');
+const { errorPayload, sendError } = require('./errors');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+
+if (!JWT_SECRET) {
+  throw new Error('JWT_SECRET must be set in the environment');
+}
+
+// Sign a short-lived access token for a user row, bound to their session
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { sub: String(user.id), username: user.username, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Verify an access token and return its payload, or null if it is invalid/expired
+const verifyAccessToken = (token) => {
+  if (!token) return null;
+  try {
+    return jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+  } catch (err) {
+    return null;
+  }
+};
+
+// Pull the token out of an "Authorization: Bearer <token>" header
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+const setAuth = (req, payload) => {
+  req.userId = payload.sub;
+  req.sessionId = payload.sid;
+  req.auth = payload;
+};
+
+// Express middleware: rejects requests without a valid token and sets req.userId
+const requireAuth = (req, res, next) => {
+  const payload = verifyAccessToken(getBearerToken(req));
+  if (!payload) {
+    return sendError(res, 401, 'Authentication required');
+  }
+  setAuth(req, payload);
+  next();
+};
+
+// Express middleware for routes that also work without an access token: sets
+// req.userId when the request carries a valid one
+const optionalAuth = (req, res, next) => {
+  const payload = verifyAccessToken(getBearerToken(req));
+  if (payload) {
+    setAuth(req, payload);
+  }
+  next();
+};
+
+// A refused socket handshake; clients get the message and { error } as the
+// connect_error's message and data
+const handshakeError = (status, message) => {
+  const err = new Error(message);
+  err.data = { error: errorPayload(status, message) };
+  return err;
+};
+
+// Socket.io middleware: verifies the handshake token and binds socket.data.userId.
+// Sockets are long-lived, so the session is also checked for revocation here.
+const authenticateSocket = async (socket, next) => {
+  const { auth = {}, query = {} } = socket.handshake;
+  const payload = verifyAccessToken(auth.token || query.token);
+  if (!payload) {
+    return next(handshakeError(401, 'Authentication required'));
+  }
+
+  try {
+    if (!payload.sid || !(await isSessionActive(payload.sid))) {
+      return next(handshakeError(401, 'Session has been revoked'));
+    }
+  } catch (err) {
+    console.error('Error checking session during socket handshake:', err);
+    return next(handshakeError(500, 'Internal server error'));
+  }
+
+  socket.data.userId = payload.sub;
+  socket.data.username = payload.username;
+  socket.data.sessionId = payload.sid;
+  next();
+};
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  requireAuth,
+  optionalAuth,
+  authenticateSocket
+};
@@ -0,0 +1,62 @@
+// middleware/errors.js
+//
+// Every error response, over HTTP or in a socket ack, has the same shape:
+// { error: { code, message, details } }. `code` is stable and meant for
+// programs (by default it follows the HTTP status), `message` is meant for
+// people, and `details` is null or an object with more specific information
+// (e.g. the failed fields of a request that did not pass validation).
+
+const CODES_BY_STATUS = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  429: 'too_many_requests',
+  500: 'internal_error',
+  503: 'service_unavailable'
+};
+
+const codeForStatus = (status) => CODES_BY_STATUS[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+
+// The { code, message, details } object of an error response or ack
+const errorPayload = (status, message, { code = codeForStatus(status), details = null } = {}) => {
+  return { code, message, details };
+};
+
+const sendError = (res, status, message, options) => {
+  return res.status(status).json({ error: errorPayload(status, message, options) });
+};
+
+// Requests for routes that do not exist
+const notFoundHandler = (req, res) => {
+  sendError(res, 404, `Cannot ${req.method} ${req.path}`);
+};
+
+// Errors thrown past the route handlers: malformed or oversized JSON bodies
+// from express.json(), and anything unexpected. Express recognises error
+// handlers by their four parameters.
+const errorHandler = (err, req, res, next) => {
+  // Too late for a JSON body; Express closes the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Request body is not valid JSON', { code: 'invalid_json' });
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'Request body is too large');
+  }
+  console.error('Unhandled error:', err);
+  console.error(`Detailed error for ${req.method} ${req.originalUrl}:`, err.stack || err);
+  sendError(res, 500, 'Internal server error');
+};
+
+module.exports = {
+  errorPayload,
+  sendError,
+  notFoundHandler,
+  errorHandler
+};
@@ -0,0 +1,30 @@
+// middleware/rateLimit.js
+
+const { sendError } = require('./errors');
+
+// Respond 429 with a Retry-After header
+const sendTooManyAttempts = (res, retryAfterSeconds) => {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return sendError(res, 429, 'Too many attempts, please try again later', { details: { retry_after: retryAfterSeconds } });
+};
+
+// Express middleware: records an attempt against throttle under keyFor(req)
+// and rejects the request while that key is locked out
+const rateLimit = (throttle, keyFor) => async (req, res, next) => {
+  try {
+    const retryAfter = await throttle.hit(keyFor(req));
+    if (retryAfter) {
+      return sendTooManyAttempts(res, retryAfter);
+    }
+    next();
+  } catch (err) {
+    console.error('Error checking rate limit:', err);
+    console.error('Detailed error for rate limiting:', err.stack || err);
+    sendError(res, 500, 'Internal server error');
+  }
+};
+
+module.exports = {
+  rateLimit,
+  sendTooManyAttempts
+};
@@ -0,0 +1,127 @@
+// middleware/validate.js
+//
+// Request and socket payload validation against JSON Schemas (draft 2020-12
+// via Ajv). Routes declare { params, query, body } schemas; anything that does
+// not match is refused with a 400 "validation_failed" error whose details list
+// every problem as { location, path, message }. Checks that need the database
+// or a policy (passwords, signatures) stay in the handlers and services.
+//
+// Query strings and path parameters are always strings, so they are validated
+// with type coercion ("20" passes as an integer). Handlers still read
+// req.query and req.params as given.
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { isValidEmail } = require('../services/mail');
+const { errorPayload, sendError } = require('./errors');
+
+const createAjv = (options) => {
+  // oneOf/anyOf branches may require properties declared by the parent schema
+  // verbose keeps each failing schema on its error, for readable messages below
+  const ajv = new Ajv({ allErrors: true, verbose: true, strict: true, strictRequired: false, ...options });
+  addFormats(ajv, ['uuid', 'date', 'date-time', 'uri']);
+  // The same rule as everywhere else email addresses are checked
+  ajv.addFormat('email', isValidEmail);
+  return ajv;
+};
+
+const bodyAjv = createAjv();
+const stringAjv = createAjv({ coerceTypes: true });
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// The pattern schemas use for strings that must contain more than whitespace
+const NOT_BLANK = '\\S';
+
+// Branches of exactlyOneOf()/anyOf that only require a property, and not: { required }
+const requiredKeys = (schemas) => {
+  const keys = [].concat(schemas).map((schema) => schema.required && schema.required.join(' and '));
+  return keys.every(Boolean) ? keys : null;
+};
+
+// Ajv's message, except for blank strings and "one of these properties" rules,
+// which it words in terms of schemas ("must match exactly one schema in oneOf")
+const messageFor = (error) => {
+  if (error.keyword === 'pattern' && error.schema === NOT_BLANK) return 'must not be blank';
+  const keys = ['oneOf', 'anyOf', 'not'].includes(error.keyword) && requiredKeys(error.schema);
+  if (!keys) return error.message;
+  if (error.keyword === 'not') return `must not have both ${keys[0]}`;
+  return `must have ${error.keyword === 'oneOf' ? 'exactly' : 'at least'} one of ${keys.join(', ')}`;
+};
+
+// The "must have required property" errors of those branches are summed up by messageFor()
+const isBranchRequired = (error) => /\/(oneOf|anyOf)\/\d+\/required$/.test(error.schemaPath);
+
+// if/then failures repeat what the "then" schema already reported
+const isIfSummary = (error) => error.keyword === 'if';
+
+const toProblems = (location, errors) => errors
+  .filter((error) => !isBranchRequired(error) && !isIfSummary(error))
+  .map((error) => ({
+    location,
+    path: error.instancePath || '/',
+    message: messageFor(error)
+  }));
+
+// { message, details } for a list of problems; the message names the first one
+const describe = (problems) => {
+  const [first] = problems;
+  const where = first.path === '/' ? first.location : `${first.location}${first.path.replace(/\//g, '.')}`;
+  return {
+    message: `${where} ${first.message}`,
+    details: { errors: problems }
+  };
+};
+
+// Express middleware checking req.params, req.query and req.body against the
+// given schemas. The route's documentation rides along and is not checked:
+// summary, responses ({ status: schema of the body, or null }), errors (the
+// statuses it may fail with besides 400/401/500) and multipart (the fields of
+// a file upload). Everything stays readable as validator.schemas for
+// routes/openapi.js.
+const validate = (schemas) => {
+  const checks = LOCATIONS
+    .filter((location) => schemas[location])
+    .map((location) => ({
+      location,
+      check: (location === 'body' ? bodyAjv : stringAjv).compile(schemas[location])
+    }));
+
+  const validator = (req, res, next) => {
+    // Requests without a body (or Content-Type) are checked as an empty object
+    if (req.body === undefined) {
+      req.body = {};
+    }
+    const problems = [];
+    for (const { location, check } of checks) {
+      // Coercion changes the value it checks; validate a copy
+      if (!check(location === 'body' ? req.body : { ...req[location] })) {
+        problems.push(...toProblems(location, check.errors));
+      }
+    }
+    if (problems.length > 0) {
+      const { message, details } = describe(problems);
+      return sendError(res, 400, message, { code: 'validation_failed', details });
+    }
+    next();
+  };
+  validator.schemas = schemas;
+  return validator;
+};
+
+// Compile a socket event payload schema. The returned function gives null for
+// a valid payload, otherwise the error payload to ack with.
+const compileEventSchema = (schema) => {
+  const check = bodyAjv.compile(schema);
+  return (payload) => {
+    if (check(payload)) return null;
+    const { message, details } = describe(toProblems('payload', check.errors));
+    return errorPayload(400, message, { code: 'validation_failed', details });
+  };
+};
+
+module.exports = {
+  NOT_BLANK,
+  validate,
+  compileEventSchema
+};
@@ -0,0 +1,213 @@
+// routes/account.js
+//
+// The authenticated user's own account: profile, password and signed-in devices.
+
+const express = require('express');
+const { users, attachments } = require('../db/repositories');
+const { requireAuth } = require('../middleware/auth');
+const { sendTooManyAttempts } = require('../middleware/rateLimit');
+const { sendError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const sessions = require('../services/sessions');
+const { checkPasswordPolicy, hashPassword, verifyPassword } = require('../services/passwords');
+const { loginThrottle } = require('../services/authThrottles');
+const models = require('./models');
+const { uuid, displayName, notBlank, clearable, object, params } = require('./schemas');
+
+const MAX_BIO_LENGTH = 500;
+const MAX_STATUS_MESSAGE_LENGTH = 140;
+
+// Profile changes from a PUT /me body (already validated), keyed by column for
+// users.updateProfile(). null or '' clears bio, statusMessage,
+// avatarAttachmentId and email.
+const profileFields = ({ name, bio, statusMessage, avatarAttachmentId, email }) => {
+  const fields = {};
+  if (name !== undefined) fields.name = name.trim();
+  if (bio !== undefined) fields.bio = bio && bio.trim() ? bio.trim() : null;
+  if (statusMessage !== undefined) fields.status_message = statusMessage && statusMessage.trim() ? statusMessage.trim() : null;
+  if (avatarAttachmentId !== undefined) fields.avatar_attachment_id = avatarAttachmentId || null;
+  if (email !== undefined) fields.email = email || null;
+  return fields;
+};
+
+// Check the current password before a change that could hand the account to
+// whoever holds a stolen access token. Guesses count towards the same lockout
+// as /auth/login. Sends the error and resolves false if it does not match.
+const confirmPassword = async (res, user, currentPassword) => {
+  const lockedFor = await loginThrottle.check(user.username);
+  if (lockedFor) {
+    sendTooManyAttempts(res, lockedFor);
+    return false;
+  }
+  if (!(await verifyPassword(currentPassword, user.password_hash))) {
+    const retryAfter = await loginThrottle.hit(user.username);
+    if (retryAfter) {
+      sendTooManyAttempts(res, retryAfter);
+    } else {
+      sendError(res, 401, 'Current password is incorrect');
+    }
+    return false;
+  }
+  return true;
+};
+
+const createAccountRouter = ({ realtime }) => {
+  const router = express.Router();
+
+  // The authenticated user's own profile
+  router.get('/me', requireAuth, validate({
+    summary: 'Get your profile',
+    responses: { 200: models.Profile },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const profile = await users.findProfile(req.userId);
+      if (!profile) {
+        return sendError(res, 404, 'User not found');
+      }
+      res.json(profile);
+    } catch (err) {
+      console.error('Error fetching profile:', err);
+      console.error('Detailed error for GET /me:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Update the authenticated user's profile: { name?, bio?, statusMessage?,
+  // avatarAttachmentId?, email?, currentPassword? }. Avatars are uploaded
+  // through /attachments first and referenced here by id; anyone signed in can
+  // then view them. Changing the email address, where password reset links
+  // go, needs currentPassword.
+  router.put('/me', requireAuth, validate({
+    summary: 'Update your profile',
+    body: {
+      ...object({
+        name: notBlank(displayName),
+        bio: { type: ['string', 'null'], maxLength: MAX_BIO_LENGTH },
+        statusMessage: { type: ['string', 'null'], maxLength: MAX_STATUS_MESSAGE_LENGTH },
+        avatarAttachmentId: clearable(uuid),
+        email: clearable({ type: 'string', format: 'email' }),
+        currentPassword: { type: 'string', minLength: 1 }
+      }),
+      if: { required: ['email'] },
+      then: { required: ['currentPassword'] }
+    },
+    responses: { 200: models.Profile },
+    errors: [404, 409, 429]
+  }), async (req, res) => {
+    const fields = profileFields(req.body);
+
+    try {
+      if (fields.email !== undefined) {
+        const user = await users.findCredentialsById(req.userId);
+        if (!user) {
+          return sendError(res, 404, 'User not found');
+        }
+        if (!(await confirmPassword(res, user, req.body.currentPassword))) return;
+      }
+
+      if (fields.avatar_attachment_id) {
+        const avatar = await attachments.findOwned(fields.avatar_attachment_id, req.userId);
+        if (!avatar || !avatar.mime_type.startsWith('image/')) {
+          return sendError(res, 400, 'The avatar must be an image you uploaded');
+        }
+      }
+
+      res.json(await users.updateProfile(req.userId, fields));
+    } catch (err) {
+      if (err.code === '23505' && err.constraint === 'users_email_idx') {
+        return sendError(res, 409, 'Email address is already in use');
+      }
+      console.error('Error updating profile:', err);
+      console.error('Detailed error for PUT /me:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Change the password: { currentPassword, newPassword }. Every other session is
+  // signed out; this one stays signed in.
+  router.post('/me/password', requireAuth, validate({
+    summary: 'Change your password',
+    body: object({
+      currentPassword: { type: 'string', minLength: 1 },
+      newPassword: { type: 'string', minLength: 1 }
+    }, ['currentPassword', 'newPassword']),
+    responses: { 200: models.record({ message: { type: 'string' }, revoked_sessions: { type: 'integer' } }) },
+    errors: [404, 429]
+  }), async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    try {
+      const user = await users.findCredentialsById(req.userId);
+      if (!user) {
+        return sendError(res, 404, 'User not found');
+      }
+
+      if (!(await confirmPassword(res, user, currentPassword))) return;
+
+      const passwordProblem = checkPasswordPolicy(newPassword, { username: user.username });
+      if (passwordProblem) {
+        return sendError(res, 400, passwordProblem);
+      }
+
+      await users.updatePasswordHash(user.id, await hashPassword(newPassword));
+      const revokedIds = await sessions.revokeAllSessions(user.id, { except: req.sessionId });
+      revokedIds.forEach(realtime.disconnectSession);
+
+      res.status(200).json({ message: 'Password changed successfully', revoked_sessions: revokedIds.length });
+    } catch (err) {
+      console.error('Error changing password:', err);
+      console.error('Detailed error for /me/password:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // List the authenticated user's signed-in devices
+  router.get('/sessions', requireAuth, validate({
+    summary: 'List your signed-in devices',
+    responses: { 200: models.arrayOf(models.Session) }
+  }), async (req, res) => {
+    try {
+      const rows = await sessions.listSessions(req.userId);
+      res.json(rows.map((session) => ({
+        id: session.id,
+        device: session.device,
+        ip: session.ip,
+        created_at: session.created_at,
+        last_seen_at: session.last_seen_at,
+        current: session.id === req.sessionId
+      })));
+    } catch (err) {
+      console.error('Error fetching sessions:', err);
+      console.error('Detailed error for /sessions:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Revoke one of the authenticated user's sessions and kick its live sockets
+  router.delete('/sessions/:id', requireAuth, validate({
+    summary: 'Sign out one of your devices',
+    params: params({ id: uuid }),
+    responses: { 200: models.Confirmation },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const session = await sessions.revokeSession(req.userId, req.params.id);
+
+      if (!session) {
+        return sendError(res, 404, 'Session not found');
+      }
+
+      realtime.disconnectSession(session.id);
+      res.status(200).json({ message: 'Session revoked successfully' });
+    } catch (err) {
+      console.error('Error revoking session:', err);
+      console.error('Detailed error for /sessions/:id:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAccountRouter };
@@ -0,0 +1,55 @@
+// routes/admin.js
+//
+// Operator endpoints, authenticated with ADMIN_TOKEN rather than a user session.
+
+const express = require('express');
+const { requireAdminToken } = require('../middleware/adminAuth');
+const { sendError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const userImport = require('../services/userImport');
+const models = require('./models');
+const { object } = require('./schemas');
+
+// The accounts an import created (or would create, for a dry run) and those it skipped
+const importResult = models.record({
+  dry_run: { type: 'boolean' },
+  created: models.arrayOf(models.ImportedUser),
+  skipped: models.arrayOf(models.ImportedUser)
+});
+
+const createAdminRouter = () => {
+  const router = express.Router();
+
+  // Import legacy accounts with fixed IDs (see services/userImport.js).
+  // Body: { users: [...], dryRun }. Every other account gets a server-generated ID.
+  // Each row is checked by the import itself so problems are reported per row.
+  router.post('/admin/users/import', requireAdminToken, validate({
+    summary: 'Import legacy user accounts',
+    body: object({
+      users: { type: 'array', minItems: 1, maxItems: userImport.MAX_IMPORT_BATCH, items: { type: 'object' } },
+      dryRun: { type: 'boolean' }
+    }, ['users']),
+    responses: {
+      200: importResult,
+      201: importResult
+    }
+  }), async (req, res) => {
+    const { users: rows, dryRun = false } = req.body;
+
+    try {
+      const { created, skipped } = await userImport.importUsers(rows, { dryRun });
+      res.status(dryRun ? 200 : 201).json({ dry_run: dryRun, created, skipped });
+    } catch (err) {
+      if (err instanceof userImport.UserImportError) {
+        return sendError(res, err.status, err.message, { details: { errors: err.errors } });
+      }
+      console.error('Error importing users:', err);
+      console.error('Detailed error for /admin/users/import:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAdminRouter };
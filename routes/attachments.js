@@ -0,0 +1,136 @@
+// routes/attachments.js
+//
+// Uploading files for chat messages and avatars, and downloading them.
+
+const express = require('express');
+const multer = require('multer');
+const { requireAuth } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const attachmentService = require('../services/attachments');
+const models = require('./models');
+const { uuid, object, params } = require('./schemas');
+
+// Uploads are buffered in memory so their type can be sniffed before storing
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: attachmentService.MAX_ATTACHMENT_BYTES, files: 1 }
+});
+
+const attachmentParams = params({ id: uuid });
+
+// The "file" field of a multipart upload, with multer's errors in the API's error format
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return sendError(res, 413, 'File is too large');
+      }
+      return sendError(res, 400, err.message);
+    }
+    next(err);
+  });
+};
+
+const createAttachmentsRouter = () => {
+  const router = express.Router();
+
+  // Upload a file (multipart field "file") to reference from a chat message
+  router.post('/attachments', requireAuth, receiveFile, validate({
+    summary: 'Upload a file',
+    multipart: object({ file: models.File }, ['file']),
+    responses: { 201: models.Attachment },
+    errors: [413, 415]
+  }), async (req, res) => {
+    try {
+      const attachment = await attachmentService.saveUpload(req.userId, req.file);
+      res.status(201).json(attachment);
+    } catch (err) {
+      if (err instanceof attachmentService.AttachmentError) {
+        return sendError(res, err.status, err.message);
+      }
+      console.error('Error uploading attachment:', err);
+      console.error('Detailed error for /attachments:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Download an attachment; only its uploader and the participants of messages that reference it may
+  router.get('/attachments/:id', requireAuth, validate({
+    summary: 'Download an attachment',
+    params: attachmentParams,
+    responses: { 200: models.File },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const download = await attachmentService.openDownload(req.params.id, req.userId);
+
+      if (!download) {
+        return sendError(res, 404, 'Attachment not found');
+      }
+
+      const { attachment, stream } = download;
+      // Images and audio render in the page; everything else is saved as a file
+      const disposition = /^(image|audio)\//.test(attachment.mime_type) ? 'inline' : 'attachment';
+      const filename = encodeURIComponent(attachment.original_name || attachment.id);
+
+      res.set({
+        'Content-Type': attachment.mime_type,
+        'Content-Length': attachment.size,
+        'Content-Disposition': `${disposition}; filename*=UTF-8''${filename}`,
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'private, max-age=31536000, immutable'
+      });
+      stream.on('error', (err) => {
+        console.error('Error streaming attachment:', err);
+        res.destroy(err);
+      });
+      stream.pipe(res);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return sendError(res, 404, 'Attachment not found');
+      }
+      console.error('Error downloading attachment:', err);
+      console.error('Detailed error for /attachments/:id:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Download the small WebP thumbnail of an image attachment, with the same access rules
+  router.get('/attachments/:id/thumbnail', requireAuth, validate({
+    summary: 'Download an image attachment\'s thumbnail',
+    params: attachmentParams,
+    responses: { 200: { ...models.File, contentMediaType: 'image/webp' } },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const download = await attachmentService.openThumbnail(req.params.id, req.userId);
+
+      if (!download) {
+        return sendError(res, 404, 'Thumbnail not found');
+      }
+
+      res.set({
+        'Content-Type': download.mimeType,
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'private, max-age=31536000, immutable'
+      });
+      download.stream.on('error', (err) => {
+        console.error('Error streaming thumbnail:', err);
+        res.destroy(err);
+      });
+      download.stream.pipe(res);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return sendError(res, 404, 'Thumbnail not found');
+      }
+      console.error('Error downloading thumbnail:', err);
+      console.error('Detailed error for /attachments/:id/thumbnail:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAttachmentsRouter };
@@ -0,0 +1,283 @@
+// routes/auth.js
+//
+// Registration, login, token refresh and password reset. Mounted at /auth and
+// /api/v1/auth.
+
+const express = require('express');
+const { users } = require('../db/repositories');
+const { signAccessToken, optionalAuth } = require('../middleware/auth');
+const { rateLimit, sendTooManyAttempts } = require('../middleware/rateLimit');
+const { sendError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const sessions = require('../services/sessions');
+const { DUMMY_PASSWORD_HASH, checkPasswordPolicy, hashPassword, verifyPassword } = require('../services/passwords');
+const passwordReset = require('../services/passwordReset');
+const { mailer } = require('../services/mail');
+const { ipThrottle, loginThrottle, registerThrottle } = require('../services/authThrottles');
+const models = require('./models');
+const { object, username: usernameSchema, displayName } = require('./schemas');
+
+// Where the emailed reset link points; the client reads ?token= from it
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || 'http://localhost:5173/reset-password';
+
+const MAX_DEVICE_LENGTH = 200;
+
+const passwordSchema = { type: 'string', minLength: 1 };
+const deviceSchema = { type: 'string', maxLength: MAX_DEVICE_LENGTH };
+
+const createAuthRouter = ({ realtime }) => {
+  const router = express.Router();
+  const limitByIp = rateLimit(ipThrottle, (req) => req.ip);
+
+  // Start a session for the device making this request and return its credentials
+  const issueTokens = async (req, user) => {
+    const { session, refreshToken } = await sessions.createSession(user.id, {
+      device: req.body.device || req.get('user-agent'),
+      ip: req.ip
+    });
+    return { token: signAccessToken(user, session.id), refreshToken };
+  };
+
+  // User registration with an optional display name. An optional email address
+  // is only used for password resets.
+  router.post('/register', validate({
+    summary: 'Create an account',
+    body: object({
+      username: usernameSchema,
+      password: passwordSchema,
+      name: displayName,
+      email: { type: ['string', 'null'], format: 'email' },
+      device: deviceSchema
+    }, ['username', 'password']),
+    responses: { 201: models.Credentials },
+    errors: [409, 429]
+  }), limitByIp, async (req, res) => {
+    const { username, password, name, email } = req.body;
+
+    const passwordProblem = checkPasswordPolicy(password, { username });
+    if (passwordProblem) {
+      return sendError(res, 400, passwordProblem);
+    }
+
+    try {
+      const retryAfter = await registerThrottle.hit(username);
+      if (retryAfter) {
+        return sendTooManyAttempts(res, retryAfter);
+      }
+
+      const passwordHash = await hashPassword(password);
+
+      const user = await users.create({ username, passwordHash, name, email });
+      const { token, refreshToken } = await issueTokens(req, user);
+      res.status(201).json({ token, refreshToken, user });
+    } catch (err) {
+      if (err.code === '23505') {
+        if (err.constraint === 'users_email_idx') {
+          return sendError(res, 409, 'Email address is already in use');
+        }
+        return sendError(res, 409, 'Username already exists');
+      }
+      console.error('Error during registration:', err);
+      console.error('Detailed error for /auth/register:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Login starts a session and returns its tokens along with the user.
+  // Too many wrong passwords lock the account (and too many attempts the IP) for a while.
+  router.post('/login', validate({
+    summary: 'Log in',
+    body: object({ username: usernameSchema, password: passwordSchema, device: deviceSchema }, ['username', 'password']),
+    responses: { 200: models.Credentials },
+    errors: [401, 429]
+  }), limitByIp, async (req, res) => {
+    const { username, password } = req.body;
+
+    try {
+      const lockedFor = await loginThrottle.check(username);
+      if (lockedFor) {
+        return sendTooManyAttempts(res, lockedFor);
+      }
+
+      const user = await users.findByUsername(username);
+      const isMatch = await verifyPassword(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+
+      if (!user || !isMatch) {
+        const retryAfter = await loginThrottle.hit(username);
+        if (retryAfter) {
+          return sendTooManyAttempts(res, retryAfter);
+        }
+        return sendError(res, 401, 'Invalid username or password');
+      }
+
+      await loginThrottle.reset(username);
+      await users.touchLastLogin(user.id);
+
+      const { token, refreshToken } = await issueTokens(req, user);
+      return res.json({
+        token,
+        refreshToken,
+        user: {
+          id: user.id,
+          username: user.username,
+          name: user.name || user.username
+        }
+      });
+    } catch (err) {
+      console.error('Error during login:', err);
+      console.error('Detailed error for /auth/login:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Exchange a refresh token for a new access token; the refresh token is rotated on every use
+  router.post('/refresh', validate({
+    summary: 'Exchange a refresh token for new tokens',
+    body: object({ refreshToken: { type: 'string', minLength: 1 } }, ['refreshToken']),
+    responses: { 200: models.Tokens },
+    errors: [401]
+  }), async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+      const result = await sessions.rotateRefreshToken(refreshToken, { ip: req.ip });
+
+      if (!result || result.revokedSession) {
+        if (result) {
+          realtime.disconnectSession(result.revokedSession.id);
+        }
+        return sendError(res, 401, 'Invalid or expired refresh token');
+      }
+
+      const user = await users.findById(result.session.user_id);
+
+      if (!user) {
+        return sendError(res, 401, 'Invalid or expired refresh token');
+      }
+
+      res.json({
+        token: signAccessToken(user, result.session.id),
+        refreshToken: result.refreshToken
+      });
+    } catch (err) {
+      console.error('Error refreshing token:', err);
+      console.error('Detailed error for /auth/refresh:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Log out of the current device. The client sends its refresh token, which
+  // outlives the access token; a valid access token alone also works.
+  router.post('/logout', optionalAuth, validate({
+    summary: 'Log out of the current session',
+    body: object({ refreshToken: { type: 'string', minLength: 1 } }),
+    responses: { 200: models.Confirmation },
+    errors: [401]
+  }), async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken && !req.userId) {
+      return sendError(res, 401, 'Authentication required');
+    }
+
+    try {
+      if (refreshToken) {
+        const session = await sessions.revokeByRefreshToken(refreshToken);
+        if (!session) {
+          return sendError(res, 401, 'Invalid or expired refresh token');
+        }
+        realtime.disconnectSession(session.id);
+      } else if (req.sessionId) {
+        await sessions.revokeSession(req.userId, req.sessionId);
+        realtime.disconnectSession(req.sessionId);
+      }
+      res.status(200).json({ message: 'Logged out successfully' });
+    } catch (err) {
+      console.error('Error during logout:', err);
+      console.error('Detailed error for /auth/logout:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Start a password reset: { username } or { email }. The response is the same
+  // whether or not the account exists or has an email address, so it cannot be
+  // used to discover accounts.
+  router.post('/forgot-password', validate({
+    summary: 'Email a password reset link',
+    body: {
+      ...object({ username: usernameSchema, email: { type: 'string', minLength: 1, maxLength: 254 } }),
+      anyOf: [{ required: ['username'] }, { required: ['email'] }]
+    },
+    responses: { 202: models.Confirmation },
+    errors: [429]
+  }), limitByIp, async (req, res) => {
+    const { username, email } = req.body;
+
+    try {
+      const user = username ? await users.findByUsername(username) : await users.findByEmail(email);
+
+      if (user && user.email) {
+        const token = await passwordReset.createResetToken(user.id);
+        const link = `${PASSWORD_RESET_URL}?token=${encodeURIComponent(token)}`;
+        mailer.send({
+          to: user.email,
+          subject: 'Reset your password',
+          text: `Someone asked to reset the password for ${user.username}.\n\n` +
+            `Open this link within ${passwordReset.PASSWORD_RESET_TTL_MINUTES} minutes to choose a new one:\n${link}\n\n` +
+            'If that was not you, you can ignore this email.'
+        }).catch((err) => {
+          console.error('Error sending password reset email:', err);
+        });
+      }
+
+      res.status(202).json({ message: 'If the account has an email address, a reset link has been sent to it' });
+    } catch (err) {
+      console.error('Error starting password reset:', err);
+      console.error('Detailed error for /auth/forgot-password:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Finish a password reset: { token, newPassword }. Signs out every session.
+  router.post('/reset-password', validate({
+    summary: 'Choose a new password with a reset token',
+    body: object({ token: { type: 'string', minLength: 1 }, newPassword: passwordSchema }, ['token', 'newPassword']),
+    responses: { 200: models.Confirmation },
+    errors: [429]
+  }), limitByIp, async (req, res) => {
+    const { token, newPassword } = req.body;
+
+    try {
+      const userId = await passwordReset.findTokenUser(token);
+      const user = userId && await users.findCredentialsById(userId);
+      if (!user) {
+        return sendError(res, 400, 'Invalid or expired reset token');
+      }
+
+      const passwordProblem = checkPasswordPolicy(newPassword, { username: user.username });
+      if (passwordProblem) {
+        return sendError(res, 400, passwordProblem);
+      }
+
+      // Checked again atomically, in case the token was used in the meantime
+      if (!(await passwordReset.consumeResetToken(token))) {
+        return sendError(res, 400, 'Invalid or expired reset token');
+      }
+
+      await users.updatePasswordHash(user.id, await hashPassword(newPassword));
+      await loginThrottle.reset(user.username);
+      const revokedIds = await sessions.revokeAllSessions(user.id);
+      revokedIds.forEach(realtime.disconnectSession);
+
+      res.status(200).json({ message: 'Password has been reset; please log in again' });
+    } catch (err) {
+      console.error('Error resetting password:', err);
+      console.error('Detailed error for /auth/reset-password:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,86 @@
+// routes/blocks.js
+//
+// Blocking and unblocking other users.
+
+const express = require('express');
+const { users, blocks } = require('../db/repositories');
+const { requireAuth } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const models = require('./models');
+const { userId, object, params } = require('./schemas');
+
+const createBlocksRouter = ({ realtime }) => {
+  const router = express.Router();
+
+  // Users the authenticated user has blocked
+  router.get('/blocks', requireAuth, validate({
+    summary: 'List the users you have blocked',
+    responses: { 200: models.arrayOf(models.BlockedUser) }
+  }), async (req, res) => {
+    try {
+      res.json(await blocks.listBlocked(req.userId));
+    } catch (err) {
+      console.error('Error fetching blocked users:', err);
+      console.error('Detailed error for /blocks:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Block a user: { userId }. Ends any friendship and pending requests; while the
+  // block lasts neither side can send requests or messages, or see the other's presence.
+  router.post('/blocks', requireAuth, validate({
+    summary: 'Block a user',
+    body: object({ userId }, ['userId']),
+    responses: { 200: models.Confirmation, 201: models.Confirmation },
+    errors: [404]
+  }), async (req, res) => {
+    const blockedId = req.body.userId;
+
+    if (blockedId === req.userId) {
+      return sendError(res, 400, 'You cannot block yourself');
+    }
+
+    try {
+      if (!(await users.findById(blockedId))) {
+        return sendError(res, 404, 'User not found');
+      }
+
+      const { created, unfriended, requests } = await blocks.block(req.userId, blockedId);
+      if (unfriended) {
+        realtime.emitFriendRemoved(req.userId, blockedId);
+      }
+      requests.forEach((request) => {
+        realtime.emitRequestClosed(`friend request ${request.status}`, request);
+      });
+      res.status(created ? 201 : 200).json({ message: created ? 'User blocked successfully' : 'User is already blocked' });
+    } catch (err) {
+      console.error('Error blocking user:', err);
+      console.error('Detailed error for POST /blocks:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Unblock a user. The friendship is not restored; either side can send a new request.
+  router.delete('/blocks/:userId', requireAuth, validate({
+    summary: 'Unblock a user',
+    params: params({ userId }),
+    responses: { 200: models.Confirmation },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      if (!(await blocks.unblock(req.userId, req.params.userId))) {
+        return sendError(res, 404, 'User is not blocked');
+      }
+      res.status(200).json({ message: 'User unblocked successfully' });
+    } catch (err) {
+      console.error('Error unblocking user:', err);
+      console.error('Detailed error for DELETE /blocks/:userId:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createBlocksRouter };
@@ -0,0 +1,288 @@
+// routes/conversations.js
+//
+// Group conversations: creating and renaming groups, membership and roles,
+// muting and group history.
+
+const express = require('express');
+const { friends, messages, conversations, mutes } = require('../db/repositories');
+const { requireAuth } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const models = require('./models');
+const { uuid, userId, notBlank, object, params, pageQuery, muteBody, parseMuteUntil } = require('./schemas');
+
+const MAX_CONVERSATION_NAME_LENGTH = 100;
+
+const conversationName = notBlank({ type: 'string', maxLength: MAX_CONVERSATION_NAME_LENGTH });
+const userIds = { type: 'array', items: userId };
+
+const conversationParams = params({ conversationId: uuid });
+const memberParams = params({ conversationId: uuid, userId });
+
+// Loads the group for the authenticated user into req.conversation; 404 unless they are a member
+const requireMembership = async (req, res, next) => {
+  try {
+    req.conversation = await conversations.findForMember(req.params.conversationId, req.userId);
+  } catch (err) {
+    console.error('Error loading conversation:', err);
+    return sendError(res, 500, 'Internal server error');
+  }
+
+  if (!req.conversation) {
+    return sendError(res, 404, 'Conversation not found');
+  }
+  next();
+};
+
+const requireAdmin = (req, res, next) => {
+  if (req.conversation.role !== 'admin') {
+    return sendError(res, 403, 'Only group admins can do that');
+  }
+  next();
+};
+
+const createConversationsRouter = ({ realtime }) => {
+  const router = express.Router();
+
+  // Create a group conversation. The creator becomes its admin; members must be the creator's friends.
+  router.post('/conversations', requireAuth, validate({
+    summary: 'Create a group',
+    body: object({ name: conversationName, memberIds: userIds }, ['name']),
+    responses: { 201: models.Conversation },
+    errors: [403]
+  }), async (req, res) => {
+    const { name, memberIds = [] } = req.body;
+
+    try {
+      const requestedIds = [...new Set(memberIds)].filter((id) => id !== req.userId);
+      const friendIds = await friends.filterFriends(req.userId, requestedIds);
+      if (friendIds.length !== requestedIds.length) {
+        return sendError(res, 403, 'You can only add friends to a group');
+      }
+
+      const conversation = await conversations.createGroup({ name: name.trim(), creatorId: req.userId, memberIds: friendIds });
+      await realtime.broadcastConversation(conversation.id);
+      res.status(201).json(await realtime.getConversationDetails({ ...conversation, role: 'admin' }));
+    } catch (err) {
+      console.error('Error creating conversation:', err);
+      console.error('Detailed error for /conversations:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // List the group conversations the authenticated user belongs to
+  router.get('/conversations', requireAuth, validate({
+    summary: 'List your groups',
+    responses: { 200: models.arrayOf(models.ConversationSummary) }
+  }), async (req, res) => {
+    try {
+      res.json(await conversations.listForUser(req.userId));
+    } catch (err) {
+      console.error('Error fetching conversations:', err);
+      console.error('Detailed error for /conversations:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  router.get('/conversations/:conversationId', requireAuth, validate({
+    summary: 'Get a group and its members',
+    params: conversationParams,
+    responses: { 200: models.Conversation },
+    errors: [404]
+  }), requireMembership, async (req, res) => {
+    try {
+      res.json(await realtime.getConversationDetails(req.conversation));
+    } catch (err) {
+      console.error('Error fetching conversation:', err);
+      console.error('Detailed error for /conversations/:conversationId:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Rename a group (admins only)
+  router.put('/conversations/:conversationId', requireAuth, validate({
+    summary: 'Rename a group',
+    params: conversationParams,
+    body: object({ name: conversationName }, ['name']),
+    responses: { 200: models.Conversation },
+    errors: [403, 404]
+  }), requireMembership, requireAdmin, async (req, res) => {
+    try {
+      const conversation = await conversations.rename(req.conversation.id, req.body.name.trim());
+      await realtime.broadcastConversation(conversation.id);
+      res.json(await realtime.getConversationDetails({ ...conversation, role: req.conversation.role }));
+    } catch (err) {
+      console.error('Error renaming conversation:', err);
+      console.error('Detailed error for PUT /conversations/:conversationId:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Add members to a group (admins only, and only their own friends)
+  router.post('/conversations/:conversationId/members', requireAuth, validate({
+    summary: 'Add members to a group',
+    params: conversationParams,
+    body: object({ userIds: { ...userIds, minItems: 1 } }, ['userIds']),
+    responses: { 200: models.record({ added: userIds }) },
+    errors: [403, 404]
+  }), requireMembership, requireAdmin, async (req, res) => {
+    try {
+      const requestedIds = [...new Set(req.body.userIds)];
+      const friendIds = await friends.filterFriends(req.userId, requestedIds);
+      if (friendIds.length !== requestedIds.length) {
+        return sendError(res, 403, 'You can only add friends to a group');
+      }
+
+      const addedIds = await conversations.addMembers(req.conversation.id, friendIds);
+      await realtime.broadcastConversation(req.conversation.id);
+      res.status(200).json({ added: addedIds });
+    } catch (err) {
+      console.error('Error adding conversation members:', err);
+      console.error('Detailed error for /conversations/:conversationId/members:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Promote or demote a member (admins only): { role }
+  router.put('/conversations/:conversationId/members/:userId', requireAuth, validate({
+    summary: 'Change a member\'s role',
+    params: memberParams,
+    body: object({ role: { enum: ['admin', 'member'] } }, ['role']),
+    responses: { 200: models.Membership },
+    errors: [403, 404]
+  }), requireMembership, requireAdmin, async (req, res) => {
+    try {
+      const membership = await conversations.setRole(req.conversation.id, req.params.userId, req.body.role);
+
+      if (!membership) {
+        return sendError(res, 404, 'Member not found');
+      }
+
+      await realtime.broadcastConversation(req.conversation.id);
+      res.json(membership);
+    } catch (err) {
+      console.error('Error changing member role:', err);
+      console.error('Detailed error for PUT /conversations/:conversationId/members/:userId:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Remove a member from a group (admins only; use /leave to remove yourself)
+  router.delete('/conversations/:conversationId/members/:userId', requireAuth, validate({
+    summary: 'Remove a member from a group',
+    params: memberParams,
+    responses: { 200: models.Confirmation },
+    errors: [403, 404]
+  }), requireMembership, requireAdmin, async (req, res) => {
+    const { userId: memberId } = req.params;
+
+    try {
+      const removed = await conversations.removeMember(req.conversation.id, memberId);
+
+      if (!removed) {
+        return sendError(res, 404, 'Member not found');
+      }
+
+      realtime.emitToUsers([memberId], 'conversation removed', { conversation_id: req.conversation.id });
+      await realtime.broadcastConversation(req.conversation.id);
+      res.status(200).json({ message: 'Member removed successfully' });
+    } catch (err) {
+      console.error('Error removing conversation member:', err);
+      console.error('Detailed error for DELETE /conversations/:conversationId/members/:userId:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Leave a group. If the last admin leaves, the longest-standing member becomes admin.
+  router.post('/conversations/:conversationId/leave', requireAuth, validate({
+    summary: 'Leave a group',
+    params: conversationParams,
+    responses: { 200: models.Confirmation },
+    errors: [404]
+  }), requireMembership, async (req, res) => {
+    try {
+      await conversations.removeMember(req.conversation.id, req.userId);
+      realtime.emitToUsers([req.userId], 'conversation removed', { conversation_id: req.conversation.id });
+      await realtime.broadcastConversation(req.conversation.id);
+      res.status(200).json({ message: 'Left conversation successfully' });
+    } catch (err) {
+      console.error('Error leaving conversation:', err);
+      console.error('Detailed error for /conversations/:conversationId/leave:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Mute a group for the authenticated user: { until? }
+  router.put('/conversations/:conversationId/mute', requireAuth, validate({
+    summary: 'Mute a group',
+    params: conversationParams,
+    body: muteBody,
+    responses: { 200: models.Mute },
+    errors: [404]
+  }), requireMembership, async (req, res) => {
+    const { until, error } = parseMuteUntil(req.body);
+    if (error) {
+      return sendError(res, 400, error);
+    }
+
+    try {
+      const mute = await mutes.mute(req.userId, { conversationId: req.conversation.id }, until);
+      res.status(200).json({ muted: true, muted_until: mute.muted_until });
+    } catch (err) {
+      console.error('Error muting conversation:', err);
+      console.error('Detailed error for PUT /conversations/:conversationId/mute:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  router.delete('/conversations/:conversationId/mute', requireAuth, validate({
+    summary: 'Unmute a group',
+    params: conversationParams,
+    responses: { 200: models.Mute },
+    errors: [404]
+  }), requireMembership, async (req, res) => {
+    try {
+      await mutes.unmute(req.userId, { conversationId: req.conversation.id });
+      res.status(200).json({ muted: false, muted_until: null });
+    } catch (err) {
+      console.error('Error unmuting conversation:', err);
+      console.error('Detailed error for DELETE /conversations/:conversationId/mute:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // One page of a group's history, from when the caller joined; same cursor
+  // parameters as /friends/:friendId/messages
+  router.get('/conversations/:conversationId/messages', requireAuth, validate({
+    summary: 'Get a page of a group\'s history',
+    params: conversationParams,
+    query: pageQuery,
+    responses: { 200: models.MessagePage },
+    errors: [404]
+  }), requireMembership, async (req, res) => {
+    const { before, after, limit } = req.query;
+
+    const cursor = before || after;
+    const decoded = cursor ? messages.decodeCursor(cursor) : null;
+    if (cursor && !decoded) {
+      return sendError(res, 400, 'Invalid cursor');
+    }
+
+    try {
+      const page = await messages.listGroupMessages(req.conversation.id, req.userId, {
+        before: before ? decoded : null,
+        after: after ? decoded : null,
+        limit
+      });
+      res.json(page);
+    } catch (err) {
+      console.error('Error fetching conversation messages:', err);
+      console.error('Detailed error for /conversations/:conversationId/messages:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createConversationsRouter };
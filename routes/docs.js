@@ -0,0 +1,53 @@
+// routes/docs.js
+//
+// API documentation: Swagger UI for the REST API at /api/docs/, and the raw
+// OpenAPI (routes/openapi.js) and AsyncAPI (sockets/asyncapi.js) documents
+// next to it for tools and client generators.
+
+const path = require('path');
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+
+const SWAGGER_UI_DIR = swaggerUi.getAbsoluteFSPath();
+
+// Replaces the bundle's initializer, which points at the Petstore example
+const INITIALIZER = `window.onload = function () {
+  window.ui = SwaggerUIBundle({
+    url: './openapi.json',
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+    layout: 'StandaloneLayout'
+  });
+};
+`;
+
+const createDocsRouter = ({ openapi, asyncapi }) => {
+  const router = express.Router();
+
+  router.get('/openapi.json', (req, res) => {
+    res.json(openapi);
+  });
+
+  router.get('/asyncapi.json', (req, res) => {
+    res.json(asyncapi);
+  });
+
+  // The viewer loads its assets relative to the page, so it lives at /api/docs/
+  router.get('/', (req, res) => {
+    if (!req.originalUrl.split('?')[0].endsWith('/')) {
+      return res.redirect(301, `${req.baseUrl}/`);
+    }
+    res.sendFile(path.join(SWAGGER_UI_DIR, 'index.html'));
+  });
+
+  router.get('/swagger-initializer.js', (req, res) => {
+    res.type('application/javascript').send(INITIALIZER);
+  });
+
+  router.use(express.static(SWAGGER_UI_DIR, { index: false }));
+
+  return router;
+};
+
+module.exports = { createDocsRouter };
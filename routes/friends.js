@@ -0,0 +1,288 @@
+// routes/friends.js
+//
+// Friends, friend requests, muting direct chats and direct chat history. Every
+// route acts on the authenticated user's own friendships.
+
+const express = require('express');
+const { users, friends, messages, blocks, mutes, keys } = require('../db/repositories');
+const { requireAuth } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const models = require('./models');
+const { uuid, userId, username, object, params, pageQuery, muteBody, parseMuteUntil } = require('./schemas');
+
+const friendParams = params({ friendId: userId });
+const requestParams = params({ requestId: uuid });
+
+const createFriendsRouter = ({ realtime }) => {
+  const router = express.Router();
+
+  // The authenticated user's friends (only accepted ones), with presence
+  router.get('/friends', requireAuth, validate({
+    summary: 'List your friends',
+    responses: { 200: models.arrayOf(models.Friend) }
+  }), async (req, res) => {
+    try {
+      res.json(await realtime.presence.withPresence(await friends.listFriends(req.userId)));
+    } catch (err) {
+      console.error('Error fetching friends:', err);
+      console.error('Detailed error for /friends:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Unfriend. Message history is kept, but neither side can message the other until they are friends again.
+  router.delete('/friends/:friendId', requireAuth, validate({
+    summary: 'Unfriend someone',
+    params: friendParams,
+    responses: { 200: models.Confirmation },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      if (!(await friends.removeFriendship(req.userId, req.params.friendId))) {
+        return sendError(res, 404, 'Friend not found');
+      }
+      realtime.emitFriendRemoved(req.userId, req.params.friendId);
+      res.status(200).json({ message: 'Friend removed successfully' });
+    } catch (err) {
+      console.error('Error removing friend:', err);
+      console.error('Detailed error for DELETE /friends/:friendId:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Mute a direct chat: { until? }
+  router.put('/friends/:friendId/mute', requireAuth, validate({
+    summary: 'Mute a direct chat',
+    params: friendParams,
+    body: muteBody,
+    responses: { 200: models.Mute },
+    errors: [404]
+  }), async (req, res) => {
+    const { until, error } = parseMuteUntil(req.body);
+    if (error) {
+      return sendError(res, 400, error);
+    }
+
+    try {
+      if (!(await friends.areFriends(req.userId, req.params.friendId))) {
+        return sendError(res, 404, 'Friend not found');
+      }
+      const mute = await mutes.mute(req.userId, { friendId: req.params.friendId }, until);
+      res.status(200).json({ muted: true, muted_until: mute.muted_until });
+    } catch (err) {
+      console.error('Error muting chat:', err);
+      console.error('Detailed error for PUT /friends/:friendId/mute:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  router.delete('/friends/:friendId/mute', requireAuth, validate({
+    summary: 'Unmute a direct chat',
+    params: friendParams,
+    responses: { 200: models.Mute }
+  }), async (req, res) => {
+    try {
+      await mutes.unmute(req.userId, { friendId: req.params.friendId });
+      res.status(200).json({ muted: false, muted_until: null });
+    } catch (err) {
+      console.error('Error unmuting chat:', err);
+      console.error('Detailed error for DELETE /friends/:friendId/mute:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // One page of the direct chat with a friend.
+  // ?before=<cursor> scrolls back, ?after=<cursor> catches up; ?limit=N sets the page size.
+  // Image payloads are not included; fetch them from /messages/:messageId/image.
+  router.get('/friends/:friendId/messages', requireAuth, validate({
+    summary: 'Get a page of a direct chat',
+    params: friendParams,
+    query: pageQuery,
+    responses: { 200: models.MessagePage }
+  }), async (req, res) => {
+    const { friendId } = req.params;
+    const { before, after, limit } = req.query;
+
+    const cursor = before || after;
+    const decoded = cursor ? messages.decodeCursor(cursor) : null;
+    if (cursor && !decoded) {
+      return sendError(res, 400, 'Invalid cursor');
+    }
+
+    try {
+      const page = await messages.listConversation(req.userId, friendId, {
+        before: before ? decoded : null,
+        after: after ? decoded : null,
+        limit
+      });
+      // Encrypted messages come with this device's envelope, if it was sent one
+      const deviceId = await keys.findDeviceForSession(req.userId, req.sessionId);
+      if (deviceId) {
+        page.messages = await messages.attachEnvelopes(page.messages, req.userId, deviceId);
+      }
+      res.json(page);
+    } catch (err) {
+      console.error('Error fetching messages:', err);
+      console.error('Detailed error for /friends/:friendId/messages:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Pending friend requests the authenticated user has received
+  router.get('/friend-requests', requireAuth, validate({
+    summary: 'List friend requests you have received',
+    responses: { 200: models.arrayOf(models.ReceivedFriendRequest) }
+  }), async (req, res) => {
+    try {
+      res.json(await friends.listPendingRequests(req.userId));
+    } catch (err) {
+      console.error('Error fetching friend requests:', err);
+      console.error('Detailed error for /friend-requests:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Pending friend requests the authenticated user has sent
+  router.get('/friend-requests/sent', requireAuth, validate({
+    summary: 'List friend requests you have sent',
+    responses: { 200: models.arrayOf(models.SentFriendRequest) }
+  }), async (req, res) => {
+    try {
+      res.json(await friends.listSentRequests(req.userId));
+    } catch (err) {
+      console.error('Error fetching sent friend requests:', err);
+      console.error('Detailed error for /friend-requests/sent:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Send a friend request: { receiverUsername }. Responds with the request as
+  // carried by the 'friend request sent' event.
+  router.post('/friend-requests', requireAuth, validate({
+    summary: 'Send a friend request',
+    body: object({ receiverUsername: username }, ['receiverUsername']),
+    responses: { 201: models.FriendRequest },
+    errors: [403, 404, 409]
+  }), async (req, res) => {
+    const senderId = req.userId;
+    const { receiverUsername } = req.body;
+
+    try {
+      const receiver = await users.findByUsername(receiverUsername);
+
+      if (!receiver) {
+        return sendError(res, 404, 'Recipient username not found');
+      }
+
+      const receiverId = receiver.id;
+
+      if (senderId === String(receiverId)) {
+        return sendError(res, 400, 'You cannot send a friend request to yourself');
+      }
+
+      if (await friends.areFriends(senderId, receiverId)) {
+        return sendError(res, 409, 'You are already friends with this user');
+      }
+
+      // Blocks stop requests in both directions
+      if (await blocks.isBlockedBetween(senderId, receiverId)) {
+        return sendError(res, 403, 'You cannot send a friend request to this user');
+      }
+
+      // Only a pending request stands in the way; declined or cancelled ones can be re-sent
+      const existingRequest = await friends.findPendingRequestBetween(senderId, receiverId);
+      if (existingRequest) {
+        if (String(existingRequest.sender_id) === senderId) {
+          return sendError(res, 409, 'Friend request already sent to this user');
+        }
+        return sendError(res, 409, 'This user has already sent you a friend request. Please check your requests.');
+      }
+
+      const request = await friends.createRequest(senderId, receiverId);
+      res.status(201).json(await realtime.emitRequestCreated(request.id));
+    } catch (err) {
+      // Lost a race with another request between the same two users
+      if (err.code === '23505') {
+        return sendError(res, 409, 'A friend request between you and this user is already pending');
+      }
+      console.error('Error sending friend request:', err);
+      console.error('Detailed error for POST /friend-requests:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Accept a friend request; only its receiver can respond to it
+  router.post('/friend-requests/:requestId/accept', requireAuth, validate({
+    summary: 'Accept a friend request',
+    params: requestParams,
+    responses: { 200: models.Confirmation },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      // Marks the request accepted and creates the friendship in one transaction
+      const request = await friends.acceptRequest(req.params.requestId, req.userId);
+
+      if (!request) {
+        return sendError(res, 404, 'Friend request not found or already processed');
+      }
+
+      await realtime.emitRequestAccepted(request);
+      res.status(200).json({ message: 'Friend request accepted successfully' });
+    } catch (err) {
+      console.error('Error accepting friend request:', err);
+      console.error('Detailed error for /friend-requests/:requestId/accept:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Decline a friend request; only its receiver can respond to it
+  router.post('/friend-requests/:requestId/decline', requireAuth, validate({
+    summary: 'Decline a friend request',
+    params: requestParams,
+    responses: { 200: models.Confirmation },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const request = await friends.declineRequest(req.params.requestId, req.userId);
+
+      if (!request) {
+        return sendError(res, 404, 'Friend request not found or already processed');
+      }
+
+      realtime.emitRequestClosed('friend request declined', request);
+      res.status(200).json({ message: 'Friend request declined successfully' });
+    } catch (err) {
+      console.error('Error declining friend request:', err);
+      console.error('Detailed error for /friend-requests/:requestId/decline:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Withdraw a friend request the authenticated user sent
+  router.delete('/friend-requests/:requestId', requireAuth, validate({
+    summary: 'Withdraw a friend request you sent',
+    params: requestParams,
+    responses: { 200: models.Confirmation },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const request = await friends.cancelRequest(req.params.requestId, req.userId);
+
+      if (!request) {
+        return sendError(res, 404, 'Friend request not found or already processed');
+      }
+
+      realtime.emitRequestClosed('friend request cancelled', request);
+      res.status(200).json({ message: 'Friend request cancelled successfully' });
+    } catch (err) {
+      console.error('Error cancelling friend request:', err);
+      console.error('Detailed error for DELETE /friend-requests/:requestId:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createFriendsRouter };
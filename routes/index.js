@@ -0,0 +1,60 @@
+// routes/index.js
+//
+// Mounts every router. The API lives under /api/v1; authentication is also
+// served from /auth, and the API docs from /api/docs. Anything that matches no
+// route gets a 404 in the common error format, and errors thrown past the
+// handlers a 400/413/500.
+
+const { notFoundHandler, errorHandler } = require('../middleware/errors');
+const { createAuthRouter } = require('./auth');
+const { createAccountRouter } = require('./account');
+const { createUsersRouter } = require('./users');
+const { createFriendsRouter } = require('./friends');
+const { createBlocksRouter } = require('./blocks');
+const { createKeysRouter } = require('./keys');
+const { createPushRouter } = require('./push');
+const { createMessagesRouter } = require('./messages');
+const { createConversationsRouter } = require('./conversations');
+const { createAttachmentsRouter } = require('./attachments');
+const { createAdminRouter } = require('./admin');
+const { createDocsRouter } = require('./docs');
+const { buildOpenApi } = require('./openapi');
+const { buildAsyncApi } = require('../sockets/asyncapi');
+
+const API_PREFIX = '/api/v1';
+const DOCS_PATH = '/api/docs';
+
+// [prefix, router] for every router, in mount order. deps is { realtime }.
+const createRouters = (deps) => {
+  const authRouter = createAuthRouter(deps);
+  return [
+    ['/auth', authRouter],
+    [`${API_PREFIX}/auth`, authRouter],
+    [API_PREFIX, createAccountRouter(deps)],
+    [API_PREFIX, createUsersRouter(deps)],
+    [API_PREFIX, createFriendsRouter(deps)],
+    [API_PREFIX, createBlocksRouter(deps)],
+    [API_PREFIX, createKeysRouter(deps)],
+    [API_PREFIX, createPushRouter(deps)],
+    [API_PREFIX, createMessagesRouter(deps)],
+    [API_PREFIX, createConversationsRouter(deps)],
+    [API_PREFIX, createAttachmentsRouter(deps)],
+    [API_PREFIX, createAdminRouter(deps)]
+  ];
+};
+
+const mountRoutes = (app, deps) => {
+  const routers = createRouters(deps);
+  routers.forEach(([prefix, router]) => app.use(prefix, router));
+  app.use(DOCS_PATH, createDocsRouter({ openapi: buildOpenApi(routers), asyncapi: buildAsyncApi() }));
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+  return routers;
+};
+
+module.exports = {
+  API_PREFIX,
+  DOCS_PATH,
+  createRouters,
+  mountRoutes
+};
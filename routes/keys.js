@@ -0,0 +1,94 @@
+// routes/keys.js
+//
+// Public key bundles for end-to-end encrypted direct messages.
+
+const express = require('express');
+const { keys } = require('../db/repositories');
+const { requireAuth } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const e2e = require('../services/e2e');
+const models = require('./models');
+const { userId, object, params } = require('./schemas');
+
+// The shape of a bundle; key sizes and the signature are checked by e2e.bundleProblem()
+const deviceId = { type: 'string', pattern: e2e.DEVICE_ID_PATTERN.source };
+const keyId = { type: 'integer', minimum: 0, maximum: e2e.MAX_KEY_ID };
+const base64Key = { type: 'string', minLength: 1 };
+
+const bundleBody = object({
+  deviceId,
+  identityKey: base64Key,
+  signingKey: base64Key,
+  signedPreKey: object({ keyId, publicKey: base64Key, signature: base64Key }, ['keyId', 'publicKey', 'signature']),
+  oneTimePreKeys: {
+    type: 'array',
+    maxItems: e2e.MAX_PREKEYS_PER_UPLOAD,
+    items: object({ keyId, publicKey: base64Key }, ['keyId', 'publicKey'])
+  }
+}, ['deviceId', 'identityKey', 'signingKey', 'signedPreKey']);
+
+// ?deviceIds=a,b
+const deviceIdItem = e2e.DEVICE_ID_PATTERN.source.replace(/^\^|\$$/g, '');
+const deviceIdList = { type: 'string', pattern: `^${deviceIdItem}(,${deviceIdItem})*$` };
+
+const createKeysRouter = ({ realtime }) => {
+  const router = express.Router();
+
+  // Publish this device's public keys for end-to-end encryption:
+  // { deviceId, identityKey, signingKey, signedPreKey: { keyId, publicKey, signature },
+  //   oneTimePreKeys: [{ keyId, publicKey }] }, all keys base64. Call again to
+  // rotate the signed prekey or top up one-time prekeys. The device is tied to
+  // this session and stops receiving messages when the session is signed out.
+  router.post('/keys', requireAuth, validate({
+    summary: 'Publish this device\'s encryption keys',
+    body: bundleBody,
+    responses: { 200: models.record({ device_id: { type: 'string' }, one_time_prekeys: { type: 'integer' } }) }
+  }), async (req, res) => {
+    const problem = e2e.bundleProblem(req.body);
+    if (problem) {
+      return sendError(res, 400, problem);
+    }
+
+    try {
+      const remaining = await e2e.publishBundle(req.userId, req.sessionId, req.body);
+      realtime.joinDeviceRoom(req.sessionId, req.userId, req.body.deviceId);
+      res.status(200).json({ device_id: req.body.deviceId, one_time_prekeys: remaining });
+    } catch (err) {
+      console.error('Error publishing keys:', err);
+      console.error('Detailed error for POST /keys:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Key bundles for starting encrypted sessions with a friend's devices (or your
+  // own other devices). ?deviceIds=a,b limits the devices. Every call uses up a
+  // one-time prekey per device, so clients fetch bundles only for devices they
+  // have no session with.
+  router.get('/keys/:userId', requireAuth, validate({
+    summary: 'Claim key bundles for a user\'s devices',
+    params: params({ userId }),
+    query: object({ deviceIds: deviceIdList }),
+    responses: { 200: models.record({ user_id: userId, devices: models.arrayOf(models.KeyBundle) }) },
+    errors: [403]
+  }), async (req, res) => {
+    const { userId: ownerId } = req.params;
+    const deviceIds = req.query.deviceIds ? req.query.deviceIds.split(',') : null;
+
+    try {
+      if (ownerId !== req.userId && !(await realtime.canReach(req.userId, { friendId: ownerId }))) {
+        return sendError(res, 403, 'You can only fetch keys of your friends');
+      }
+      const devices = await keys.claimBundles(ownerId, { deviceIds, excludeSessionId: req.sessionId });
+      res.json({ user_id: ownerId, devices });
+    } catch (err) {
+      console.error('Error fetching keys:', err);
+      console.error('Detailed error for GET /keys/:userId:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createKeysRouter };
@@ -0,0 +1,252 @@
+// routes/messages.js
+//
+// Changing existing messages (read receipts, edits, deletes, reactions,
+// forwards), their history and inline images, and message search. New messages
+// are sent over the socket ('chat message').
+
+const express = require('express');
+const { messages, conversations } = require('../db/repositories');
+const { requireAuth } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const messageChanges = require('../services/messageChanges');
+const models = require('./models');
+const { uuid, userId, cursor, limit, emoji, notBlank, object, params, exactlyOneOf, markReadBody } = require('./schemas');
+
+const MESSAGE_TYPES = ['text', 'image', 'audio', 'file'];
+const MAX_SEARCH_QUERY_LENGTH = 200;
+
+const messageParams = params({ messageId: uuid });
+const date = { type: 'string', anyOf: [{ format: 'date' }, { format: 'date-time' }] };
+
+// Turns a MessageChangeError into an HTTP response; returns false for anything else
+const sendMessageChangeError = (res, err) => {
+  if (err instanceof messageChanges.MessageChangeError) {
+    sendError(res, err.status, err.message);
+    return true;
+  }
+  return false;
+};
+
+const createMessagesRouter = ({ realtime }) => {
+  const router = express.Router();
+
+  // Mark a conversation as read up to a message: { friendId | conversationId, upToMessageId }
+  router.post('/messages/read', requireAuth, validate({
+    summary: 'Mark a chat read up to a message',
+    body: markReadBody,
+    responses: { 200: models.ReadReceipt },
+    errors: [404]
+  }), async (req, res) => {
+    const { friendId, conversationId, upToMessageId } = req.body;
+
+    try {
+      const receipt = await realtime.markRead(req.userId, { friendId, conversationId, upToMessageId });
+
+      if (!receipt) {
+        return sendError(res, 404, 'Message not found');
+      }
+
+      res.json(receipt);
+    } catch (err) {
+      console.error('Error marking messages read:', err);
+      console.error('Detailed error for /messages/read:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Edit one of your messages (within the edit window): { content }
+  router.put('/messages/:messageId', requireAuth, validate({
+    summary: 'Edit one of your messages',
+    params: messageParams,
+    body: object({ content: { type: 'string' } }, ['content']),
+    responses: { 200: models.Message },
+    errors: [403, 404, 409]
+  }), async (req, res) => {
+    try {
+      res.json(await realtime.editMessage(req.userId, req.params.messageId, req.body.content));
+    } catch (err) {
+      if (sendMessageChangeError(res, err)) return;
+      console.error('Error editing message:', err);
+      console.error('Detailed error for PUT /messages/:messageId:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Delete a message: ?scope=everyone unsends your own message (within the window), ?scope=me hides it for you
+  router.delete('/messages/:messageId', requireAuth, validate({
+    summary: 'Delete a message for yourself or for everyone',
+    params: messageParams,
+    query: object({ scope: { enum: ['me', 'everyone'] } }),
+    responses: {
+      200: models.record({ id: uuid, scope: { enum: ['me', 'everyone'] }, message: { anyOf: [models.Message, { type: 'null' }] } })
+    },
+    errors: [403, 404, 409]
+  }), async (req, res) => {
+    const scope = req.query.scope || 'me';
+
+    try {
+      const message = await realtime.deleteMessage(req.userId, req.params.messageId, scope);
+      res.json({ id: req.params.messageId, scope, message });
+    } catch (err) {
+      if (sendMessageChangeError(res, err)) return;
+      console.error('Error deleting message:', err);
+      console.error('Detailed error for DELETE /messages/:messageId:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // React to a message: { emoji }
+  router.post('/messages/:messageId/reactions', requireAuth, validate({
+    summary: 'React to a message',
+    params: messageParams,
+    body: object({ emoji }, ['emoji']),
+    responses: { 200: models.ReactionUpdate },
+    errors: [403, 404]
+  }), async (req, res) => {
+    try {
+      res.json(await realtime.setReaction(req.userId, req.params.messageId, req.body.emoji, true));
+    } catch (err) {
+      if (sendMessageChangeError(res, err)) return;
+      console.error('Error adding reaction:', err);
+      console.error('Detailed error for POST /messages/:messageId/reactions:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Remove your reaction (the emoji is URL-encoded in the path)
+  router.delete('/messages/:messageId/reactions/:emoji', requireAuth, validate({
+    summary: 'Remove your reaction from a message',
+    params: params({ messageId: uuid, emoji }),
+    responses: { 200: models.ReactionUpdate },
+    errors: [403, 404]
+  }), async (req, res) => {
+    try {
+      res.json(await realtime.setReaction(req.userId, req.params.messageId, req.params.emoji, false));
+    } catch (err) {
+      if (sendMessageChangeError(res, err)) return;
+      console.error('Error removing reaction:', err);
+      console.error('Detailed error for DELETE /messages/:messageId/reactions/:emoji:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Forward a message to a friend or group: { receiverId } or { conversationId }
+  router.post('/messages/:messageId/forward', requireAuth, validate({
+    summary: 'Forward a message',
+    params: messageParams,
+    body: {
+      ...object({ receiverId: userId, conversationId: uuid }),
+      ...exactlyOneOf('receiverId', 'conversationId')
+    },
+    responses: { 201: models.Message },
+    errors: [403, 404]
+  }), async (req, res) => {
+    const { receiverId, conversationId } = req.body;
+
+    try {
+      const message = await realtime.forwardMessage(req.userId, req.params.messageId, { receiverId, conversationId });
+      res.status(201).json(message);
+    } catch (err) {
+      if (sendMessageChangeError(res, err)) return;
+      console.error('Error forwarding message:', err);
+      console.error('Detailed error for /messages/:messageId/forward:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Earlier versions of an edited message, for its participants
+  router.get('/messages/:messageId/revisions', requireAuth, validate({
+    summary: 'List the earlier versions of an edited message',
+    params: messageParams,
+    responses: { 200: models.arrayOf(models.Revision) },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const message = await messages.findForParticipant(req.params.messageId, req.userId);
+
+      if (!message || message.deleted_at) {
+        return sendError(res, 404, 'Message not found');
+      }
+
+      res.json(await messages.listRevisions(message.id));
+    } catch (err) {
+      console.error('Error fetching message revisions:', err);
+      console.error('Detailed error for /messages/:messageId/revisions:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // The inline image of a message sent before attachments existed, for
+  // participants of that conversation only
+  router.get('/messages/:messageId/image', requireAuth, validate({
+    summary: 'Get the inline image of a legacy message',
+    params: messageParams,
+    responses: { 200: models.record({ id: uuid, image_data: { type: 'string' } }) },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const message = await messages.findImage(req.params.messageId, req.userId);
+
+      if (!message || !message.image_data) {
+        return sendError(res, 404, 'Image not found');
+      }
+
+      res.json(message);
+    } catch (err) {
+      console.error('Error fetching message image:', err);
+      console.error('Detailed error for /messages/:messageId/image:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Full-text search over the authenticated user's conversations.
+  // ?q= is required; optional friendId | conversationId, from, to (ISO dates), type, limit and before (cursor).
+  // `to` is exclusive for a date-time; a plain date includes that whole day.
+  router.get('/search/messages', requireAuth, validate({
+    summary: 'Search your messages',
+    query: {
+      ...object({
+        q: notBlank({ type: 'string', maxLength: MAX_SEARCH_QUERY_LENGTH }),
+        friendId: userId,
+        conversationId: uuid,
+        from: date,
+        to: date,
+        type: { enum: MESSAGE_TYPES },
+        before: cursor,
+        limit
+      }, ['q']),
+      not: { required: ['friendId', 'conversationId'] }
+    },
+    responses: { 200: models.SearchResults },
+    errors: [404]
+  }), async (req, res) => {
+    const { q, friendId, conversationId, from, to, type, before, limit: pageSize } = req.query;
+
+    const decoded = before ? messages.decodeCursor(before) : null;
+    if (before && !decoded) {
+      return sendError(res, 400, 'Invalid cursor');
+    }
+
+    try {
+      if (conversationId && !(await conversations.findForMember(conversationId, req.userId))) {
+        return sendError(res, 404, 'Conversation not found');
+      }
+
+      const page = await messages.search(
+        req.userId,
+        { q: q.trim(), friendId, conversationId, from, to, type },
+        { before: decoded, limit: pageSize }
+      );
+      res.json(page);
+    } catch (err) {
+      console.error('Error searching messages:', err);
+      console.error('Detailed error for /search/messages:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createMessagesRouter };
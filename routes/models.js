@@ -0,0 +1,303 @@
+// routes/models.js
+//
+// JSON Schemas of what the API sends back: the response bodies of the routes
+// and the payloads of the socket events the server emits. They are only used
+// for the API docs (routes/openapi.js, sockets/asyncapi.js) and the contract
+// tests, never to filter responses. Objects list every property they always
+// carry as required, and may carry more.
+
+const { uuid, userId, object } = require('./schemas');
+
+const timestamp = { type: 'string', format: 'date-time' };
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+const nullableString = { type: ['string', 'null'] };
+const nullableTimestamp = { type: ['string', 'null'], format: 'date-time' };
+const arrayOf = (items) => ({ type: 'array', items });
+// An object whose properties are all required
+const record = (properties) => object(properties, Object.keys(properties));
+
+const ErrorResponse = record({
+  error: record({
+    code: { type: 'string' },
+    message: { type: 'string' },
+    details: { type: ['object', 'null'] }
+  })
+});
+
+// { message } for actions with nothing else to report
+const Confirmation = record({ message: { type: 'string' } });
+
+const User = record({ id: userId, username: { type: 'string' }, name: nullableString });
+
+const Tokens = record({ token: { type: 'string' }, refreshToken: { type: 'string' } });
+
+const Credentials = record({ ...Tokens.properties, user: User });
+
+const Avatar = record({
+  id: uuid,
+  mime_type: { type: 'string' },
+  width: { type: ['integer', 'null'] },
+  height: { type: ['integer', 'null'] },
+  blurhash: nullableString,
+  has_thumbnail: { type: 'boolean' }
+});
+
+const profileProperties = {
+  id: userId,
+  username: { type: 'string' },
+  name: nullableString,
+  bio: nullableString,
+  status_message: nullableString,
+  created_at: timestamp,
+  avatar: nullable(Avatar)
+};
+
+const Profile = record({ ...profileProperties, email: nullableString });
+
+const PublicProfile = record({
+  ...profileProperties,
+  friendship: { enum: ['self', 'blocked', 'friends', 'request_sent', 'request_received', 'none'] }
+});
+
+// One of the user's signed-in devices
+const Session = record({
+  id: uuid,
+  device: nullableString,
+  ip: nullableString,
+  created_at: timestamp,
+  last_seen_at: nullableTimestamp,
+  current: { type: 'boolean' }
+});
+
+const Friend = record({
+  id: userId,
+  username: { type: 'string' },
+  name: nullableString,
+  last_seen_at: nullableTimestamp,
+  unread_count: { type: 'integer' },
+  muted: { type: 'boolean' },
+  muted_until: nullableTimestamp,
+  online: { type: 'boolean' }
+});
+
+const FriendRequest = record({
+  request_id: uuid,
+  status: { enum: ['pending', 'accepted', 'declined', 'cancelled'] },
+  sender_id: userId,
+  sender_username: { type: 'string' },
+  sender_name: nullableString,
+  receiver_id: userId,
+  receiver_username: { type: 'string' },
+  receiver_name: nullableString,
+  created_at: timestamp
+});
+
+const ReceivedFriendRequest = record({
+  request_id: uuid,
+  sender_id: userId,
+  sender_username: { type: 'string' },
+  sender_name: nullableString,
+  created_at: timestamp
+});
+
+const SentFriendRequest = record({
+  request_id: uuid,
+  receiver_id: userId,
+  receiver_username: { type: 'string' },
+  receiver_name: nullableString,
+  created_at: timestamp
+});
+
+const BlockedUser = record({ ...User.properties, blocked_at: timestamp });
+
+const Mute = record({ muted: { type: 'boolean' }, muted_until: nullableTimestamp });
+
+const Attachment = record({
+  id: uuid,
+  owner_id: userId,
+  mime_type: { type: 'string' },
+  size: { type: 'integer' },
+  original_name: nullableString,
+  width: { type: ['integer', 'null'] },
+  height: { type: ['integer', 'null'] },
+  blurhash: nullableString,
+  has_thumbnail: { type: 'boolean' },
+  created_at: timestamp
+});
+
+// An attachment as embedded in a message
+const MessageAttachment = record({
+  id: uuid,
+  mime_type: { type: 'string' },
+  size: { type: 'integer' },
+  original_name: nullableString,
+  width: { type: ['integer', 'null'] },
+  height: { type: ['integer', 'null'] },
+  blurhash: nullableString,
+  has_thumbnail: { type: 'boolean' }
+});
+
+// Reactions per emoji; `reacted` (whether the viewer is among user_ids) is left
+// out of live updates, which go to everyone
+const Reaction = object({
+  emoji: { type: 'string' },
+  count: { type: 'integer' },
+  user_ids: arrayOf(userId),
+  reacted: { type: 'boolean' }
+}, ['emoji', 'count', 'user_ids']);
+
+// An encrypted message's envelope for the device it is delivered to
+const Envelope = record({ type: { type: 'string' }, body: { type: 'string' } });
+
+const Message = object({
+  id: uuid,
+  sender_id: userId,
+  receiver_id: { type: ['string', 'null'] },
+  conversation_id: { type: ['string', 'null'], format: 'uuid' },
+  message_type: { enum: ['text', 'image', 'audio', 'file'] },
+  encrypted: { type: 'boolean' },
+  sender_device_id: nullableString,
+  content: nullableString,
+  attachment_id: { type: ['string', 'null'], format: 'uuid' },
+  has_image: { type: 'boolean' },
+  reply_to_id: { type: ['string', 'null'], format: 'uuid' },
+  forwarded_from_id: { type: ['string', 'null'], format: 'uuid' },
+  client_message_id: nullableString,
+  delivered_at: nullableTimestamp,
+  read_at: nullableTimestamp,
+  edited_at: nullableTimestamp,
+  deleted_at: nullableTimestamp,
+  created_at: timestamp,
+  cursor: { type: 'string' },
+  attachment: nullable(MessageAttachment),
+  reply_to: nullable(record({
+    id: uuid,
+    sender_id: userId,
+    message_type: { type: 'string' },
+    encrypted: { type: 'boolean' },
+    content: nullableString,
+    deleted: { type: 'boolean' }
+  })),
+  reactions: arrayOf(Reaction),
+  envelope: nullable(Envelope)
+}, [
+  'id', 'sender_id', 'receiver_id', 'conversation_id', 'message_type', 'encrypted', 'content',
+  'attachment_id', 'has_image', 'reply_to_id', 'forwarded_from_id', 'delivered_at', 'read_at',
+  'edited_at', 'deleted_at', 'created_at', 'cursor', 'attachment', 'reply_to', 'reactions'
+]);
+
+const MessagePage = record({ messages: arrayOf(Message), next_cursor: nullableString });
+
+// A message matching a search, with the matches highlighted in an HTML-escaped snippet
+const SearchResult = {
+  ...Message,
+  properties: { ...Message.properties, snippet: { type: 'string' } },
+  required: [...Message.required, 'snippet']
+};
+
+const SearchResults = record({ results: arrayOf(SearchResult), next_cursor: nullableString });
+
+const Revision = record({ id: uuid, content: nullableString, edited_by: nullableString, replaced_at: timestamp });
+
+const ReactionUpdate = record({ message_id: uuid, reactions: arrayOf(Reaction) });
+
+// A direct chat receipt lists the messages it marked read; a group receipt moves the reader's marker
+const ReadReceipt = {
+  oneOf: [
+    record({
+      friend_id: userId,
+      reader_id: userId,
+      up_to_message_id: uuid,
+      read_at: nullableTimestamp,
+      message_ids: arrayOf(uuid)
+    }),
+    record({ conversation_id: uuid, reader_id: userId, up_to_message_id: uuid, read_at: timestamp })
+  ]
+};
+
+const Member = record({
+  id: userId,
+  username: { type: 'string' },
+  name: nullableString,
+  role: { enum: ['admin', 'member'] },
+  joined_at: timestamp
+});
+
+const Membership = record({ conversation_id: uuid, user_id: userId, role: { enum: ['admin', 'member'] }, joined_at: timestamp });
+
+const conversationProperties = {
+  id: uuid,
+  name: { type: 'string' },
+  created_by: nullableString,
+  created_at: timestamp,
+  updated_at: timestamp
+};
+
+// A group with its members; `role` is the viewer's, and is missing from the
+// 'conversation updated' event, which goes to every member
+const Conversation = object({
+  ...conversationProperties,
+  role: { enum: ['admin', 'member'] },
+  members: arrayOf(Member)
+}, [...Object.keys(conversationProperties), 'members']);
+
+const ConversationSummary = record({
+  ...conversationProperties,
+  role: { enum: ['admin', 'member'] },
+  last_read_at: nullableTimestamp,
+  member_count: { type: 'integer' },
+  unread_count: { type: 'integer' },
+  muted: { type: 'boolean' },
+  muted_until: nullableTimestamp
+});
+
+const KeyBundle = record({
+  device_id: { type: 'string' },
+  identity_key: { type: 'string' },
+  signing_key: { type: 'string' },
+  signed_prekey: record({ key_id: { type: 'integer' }, public_key: { type: 'string' }, signature: { type: 'string' } }),
+  one_time_prekey: nullable(record({ key_id: { type: 'integer' }, public_key: { type: 'string' } }))
+});
+
+const ImportedUser = record({ index: { type: 'integer' }, id: userId, username: { type: 'string' } });
+
+// The body of a file download
+const File = { type: 'string', contentMediaType: 'application/octet-stream' };
+
+module.exports = {
+  ErrorResponse,
+  Confirmation,
+  User,
+  Tokens,
+  Credentials,
+  Avatar,
+  Profile,
+  PublicProfile,
+  Session,
+  Friend,
+  FriendRequest,
+  ReceivedFriendRequest,
+  SentFriendRequest,
+  BlockedUser,
+  Mute,
+  Attachment,
+  MessageAttachment,
+  Reaction,
+  Envelope,
+  Message,
+  MessagePage,
+  SearchResult,
+  SearchResults,
+  Revision,
+  ReactionUpdate,
+  ReadReceipt,
+  Member,
+  Membership,
+  Conversation,
+  ConversationSummary,
+  KeyBundle,
+  ImportedUser,
+  File,
+  arrayOf,
+  record
+};
@@ -0,0 +1,185 @@
+// routes/openapi.js
+//
+// Builds the OpenAPI 3.1 document of the REST API from the routers themselves.
+// Each route's validate() call (middleware/validate.js) carries its request
+// schemas, summary and responses; its middleware says how it is authenticated.
+// Response bodies are described by routes/models.js, whose named schemas become
+// the document's components. Served at /api/docs (see routes/docs.js).
+
+const { requireAuth, optionalAuth } = require('../middleware/auth');
+const { requireAdminToken } = require('../middleware/adminAuth');
+const { version } = require('../package.json');
+const models = require('./models');
+
+const REQUEST_LOCATIONS = ['params', 'query', 'body', 'multipart'];
+
+const STATUS_DESCRIPTIONS = {
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  204: 'No content',
+  400: 'The request is not valid (code validation_failed lists every problem)',
+  401: 'Missing or invalid credentials',
+  403: 'Not allowed',
+  404: 'Not found',
+  409: 'Conflicts with the current state',
+  413: 'Too large',
+  415: 'Unsupported media type',
+  429: 'Too many attempts; see the Retry-After header',
+  500: 'Internal server error',
+  503: 'Not configured on this server'
+};
+
+// Named schemas by identity, so wherever one is used it becomes a $ref
+const MODEL_NAMES = new Map(
+  Object.entries(models)
+    .filter(([name, schema]) => /^[A-Z]/.test(name) && typeof schema === 'object')
+    .map(([name, schema]) => [schema, name])
+);
+
+// A copy of schema with every named schema inside it replaced by a $ref
+const withRefs = (schema, isRoot = true) => {
+  if (Array.isArray(schema)) return schema.map((item) => withRefs(item, false));
+  if (!schema || typeof schema !== 'object') return schema;
+  if (!isRoot && MODEL_NAMES.has(schema)) {
+    return { $ref: `#/components/schemas/${MODEL_NAMES.get(schema)}` };
+  }
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, withRefs(value, false)]));
+};
+
+// Every named schema as a component, shared with the AsyncAPI document
+const componentSchemas = () => Object.fromEntries(
+  [...MODEL_NAMES].map(([schema, name]) => [name, withRefs(schema)])
+);
+
+// Every route of the routers as { method, path, handlers }, with the mount prefix
+const listRoutes = (routers) => routers.flatMap(([prefix, router]) => router.stack
+  .filter((layer) => layer.route)
+  .flatMap((layer) => Object.keys(layer.route.methods).map((method) => ({
+    method,
+    path: prefix + layer.route.path,
+    handlers: layer.route.stack.map((routeLayer) => routeLayer.handle)
+  }))));
+
+// The documentation a route's validate() carries (null if it has none)
+const routeDocs = (route) => {
+  const validator = route.handlers.find((handler) => handler.schemas);
+  return validator ? validator.schemas : null;
+};
+
+// Express's /users/:id as OpenAPI's /users/{id}
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const parametersFor = (docs) => ['params', 'query']
+  .filter((location) => docs[location])
+  .flatMap((location) => {
+    const { properties, required = [] } = docs[location];
+    return Object.entries(properties).map(([name, schema]) => ({
+      name,
+      in: location === 'params' ? 'path' : 'query',
+      required: required.includes(name),
+      schema: withRefs(schema)
+    }));
+  });
+
+const requestBodyFor = (docs) => {
+  if (docs.multipart) {
+    return { required: true, content: { 'multipart/form-data': { schema: withRefs(docs.multipart) } } };
+  }
+  if (!docs.body) return undefined;
+  const { required = [], oneOf, anyOf } = docs.body;
+  return {
+    required: required.length > 0 || Boolean(oneOf || anyOf),
+    content: { 'application/json': { schema: withRefs(docs.body) } }
+  };
+};
+
+const responseFor = (status, schema) => {
+  const response = { description: STATUS_DESCRIPTIONS[status] || String(status) };
+  if (schema && schema.contentMediaType) {
+    response.content = { [schema.contentMediaType]: {} };
+  } else if (schema) {
+    response.content = { 'application/json': { schema: withRefs(schema, false) } };
+  }
+  return response;
+};
+
+// Statuses a route can fail with: 400 if it takes input, 401 behind a login,
+// the admin token's 401/404, whatever it declares, and 500
+const errorStatuses = (route, docs) => {
+  const statuses = new Set(docs.errors || []);
+  if (REQUEST_LOCATIONS.some((location) => docs[location])) statuses.add(400);
+  if (route.handlers.includes(requireAuth)) statuses.add(401);
+  if (route.handlers.includes(requireAdminToken)) {
+    statuses.add(401);
+    statuses.add(404);
+  }
+  statuses.add(500);
+  return [...statuses];
+};
+
+const operationFor = (route, docs) => {
+  const statuses = [
+    ...Object.keys(docs.responses).map(Number),
+    ...errorStatuses(route, docs)
+  ].sort((a, b) => a - b);
+
+  const operation = {
+    tags: [route.path.replace(/^\/api\/v\d+/, '').split('/')[1]],
+    summary: docs.summary,
+    parameters: parametersFor(docs),
+    requestBody: requestBodyFor(docs),
+    responses: Object.fromEntries(statuses.map((status) => [
+      status,
+      responseFor(status, status in docs.responses ? docs.responses[status] : models.ErrorResponse)
+    ]))
+  };
+  if (route.handlers.includes(requireAuth)) operation.security = [{ bearerAuth: [] }];
+  // {} makes the token optional
+  if (route.handlers.includes(optionalAuth)) operation.security = [{ bearerAuth: [] }, {}];
+  if (route.handlers.includes(requireAdminToken)) operation.security = [{ adminToken: [] }];
+  return operation;
+};
+
+// The OpenAPI document for the [prefix, router] pairs of routes/index.js
+const buildOpenApi = (routers) => {
+  const paths = {};
+  for (const route of listRoutes(routers)) {
+    const docs = routeDocs(route);
+    if (!docs) continue;
+    const path = toOpenApiPath(route.path);
+    paths[path] = { ...paths[path], [route.method]: operationFor(route, docs) };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Messenger API',
+      version,
+      description: 'Every error response has the body { error: { code, message, details } }. ' +
+        'Messages are sent and received over Socket.io; its events are described in /api/docs/asyncapi.json.'
+    },
+    paths,
+    components: {
+      schemas: componentSchemas(),
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'An access token from /auth/register, /auth/login or /auth/refresh'
+        },
+        adminToken: { type: 'http', scheme: 'bearer', description: 'The server\'s ADMIN_TOKEN' }
+      }
+    }
+  };
+};
+
+module.exports = {
+  listRoutes,
+  routeDocs,
+  toOpenApiPath,
+  withRefs,
+  componentSchemas,
+  buildOpenApi
+};
@@ -0,0 +1,101 @@
+// routes/push.js
+//
+// Web Push subscriptions for the authenticated user's devices.
+
+const express = require('express');
+const { pushSubscriptions } = require('../db/repositories');
+const { requireAuth } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const push = require('../services/push');
+const models = require('./models');
+const { object } = require('./schemas');
+
+const PUSH_P256DH_BYTES = 65;
+const PUSH_AUTH_BYTES = 16;
+const MAX_ENDPOINT_LENGTH = 2048;
+
+const base64Url = { type: 'string', pattern: '^[A-Za-z0-9_-]+={0,2}$' };
+const endpoint = { type: 'string', minLength: 1, maxLength: MAX_ENDPOINT_LENGTH };
+
+const isBytes = (value, bytes) => Buffer.from(value, 'base64url').length === bytes;
+
+// Refuse subscription changes while the server has no VAPID keys
+const requirePush = (req, res, next) => {
+  if (!push.enabled) {
+    return sendError(res, 503, 'Push notifications are not configured');
+  }
+  next();
+};
+
+const createPushRouter = () => {
+  const router = express.Router();
+
+  // The VAPID public key browsers need to subscribe (applicationServerKey)
+  router.get('/push/public-key', requireAuth, requirePush, validate({
+    summary: 'Get the VAPID public key',
+    responses: { 200: models.record({ public_key: { type: 'string' } }) },
+    errors: [503]
+  }), (req, res) => {
+    res.json({ public_key: push.publicKey });
+  });
+
+  // Register this device's push subscription, i.e. PushSubscription.toJSON():
+  // { endpoint, keys: { p256dh, auth } }. It belongs to the current session and
+  // goes away when the session is signed out.
+  router.post('/push/subscriptions', requireAuth, requirePush, validate({
+    summary: 'Register this device\'s push subscription',
+    body: object({
+      endpoint,
+      keys: object({ p256dh: base64Url, auth: base64Url }, ['p256dh', 'auth'])
+    }, ['endpoint', 'keys']),
+    responses: { 201: models.record({ endpoint: { type: 'string' } }) },
+    errors: [503]
+  }), async (req, res) => {
+    const { endpoint: subscriptionEndpoint, keys: subscriptionKeys } = req.body;
+
+    if (!(await push.isValidEndpoint(subscriptionEndpoint))) {
+      return sendError(res, 400, 'endpoint must be an https URL of a public push service');
+    }
+    if (!isBytes(subscriptionKeys.p256dh, PUSH_P256DH_BYTES) || !isBytes(subscriptionKeys.auth, PUSH_AUTH_BYTES)) {
+      return sendError(res, 400, `keys must have a ${PUSH_P256DH_BYTES}-byte p256dh and a ${PUSH_AUTH_BYTES}-byte auth`);
+    }
+
+    try {
+      await pushSubscriptions.upsert(req.userId, req.sessionId, {
+        endpoint: subscriptionEndpoint,
+        p256dh: subscriptionKeys.p256dh,
+        auth: subscriptionKeys.auth,
+        userAgent: req.get('user-agent') || null
+      });
+      res.status(201).json({ endpoint: subscriptionEndpoint });
+    } catch (err) {
+      console.error('Error saving push subscription:', err);
+      console.error('Detailed error for POST /push/subscriptions:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Stop pushing to a subscription, e.g. when the user turns notifications off
+  router.delete('/push/subscriptions', requireAuth, validate({
+    summary: 'Remove a push subscription',
+    body: object({ endpoint }, ['endpoint']),
+    responses: { 204: null },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      if (!(await pushSubscriptions.remove(req.userId, req.body.endpoint))) {
+        return sendError(res, 404, 'Subscription not found');
+      }
+      res.status(204).end();
+    } catch (err) {
+      console.error('Error removing push subscription:', err);
+      console.error('Detailed error for DELETE /push/subscriptions:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createPushRouter };
@@ -0,0 +1,81 @@
+// routes/schemas.js
+//
+// JSON Schema pieces shared by the routers and socket events (see
+// middleware/validate.js). User IDs are strings (imported accounts keep their
+// legacy IDs); everything else the database creates is a UUID.
+
+const { NOT_BLANK } = require('../middleware/validate');
+
+const MAX_PAGE_SIZE = 100;
+const MAX_CURSOR_LENGTH = 200;
+const MAX_DISPLAY_NAME_LENGTH = 100;
+const MAX_EMOJI_LENGTH = 64;
+
+const uuid = { type: 'string', format: 'uuid' };
+const userId = { type: 'string', minLength: 1, maxLength: 255 };
+const username = { type: 'string', minLength: 1, maxLength: 64 };
+const displayName = { type: 'string', maxLength: MAX_DISPLAY_NAME_LENGTH };
+const cursor = { type: 'string', minLength: 1, maxLength: MAX_CURSOR_LENGTH };
+const limit = { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE };
+// A reaction; services/messageChanges.js checks that it is a single emoji
+const emoji = { type: 'string', minLength: 1, maxLength: MAX_EMOJI_LENGTH };
+// A string schema that also refuses whitespace-only values
+const notBlank = (schema) => ({ ...schema, pattern: NOT_BLANK });
+// A string, or null/'' to clear the value
+const clearable = (schema) => ({ anyOf: [schema, { const: '' }, { type: 'null' }] });
+
+// An object with the given properties; extra properties are allowed
+const object = (properties, required = []) => ({ type: 'object', properties, required });
+
+// Path parameters, all required
+const params = (properties) => object(properties, Object.keys(properties));
+
+// Exactly one of the listed properties must be present
+const exactlyOneOf = (...keys) => ({ oneOf: keys.map((key) => ({ required: [key] })) });
+
+// ?before= or ?after= (not both) and ?limit= for message history pages
+const pageQuery = {
+  ...object({ before: cursor, after: cursor, limit }),
+  not: { required: ['before', 'after'] }
+};
+
+// { friendId | conversationId, upToMessageId } for read receipts (REST and socket)
+const markReadBody = {
+  ...object({ friendId: userId, conversationId: uuid, upToMessageId: uuid }, ['upToMessageId']),
+  ...exactlyOneOf('friendId', 'conversationId')
+};
+
+// { until? } for muting a chat: a date-time, or null/omitted for "until unmuted"
+const muteBody = object({ until: { type: ['string', 'null'], format: 'date-time' } });
+
+// { until } from a validated mute body, or { error } if the date has already passed
+const parseMuteUntil = (body) => {
+  if (body.until === undefined || body.until === null) return { until: null };
+
+  const date = new Date(body.until);
+  if (date <= new Date()) {
+    return { error: 'until must be a future ISO 8601 date' };
+  }
+  return { until: date };
+};
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  MAX_DISPLAY_NAME_LENGTH,
+  uuid,
+  userId,
+  username,
+  displayName,
+  cursor,
+  limit,
+  emoji,
+  notBlank,
+  clearable,
+  object,
+  params,
+  exactlyOneOf,
+  pageQuery,
+  markReadBody,
+  muteBody,
+  parseMuteUntil
+};
@@ -0,0 +1,63 @@
+// routes/users.js
+//
+// Finding other people and viewing their public profiles.
+
+const express = require('express');
+const { users } = require('../db/repositories');
+const { requireAuth } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const models = require('./models');
+const { userId, limit, notBlank, object, params } = require('./schemas');
+
+const MAX_USER_SEARCH_QUERY_LENGTH = 100;
+
+const createUsersRouter = () => {
+  const router = express.Router();
+
+  // Find people by username or display name: ?q= (prefix or fuzzy match), ?limit=.
+  // Each result carries the searcher's friendship state with that user.
+  router.get('/users/search', requireAuth, validate({
+    summary: 'Search for users',
+    query: object({
+      q: notBlank({ type: 'string', maxLength: MAX_USER_SEARCH_QUERY_LENGTH }),
+      limit
+    }, ['q']),
+    responses: { 200: models.record({ results: models.arrayOf(models.PublicProfile) }) }
+  }), async (req, res) => {
+    const { q } = req.query;
+
+    try {
+      const results = await users.search(req.userId, q, parseInt(req.query.limit, 10) || undefined);
+      res.json({ results });
+    } catch (err) {
+      console.error('Error searching users:', err);
+      console.error('Detailed error for /users/search:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  // Someone's public profile and the viewer's friendship state with them
+  router.get('/users/:id', requireAuth, validate({
+    summary: 'Get a user\'s public profile',
+    params: params({ id: userId }),
+    responses: { 200: models.PublicProfile },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const profile = await users.findPublicProfile(req.userId, req.params.id);
+      if (!profile) {
+        return sendError(res, 404, 'User not found');
+      }
+      res.json(profile);
+    } catch (err) {
+      console.error('Error fetching user profile:', err);
+      console.error('Detailed error for /users/:id:', err.stack || err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createUsersRouter };
@@ -0,0 +1,151 @@
+// scripts/cluster-harness.js
+//
+// Starts two server processes sharing one pub/sub adapter and checks that
+// socket events cross between them: presence, chat delivery, session
+// revocation, and a graceful SIGTERM drain. Needs the same database settings
+// as the server (migrated) and, for PUBSUB_ADAPTER=redis, a reachable REDIS_URL.
+//
+// Usage: PUBSUB_ADAPTER=postgres node scripts/cluster-harness.js [basePort]
+
+require('dotenv').config();
+
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+const { io } = require('socket.io-client');
+const { STEP_TIMEOUT_MS, waitFor } = require('../test/support/events');
+
+const adapter = process.env.PUBSUB_ADAPTER || 'postgres';
+
+const startNode = (port) => {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, PORT: String(port), PUBSUB_ADAPTER: adapter },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.url = `http://localhost:${port}`;
+  child.output = '';
+  child.stdout.on('data', (chunk) => { child.output += chunk; });
+  child.stderr.on('data', (chunk) => { child.output += chunk; });
+  child.exited = new Promise((resolve) => child.on('exit', (code) => resolve(code)));
+  return child;
+};
+
+const waitUntilListening = async (node) => {
+  const deadline = Date.now() + STEP_TIMEOUT_MS * 2;
+  while (Date.now() < deadline) {
+    if (node.exitCode !== null) break;
+    try {
+      await fetch(node.url);
+      return;
+    } catch {
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+  }
+  throw new Error(`${node.url} did not start:\n${node.output}`);
+};
+
+const request = async (node, method, route, token, body) => {
+  const response = await fetch(node.url + route, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+  assert.ok(response.ok, `${method} ${route} failed with ${response.status}: ${JSON.stringify(data)}`);
+  return data;
+};
+
+const connect = async (node, token) => {
+  const socket = io(node.url, { auth: { token }, transports: ['websocket'], reconnection: false });
+  await waitFor(socket, 'connect');
+  return socket;
+};
+
+const step = async (name, fn) => {
+  await fn();
+  console.log(`ok - ${name}`);
+};
+
+const run = async (basePort) => {
+  const nodes = [startNode(basePort), startNode(basePort + 1)];
+  const sockets = [];
+
+  try {
+    await Promise.all(nodes.map(waitUntilListening));
+    const [one, two] = nodes;
+
+    const suffix = Date.now().toString(36);
+    const alice = await request(one, 'POST', '/auth/register', null, { username: `alice_${suffix}`, password: 'cluster-harness' });
+    const bob = await request(two, 'POST', '/auth/register', null, { username: `bob_${suffix}`, password: 'cluster-harness' });
+    await request(one, 'POST', '/api/v1/friend-requests', alice.token, { receiverUsername: bob.user.username });
+    const [pending] = await request(two, 'GET', '/api/v1/friend-requests', bob.token);
+    await request(two, 'POST', `/api/v1/friend-requests/${pending.request_id}/accept`, bob.token);
+
+    const bobSocket = await connect(two, bob.token);
+    sockets.push(bobSocket);
+
+    let aliceSocket;
+    await step('presence crosses nodes', async () => {
+      const online = waitFor(bobSocket, 'presence', (event) => event.user_id === alice.user.id && event.online);
+      aliceSocket = await connect(one, alice.token);
+      sockets.push(aliceSocket);
+      await online;
+
+      const friendsOfBob = await request(two, 'GET', '/api/v1/friends', bob.token);
+      assert.equal(friendsOfBob.find((friend) => friend.id === alice.user.id).online, true);
+    });
+
+    await step('chat messages cross nodes', async () => {
+      const received = waitFor(bobSocket, 'chat message', (msg) => msg.content === 'hello from node one');
+      const ack = await aliceSocket.timeout(STEP_TIMEOUT_MS).emitWithAck('chat message', {
+        receiverId: bob.user.id,
+        content: 'hello from node one',
+        clientMessageId: `harness-${suffix}`
+      });
+      assert.equal(ack.ok, true);
+      const [msg] = await received;
+      assert.equal(msg.id, ack.message.id);
+    });
+
+    await step('session revocation disconnects sockets on other nodes', async () => {
+      const disconnected = waitFor(aliceSocket, 'disconnect');
+      const offline = waitFor(bobSocket, 'presence', (event) => event.user_id === alice.user.id && !event.online);
+      await request(two, 'POST', '/auth/logout', alice.token);
+      await disconnected;
+      await offline;
+    });
+
+    await step('SIGTERM drains a node and lets clients reconnect elsewhere', async () => {
+      const bobOnOne = await connect(one, bob.token);
+      sockets.push(bobOnOne);
+      const [reason] = await Promise.all([waitFor(bobOnOne, 'disconnect'), one.kill('SIGTERM')]);
+      // A transport close (not "io server disconnect") means the client would reconnect
+      assert.equal(reason[0], 'transport close');
+      assert.equal(await one.exited, 0, one.output);
+
+      // The surviving node stops waiting on the drained one for presence lookups
+      const friendsOfBob = await request(two, 'GET', '/api/v1/friends', bob.token);
+      assert.equal(friendsOfBob.find((friend) => friend.id === alice.user.id).online, false);
+    });
+
+    two.kill('SIGTERM');
+    assert.equal(await two.exited, 0, two.output);
+    console.log(`All cluster checks passed (PUBSUB_ADAPTER=${adapter})`);
+  } catch (err) {
+    nodes.forEach((node) => console.error(`--- ${node.url} output ---\n${node.output}`));
+    throw err;
+  } finally {
+    sockets.forEach((socket) => socket.close());
+    nodes.forEach((node) => {
+      if (node.exitCode === null) node.kill('SIGKILL');
+    });
+  }
+};
+
+run(parseInt(process.argv[2], 10) || 5100).catch((err) => {
+  console.error('Cluster harness failed:', err);
+  process.exit(1);
+});
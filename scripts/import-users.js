@@ -0,0 +1,77 @@
+// scripts/import-users.js
+//
+// Imports legacy accounts with fixed IDs from a file: a JSON array of rows or
+// one JSON row per line (see services/userImport.js for the row format). The
+// whole file is validated before anything is written, then imported in
+// batches that each commit on their own. Rows whose ID, username or email
+// already exists are skipped, so a partly finished import can be re-run.
+//
+// Usage: node scripts/import-users.js <file> [--dry-run] [--batch-size N]
+
+require('dotenv').config();
+
+const fs = require('fs');
+const pool = require('../db/pool');
+const { MAX_IMPORT_BATCH, validateRows, importUsers } = require('../services/userImport');
+
+const parseArgs = (argv) => {
+  const options = { file: null, dryRun: false, batchSize: 100 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (argv[i] === '--batch-size') {
+      options.batchSize = parseInt(argv[++i], 10);
+    } else {
+      options.file = argv[i];
+    }
+  }
+  return options;
+};
+
+const readRows = (file) => {
+  const text = fs.readFileSync(file, 'utf8').trim();
+  if (text.startsWith('[')) return JSON.parse(text);
+  return text.split('\n').filter((line) => line.trim()).map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      throw new Error(`Line ${index + 1} is not valid JSON: ${err.message}`);
+    }
+  });
+};
+
+const run = async ({ file, dryRun, batchSize }) => {
+  if (!file) {
+    throw new Error('Usage: node scripts/import-users.js <file> [--dry-run] [--batch-size N]');
+  }
+  if (!(batchSize > 0 && batchSize <= MAX_IMPORT_BATCH)) {
+    throw new Error(`--batch-size must be between 1 and ${MAX_IMPORT_BATCH}`);
+  }
+
+  const rows = readRows(file);
+  const errors = validateRows(rows);
+  if (errors.length > 0) {
+    errors.forEach(({ index, error }) => console.error(`Row ${index}: ${error}`));
+    throw new Error(`${errors.length} invalid row(s), nothing was imported`);
+  }
+
+  let created = 0;
+  let skipped = 0;
+  for (let start = 0; start < rows.length; start += batchSize) {
+    const result = await importUsers(rows.slice(start, start + batchSize), { dryRun });
+    result.skipped.forEach(({ index, id, username }) => {
+      console.warn(`Skipping row ${start + index} (${id}, ${username}): ID, username or email already exists`);
+    });
+    created += result.created.length;
+    skipped += result.skipped.length;
+  }
+
+  console.log(`${dryRun ? 'Would import' : 'Imported'} ${created} user(s), skipped ${skipped}`);
+};
+
+run(parseArgs(process.argv.slice(2)))
+  .catch((err) => {
+    console.error('User import failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,61 @@
+// scripts/migrate-image-data.js
+//
+// One-off move of legacy inline images (messages.image_data, usually base64
+// data URLs) into the attachment store. Each migrated message gets an
+// attachment_id and its image_data is cleared. Safe to re-run.
+//
+// Usage: node scripts/migrate-image-data.js [batchSize]
+
+require('dotenv').config();
+
+const pool = require('../db/pool');
+const attachmentService = require('../services/attachments');
+
+const decodeImageData = (imageData) => {
+  const match = /^data:[^;,]*(;base64)?,(.*)$/s.exec(imageData);
+  if (!match) return Buffer.from(imageData, 'base64');
+  return match[1] ? Buffer.from(match[2], 'base64') : Buffer.from(decodeURIComponent(match[2]), 'latin1');
+};
+
+const run = async (batchSize) => {
+  let migrated = 0;
+  let skipped = 0;
+  const failedIds = [];
+
+  for (;;) {
+    const { rows } = await pool.query(`
+      SELECT id, sender_id, image_data FROM messages
+      WHERE image_data IS NOT NULL AND attachment_id IS NULL AND NOT (id = ANY($2::uuid[]))
+      ORDER BY created_at
+      LIMIT $1
+    `, [batchSize, failedIds]);
+
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      const buffer = decodeImageData(row.image_data);
+      try {
+        const attachment = await attachmentService.saveUpload(row.sender_id, {
+          buffer,
+          size: buffer.length,
+          originalname: `image-${row.id}`
+        });
+        await pool.query('UPDATE messages SET attachment_id = $1, image_data = NULL WHERE id = $2', [attachment.id, row.id]);
+        migrated++;
+      } catch (err) {
+        console.warn(`Skipping message ${row.id}: ${err.message}`);
+        failedIds.push(row.id);
+        skipped++;
+      }
+    }
+  }
+
+  console.log(`Migrated ${migrated} image(s), skipped ${skipped}`);
+};
+
+run(parseInt(process.argv[2], 10) || 100)
+  .catch((err) => {
+    console.error('Image migration failed:', err.stack || err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,314 @@
+// scripts/push-harness.js
+//
+// Starts the server with fresh VAPID keys next to a mock push service and
+// checks the push notifications it sends: friend requests, batching of message
+// bursts, nothing while the app is in the foreground or the chat is muted, and
+// pruning of subscriptions the push service reports as gone. The mock checks
+// the VAPID signature and decrypts every payload (RFC 8291, aes128gcm) the way
+// a browser would. Needs the same database settings as the server (migrated).
+//
+// Usage: node scripts/push-harness.js [basePort]
+
+require('dotenv').config();
+
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const EventEmitter = require('node:events');
+const http = require('node:http');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+const { io } = require('socket.io-client');
+const webpush = require('web-push');
+const { STEP_TIMEOUT_MS, sleep, waitFor } = require('../test/support/events');
+
+const PUSH_BATCH_MS = 300;
+// How long to wait before concluding that no notification is coming
+const QUIET_MS = PUSH_BATCH_MS + 700;
+
+const hkdf = (salt, ikm, info, length) => Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+
+// The browser's side of a subscription: a P-256 key pair and an auth secret
+const createBrowserKeys = () => {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return { ecdh, auth: crypto.randomBytes(16) };
+};
+
+// Decrypt an aes128gcm push message body (a single record) as the browser would
+const decryptPayload = (body, { ecdh, auth }) => {
+  const salt = body.subarray(0, 16);
+  const idLength = body[20];
+  const serverPublicKey = body.subarray(21, 21 + idLength);
+  const record = body.subarray(21 + idLength);
+
+  const sharedSecret = ecdh.computeSecret(serverPublicKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), serverPublicKey]);
+  const ikm = hkdf(auth, sharedSecret, keyInfo, 32);
+  const key = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', key, nonce);
+  decipher.setAuthTag(record.subarray(record.length - 16));
+  const padded = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+  // The last record ends with a 0x02 delimiter followed by optional zero padding
+  let end = padded.length - 1;
+  while (padded[end] === 0) end--;
+  assert.equal(padded[end], 2, 'Payload is missing its padding delimiter');
+  return JSON.parse(padded.subarray(0, end).toString('utf8'));
+};
+
+// Check the `vapid t=<jwt>, k=<public key>` Authorization header
+const verifyVapid = (header, publicKey, origin) => {
+  const match = /^vapid t=([^,\s]+),\s*k=([^,\s]+)$/.exec(header || '');
+  assert.ok(match, `Unexpected Authorization header: ${header}`);
+  const [, jwt, key] = match;
+  assert.equal(key, publicKey);
+
+  const [encodedHeader, encodedClaims, signature] = jwt.split('.');
+  const raw = Buffer.from(key, 'base64url');
+  const verifier = crypto.createPublicKey({
+    key: { kty: 'EC', crv: 'P-256', x: raw.subarray(1, 33).toString('base64url'), y: raw.subarray(33).toString('base64url') },
+    format: 'jwk'
+  });
+  const valid = crypto.verify('sha256', Buffer.from(`${encodedHeader}.${encodedClaims}`), { key: verifier, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64url'));
+  assert.ok(valid, 'VAPID signature does not verify');
+
+  const claims = JSON.parse(Buffer.from(encodedClaims, 'base64url').toString('utf8'));
+  assert.equal(claims.aud, origin);
+  assert.ok(claims.exp * 1000 > Date.now(), 'VAPID token has expired');
+};
+
+// A push service with one endpoint per subscription; `status` is what it
+// answers (e.g. 410 once the "browser" has unsubscribed)
+const startPushService = (port, vapidPublicKey) => {
+  const subscriptions = new Map();
+  const received = [];
+  const events = new EventEmitter();
+  const origin = `http://localhost:${port}`;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const id = req.url.split('/').pop();
+      const subscription = subscriptions.get(id);
+      if (!subscription) {
+        res.writeHead(404).end();
+        return;
+      }
+      try {
+        assert.equal(req.method, 'POST');
+        assert.equal(req.headers['content-encoding'], 'aes128gcm');
+        assert.ok(Number(req.headers.ttl) > 0, 'TTL header is missing');
+        verifyVapid(req.headers.authorization, vapidPublicKey, origin);
+        const push = { id, urgency: req.headers.urgency, payload: decryptPayload(Buffer.concat(chunks), subscription.keys) };
+        received.push(push);
+        events.emit('push', push);
+        res.writeHead(subscription.status).end();
+      } catch (err) {
+        events.emit('invalid', err);
+        res.writeHead(400).end(err.message);
+      }
+    });
+  });
+
+  return {
+    server,
+    listening: new Promise((resolve) => server.listen(port, resolve)),
+    // A new browser subscription, as PushSubscription.toJSON() would give it
+    subscribe: () => {
+      const id = crypto.randomUUID();
+      const keys = createBrowserKeys();
+      subscriptions.set(id, { keys, status: 201 });
+      return {
+        id,
+        json: {
+          endpoint: `${origin}/push/${id}`,
+          keys: { p256dh: keys.ecdh.getPublicKey().toString('base64url'), auth: keys.auth.toString('base64url') }
+        }
+      };
+    },
+    setStatus: (id, status) => { subscriptions.get(id).status = status; },
+    nextPush: (id) => Promise.race([
+      waitFor(events, 'push', (push) => push.id === id).then(([push]) => push),
+      waitFor(events, 'invalid').then(([err]) => { throw err; })
+    ]),
+    // Resolves if no notification for id arrives within QUIET_MS
+    expectNone: async (id) => {
+      const before = received.filter((push) => push.id === id).length;
+      await sleep(QUIET_MS);
+      const after = received.filter((push) => push.id === id);
+      assert.equal(after.length, before, `Unexpected push: ${JSON.stringify(after[after.length - 1])}`);
+    }
+  };
+};
+
+const startServer = (port, vapidKeys) => {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      VAPID_PUBLIC_KEY: vapidKeys.publicKey,
+      VAPID_PRIVATE_KEY: vapidKeys.privateKey,
+      VAPID_SUBJECT: 'mailto:push-harness@example.com',
+      PUSH_BATCH_MS: String(PUSH_BATCH_MS),
+      PUSH_ALLOW_LOCAL_ENDPOINTS: 'true'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.url = `http://localhost:${port}`;
+  child.output = '';
+  child.stdout.on('data', (chunk) => { child.output += chunk; });
+  child.stderr.on('data', (chunk) => { child.output += chunk; });
+  child.exited = new Promise((resolve) => child.on('exit', (code) => resolve(code)));
+  return child;
+};
+
+const waitUntilListening = async (node) => {
+  const deadline = Date.now() + STEP_TIMEOUT_MS * 2;
+  while (Date.now() < deadline) {
+    if (node.exitCode !== null) break;
+    try {
+      await fetch(node.url);
+      return;
+    } catch {
+      await sleep(200);
+    }
+  }
+  throw new Error(`${node.url} did not start:\n${node.output}`);
+};
+
+const request = async (node, method, route, token, body, expectedStatus = null) => {
+  const response = await fetch(node.url + route, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = response.status === 204 ? null : await response.json();
+  if (expectedStatus) {
+    assert.equal(response.status, expectedStatus, `${method} ${route}: ${JSON.stringify(data)}`);
+  } else {
+    assert.ok(response.ok, `${method} ${route} failed with ${response.status}: ${JSON.stringify(data)}`);
+  }
+  return data;
+};
+
+const connect = async (node, token) => {
+  const socket = io(node.url, { auth: { token }, transports: ['websocket'], reconnection: false });
+  await waitFor(socket, 'connect');
+  return socket;
+};
+
+const step = async (name, fn) => {
+  await fn();
+  console.log(`ok - ${name}`);
+};
+
+const run = async (basePort) => {
+  const vapidKeys = webpush.generateVAPIDKeys();
+  const pushService = startPushService(basePort + 1, vapidKeys.publicKey);
+  const node = startServer(basePort, vapidKeys);
+  const sockets = [];
+
+  try {
+    await pushService.listening;
+    await waitUntilListening(node);
+
+    const suffix = Date.now().toString(36);
+    const alice = await request(node, 'POST', '/auth/register', null, { username: `alice_${suffix}`, password: 'Push-harness-1' });
+    const bob = await request(node, 'POST', '/auth/register', null, { username: `bob_${suffix}`, password: 'Push-harness-1' });
+    const subscription = pushService.subscribe();
+
+    await step('subscriptions are validated and registered', async () => {
+      const { public_key: publicKey } = await request(node, 'GET', '/api/v1/push/public-key', bob.token);
+      assert.equal(publicKey, vapidKeys.publicKey);
+      await request(node, 'POST', '/api/v1/push/subscriptions', bob.token, { endpoint: subscription.json.endpoint, keys: { p256dh: 'AAAA', auth: 'AAAA' } }, 400);
+      await request(node, 'POST', '/api/v1/push/subscriptions', bob.token, subscription.json, 201);
+    });
+
+    await step('a friend request is pushed to an offline user', async () => {
+      const pushed = pushService.nextPush(subscription.id);
+      await request(node, 'POST', '/api/v1/friend-requests', alice.token, { receiverUsername: bob.user.username });
+      const { payload } = await pushed;
+      assert.equal(payload.type, 'friend_request');
+      assert.equal(payload.body, `${alice.user.username} sent you a friend request`);
+
+      const [pending] = await request(node, 'GET', '/api/v1/friend-requests', bob.token);
+      await request(node, 'POST', `/api/v1/friend-requests/${pending.request_id}/accept`, bob.token);
+    });
+
+    const aliceSocket = await connect(node, alice.token);
+    sockets.push(aliceSocket);
+    const send = async (content) => {
+      const ack = await aliceSocket.timeout(STEP_TIMEOUT_MS).emitWithAck('chat message', { receiverId: bob.user.id, content });
+      assert.equal(ack.ok, true, JSON.stringify(ack.error));
+    };
+
+    await step('a burst of messages becomes one notification', async () => {
+      const pushed = pushService.nextPush(subscription.id);
+      await send('one');
+      await send('two');
+      await send('three');
+      const { payload, urgency } = await pushed;
+      assert.equal(payload.type, 'message');
+      assert.equal(payload.count, 3);
+      assert.equal(payload.body, '3 new messages');
+      assert.equal(payload.title, alice.user.username);
+      assert.equal(payload.friend_id, alice.user.id);
+      assert.equal(urgency, 'high');
+      await pushService.expectNone(subscription.id);
+    });
+
+    const bobSocket = await connect(node, bob.token);
+    sockets.push(bobSocket);
+
+    await step('nothing is pushed while the app is in the foreground', async () => {
+      await send('you can see this');
+      await pushService.expectNone(subscription.id);
+    });
+
+    await step('a backgrounded app gets a notification with a preview', async () => {
+      bobSocket.emit('app state', { foreground: false });
+      const pushed = pushService.nextPush(subscription.id);
+      await send('are you there?');
+      const { payload } = await pushed;
+      assert.equal(payload.count, 1);
+      assert.equal(payload.body, 'are you there?');
+    });
+
+    await step('muted chats are not pushed', async () => {
+      await request(node, 'PUT', `/api/v1/friends/${alice.user.id}/mute`, bob.token, {});
+      await send('muted');
+      await pushService.expectNone(subscription.id);
+      await request(node, 'DELETE', `/api/v1/friends/${alice.user.id}/mute`, bob.token);
+    });
+
+    await step('subscriptions the push service reports as gone are removed', async () => {
+      pushService.setStatus(subscription.id, 410);
+      const pushed = pushService.nextPush(subscription.id);
+      await send('anyone?');
+      await pushed;
+      await sleep(200);
+      await request(node, 'DELETE', '/api/v1/push/subscriptions', bob.token, { endpoint: subscription.json.endpoint }, 404);
+    });
+
+    node.kill('SIGTERM');
+    assert.equal(await node.exited, 0, node.output);
+    console.log('All push checks passed');
+  } catch (err) {
+    console.error(`--- ${node.url} output ---\n${node.output}`);
+    throw err;
+  } finally {
+    sockets.forEach((socket) => socket.close());
+    pushService.server.close();
+    if (node.exitCode === null) node.kill('SIGKILL');
+  }
+};
+
+run(parseInt(process.argv[2], 10) || 5200).catch((err) => {
+  console.error('Push harness failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,97 @@
+// services/attachments.js
+
+const crypto = require('crypto');
+const { storage } = require('./storage');
+const { sniffMimeType } = require('./mime');
+const { processImage, THUMBNAIL_MIME_TYPE } = require('./images');
+const attachments = require('../db/repositories/attachments');
+
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 25 * 1024 * 1024;
+
+class AttachmentError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Validate, store and record an uploaded file. `file` is a multer memory-storage file.
+const saveUpload = async (ownerId, file) => {
+  if (!file || file.size === 0) {
+    throw new AttachmentError(400, 'A non-empty file is required');
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    throw new AttachmentError(413, 'File is too large');
+  }
+
+  const mimeType = sniffMimeType(file.buffer);
+  if (!mimeType) {
+    throw new AttachmentError(415, 'Unsupported file type');
+  }
+
+  const id = crypto.randomUUID();
+  const now = new Date();
+  const storageKey = `${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}/${id}`;
+
+  let buffer = file.buffer;
+  let image = null;
+  if (mimeType.startsWith('image/')) {
+    try {
+      image = await processImage(file.buffer, mimeType);
+    } catch (err) {
+      throw new AttachmentError(415, 'Could not read image');
+    }
+    buffer = image.buffer;
+  }
+
+  const thumbnailKey = image ? `${storageKey}.thumb` : null;
+  const storedKeys = [];
+  try {
+    await storage.put(storageKey, buffer, { mimeType });
+    storedKeys.push(storageKey);
+    if (image) {
+      await storage.put(thumbnailKey, image.thumbnail, { mimeType: THUMBNAIL_MIME_TYPE });
+      storedKeys.push(thumbnailKey);
+    }
+
+    return await attachments.create({
+      id,
+      ownerId,
+      storageKey,
+      mimeType,
+      size: buffer.length,
+      originalName: file.originalname,
+      width: image && image.width,
+      height: image && image.height,
+      blurhash: image && image.blurhash,
+      thumbnailKey
+    });
+  } catch (err) {
+    await Promise.all(storedKeys.map((key) => storage.remove(key).catch(() => {})));
+    throw err;
+  }
+};
+
+// Returns { attachment, stream } or null if the user may not see the attachment
+const openDownload = async (id, userId) => {
+  const attachment = await attachments.findAccessible(id, userId);
+  if (!attachment) return null;
+  const stream = await storage.getStream(attachment.storage_key);
+  return { attachment, stream };
+};
+
+// Same as openDownload, for the image thumbnail. Returns null for non-images.
+const openThumbnail = async (id, userId) => {
+  const attachment = await attachments.findAccessible(id, userId);
+  if (!attachment || !attachment.thumbnail_key) return null;
+  const stream = await storage.getStream(attachment.thumbnail_key);
+  return { attachment, stream, mimeType: THUMBNAIL_MIME_TYPE };
+};
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  AttachmentError,
+  saveUpload,
+  openDownload,
+  openThumbnail
+};
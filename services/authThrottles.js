@@ -0,0 +1,37 @@
+// services/authThrottles.js
+//
+// Brute-force protection for the credential endpoints. Counters live in
+// Postgres (see services/throttle.js), so limits hold across server instances.
+
+const { createThrottle } = require('./throttle');
+
+const AUTH_WINDOW_SECONDS = (parseInt(process.env.AUTH_RATE_WINDOW_MINUTES, 10) || 15) * 60;
+const AUTH_LOCKOUT_SECONDS = (parseInt(process.env.AUTH_LOCKOUT_MINUTES, 10) || 15) * 60;
+
+// Every login, registration and password reset attempt from one IP
+const ipThrottle = createThrottle({
+  name: 'auth-ip',
+  limit: parseInt(process.env.AUTH_MAX_ATTEMPTS_PER_IP, 10) || 30,
+  windowSeconds: AUTH_WINDOW_SECONDS,
+  lockoutSeconds: AUTH_LOCKOUT_SECONDS
+});
+// Wrong passwords for one account, from anywhere
+const loginThrottle = createThrottle({
+  name: 'login-user',
+  limit: parseInt(process.env.AUTH_MAX_FAILED_LOGINS, 10) || 5,
+  windowSeconds: AUTH_WINDOW_SECONDS,
+  lockoutSeconds: AUTH_LOCKOUT_SECONDS
+});
+// Registration attempts for one username (probing which names are taken)
+const registerThrottle = createThrottle({
+  name: 'register-user',
+  limit: parseInt(process.env.AUTH_MAX_REGISTRATIONS_PER_USERNAME, 10) || 5,
+  windowSeconds: AUTH_WINDOW_SECONDS,
+  lockoutSeconds: AUTH_LOCKOUT_SECONDS
+});
+
+module.exports = {
+  ipThrottle,
+  loginThrottle,
+  registerThrottle
+};
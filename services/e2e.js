@@ -0,0 +1,142 @@
+// services/e2e.js
+//
+// Server side of end-to-end encrypted direct messages. Keys and ciphertext
+// are opaque to the server apart from their sizes; the only cryptography done
+// here is checking that a signed prekey is signed by the device's signing key,
+// so a bundle cannot be assembled from someone else's keys.
+//
+// An encrypted message must carry exactly one envelope for every active device
+// of the receiver and of the sender (other than the sending device). When the
+// sender's view of those devices is out of date the message is refused with
+// the devices it missed and the ones that are gone, so it can fetch bundles
+// for the new ones and send again.
+
+const crypto = require('crypto');
+const { keys } = require('../db/repositories');
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+const PUBLIC_KEY_BYTES = 32;
+const SIGNATURE_BYTES = 64;
+const MAX_KEY_ID = 2 ** 31 - 1;
+const MAX_PREKEYS_PER_UPLOAD = 100;
+const MAX_ENVELOPES = 50;
+const MAX_ENVELOPE_LENGTH = parseInt(process.env.E2E_MAX_ENVELOPE_LENGTH, 10) || 16384;
+const ENVELOPE_TYPES = ['prekey', 'message'];
+
+class E2eError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const isDeviceId = (value) => typeof value === 'string' && DEVICE_ID_PATTERN.test(value);
+
+const isKeyId = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_KEY_ID;
+
+// Whether value is base64 that decodes to exactly `bytes` bytes
+const isBase64Bytes = (value, bytes) => {
+  return typeof value === 'string' && BASE64_PATTERN.test(value) && Buffer.from(value, 'base64').length === bytes;
+};
+
+const verifySignature = (signingKey, publicKey, signature) => {
+  try {
+    const key = crypto.createPublicKey({
+      key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(signingKey, 'base64').toString('base64url') },
+      format: 'jwk'
+    });
+    return crypto.verify(null, Buffer.from(publicKey, 'base64'), key, Buffer.from(signature, 'base64'));
+  } catch (err) {
+    return false;
+  }
+};
+
+// Returns why a POST /keys body is not a valid bundle, or null
+const bundleProblem = ({ deviceId, identityKey, signingKey, signedPreKey, oneTimePreKeys = [] } = {}) => {
+  if (!isDeviceId(deviceId)) return 'deviceId must be 1-64 letters, digits, "-" or "_"';
+  if (!isBase64Bytes(identityKey, PUBLIC_KEY_BYTES)) return `identityKey must be a base64 ${PUBLIC_KEY_BYTES}-byte public key`;
+  if (!isBase64Bytes(signingKey, PUBLIC_KEY_BYTES)) return `signingKey must be a base64 ${PUBLIC_KEY_BYTES}-byte public key`;
+
+  if (!signedPreKey || !isKeyId(signedPreKey.keyId) || !isBase64Bytes(signedPreKey.publicKey, PUBLIC_KEY_BYTES)) {
+    return 'signedPreKey must have a keyId and a base64 publicKey';
+  }
+  if (!isBase64Bytes(signedPreKey.signature, SIGNATURE_BYTES) || !verifySignature(signingKey, signedPreKey.publicKey, signedPreKey.signature)) {
+    return 'signedPreKey signature does not match signingKey';
+  }
+
+  if (!Array.isArray(oneTimePreKeys) || oneTimePreKeys.length > MAX_PREKEYS_PER_UPLOAD) {
+    return `oneTimePreKeys must be an array of at most ${MAX_PREKEYS_PER_UPLOAD} keys`;
+  }
+  const keyIds = new Set();
+  for (const key of oneTimePreKeys) {
+    if (!key || !isKeyId(key.keyId) || !isBase64Bytes(key.publicKey, PUBLIC_KEY_BYTES) || keyIds.has(key.keyId)) {
+      return 'Each one-time prekey needs a unique keyId and a base64 publicKey';
+    }
+    keyIds.add(key.keyId);
+  }
+  return null;
+};
+
+// Store a device's bundle (validated with bundleProblem). Returns the number of
+// one-time prekeys it has left, so the client knows when to upload more.
+const publishBundle = async (userId, sessionId, bundle) => {
+  return keys.publish(userId, sessionId, { ...bundle, oneTimePreKeys: bundle.oneTimePreKeys || [] });
+};
+
+const deviceKey = (userId, deviceId) => `${userId}\n${deviceId}`;
+
+// Check the envelopes of a direct message from senderDeviceId. Returns them as
+// [{ userId, deviceId, type, body }]; throws E2eError otherwise. A 409 carries
+// { missing_devices, stale_devices }, each a list of { user_id, device_id }.
+const checkEnvelopes = async (senderId, senderDeviceId, receiverId, envelopes) => {
+  if (!Array.isArray(envelopes) || envelopes.length === 0 || envelopes.length > MAX_ENVELOPES) {
+    throw new E2eError(400, `envelopes must be a non-empty array of at most ${MAX_ENVELOPES}`);
+  }
+
+  const addressed = new Map();
+  for (const envelope of envelopes) {
+    if (!envelope || typeof envelope.userId !== 'string' || !isDeviceId(envelope.deviceId)
+        || !ENVELOPE_TYPES.includes(envelope.type)
+        || typeof envelope.body !== 'string' || !BASE64_PATTERN.test(envelope.body) || envelope.body.length > MAX_ENVELOPE_LENGTH) {
+      throw new E2eError(400, `Each envelope needs a userId, deviceId, type (prekey or message) and a base64 body of at most ${MAX_ENVELOPE_LENGTH} characters`);
+    }
+    const key = deviceKey(envelope.userId, envelope.deviceId);
+    if (addressed.has(key)) {
+      throw new E2eError(400, 'Only one envelope per device');
+    }
+    addressed.set(key, { userId: envelope.userId, deviceId: envelope.deviceId, type: envelope.type, body: envelope.body });
+  }
+
+  const expected = (await keys.listActiveDevices([senderId, receiverId]))
+    .filter((device) => !(device.user_id === senderId && device.device_id === senderDeviceId));
+  const expectedKeys = new Set(expected.map((device) => deviceKey(device.user_id, device.device_id)));
+
+  const missing = expected.filter((device) => !addressed.has(deviceKey(device.user_id, device.device_id)));
+  const stale = [...addressed.values()]
+    .filter((envelope) => !expectedKeys.has(deviceKey(envelope.userId, envelope.deviceId)))
+    .map((envelope) => ({ user_id: envelope.userId, device_id: envelope.deviceId }));
+
+  if (missing.length > 0 || stale.length > 0) {
+    throw new E2eError(409, 'Device list has changed', { missing_devices: missing, stale_devices: stale });
+  }
+  if (!expected.some((device) => device.user_id === receiverId)) {
+    throw new E2eError(409, 'Receiver has not set up encryption', { missing_devices: [], stale_devices: [] });
+  }
+  return [...addressed.values()];
+};
+
+module.exports = {
+  DEVICE_ID_PATTERN,
+  MAX_KEY_ID,
+  MAX_PREKEYS_PER_UPLOAD,
+  MAX_ENVELOPES,
+  MAX_ENVELOPE_LENGTH,
+  ENVELOPE_TYPES,
+  E2eError,
+  isDeviceId,
+  bundleProblem,
+  publishBundle,
+  checkEnvelopes
+};
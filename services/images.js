@@ -0,0 +1,64 @@
+// services/images.js
+//
+// Prepares uploaded photos for chat: strips EXIF (including GPS location),
+// applies the EXIF orientation, and derives the dimensions, a small WebP
+// thumbnail and a blurhash placeholder the client can paint immediately.
+
+const sharp = require('sharp');
+const { encode: encodeBlurhash } = require('blurhash');
+
+const THUMBNAIL_SIZE = parseInt(process.env.THUMBNAIL_SIZE, 10) || 320;
+const THUMBNAIL_MIME_TYPE = 'image/webp';
+
+// Formats that are re-encoded to drop metadata. GIFs carry no EXIF and are
+// stored as uploaded so animations survive.
+const REENCODE_FORMATS = {
+  'image/jpeg': (image) => image.jpeg({ quality: 90, mozjpeg: true }),
+  'image/png': (image) => image.png(),
+  'image/webp': (image) => image.webp({ quality: 90 })
+};
+
+const createBlurhash = async (buffer) => {
+  const { data, info } = await sharp(buffer)
+    .resize(32, 32, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return encodeBlurhash(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+};
+
+// Returns { buffer, width, height, blurhash, thumbnail } for an image upload.
+// `buffer` is what should be stored in place of the original.
+const processImage = async (buffer, mimeType) => {
+  let output = buffer;
+  let width;
+  let height;
+
+  const reencode = REENCODE_FORMATS[mimeType];
+  if (reencode) {
+    // rotate() with no angle bakes in the EXIF orientation; sharp writes no metadata by default
+    const result = await reencode(sharp(buffer).rotate()).toBuffer({ resolveWithObject: true });
+    output = result.data;
+    ({ width, height } = result.info);
+  } else {
+    ({ width, height } = await sharp(buffer).metadata());
+  }
+
+  const thumbnail = await sharp(output)
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 70 })
+    .toBuffer();
+
+  return {
+    buffer: output,
+    width,
+    height,
+    blurhash: await createBlurhash(output),
+    thumbnail
+  };
+};
+
+module.exports = {
+  THUMBNAIL_MIME_TYPE,
+  processImage
+};
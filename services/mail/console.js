@@ -0,0 +1,11 @@
+// services/mail/console.js
+//
+// Prints outgoing mail to stdout, for local development.
+
+const createConsoleTransport = ({ from }) => ({
+  async send({ to, subject, text }) {
+    console.log(`--- mail ---\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n--- end mail ---`);
+  }
+});
+
+module.exports = createConsoleTransport;
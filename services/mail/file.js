@@ -0,0 +1,19 @@
+// services/mail/file.js
+//
+// Writes each outgoing message to its own .eml file, for local development
+// and tests that need to read the mail back.
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const createFileTransport = ({ from, directory }) => ({
+  async send({ to, subject, text }) {
+    await fs.mkdir(directory, { recursive: true });
+    const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    const message = `From: ${from}\r\nTo: ${to}\r\nSubject: ${subject}\r\nDate: ${new Date().toUTCString()}\r\n\r\n${text}\r\n`;
+    await fs.writeFile(path.join(directory, filename), message);
+  }
+});
+
+module.exports = createFileTransport;
@@ -0,0 +1,34 @@
+// services/mail/index.js
+//
+// Picks how outgoing mail is delivered from MAIL_TRANSPORT: "console" (the
+// default, prints messages), "file" (writes them to MAIL_DIR) or "smtp"
+// (SMTP_URL). Every transport implements send({ to, subject, text }).
+
+const createConsoleTransport = require('./console');
+const createFileTransport = require('./file');
+const createSmtpTransport = require('./smtp');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@localhost';
+const MAX_EMAIL_LENGTH = 254;
+
+// A loose shape check; only delivering to the address proves it exists
+const isValidEmail = (email) => typeof email === 'string' && email.length <= MAX_EMAIL_LENGTH && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+const createMailer = (driver = process.env.MAIL_TRANSPORT || 'console') => {
+  switch (driver) {
+    case 'console':
+      return createConsoleTransport({ from: MAIL_FROM });
+    case 'file':
+      return createFileTransport({ from: MAIL_FROM, directory: process.env.MAIL_DIR || 'mail' });
+    case 'smtp':
+      return createSmtpTransport({ from: MAIL_FROM, url: process.env.SMTP_URL });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${driver}"`);
+  }
+};
+
+module.exports = {
+  mailer: createMailer(),
+  createMailer,
+  isValidEmail
+};
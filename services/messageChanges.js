@@ -0,0 +1,167 @@
+// services/messageChanges.js
+//
+// Rules for acting on sent messages. Only the sender may edit or unsend, and
+// only within a time window; any participant may delete a message "for me",
+// react to it, reply to it or forward it to one of their own chats.
+
+const messages = require('../db/repositories/messages');
+const friends = require('../db/repositories/friends');
+const conversations = require('../db/repositories/conversations');
+
+const EDIT_WINDOW_MS = (parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+const UNSEND_WINDOW_MS = (parseInt(process.env.MESSAGE_UNSEND_WINDOW_MINUTES, 10) || 60) * 60 * 1000;
+
+// One emoji, including skin tones, ZWJ sequences and flags
+const EMOJI_PATTERN = /^(?=.*[\p{Extended_Pictographic}\p{Regional_Indicator}])[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]{1,16}$/u;
+
+class MessageChangeError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const loadOwnMessage = async (userId, messageId, windowMs, action) => {
+  const message = await messages.findForParticipant(messageId, userId);
+  if (!message) {
+    throw new MessageChangeError(404, 'Message not found');
+  }
+  if (message.sender_id !== userId) {
+    throw new MessageChangeError(403, `You can only ${action} your own messages`);
+  }
+  if (message.deleted_at) {
+    throw new MessageChangeError(409, 'Message has been deleted');
+  }
+  if (Date.now() - new Date(message.created_at).getTime() > windowMs) {
+    throw new MessageChangeError(403, `This message is too old to ${action}`);
+  }
+  return message;
+};
+
+// Returns { previous, message } where previous is the raw row before the edit
+const editMessage = async (userId, messageId, content) => {
+  const trimmed = typeof content === 'string' ? content.trim() : '';
+  const previous = await loadOwnMessage(userId, messageId, EDIT_WINDOW_MS, 'edit');
+  // The server cannot produce new envelopes for every device
+  if (previous.encrypted) {
+    throw new MessageChangeError(400, 'Encrypted messages cannot be edited');
+  }
+
+  // Attachment captions may be cleared; text messages need text
+  if (!trimmed && !previous.attachment_id) {
+    throw new MessageChangeError(400, 'Content is required');
+  }
+
+  const message = await messages.updateContent(previous.id, trimmed ? content : null, userId);
+  return { previous, message };
+};
+
+// scope is "everyone" (unsend, sender only) or "me" (hide from this user).
+// Returns { previous, message }; message is the tombstone for "everyone", null for "me".
+const deleteMessage = async (userId, messageId, scope) => {
+  if (scope === 'me') {
+    const previous = await messages.findForParticipant(messageId, userId);
+    if (!previous) {
+      throw new MessageChangeError(404, 'Message not found');
+    }
+    await messages.hideForUser(previous.id, userId);
+    return { previous, message: null };
+  }
+
+  if (scope !== 'everyone') {
+    throw new MessageChangeError(400, 'Scope must be "me" or "everyone"');
+  }
+
+  const previous = await loadOwnMessage(userId, messageId, UNSEND_WINDOW_MS, 'delete');
+  const message = await messages.softDelete(previous.id, userId);
+  return { previous, message };
+};
+
+// A visible (not unsent) message the user can see, or a 404
+const loadVisibleMessage = async (userId, messageId) => {
+  const message = await messages.findForParticipant(messageId, userId);
+  if (!message || message.deleted_at) {
+    throw new MessageChangeError(404, 'Message not found');
+  }
+  return message;
+};
+
+// Whether two messages belong to the same direct chat or group
+const inSameConversation = (message, other) => {
+  if (message.conversation_id || other.conversation_id) {
+    return message.conversation_id === other.conversation_id;
+  }
+  const pair = (m) => [m.sender_id, m.receiver_id].sort().join('|');
+  return pair(message) === pair(other);
+};
+
+// Check that replyToId can be quoted by a new message from senderId to
+// `target` ({ receiverId } or { conversationId })
+const checkReplyTarget = async (senderId, replyToId, target) => {
+  const quoted = await loadVisibleMessage(senderId, replyToId);
+  const draft = {
+    sender_id: senderId,
+    receiver_id: target.receiverId || null,
+    conversation_id: target.conversationId || null
+  };
+  if (!inSameConversation(quoted, draft)) {
+    throw new MessageChangeError(400, 'You can only reply to a message in the same conversation');
+  }
+  return quoted;
+};
+
+// Add (present = true) or remove a reaction. Returns { previous, reactions }
+// where reactions is the message's new aggregated reaction list.
+const setReaction = async (userId, messageId, emoji, present) => {
+  if (typeof emoji !== 'string' || !EMOJI_PATTERN.test(emoji)) {
+    throw new MessageChangeError(400, 'Reaction must be a single emoji');
+  }
+
+  const previous = await loadVisibleMessage(userId, messageId);
+  // Direct chats need a friendship, which a block in either direction ends
+  if (!previous.conversation_id) {
+    const otherId = previous.sender_id === userId ? previous.receiver_id : previous.sender_id;
+    if (!(await friends.areFriends(userId, otherId))) {
+      throw new MessageChangeError(403, 'You can only react to messages from friends');
+    }
+  }
+  if (present) {
+    await messages.addReaction(previous.id, userId, emoji);
+  } else {
+    await messages.removeReaction(previous.id, userId, emoji);
+  }
+  return { previous, reactions: await messages.getReactions(previous.id) };
+};
+
+// Copy a message into another of the user's chats: { receiverId } for a
+// friend or { conversationId } for a group they belong to
+const forwardMessage = async (userId, messageId, target) => {
+  const original = await loadVisibleMessage(userId, messageId);
+  // Clients forward these by sending the decrypted text as a new message
+  if (original.encrypted) {
+    throw new MessageChangeError(400, 'Encrypted messages cannot be forwarded');
+  }
+
+  if (target.receiverId) {
+    if (!(await friends.areFriends(userId, target.receiverId))) {
+      throw new MessageChangeError(403, 'You can only forward messages to friends');
+    }
+  } else if (target.conversationId) {
+    if (!(await conversations.findForMember(target.conversationId, userId))) {
+      throw new MessageChangeError(403, 'You can only forward messages to groups you belong to');
+    }
+  } else {
+    throw new MessageChangeError(400, 'receiverId or conversationId is required');
+  }
+
+  return messages.forward(original, { senderId: userId, ...target });
+};
+
+module.exports = {
+  MessageChangeError,
+  editMessage,
+  deleteMessage,
+  checkReplyTarget,
+  setReaction,
+  forwardMessage
+};
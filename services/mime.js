@@ -0,0 +1,43 @@
+// services/mime.js
+//
+// Detects a file's type from its leading bytes. The Content-Type a client
+// declares for an upload is never trusted.
+
+const startsWith = (buffer, bytes, offset = 0) => {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, i) => buffer[offset + i] === byte);
+};
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+// Checked in order; the first match wins
+const SIGNATURES = [
+  { mime: 'image/jpeg', test: (b) => startsWith(b, [0xff, 0xd8, 0xff]) },
+  { mime: 'image/png', test: (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mime: 'image/gif', test: (b) => startsWith(b, ascii('GIF87a')) || startsWith(b, ascii('GIF89a')) },
+  { mime: 'image/webp', test: (b) => startsWith(b, ascii('RIFF')) && startsWith(b, ascii('WEBP'), 8) },
+  { mime: 'application/pdf', test: (b) => startsWith(b, ascii('%PDF-')) },
+  { mime: 'audio/wav', test: (b) => startsWith(b, ascii('RIFF')) && startsWith(b, ascii('WAVE'), 8) },
+  { mime: 'audio/ogg', test: (b) => startsWith(b, ascii('OggS')) },
+  { mime: 'audio/webm', test: (b) => startsWith(b, [0x1a, 0x45, 0xdf, 0xa3]) },
+  { mime: 'audio/mpeg', test: (b) => startsWith(b, ascii('ID3')) || (b.length > 1 && b[0] === 0xff && (b[1] & 0xe0) === 0xe0) },
+  // ISO base media (M4A voice notes); "ftyp" box at offset 4
+  { mime: 'audio/mp4', test: (b) => startsWith(b, ascii('ftyp'), 4) && /^(M4A |M4B |mp42|isom)/.test(b.toString('latin1', 8, 12)) }
+];
+
+const sniffMimeType = (buffer) => {
+  const match = SIGNATURES.find(({ test }) => test(buffer));
+  return match ? match.mime : null;
+};
+
+// How a message carrying an attachment of this type is labelled
+const messageTypeFor = (mimeType) => {
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  return 'file';
+};
+
+module.exports = {
+  sniffMimeType,
+  messageTypeFor
+};
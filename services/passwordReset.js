@@ -0,0 +1,57 @@
+// services/passwordReset.js
+//
+// Single-use password reset tokens. Only a SHA-256 hash of each token is
+// stored; tokens expire after PASSWORD_RESET_TTL_MINUTES (default 30) and a new
+// request or a successful reset invalidates the user's other tokens.
+
+const crypto = require('crypto');
+const pool = require('../db/pool');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const invalidateTokens = async (userId) => {
+  await pool.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL', [userId]);
+};
+
+// Returns the (unhashed) token to send to the user
+const createResetToken = async (userId) => {
+  await invalidateTokens(userId);
+  const token = crypto.randomBytes(32).toString('base64url');
+  await pool.query(
+    'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, NOW() + make_interval(mins => $3))',
+    [userId, hashToken(token), PASSWORD_RESET_TTL_MINUTES]
+  );
+  return token;
+};
+
+// The user id a still-valid token belongs to, or null; does not use the token up
+const findTokenUser = async (token) => {
+  const result = await pool.query(
+    'SELECT user_id FROM password_reset_tokens WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()',
+    [hashToken(token)]
+  );
+  return result.rows[0] ? result.rows[0].user_id : null;
+};
+
+// Marks the token used and returns its user id, or null if it is unknown, used or expired
+const consumeResetToken = async (token) => {
+  const result = await pool.query(`
+    UPDATE password_reset_tokens SET used_at = NOW()
+    WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+    RETURNING user_id
+  `, [hashToken(token)]);
+  if (!result.rows[0]) return null;
+
+  const { user_id: userId } = result.rows[0];
+  await invalidateTokens(userId);
+  return userId;
+};
+
+module.exports = {
+  PASSWORD_RESET_TTL_MINUTES,
+  createResetToken,
+  findTokenUser,
+  consumeResetToken
+};
@@ -0,0 +1,51 @@
+// services/passwords.js
+//
+// Password hashing and the password policy. The policy is configured with
+// PASSWORD_MIN_LENGTH (default 8) and PASSWORD_MIN_CHARACTER_CLASSES (default 2
+// of lowercase, uppercase, digits and symbols). Passwords may never contain the
+// username or exceed bcrypt's 72-byte input limit.
+
+const bcrypt = require('bcrypt');
+
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+const PASSWORD_MIN_CHARACTER_CLASSES = parseInt(process.env.PASSWORD_MIN_CHARACTER_CLASSES, 10) || 2;
+const PASSWORD_MAX_BYTES = 72;
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+// Returns why the password is not acceptable, or null if it is
+const checkPasswordPolicy = (password, { username } = {}) => {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(password) > PASSWORD_MAX_BYTES) {
+    return `Password must be at most ${PASSWORD_MAX_BYTES} bytes`;
+  }
+  const classes = CHARACTER_CLASSES.filter((pattern) => pattern.test(password)).length;
+  if (classes < PASSWORD_MIN_CHARACTER_CLASSES) {
+    return `Password must mix at least ${PASSWORD_MIN_CHARACTER_CLASSES} of lowercase letters, uppercase letters, digits and symbols`;
+  }
+  if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    return 'Password must not contain the username';
+  }
+  return null;
+};
+
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+const verifyPassword = (password, passwordHash) => bcrypt.compare(password, passwordHash);
+
+// The hash of a random password nobody knows, at the same cost as
+// hashPassword(). Logins for unknown usernames are checked against it, so they
+// take as long as wrong passwords and do not reveal which usernames exist.
+const DUMMY_PASSWORD_HASH = '$2b$10$LWhEzjaDxfYNDtLbX..qJOiaxgQeuIwRhanyWztqXhfqdi4dap1pi';
+
+module.exports = {
+  DUMMY_PASSWORD_HASH,
+  checkPasswordPolicy,
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,59 @@
+// services/presence.js
+//
+// Tracks which users are online. A user is online while at least one of their
+// sockets is connected to any server instance; sockets are looked up through
+// the Socket.io adapter, so this holds across nodes. When the last one goes,
+// they become offline and their last-seen time is recorded.
+
+const pool = require('../db/pool');
+
+// userRoom(userId) names the room every socket of that user joins
+const createPresence = (io, userRoom) => {
+  // The ids among userIds that have at least one socket on any node
+  const onlineUserIds = async (userIds) => {
+    if (userIds.length === 0) return new Set();
+    const sockets = await io.in(userIds.map(userRoom)).fetchSockets();
+    return new Set(sockets.map((socket) => socket.data.userId));
+  };
+
+  // Returns true if this is the user's only socket (they just came online)
+  const connect = async (socket) => {
+    const sockets = await io.in(userRoom(socket.data.userId)).fetchSockets();
+    return sockets.every((other) => other.id === socket.id);
+  };
+
+  // Returns the last-seen time if the user has no sockets left (they just went
+  // offline), otherwise null. The disconnected socket has already left its rooms.
+  const disconnect = async (socket) => {
+    const sockets = await io.in(userRoom(socket.data.userId)).fetchSockets();
+    if (sockets.length > 0) return null;
+
+    const result = await pool.query('UPDATE users SET last_seen_at = NOW() WHERE id = $1 RETURNING last_seen_at', [socket.data.userId]);
+    return result.rows[0] ? result.rows[0].last_seen_at : new Date();
+  };
+
+  const isOnline = async (userId) => (await onlineUserIds([userId])).has(userId);
+
+  // True when none of the user's sockets has the app in the foreground (clients
+  // report this with 'app state'), e.g. to decide on push notifications
+  const isAway = async (userId) => {
+    const sockets = await io.in(userRoom(userId)).fetchSockets();
+    return sockets.every((socket) => socket.data.foreground === false);
+  };
+
+  // Adds an online flag to user rows (e.g. friend list entries)
+  const withPresence = async (rows) => {
+    const online = await onlineUserIds(rows.map((row) => row.id));
+    return rows.map((row) => ({ ...row, online: online.has(row.id) }));
+  };
+
+  return {
+    connect,
+    disconnect,
+    isOnline,
+    isAway,
+    withPresence
+  };
+};
+
+module.exports = { createPresence };
@@ -0,0 +1,24 @@
+// services/pubsub/index.js
+//
+// Picks the Socket.io adapter that fans events out between server instances
+// from PUBSUB_ADAPTER: "memory" (the default, single process only), "redis" or
+// "postgres" (LISTEN/NOTIFY). Every backend resolves to { adapter, close() };
+// a null adapter keeps Socket.io's built-in in-memory one.
+
+const createRedisPubSub = require('./redis');
+const createPostgresPubSub = require('./postgres');
+
+const createPubSub = async (driver = process.env.PUBSUB_ADAPTER || 'memory') => {
+  switch (driver) {
+    case 'memory':
+      return { adapter: null, close: async () => {} };
+    case 'redis':
+      return createRedisPubSub({ url: process.env.REDIS_URL });
+    case 'postgres':
+      return createPostgresPubSub({ pool: require('../../db/pool') });
+    default:
+      throw new Error(`Unknown PUBSUB_ADAPTER "${driver}"`);
+  }
+};
+
+module.exports = { createPubSub };
@@ -0,0 +1,21 @@
+// services/pubsub/postgres.js
+//
+// Fans Socket.io events out with Postgres LISTEN/NOTIFY, so no extra
+// infrastructure is needed. Payloads too large for a notification go through
+// the socket_io_attachments table (see migration 013).
+// @socket.io/postgres-adapter is an optional dependency and is only loaded when
+// this adapter is selected.
+
+const createPostgresPubSub = async ({ pool }) => {
+  const { createAdapter } = require('@socket.io/postgres-adapter');
+
+  return {
+    adapter: createAdapter(pool, {
+      errorHandler: (err) => console.error('Postgres pub/sub error:', err)
+    }),
+    // The adapter releases its LISTEN connection when Socket.io closes; the pool is closed by the caller
+    async close() {}
+  };
+};
+
+module.exports = createPostgresPubSub;
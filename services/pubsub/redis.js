@@ -0,0 +1,31 @@
+// services/pubsub/redis.js
+//
+// Fans Socket.io events out over Redis pub/sub. redis and
+// @socket.io/redis-adapter are optional dependencies and are only loaded when
+// this adapter is selected.
+
+const createRedisPubSub = async ({ url }) => {
+  const { createClient } = require('redis');
+  const { createAdapter } = require('@socket.io/redis-adapter');
+
+  if (!url) {
+    throw new Error('REDIS_URL must be set to use the redis pub/sub adapter');
+  }
+
+  // Subscribed connections cannot issue other commands, so publish and subscribe separately
+  const pubClient = createClient({ url });
+  const subClient = pubClient.duplicate();
+  for (const client of [pubClient, subClient]) {
+    client.on('error', (err) => console.error('Redis pub/sub error:', err));
+  }
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  return {
+    adapter: createAdapter(pubClient, subClient),
+    async close() {
+      await Promise.all([pubClient.close(), subClient.close()]);
+    }
+  };
+};
+
+module.exports = createRedisPubSub;
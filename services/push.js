@@ -0,0 +1,266 @@
+// services/push.js
+//
+// Web Push notifications for users who are not looking at the app: new
+// messages and friend requests are pushed when the recipient has no connected
+// socket or only backgrounded ones. Bursts are batched per chat, so ten quick
+// messages become one "10 new messages" notification after PUSH_BATCH_MS
+// (default 5000); whether the user is away is checked when the batch is sent.
+// Muted chats are skipped.
+//
+// Push is on when VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT (a
+// mailto: or https: contact) are set; generate keys with
+// `npx web-push generate-vapid-keys`. Requests are signed and encrypted by
+// web-push and sent with node's http client, so any endpoint that speaks the
+// Web Push protocol works, including the local mock in
+// scripts/push-harness.js (see PUSH_ALLOW_LOCAL_ENDPOINTS below).
+// Batches are kept in memory per server instance.
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const webpush = require('web-push');
+const { pushSubscriptions, mutes, users, conversations } = require('../db/repositories');
+
+const PUSH_BATCH_MS = parseInt(process.env.PUSH_BATCH_MS, 10) || 5000;
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+const PUSH_TIMEOUT_MS = 10000;
+const PREVIEW_LENGTH = 120;
+
+const vapidDetails = {
+  publicKey: process.env.VAPID_PUBLIC_KEY,
+  privateKey: process.env.VAPID_PRIVATE_KEY,
+  subject: process.env.VAPID_SUBJECT
+};
+const enabled = Boolean(vapidDetails.publicKey && vapidDetails.privateKey && vapidDetails.subject);
+
+// Browsers only hand out https endpoints on public push services. The server
+// POSTs to whatever endpoint it is given, so anything that points into its own
+// network (plain http, loopback, private, link-local and reserved addresses)
+// is refused, both when a subscription is registered and for the address each
+// request actually connects to. PUSH_ALLOW_LOCAL_ENDPOINTS=true lifts that for
+// local mock push services.
+const allowLocalEndpoints = process.env.PUSH_ALLOW_LOCAL_ENDPOINTS === 'true';
+
+// IPv4-mapped IPv6 addresses are checked against the IPv4 rules
+const internalAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => internalAddresses.addSubnet(network, prefix, 'ipv4'));
+internalAddresses.addAddress('::', 'ipv6');
+internalAddresses.addAddress('::1', 'ipv6');
+[
+  // NAT64 and IPv4-translated addresses can reach any IPv4 address
+  ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['::ffff:0:0:0', 96],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => internalAddresses.addSubnet(network, prefix, 'ipv6'));
+
+const isInternalAddress = (address) => internalAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const isPublicHost = async (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (net.isIP(host)) return !isInternalAddress(host);
+  if (host === 'localhost' || host.endsWith('.localhost')) return false;
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true });
+    return !addresses.some(({ address }) => isInternalAddress(address));
+  } catch (err) {
+    // Nothing to send to while the name does not resolve; checked again before every send
+    return true;
+  }
+};
+
+const isValidEndpoint = async (endpoint) => {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (err) {
+    return false;
+  }
+  if (allowLocalEndpoints) {
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  }
+  return url.protocol === 'https:' && isPublicHost(url.hostname);
+};
+
+// dns.lookup for the push requests' sockets. The name is resolved again when
+// connecting, so an answer that changed since isValidEndpoint() (DNS
+// rebinding) is refused here, on the address that is actually used.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!allowLocalEndpoints && addresses.some((entry) => isInternalAddress(entry.address))) {
+      return callback(new Error(`${hostname} resolves to a local network address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+// POST to a push endpoint and resolve with the HTTP status. Redirects are not
+// followed (a 3xx counts as a failed delivery), since they could point
+// anywhere.
+const post = (endpoint, { method, headers, body }) => new Promise((resolve, reject) => {
+  const url = new URL(endpoint);
+  const transport = url.protocol === 'http:' ? http : https;
+  const request = transport.request(url, {
+    method,
+    headers,
+    lookup: publicLookup,
+    signal: AbortSignal.timeout(PUSH_TIMEOUT_MS)
+  }, (response) => {
+    response.resume();
+    resolve(response.statusCode);
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+// Send one notification; returns the push service's HTTP status
+const sendToSubscription = async (subscription, payload, urgency) => {
+  const details = webpush.generateRequestDetails(subscription, JSON.stringify(payload), {
+    vapidDetails,
+    TTL: PUSH_TTL_SECONDS,
+    urgency
+  });
+  return post(details.endpoint, details);
+};
+
+const sendToUser = async (userId, payload, urgency) => {
+  const subscriptions = await pushSubscriptions.listActive(userId);
+  await Promise.all(subscriptions.map(async (subscription) => {
+    try {
+      // Its name may point somewhere else now than when it was registered
+      if (!(await isValidEndpoint(subscription.endpoint))) {
+        console.warn(`Dropping push subscription of user ${userId} that points into the local network`);
+        await pushSubscriptions.removeByEndpoint(subscription.endpoint);
+        return;
+      }
+      const status = await sendToSubscription(subscription, payload, urgency);
+      // The browser unsubscribed or the subscription expired
+      if (status === 404 || status === 410) {
+        await pushSubscriptions.removeByEndpoint(subscription.endpoint);
+      } else if (status >= 200 && status < 300) {
+        await pushSubscriptions.touch(subscription.endpoint);
+      } else {
+        console.warn(`Push service answered ${status} for user ${userId}`);
+      }
+    } catch (err) {
+      console.error('Error sending push notification:', err.message);
+    }
+  }));
+};
+
+const ATTACHMENT_PREVIEWS = { image: 'Sent a photo', audio: 'Sent a voice message', file: 'Sent a file' };
+
+// Encrypted messages are opaque to the server, so they never get a preview
+const preview = (message) => {
+  if (message.encrypted) return 'New encrypted message';
+  if (!message.content) return ATTACHMENT_PREVIEWS[message.message_type] || 'New message';
+  return message.content.length > PREVIEW_LENGTH ? `${message.content.slice(0, PREVIEW_LENGTH)}…` : message.content;
+};
+
+// Display names are looked up once per batch, when it is sent
+const displayName = (user) => (user ? user.name || user.username : 'Someone');
+
+// The notification for a batch ({ kind, count, latest }). `tag` makes a
+// newer notification for the same chat replace the older one.
+const buildPayload = async (batch) => {
+  if (batch.kind === 'friend_request') {
+    return {
+      type: 'friend_request',
+      tag: 'friend-requests',
+      title: 'Friend requests',
+      body: batch.count > 1 ? `${batch.count} new friend requests` : `${batch.latest.sender_username} sent you a friend request`,
+      count: batch.count
+    };
+  }
+
+  const message = batch.latest;
+  const senderName = displayName(await users.findById(message.sender_id));
+  const conversation = message.conversation_id ? await conversations.findById(message.conversation_id) : null;
+  const conversationName = conversation ? conversation.name : null;
+  const text = batch.count > 1 ? `${batch.count} new messages` : preview(message);
+  return {
+    type: 'message',
+    tag: message.conversation_id ? `conversation:${message.conversation_id}` : `friend:${message.sender_id}`,
+    title: conversationName || senderName,
+    body: conversationName && batch.count === 1 ? `${senderName}: ${text}` : text,
+    count: batch.count,
+    friend_id: message.conversation_id ? null : message.sender_id,
+    conversation_id: message.conversation_id || null
+  };
+};
+
+// isAway(userId) resolves true when the user should be notified (no socket in
+// the foreground on any node)
+const createPushDispatcher = ({ isAway }) => {
+  const batches = new Map();
+
+  const flush = async (key) => {
+    const batch = batches.get(key);
+    if (!batch) return;
+    batches.delete(key);
+    clearTimeout(batch.timer);
+
+    try {
+      if (!(await isAway(batch.userId))) return;
+      await sendToUser(batch.userId, await buildPayload(batch), batch.kind === 'message' ? 'high' : 'normal');
+    } catch (err) {
+      console.error('Error dispatching push notification:', err);
+    }
+  };
+
+  const enqueue = (userId, kind, thread, latest) => {
+    const key = `${userId}|${kind}|${thread}`;
+    const batch = batches.get(key);
+    if (batch) {
+      batch.count += 1;
+      batch.latest = latest;
+      return;
+    }
+    batches.set(key, {
+      userId,
+      kind,
+      count: 1,
+      latest,
+      timer: setTimeout(() => flush(key), PUSH_BATCH_MS)
+    });
+  };
+
+  // A new message for recipientId (not its sender)
+  const notifyMessage = async (recipientId, message) => {
+    if (!enabled) return;
+    const chat = message.conversation_id ? { conversationId: message.conversation_id } : { friendId: message.sender_id };
+    try {
+      if (await mutes.isMuted(recipientId, chat)) return;
+      enqueue(recipientId, 'message', chat.conversationId || chat.friendId, message);
+    } catch (err) {
+      console.error('Error queueing push notification:', err);
+    }
+  };
+
+  // request is a friend request with sender_username (see friends.findRequestDetails)
+  const notifyFriendRequest = (request) => {
+    if (!enabled) return;
+    enqueue(request.receiver_id, 'friend_request', 'requests', request);
+  };
+
+  // Send everything still waiting, e.g. before shutting down
+  const flushAll = () => Promise.all([...batches.keys()].map(flush));
+
+  return {
+    notifyMessage,
+    notifyFriendRequest,
+    flushAll
+  };
+};
+
+module.exports = {
+  enabled,
+  publicKey: vapidDetails.publicKey || null,
+  isValidEndpoint,
+  createPushDispatcher
+};
@@ -0,0 +1,237 @@
+// services/realtime.js
+//
+// Everything that reaches users through their sockets (and push
+// notifications): the rooms sockets join, presence, typing indicators, and the
+// message and friendship changes that every participant hears about. The REST
+// routes and the socket handlers share one instance, so a change made either
+// way is announced the same way.
+
+const { friends, messages, conversations } = require('../db/repositories');
+const { createPresence } = require('./presence');
+const { createTypingTracker } = require('./typing');
+const messageChanges = require('./messageChanges');
+const push = require('./push');
+
+const createRealtime = (io) => {
+  // Every socket of a user joins this room, so emitting to it reaches all of their devices
+  const userRoom = (userId) => `user:${userId}`;
+
+  // Every socket also joins its session's room, so revoking a device can disconnect it
+  const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+  // Sockets of a session that published encryption keys also join its device's
+  // room; encrypted messages go to each device with only that device's envelope
+  const deviceRoom = (userId, deviceId) => `device:${userId}:${deviceId}`;
+
+  const presence = createPresence(io, userRoom);
+
+  // Web Push for users with no socket in the foreground
+  const pushDispatcher = push.createPushDispatcher({ isAway: presence.isAway });
+
+  // Queue a push notification of a new message for everyone in it but the sender
+  const pushNewMessage = (message, recipientIds) => {
+    recipientIds
+      .filter((userId) => userId !== message.sender_id)
+      .forEach((userId) => pushDispatcher.notifyMessage(userId, message));
+  };
+
+  // Immediately drop every live socket that belongs to a session
+  const disconnectSession = (sessionId) => {
+    io.in(sessionRoom(sessionId)).disconnectSockets(true);
+  };
+
+  // Route encrypted messages for a device to the sockets of the session that owns it
+  const joinDeviceRoom = (sessionId, userId, deviceId) => {
+    io.in(sessionRoom(sessionId)).socketsJoin(deviceRoom(userId, deviceId));
+  };
+
+  // Emit to every device of every given user
+  const emitToUsers = (userIds, event, payload) => {
+    if (userIds.length === 0) return;
+    io.to(userIds.map(userRoom)).emit(event, payload);
+  };
+
+  // Emit to one device of a user (see deviceRoom)
+  const emitToDevice = (userId, deviceId, event, payload) => {
+    io.to(deviceRoom(userId, deviceId)).emit(event, payload);
+  };
+
+  // A group conversation with its member list, as returned by the REST routes and socket events
+  const getConversationDetails = async (conversation) => {
+    const members = await conversations.listMembers(conversation.id);
+    return { ...conversation, members };
+  };
+
+  // Tell every current member about the new state of a group
+  const broadcastConversation = async (conversationId) => {
+    const conversation = await conversations.findById(conversationId);
+    if (!conversation) return;
+    const details = await getConversationDetails(conversation);
+    emitToUsers(details.members.map((member) => member.id), 'conversation updated', details);
+  };
+
+  // Record that userId has read a conversation up to a message and tell the
+  // other side. Exactly one of friendId/conversationId is given. Returns the
+  // receipt, or null if the message is not in that conversation.
+  const markRead = async (userId, { friendId, conversationId, upToMessageId }) => {
+    if (conversationId) {
+      const marker = await messages.markGroupReadUpTo(userId, conversationId, upToMessageId);
+      if (!marker) return null;
+
+      const receipt = { conversation_id: conversationId, reader_id: userId, up_to_message_id: upToMessageId, read_at: marker.read_at };
+      emitToUsers(await conversations.listMemberIds(conversationId), 'messages read', receipt);
+      return receipt;
+    }
+
+    const result = await messages.markReadUpTo(userId, friendId, upToMessageId);
+    if (!result) return null;
+
+    const receipt = { friend_id: friendId, reader_id: userId, up_to_message_id: upToMessageId, ...result };
+    // The sender sees their messages as read; the reader's other devices clear their unread badges
+    if (result.message_ids.length > 0) {
+      emitToUsers([friendId, userId], 'messages read', receipt);
+    }
+    return receipt;
+  };
+
+  // Presence changes only go to the user's friends
+  const broadcastPresence = async (userId, online, lastSeenAt = null) => {
+    const friendIds = await friends.listFriendIds(userId);
+    emitToUsers(friendIds, 'presence', { user_id: userId, online, last_seen_at: lastSeenAt });
+  };
+
+  // Friend request events go to both users, each with a payload it can apply to
+  // its request and friend lists without refetching.
+  // 'friend request received' / 'friend request sent' carry the request with both users' names.
+  const emitRequestCreated = async (requestId) => {
+    const request = await friends.findRequestDetails(requestId);
+    emitToUsers([request.receiver_id], 'friend request received', request);
+    emitToUsers([request.sender_id], 'friend request sent', request);
+    pushDispatcher.notifyFriendRequest(request);
+    return request;
+  };
+
+  // 'friend request declined' / 'friend request cancelled': { request_id, sender_id, receiver_id }
+  const emitRequestClosed = (event, request) => {
+    emitToUsers([request.sender_id, request.receiver_id], event, {
+      request_id: request.id,
+      sender_id: request.sender_id,
+      receiver_id: request.receiver_id
+    });
+  };
+
+  // 'friend request accepted': { request_id, friend }, where friend is the other
+  // user as a GET /friends entry
+  const emitRequestAccepted = async (request) => {
+    const sides = [[request.sender_id, request.receiver_id], [request.receiver_id, request.sender_id]];
+    await Promise.all(sides.map(async ([userId, friendId]) => {
+      const friend = await friends.findFriend(userId, friendId);
+      if (!friend) return;
+      const [entry] = await presence.withPresence([friend]);
+      emitToUsers([userId], 'friend request accepted', { request_id: request.id, friend: entry });
+    }));
+  };
+
+  // 'friend removed': { user_id } is whoever left the recipient's friends list
+  const emitFriendRemoved = (userId, friendId) => {
+    emitToUsers([userId], 'friend removed', { user_id: friendId });
+    emitToUsers([friendId], 'friend removed', { user_id: userId });
+  };
+
+  // Typing indicators go to the friend being typed to, or to the rest of the group
+  const typing = createTypingTracker(async (userId, target, isTyping) => {
+    try {
+      const payload = { user_id: userId, typing: isTyping };
+      if (target.friendId) {
+        emitToUsers([target.friendId], 'typing', payload);
+      } else {
+        const memberIds = await conversations.listMemberIds(target.conversationId);
+        emitToUsers(memberIds.filter((id) => id !== userId), 'typing', { ...payload, conversation_id: target.conversationId });
+      }
+    } catch (err) {
+      console.error('Error relaying typing indicator:', err);
+    }
+  });
+
+  // Whether a user may send typing indicators (or messages) to a target
+  const canReach = async (userId, target) => {
+    if (target.friendId) {
+      return friends.areFriends(userId, target.friendId);
+    }
+    return Boolean(await conversations.findForMember(target.conversationId, userId));
+  };
+
+  // Everyone who can see a message: both sides of a direct chat, or the group's members
+  const participantIds = async (message) => {
+    if (message.conversation_id) {
+      return conversations.listMemberIds(message.conversation_id);
+    }
+    return [message.sender_id, message.receiver_id];
+  };
+
+  // Edit a message and push the new version to every participant
+  const editMessage = async (userId, messageId, content) => {
+    const { previous, message } = await messageChanges.editMessage(userId, messageId, content);
+    emitToUsers(await participantIds(previous), 'message updated', message);
+    return message;
+  };
+
+  // Delete a message for everyone (pushing the tombstone to all participants)
+  // or just for this user (telling only their own devices)
+  const deleteMessage = async (userId, messageId, scope) => {
+    const { previous, message } = await messageChanges.deleteMessage(userId, messageId, scope);
+    const recipients = scope === 'everyone' ? await participantIds(previous) : [userId];
+    emitToUsers(recipients, 'message deleted', { id: previous.id, scope, message });
+    return message;
+  };
+
+  // Add or remove a reaction and push the new counts to every participant
+  const setReaction = async (userId, messageId, emoji, present) => {
+    const { previous, reactions } = await messageChanges.setReaction(userId, messageId, emoji, present);
+    // `reacted` is relative to a viewer, so live updates carry only user_ids
+    const payload = {
+      message_id: previous.id,
+      reactions: reactions.map(({ reacted, ...reaction }) => reaction)
+    };
+    emitToUsers(await participantIds(previous), 'reaction updated', payload);
+    return payload;
+  };
+
+  // Forward a message and deliver the copy like any new message
+  const forwardMessage = async (userId, messageId, target) => {
+    const message = await messageChanges.forwardMessage(userId, messageId, target);
+    const recipientIds = [...new Set(await participantIds(message))];
+    emitToUsers(recipientIds, 'chat message', message);
+    pushNewMessage(message, recipientIds);
+    return message;
+  };
+
+  return {
+    userRoom,
+    sessionRoom,
+    deviceRoom,
+    presence,
+    pushDispatcher,
+    pushNewMessage,
+    disconnectSession,
+    joinDeviceRoom,
+    emitToUsers,
+    emitToDevice,
+    getConversationDetails,
+    broadcastConversation,
+    markRead,
+    broadcastPresence,
+    emitRequestCreated,
+    emitRequestClosed,
+    emitRequestAccepted,
+    emitFriendRemoved,
+    typing,
+    canReach,
+    editMessage,
+    deleteMessage,
+    setReaction,
+    forwardMessage
+  };
+};
+
+module.exports = { createRealtime };
@@ -0,0 +1,128 @@
+// services/sessions.js
+
+const crypto = require('crypto');
+const pool = require('../db/pool');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+// Columns that are safe to send back to the client
+const SESSION_COLUMNS = 'id, user_id, device, ip, created_at, last_seen_at, expires_at';
+
+// Start a new session for a user and return it with its (unhashed) refresh token
+const createSession = async (userId, { device, ip } = {}) => {
+  const refreshToken = generateRefreshToken();
+  const query = `
+    INSERT INTO sessions (user_id, refresh_token_hash, device, ip, expires_at)
+    VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+    RETURNING ${SESSION_COLUMNS}
+  `;
+  const result = await pool.query(query, [userId, hashToken(refreshToken), device || null, ip || null, REFRESH_TOKEN_TTL_DAYS]);
+  return { session: result.rows[0], refreshToken };
+};
+
+// Exchange a refresh token for a new one. Returns null if the token is unknown,
+// expired or revoked. Presenting an already-rotated token revokes the session,
+// since it means the token was copied.
+const rotateRefreshToken = async (refreshToken, { ip } = {}) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken();
+
+  const query = `
+    UPDATE sessions
+    SET previous_token_hash = refresh_token_hash,
+        refresh_token_hash = $2,
+        ip = COALESCE($3, ip),
+        last_seen_at = NOW(),
+        expires_at = NOW() + make_interval(days => $4)
+    WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    RETURNING ${SESSION_COLUMNS}
+  `;
+  const result = await pool.query(query, [tokenHash, hashToken(nextToken), ip || null, REFRESH_TOKEN_TTL_DAYS]);
+  if (result.rows.length > 0) {
+    return { session: result.rows[0], refreshToken: nextToken };
+  }
+
+  const reuseQuery = `
+    UPDATE sessions SET revoked_at = NOW()
+    WHERE previous_token_hash = $1 AND revoked_at IS NULL
+    RETURNING ${SESSION_COLUMNS}
+  `;
+  const reused = await pool.query(reuseQuery, [tokenHash]);
+  if (reused.rows.length > 0) {
+    console.warn('Refresh token reuse detected, revoked session:', reused.rows[0].id);
+    return { revokedSession: reused.rows[0] };
+  }
+
+  return null;
+};
+
+// Active (not revoked, not expired) sessions for a user, most recently used first
+const listSessions = async (userId) => {
+  const query = `
+    SELECT ${SESSION_COLUMNS} FROM sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_seen_at DESC
+  `;
+  const result = await pool.query(query, [userId]);
+  return result.rows;
+};
+
+// Revoke one of the user's sessions. Returns the revoked session or null.
+const revokeSession = async (userId, sessionId) => {
+  const query = `
+    UPDATE sessions SET revoked_at = NOW()
+    WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+    RETURNING ${SESSION_COLUMNS}
+  `;
+  const result = await pool.query(query, [sessionId, userId]);
+  return result.rows[0] || null;
+};
+
+// Revoke the session a refresh token belongs to, for logging out once the
+// access token has expired. Returns the revoked session or null.
+const revokeByRefreshToken = async (refreshToken) => {
+  const query = `
+    UPDATE sessions SET revoked_at = NOW()
+    WHERE refresh_token_hash = $1 AND revoked_at IS NULL
+    RETURNING ${SESSION_COLUMNS}
+  `;
+  const result = await pool.query(query, [hashToken(refreshToken)]);
+  return result.rows[0] || null;
+};
+
+// Revoke every active session of a user, optionally keeping one (the caller's).
+// Returns the ids of the revoked sessions.
+const revokeAllSessions = async (userId, { except = null } = {}) => {
+  const query = `
+    UPDATE sessions SET revoked_at = NOW()
+    WHERE user_id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR id <> $2::uuid)
+    RETURNING id
+  `;
+  const result = await pool.query(query, [userId, except]);
+  return result.rows.map((row) => row.id);
+};
+
+const isSessionActive = async (sessionId) => {
+  const query = 'SELECT 1 FROM sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()';
+  const result = await pool.query(query, [sessionId]);
+  return result.rows.length > 0;
+};
+
+const touchSession = async (sessionId) => {
+  await pool.query('UPDATE sessions SET last_seen_at = NOW() WHERE id = $1', [sessionId]);
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeByRefreshToken,
+  revokeAllSessions,
+  isSessionActive,
+  touchSession
+};
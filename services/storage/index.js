@@ -0,0 +1,31 @@
+// services/storage/index.js
+//
+// Picks the attachment storage backend from STORAGE_DRIVER ("local" by default,
+// or "s3"). Every backend implements put(key, buffer, { mimeType }),
+// getStream(key) and remove(key); getStream fails with code ENOENT when the key
+// does not exist.
+
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({ directory: process.env.STORAGE_DIR || 'uploads' });
+    case 's3':
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+  }
+};
+
+module.exports = {
+  storage: createStorage(),
+  createStorage
+};
@@ -0,0 +1,59 @@
+// services/storage/s3.js
+//
+// Stores attachment blobs in an S3-compatible bucket (AWS S3, MinIO, R2, ...).
+// @aws-sdk/client-s3 is an optional dependency and is only loaded when this
+// driver is selected.
+
+// S3 reports a missing key as NoSuchKey (or NotFound, from some services and
+// HEAD requests)
+const isNotFound = (err) => err.name === 'NoSuchKey' || err.name === 'NotFound' ||
+  (err.$metadata && err.$metadata.httpStatusCode === 404);
+
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey }) => {
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint,
+    // Most self-hosted S3-compatible services only support path-style URLs
+    forcePathStyle: Boolean(endpoint),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  return {
+    async put(key, buffer, { mimeType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: mimeType
+      }));
+    },
+
+    // Fails with code ENOENT for a missing key, like the local driver
+    async getStream(key) {
+      try {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return result.Body;
+      } catch (err) {
+        if (isNotFound(err)) {
+          const notFound = new Error(`No such object: ${key}`);
+          notFound.code = 'ENOENT';
+          notFound.cause = err;
+          throw notFound;
+        }
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+module.exports = createS3Storage;
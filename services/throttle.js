@@ -0,0 +1,64 @@
+// services/throttle.js
+//
+// Fixed-window attempt counters with lockout, stored in Postgres so every
+// server instance shares them. Once more than `limit` attempts are recorded
+// for a key within `windowSeconds`, the key is locked for `lockoutSeconds`.
+
+const pool = require('../db/pool');
+
+// Counters idle for this long are deleted now and then
+const STALE_AFTER_SECONDS = 24 * 60 * 60;
+
+const createThrottle = ({ name, limit, windowSeconds, lockoutSeconds }) => {
+  const keyFor = (id) => `${name}:${String(id).toLowerCase()}`;
+
+  // Seconds until the key unlocks, or 0 if it is not locked
+  const retryAfter = (lockedUntil) => {
+    if (!lockedUntil) return 0;
+    return Math.max(0, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000));
+  };
+
+  const check = async (id) => {
+    const result = await pool.query('SELECT locked_until FROM auth_throttles WHERE key = $1', [keyFor(id)]);
+    return result.rows[0] ? retryAfter(result.rows[0].locked_until) : 0;
+  };
+
+  // Record an attempt. Returns the seconds to wait if the key is (now) locked, otherwise 0.
+  const hit = async (id) => {
+    const key = keyFor(id);
+    const locked = await check(id);
+    if (locked) return locked;
+
+    const result = await pool.query(`
+      INSERT INTO auth_throttles AS t (key, attempts, window_started_at) VALUES ($1, 1, NOW())
+      ON CONFLICT (key) DO UPDATE SET
+        attempts = CASE WHEN t.window_started_at <= NOW() - make_interval(secs => $2) THEN 1 ELSE t.attempts + 1 END,
+        window_started_at = CASE WHEN t.window_started_at <= NOW() - make_interval(secs => $2) THEN NOW() ELSE t.window_started_at END,
+        locked_until = NULL
+      RETURNING attempts
+    `, [key, windowSeconds]);
+
+    if (Math.random() < 0.01) {
+      pool.query(
+        'DELETE FROM auth_throttles WHERE window_started_at < NOW() - make_interval(secs => $1) AND (locked_until IS NULL OR locked_until < NOW())',
+        [STALE_AFTER_SECONDS]
+      ).catch((err) => console.error('Error pruning auth throttles:', err));
+    }
+
+    if (result.rows[0].attempts <= limit) return 0;
+
+    const lock = await pool.query(`
+      UPDATE auth_throttles SET locked_until = NOW() + make_interval(secs => $2), attempts = 0, window_started_at = NOW()
+      WHERE key = $1 RETURNING locked_until
+    `, [key, lockoutSeconds]);
+    return retryAfter(lock.rows[0].locked_until);
+  };
+
+  const reset = async (id) => {
+    await pool.query('DELETE FROM auth_throttles WHERE key = $1', [keyFor(id)]);
+  };
+
+  return { check, hit, reset };
+};
+
+module.exports = { createThrottle };
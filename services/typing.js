@@ -0,0 +1,64 @@
+// services/typing.js
+//
+// Typing indicators with a server-side timeout: a user counts as typing in a
+// conversation from 'typing start' until 'typing stop', a sent message, their
+// socket disconnecting, or TYPING_TIMEOUT_MS without another 'typing start'.
+
+const TYPING_TIMEOUT_MS = parseInt(process.env.TYPING_TIMEOUT_MS, 10) || 6000;
+
+// onChange(userId, target, typing) is called whenever the state flips.
+// `target` is { friendId } or { conversationId }.
+const createTypingTracker = (onChange) => {
+  const active = new Map();
+
+  const keyFor = (userId, target) => `${userId}|${target.friendId ? `f:${target.friendId}` : `c:${target.conversationId}`}`;
+
+  const stop = (userId, target) => {
+    const key = keyFor(userId, target);
+    const entry = active.get(key);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    active.delete(key);
+    onChange(userId, target, false);
+  };
+
+  // Returns true if the user was not already typing there
+  const start = (userId, socketId, target) => {
+    const key = keyFor(userId, target);
+    const existing = active.get(key);
+    if (existing) {
+      clearTimeout(existing.timer);
+    }
+
+    active.set(key, {
+      userId,
+      socketId,
+      target,
+      timer: setTimeout(() => stop(userId, target), TYPING_TIMEOUT_MS)
+    });
+
+    if (!existing) {
+      onChange(userId, target, true);
+    }
+    return !existing;
+  };
+
+  const isTyping = (userId, target) => active.has(keyFor(userId, target));
+
+  // Stop everything a disconnecting socket started
+  const clearSocket = (socketId) => {
+    for (const entry of [...active.values()]) {
+      if (entry.socketId === socketId) {
+        stop(entry.userId, entry.target);
+      }
+    }
+  };
+
+  return { start, stop, isTyping, clearSocket };
+};
+
+module.exports = {
+  TYPING_TIMEOUT_MS,
+  createTypingTracker
+};
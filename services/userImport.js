@@ -0,0 +1,119 @@
+// services/userImport.js
+//
+// Admin-only import of legacy accounts that must keep their existing IDs.
+// Regular sign-ups always get a server-generated UUID; this is the only path
+// that writes a chosen users.id. A batch is validated as a whole: if any row is
+// invalid nothing is written. Each row is
+//   { id, username, password | passwordHash, name?, email?, createdAt? }
+// where passwordHash is an existing bcrypt hash and password is checked
+// against the password policy and hashed here.
+
+const { users } = require('../db/repositories');
+const { checkPasswordPolicy, hashPassword } = require('./passwords');
+const { isValidEmail } = require('./mail');
+
+const MAX_IMPORT_BATCH = parseInt(process.env.USER_IMPORT_MAX_BATCH, 10) || 500;
+const MAX_USERNAME_LENGTH = 64;
+const MAX_NAME_LENGTH = 100;
+
+// Legacy IDs end up in URLs and socket room names, so they are kept to a safe alphabet
+const LEGACY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+class UserImportError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'UserImportError';
+    this.status = 400;
+    this.errors = errors;
+  }
+}
+
+// Returns why a row cannot be imported, or null
+const rowProblem = (row) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) return 'Row must be an object';
+  const { id, username, password, passwordHash, name, email, createdAt } = row;
+
+  if (typeof id !== 'string' || !LEGACY_ID_PATTERN.test(id)) {
+    return 'id must be 1-64 letters, digits, "-" or "_"';
+  }
+  if (typeof username !== 'string' || username.length === 0 || username.length > MAX_USERNAME_LENGTH || /\s/.test(username)) {
+    return `username must be 1-${MAX_USERNAME_LENGTH} characters without spaces`;
+  }
+  if ((password === undefined) === (passwordHash === undefined)) {
+    return 'Exactly one of password and passwordHash is required';
+  }
+  if (password !== undefined) {
+    const passwordProblem = checkPasswordPolicy(password, { username });
+    if (passwordProblem) return passwordProblem;
+  } else if (typeof passwordHash !== 'string' || !BCRYPT_HASH_PATTERN.test(passwordHash)) {
+    return 'passwordHash must be a bcrypt hash';
+  }
+  if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+    return `name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (email !== undefined && email !== null && !isValidEmail(email)) {
+    return 'email is not a valid address';
+  }
+  if (createdAt !== undefined && createdAt !== null && Number.isNaN(Date.parse(createdAt))) {
+    return 'createdAt must be a date';
+  }
+  return null;
+};
+
+// Returns [{ index, error }] for every invalid row, including IDs, usernames
+// and emails repeated within the rows
+const validateRows = (rows) => {
+  const errors = [];
+  const seen = { id: new Map(), username: new Map(), email: new Map() };
+
+  rows.forEach((row, index) => {
+    const problem = rowProblem(row);
+    if (problem) {
+      errors.push({ index, error: problem });
+      return;
+    }
+    for (const field of ['id', 'username', 'email']) {
+      if (!row[field]) continue;
+      const value = field === 'email' ? row.email.toLowerCase() : row[field];
+      if (seen[field].has(value)) {
+        errors.push({ index, error: `${field} repeats row ${seen[field].get(value)}` });
+        return;
+      }
+      seen[field].set(value, index);
+    }
+  });
+  return errors;
+};
+
+// Validates and imports one batch. Throws UserImportError (with .errors) if
+// the batch is invalid. Returns { created, skipped }, each a list of
+// { index, id, username }; skipped rows collided with existing accounts.
+const importUsers = async (rows, { dryRun = false } = {}) => {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new UserImportError('users must be a non-empty array');
+  }
+  if (rows.length > MAX_IMPORT_BATCH) {
+    throw new UserImportError(`A batch can import at most ${MAX_IMPORT_BATCH} users`);
+  }
+  const errors = validateRows(rows);
+  if (errors.length > 0) {
+    throw new UserImportError('Import batch is not valid', errors);
+  }
+
+  const prepared = await Promise.all(rows.map(async (row) => ({
+    ...row,
+    passwordHash: row.passwordHash || await hashPassword(row.password)
+  })));
+  const { created, skipped } = await users.importBatch(prepared, { dryRun });
+
+  const describe = (index) => ({ index, id: rows[index].id, username: rows[index].username });
+  return { created: created.map(describe), skipped: skipped.map(describe) };
+};
+
+module.exports = {
+  MAX_IMPORT_BATCH,
+  UserImportError,
+  validateRows,
+  importUsers
+};
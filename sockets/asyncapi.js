@@ -0,0 +1,50 @@
+// sockets/asyncapi.js
+//
+// Builds the AsyncAPI 2.6 document of the Socket.io events from
+// sockets/schemas.js. Each event is a channel: `publish` is what clients send
+// (with the ack they get back as x-ack), `subscribe` what the server emits.
+// Served at /api/docs/asyncapi.json (see routes/docs.js).
+
+const { version } = require('../package.json');
+const models = require('../routes/models');
+const { withRefs, componentSchemas } = require('../routes/openapi');
+const { CLIENT_EVENTS, ACKS, SERVER_EVENTS } = require('./schemas');
+
+const failedAck = models.record({ ok: { const: false }, error: models.ErrorResponse.properties.error });
+
+const ackSchema = (event) => ({
+  oneOf: [{ allOf: [models.record({ ok: { const: true } }), ACKS[event]] }, failedAck]
+});
+
+const buildAsyncApi = () => {
+  const events = [...new Set([...Object.keys(CLIENT_EVENTS), ...Object.keys(SERVER_EVENTS)])];
+
+  const channels = Object.fromEntries(events.map((event) => {
+    const channel = {};
+    if (CLIENT_EVENTS[event]) {
+      channel.publish = {
+        message: { name: event, payload: withRefs(CLIENT_EVENTS[event]), 'x-ack': withRefs(ackSchema(event)) }
+      };
+    }
+    if (SERVER_EVENTS[event]) {
+      channel.subscribe = { message: { name: event, payload: withRefs(SERVER_EVENTS[event], false) } };
+    }
+    return [event, channel];
+  }));
+
+  return {
+    asyncapi: '2.6.0',
+    info: {
+      title: 'Messenger socket events',
+      version,
+      description: 'Socket.io events. Connect with an access token as auth: { token }; a refused handshake ' +
+        'fails with connect_error, whose data is { error: { code, message, details } }. Every client event ' +
+        'may pass an ack callback, which receives { ok: true, ... } or { ok: false, error }.'
+    },
+    defaultContentType: 'application/json',
+    channels,
+    components: { schemas: componentSchemas() }
+  };
+};
+
+module.exports = { buildAsyncApi };
@@ -0,0 +1,310 @@
+// sockets/index.js
+//
+// Socket.io connection handling. Every event a client sends is checked against
+// its schema (sockets/schemas.js) first. Any event may take an ack callback:
+// it receives { ok: true, ... } or { ok: false, error: { code, message, details } },
+// the same error shape as the REST API.
+
+const { messages, attachments, conversations, keys } = require('../db/repositories');
+const { authenticateSocket } = require('../middleware/auth');
+const { errorPayload } = require('../middleware/errors');
+const { compileEventSchema } = require('../middleware/validate');
+const sessions = require('../services/sessions');
+const { messageTypeFor } = require('../services/mime');
+const messageChanges = require('../services/messageChanges');
+const e2e = require('../services/e2e');
+const { CLIENT_EVENTS } = require('./schemas');
+
+const checks = Object.fromEntries(
+  Object.entries(CLIENT_EVENTS).map(([event, schema]) => [event, compileEventSchema(schema)])
+);
+
+// A socket event refused by its handler, acked with this status and message
+class SocketEventError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// The error payload to ack a failed event with, or null for unexpected errors
+const expectedError = (err) => {
+  if (err instanceof SocketEventError || err instanceof messageChanges.MessageChangeError) {
+    return errorPayload(err.status, err.message);
+  }
+  if (err instanceof e2e.E2eError) {
+    return errorPayload(err.status, err.message, { details: err.details });
+  }
+  return null;
+};
+
+// { friendId } or { conversationId } from a validated typing payload
+const typingTarget = (payload) => {
+  return payload.friendId ? { friendId: payload.friendId } : { conversationId: payload.conversationId };
+};
+
+const registerSocketHandlers = (io, realtime) => {
+  const { presence, typing } = realtime;
+
+  // Presence updates still in flight; shutdown waits for them before closing the pool
+  const pendingDisconnects = new Set();
+
+  // Reject socket connections without a valid access token
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    console.log('A user connected:', socket.id, 'as user', socket.data.userId);
+
+    // Group the socket by user for message delivery, and by session so revoking a device can disconnect it
+    socket.join(realtime.userRoom(socket.data.userId));
+    socket.join(realtime.sessionRoom(socket.data.sessionId));
+    // Until the client says otherwise the app is assumed to be on screen
+    socket.data.foreground = true;
+    sessions.touchSession(socket.data.sessionId).catch((err) => {
+      console.error('Error updating session last seen:', err);
+    });
+
+    keys.findDeviceForSession(socket.data.userId, socket.data.sessionId).then((deviceId) => {
+      if (deviceId) socket.join(realtime.deviceRoom(socket.data.userId, deviceId));
+    }).catch((err) => {
+      console.error('Error looking up encryption device:', err);
+    });
+
+    presence.connect(socket).then((cameOnline) => {
+      if (cameOnline) {
+        return realtime.broadcastPresence(socket.data.userId, true);
+      }
+    }).catch((err) => {
+      console.error('Error broadcasting presence:', err);
+    });
+
+    // Listen for a client event: the payload is validated, and whatever the
+    // handler returns is merged into the { ok: true } ack
+    const on = (event, handler) => {
+      const check = checks[event];
+      // Every event the server handles is part of the documented contract
+      if (!check) {
+        throw new Error(`Socket event "${event}" has no schema in sockets/schemas.js`);
+      }
+      socket.on(event, async (payload, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+
+        const invalid = check(payload);
+        if (invalid) {
+          console.error(`Rejected ${event}:`, invalid.message);
+          return reply({ ok: false, error: invalid });
+        }
+
+        try {
+          reply({ ok: true, ...(await handler(payload)) });
+        } catch (err) {
+          const error = expectedError(err);
+          if (error) {
+            console.error(`Rejected ${event}:`, error.message);
+            return reply({ ok: false, error });
+          }
+          console.error(`Error handling ${event}:`, err);
+          console.error(`Detailed error for ${event} socket event:`, err.stack || err);
+          reply({ ok: false, error: errorPayload(500, 'Internal server error') });
+        }
+      });
+    };
+
+    // A message goes either to a friend (receiverId) or to a group (conversationId).
+    // The ack carries { message } with the saved row. Retrying with the same
+    // clientMessageId acks the original message instead of creating a duplicate.
+    // An end-to-end encrypted direct message has no content or attachment, just
+    // encrypted: { envelopes: [{ userId, deviceId, type, body }] } with one
+    // envelope per device (see services/e2e.js). If the devices have changed the
+    // error details carry missing_devices and stale_devices.
+    on('chat message', async (msg) => {
+      // The sender is always the authenticated socket user, never msg.senderId
+      const senderId = socket.data.userId;
+
+      if (msg.clientMessageId) {
+        const existing = await messages.findByClientMessageId(senderId, msg.clientMessageId);
+        if (existing) {
+          return { message: existing };
+        }
+      }
+
+      // Every device of every participant gets the message, including the sender's
+      let recipientIds;
+      let target;
+      if (msg.conversationId) {
+        const conversation = await conversations.findForMember(msg.conversationId, senderId);
+        if (!conversation) {
+          throw new SocketEventError(403, 'Sender is not a member of the conversation');
+        }
+        recipientIds = await conversations.listMemberIds(conversation.id);
+        target = { conversationId: conversation.id };
+      } else {
+        // Direct messages need a friendship, which a block in either direction ends
+        if (!(await realtime.canReach(senderId, { friendId: msg.receiverId }))) {
+          throw new SocketEventError(403, 'You can only message friends');
+        }
+        recipientIds = [senderId, msg.receiverId];
+        target = { receiverId: msg.receiverId };
+      }
+
+      if (msg.replyToId) {
+        await messageChanges.checkReplyTarget(senderId, msg.replyToId, target);
+        target.replyToId = msg.replyToId;
+      }
+
+      let savedMessage;
+      if (msg.encrypted) {
+        if (msg.conversationId) {
+          throw new SocketEventError(400, 'Encryption is only available in direct chats');
+        }
+        if (msg.content || msg.attachmentId) {
+          throw new SocketEventError(400, 'Encrypted messages carry their content in envelopes');
+        }
+        const senderDeviceId = await keys.findDeviceForSession(senderId, socket.data.sessionId);
+        if (!senderDeviceId) {
+          throw new SocketEventError(400, 'Publish this device\'s keys before sending encrypted messages');
+        }
+        const envelopes = await e2e.checkEnvelopes(senderId, senderDeviceId, msg.receiverId, msg.encrypted.envelopes);
+        savedMessage = await messages.createEncrypted({
+          senderId,
+          ...target,
+          senderDeviceId,
+          envelopes,
+          clientMessageId: msg.clientMessageId
+        });
+        if (savedMessage) {
+          envelopes.forEach(({ userId, deviceId, type, body }) => {
+            realtime.emitToDevice(userId, deviceId, 'chat message', { ...savedMessage, envelope: { type, body } });
+          });
+        }
+      } else if (msg.attachmentId) {
+        // Only the uploader can send an attachment; its type decides the message type
+        const attachment = await attachments.findOwned(msg.attachmentId, senderId);
+        if (!attachment) {
+          throw new SocketEventError(404, 'Attachment not found or not owned by sender');
+        }
+        savedMessage = await messages.createWithAttachment({
+          senderId,
+          ...target,
+          content: msg.content,
+          attachmentId: attachment.id,
+          messageType: messageTypeFor(attachment.mime_type),
+          clientMessageId: msg.clientMessageId
+        });
+      } else {
+        if (!msg.content) {
+          throw new SocketEventError(400, 'Text message missing content');
+        }
+        savedMessage = await messages.createText({ senderId, ...target, content: msg.content, clientMessageId: msg.clientMessageId });
+      }
+
+      // A concurrent retry won the insert; it has already been delivered
+      if (!savedMessage) {
+        return { message: await messages.findByClientMessageId(senderId, msg.clientMessageId) };
+      }
+
+      if (!savedMessage.encrypted) {
+        realtime.emitToUsers([...new Set(recipientIds)], 'chat message', savedMessage);
+      }
+      realtime.pushNewMessage(savedMessage, [...new Set(recipientIds)]);
+      typing.stop(senderId, msg.conversationId ? { conversationId: msg.conversationId } : { friendId: msg.receiverId });
+      return { message: savedMessage };
+    });
+
+    // Clients ack every direct 'chat message' they receive: { messageId } or { messageIds }
+    on('message delivered', async (payload) => {
+      const messageIds = payload.messageIds || [payload.messageId];
+      const delivered = await messages.markDelivered(messageIds, socket.data.userId);
+      for (const message of delivered) {
+        realtime.emitToUsers([message.sender_id], 'message status', {
+          id: message.id,
+          receiver_id: socket.data.userId,
+          delivered_at: message.delivered_at
+        });
+      }
+    });
+
+    // Same as POST /messages/read: { friendId | conversationId, upToMessageId }
+    on('mark read', async (payload) => {
+      const receipt = await realtime.markRead(socket.data.userId, {
+        friendId: payload.friendId,
+        conversationId: payload.conversationId,
+        upToMessageId: payload.upToMessageId
+      });
+      if (!receipt) {
+        throw new SocketEventError(404, 'Message not found');
+      }
+      return { receipt };
+    });
+
+    // Same as PUT /messages/:messageId: { messageId, content }
+    on('message edit', async (payload) => {
+      return { message: await realtime.editMessage(socket.data.userId, payload.messageId, payload.content) };
+    });
+
+    // Same as DELETE /messages/:messageId: { messageId, scope: 'me' | 'everyone' }
+    on('message delete', async (payload) => {
+      return { message: await realtime.deleteMessage(socket.data.userId, payload.messageId, payload.scope || 'me') };
+    });
+
+    // { messageId, emoji }
+    on('reaction add', async (payload) => {
+      return realtime.setReaction(socket.data.userId, payload.messageId, payload.emoji, true);
+    });
+
+    // { messageId, emoji }
+    on('reaction remove', async (payload) => {
+      return realtime.setReaction(socket.data.userId, payload.messageId, payload.emoji, false);
+    });
+
+    // Same as POST /messages/:messageId/forward: { messageId, receiverId | conversationId }
+    on('message forward', async (payload) => {
+      const message = await realtime.forwardMessage(socket.data.userId, payload.messageId, {
+        receiverId: payload.receiverId,
+        conversationId: payload.conversationId
+      });
+      return { message };
+    });
+
+    // { friendId } or { conversationId }; repeat 'typing start' while typing to keep the indicator alive
+    on('typing start', async (payload) => {
+      const target = typingTarget(payload);
+      const { userId } = socket.data;
+      if (!typing.isTyping(userId, target) && !(await realtime.canReach(userId, target))) {
+        throw new SocketEventError(403, 'You can only send typing indicators to your friends and groups');
+      }
+      typing.start(userId, socket.id, target);
+    });
+
+    on('typing stop', async (payload) => {
+      typing.stop(socket.data.userId, typingTarget(payload));
+    });
+
+    // { foreground } whenever the app is shown or hidden; push notifications are
+    // only sent while none of the user's sockets is in the foreground
+    on('app state', async (payload) => {
+      socket.data.foreground = payload.foreground;
+    });
+
+    socket.on('disconnect', () => {
+      console.log('User disconnected:', socket.id);
+      typing.clearSocket(socket.id);
+
+      const pending = (async () => {
+        try {
+          const lastSeenAt = await presence.disconnect(socket);
+          if (lastSeenAt) {
+            await realtime.broadcastPresence(socket.data.userId, false, lastSeenAt);
+          }
+        } catch (err) {
+          console.error('Error updating presence on disconnect:', err);
+        }
+      })().finally(() => pendingDisconnects.delete(pending));
+      pendingDisconnects.add(pending);
+    });
+  });
+
+  return { pendingDisconnects };
+};
+
+module.exports = { registerSocketHandlers };
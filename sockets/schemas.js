@@ -0,0 +1,122 @@
+// sockets/schemas.js
+//
+// The socket contract. CLIENT_EVENTS are the payload schemas of the events
+// clients send, checked before any handler runs (see sockets/index.js); every
+// one of them has a handler and vice versa. ACKS describe what a successful
+// ack adds to { ok: true }. SERVER_EVENTS are the payloads the server emits
+// (documentation only, like routes/models.js). sockets/asyncapi.js turns all
+// three into the AsyncAPI document.
+
+const e2e = require('../services/e2e');
+const models = require('../routes/models');
+const { uuid, userId, emoji, object, exactlyOneOf, markReadBody } = require('../routes/schemas');
+
+const MAX_CLIENT_MESSAGE_ID_LENGTH = 64;
+const MAX_DELIVERED_BATCH = 100;
+
+// One envelope per device of an end-to-end encrypted direct message
+const envelope = object({
+  userId,
+  deviceId: { type: 'string', pattern: e2e.DEVICE_ID_PATTERN.source },
+  type: { enum: e2e.ENVELOPE_TYPES },
+  body: { type: 'string', minLength: 1, maxLength: e2e.MAX_ENVELOPE_LENGTH }
+}, ['userId', 'deviceId', 'type', 'body']);
+
+const typingTarget = {
+  ...object({ friendId: userId, conversationId: uuid }),
+  ...exactlyOneOf('friendId', 'conversationId')
+};
+
+const reaction = object({ messageId: uuid, emoji }, ['messageId', 'emoji']);
+
+const CLIENT_EVENTS = {
+  // { receiverId | conversationId, content?, attachmentId?, replyToId?,
+  //   clientMessageId?, encrypted?: { envelopes } }
+  'chat message': {
+    ...object({
+      receiverId: userId,
+      conversationId: uuid,
+      content: { type: 'string' },
+      attachmentId: uuid,
+      replyToId: uuid,
+      clientMessageId: { type: 'string', minLength: 1, maxLength: MAX_CLIENT_MESSAGE_ID_LENGTH },
+      encrypted: object({
+        envelopes: { type: 'array', minItems: 1, maxItems: e2e.MAX_ENVELOPES, items: envelope }
+      }, ['envelopes'])
+    }),
+    ...exactlyOneOf('receiverId', 'conversationId')
+  },
+  // { messageId } or { messageIds }
+  'message delivered': {
+    ...object({
+      messageId: uuid,
+      messageIds: { type: 'array', minItems: 1, maxItems: MAX_DELIVERED_BATCH, items: uuid }
+    }),
+    ...exactlyOneOf('messageId', 'messageIds')
+  },
+  'mark read': markReadBody,
+  'message edit': object({ messageId: uuid, content: { type: 'string' } }, ['messageId', 'content']),
+  'message delete': object({ messageId: uuid, scope: { enum: ['me', 'everyone'] } }, ['messageId']),
+  'reaction add': reaction,
+  'reaction remove': reaction,
+  'message forward': {
+    ...object({ messageId: uuid, receiverId: userId, conversationId: uuid }, ['messageId']),
+    ...exactlyOneOf('receiverId', 'conversationId')
+  },
+  'typing start': typingTarget,
+  'typing stop': typingTarget,
+  'app state': object({ foreground: { type: 'boolean' } }, ['foreground'])
+};
+
+const messageResult = models.record({ message: models.Message });
+const nothing = object({});
+
+const ACKS = {
+  'chat message': messageResult,
+  'message delivered': nothing,
+  'mark read': models.record({ receipt: models.ReadReceipt }),
+  'message edit': messageResult,
+  // message is null when it was only deleted for the sender
+  'message delete': models.record({ message: { anyOf: [models.Message, { type: 'null' }] } }),
+  'reaction add': models.ReactionUpdate,
+  'reaction remove': models.ReactionUpdate,
+  'message forward': messageResult,
+  'typing start': nothing,
+  'typing stop': nothing,
+  'app state': nothing
+};
+
+const timestamp = { type: 'string', format: 'date-time' };
+const closedRequest = models.record({ request_id: uuid, sender_id: userId, receiver_id: userId });
+
+const SERVER_EVENTS = {
+  // A new message (or a forwarded copy); encrypted ones carry the receiving device's envelope
+  'chat message': models.Message,
+  // One of your direct messages reached the receiver
+  'message status': models.record({ id: uuid, receiver_id: userId, delivered_at: timestamp }),
+  'messages read': models.ReadReceipt,
+  'message updated': models.Message,
+  'message deleted': models.record({
+    id: uuid,
+    scope: { enum: ['me', 'everyone'] },
+    message: { anyOf: [models.Message, { type: 'null' }] }
+  }),
+  'reaction updated': models.ReactionUpdate,
+  // conversation_id is set for groups
+  'typing': object({ user_id: userId, typing: { type: 'boolean' }, conversation_id: uuid }, ['user_id', 'typing']),
+  // A friend came online or went offline
+  'presence': models.record({ user_id: userId, online: { type: 'boolean' }, last_seen_at: { type: ['string', 'null'], format: 'date-time' } }),
+  'friend request received': models.FriendRequest,
+  'friend request sent': models.FriendRequest,
+  'friend request declined': closedRequest,
+  'friend request cancelled': closedRequest,
+  'friend request accepted': models.record({ request_id: uuid, friend: models.Friend }),
+  // user_id is whoever left your friends list
+  'friend removed': models.record({ user_id: userId }),
+  // The new state of a group you are (still) a member of
+  'conversation updated': models.Conversation,
+  // You left or were removed from a group
+  'conversation removed': models.record({ conversation_id: uuid })
+};
+
+module.exports = { CLIENT_EVENTS, ACKS, SERVER_EVENTS };
@@ -0,0 +1,122 @@
+// test/account.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+const { waitFor } = require('./support/events');
+
+let app;
+
+test.before(async () => {
+  app = await startApp();
+});
+
+test.after(() => app.close());
+
+const login = async (user, device) => {
+  const { status, body } = await app.request('POST', '/api/v1/auth/login', { body: { username: user.username, password: user.password, device } });
+  assert.equal(status, 200);
+  return body;
+};
+
+test('reading and updating your profile', async () => {
+  const user = await app.register('profiled', { name: 'Pro Filed' });
+
+  const me = await app.request('GET', '/api/v1/me', { token: user.token });
+  assert.equal(me.body.name, 'Pro Filed');
+  assert.equal(me.body.bio, null);
+  assert.equal(me.body.avatar, null);
+
+  const updated = await app.request('PUT', '/api/v1/me', {
+    token: user.token,
+    body: { name: '  Pro  ', bio: 'Writes tests', statusMessage: 'Testing', email: 'profiled@example.com', currentPassword: user.password }
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.name, 'Pro');
+  assert.equal(updated.body.bio, 'Writes tests');
+  assert.equal(updated.body.status_message, 'Testing');
+  assert.equal(updated.body.email, 'profiled@example.com');
+
+  // null and '' clear a field; leaving it out keeps it
+  const cleared = await app.request('PUT', '/api/v1/me', { token: user.token, body: { bio: null, statusMessage: '' } });
+  assert.equal(cleared.body.bio, null);
+  assert.equal(cleared.body.status_message, null);
+  assert.equal(cleared.body.email, 'profiled@example.com');
+});
+
+test('changing the email address needs the current password', async () => {
+  const user = await app.register('emailed', { email: 'emailed@example.com' });
+  const change = (body) => app.request('PUT', '/api/v1/me', { token: user.token, body });
+
+  const missing = await change({ email: 'attacker@example.com' });
+  assert.equal(missing.status, 400);
+  assert.deepEqual(missing.body.error.details.errors.map((error) => error.message), ['must have required property \'currentPassword\'']);
+  assert.equal((await change({ email: null })).status, 400);
+  assert.equal((await change({ email: 'attacker@example.com', currentPassword: 'Not-the-password-1' })).status, 401);
+  assert.equal((await app.request('GET', '/api/v1/me', { token: user.token })).body.email, 'emailed@example.com');
+
+  const changed = await change({ email: 'new@example.com', currentPassword: user.password });
+  assert.equal(changed.status, 200);
+  assert.equal(changed.body.email, 'new@example.com');
+});
+
+test('invalid profile updates', async () => {
+  const user = await app.register('invalid');
+  const other = await app.register('other');
+  await app.request('PUT', '/api/v1/me', { token: other.token, body: { email: 'taken@example.com', currentPassword: other.password } });
+
+  assert.equal((await app.request('PUT', '/api/v1/me', { token: user.token, body: { name: '   ' } })).status, 400);
+  assert.equal((await app.request('PUT', '/api/v1/me', { token: user.token, body: { email: 'not-an-email', currentPassword: user.password } })).status, 400);
+  assert.equal((await app.request('PUT', '/api/v1/me', { token: user.token, body: { bio: 'x'.repeat(501) } })).status, 400);
+  assert.equal((await app.request('PUT', '/api/v1/me', { token: user.token, body: { email: 'taken@example.com', currentPassword: user.password } })).status, 409);
+
+  // Avatars must be images the user uploaded
+  const avatar = await app.request('PUT', '/api/v1/me', { token: user.token, body: { avatarAttachmentId: '00000000-0000-4000-8000-000000000000' } });
+  assert.equal(avatar.status, 400);
+});
+
+test('listing and revoking sessions', async () => {
+  const user = await app.register('traveller');
+  const phone = await login(user, 'Phone');
+  const phoneSocket = await app.connect(phone.token);
+
+  const sessions = await app.request('GET', '/api/v1/sessions', { token: user.token });
+  assert.equal(sessions.body.length, 2);
+  const current = sessions.body.filter((session) => session.current);
+  assert.equal(current.length, 1);
+  const phoneSession = sessions.body.find((session) => session.device === 'Phone');
+  assert.ok(phoneSession);
+
+  const disconnected = waitFor(phoneSocket, 'disconnect');
+  const revoked = await app.request('DELETE', `/api/v1/sessions/${phoneSession.id}`, { token: user.token });
+  assert.equal(revoked.status, 200);
+  await disconnected;
+
+  assert.equal((await app.request('GET', '/api/v1/sessions', { token: user.token })).body.length, 1);
+  assert.equal((await app.request('POST', '/api/v1/auth/refresh', { body: { refreshToken: phone.refreshToken } })).status, 401);
+  assert.equal((await app.request('DELETE', `/api/v1/sessions/${phoneSession.id}`, { token: user.token })).status, 404);
+
+  // Nobody else's sessions
+  const other = await app.register('other');
+  const [otherSession] = (await app.request('GET', '/api/v1/sessions', { token: other.token })).body;
+  assert.equal((await app.request('DELETE', `/api/v1/sessions/${otherSession.id}`, { token: user.token })).status, 404);
+});
+
+test('changing the password signs out every other session', async () => {
+  const user = await app.register('changer');
+  const laptop = await login(user, 'Laptop');
+
+  const wrong = await app.request('POST', '/api/v1/me/password', { token: user.token, body: { currentPassword: 'Wrong-password-1', newPassword: 'Changed-password-1' } });
+  assert.equal(wrong.status, 401);
+  const weak = await app.request('POST', '/api/v1/me/password', { token: user.token, body: { currentPassword: user.password, newPassword: 'short' } });
+  assert.equal(weak.status, 400);
+
+  const changed = await app.request('POST', '/api/v1/me/password', { token: user.token, body: { currentPassword: user.password, newPassword: 'Changed-password-1' } });
+  assert.equal(changed.status, 200);
+  assert.equal(changed.body.revoked_sessions, 1);
+
+  assert.equal((await app.request('POST', '/api/v1/auth/refresh', { body: { refreshToken: laptop.refreshToken } })).status, 401);
+  assert.equal((await app.request('POST', '/api/v1/auth/refresh', { body: { refreshToken: user.refreshToken } })).status, 200);
+  assert.equal((await app.request('POST', '/api/v1/auth/login', { body: { username: user.username, password: user.password } })).status, 401);
+  await login({ ...user, password: 'Changed-password-1' });
+});
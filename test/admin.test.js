@@ -0,0 +1,72 @@
+// test/admin.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+let app;
+
+test.before(async () => {
+  app = await startApp();
+});
+
+test.after(() => app.close());
+
+const importUsers = (body, token = app.adminToken) => app.request('POST', '/api/v1/admin/users/import', { token, body });
+
+const login = (username, password) => app.request('POST', '/api/v1/auth/login', { body: { username, password } });
+
+test('the import needs the admin token', async () => {
+  const rows = [{ id: 'legacy-0', username: 'legacy_zero', password: 'Legacy-import-0' }];
+  assert.equal((await importUsers({ users: rows }, 'wrong-token')).status, 401);
+  assert.equal((await importUsers({ users: rows }, null)).status, 401);
+
+  // A user's access token is not the admin token
+  const user = await app.register('someone');
+  assert.equal((await importUsers({ users: rows }, user.token)).status, 401);
+});
+
+test('a dry run reports what would be imported without importing it', async () => {
+  const rows = [{ id: 'legacy-1', username: 'legacy_one', password: 'Legacy-import-1' }];
+  const { status, body } = await importUsers({ users: rows, dryRun: true });
+  assert.equal(status, 200);
+  assert.equal(body.dry_run, true);
+  assert.deepEqual(body.created.map((user) => user.id), ['legacy-1']);
+
+  assert.equal((await login('legacy_one', 'Legacy-import-1')).status, 401);
+});
+
+test('imported users keep their ids and can log in', async () => {
+  const rows = [
+    { id: 'legacy-2', username: 'legacy_two', password: 'Legacy-import-2', name: 'Two' },
+    { id: 'legacy-3', username: 'legacy_three', password: 'Legacy-import-3' }
+  ];
+  const imported = await importUsers({ users: rows });
+  assert.equal(imported.status, 201);
+  assert.deepEqual(imported.body.created.map((user) => user.id), ['legacy-2', 'legacy-3']);
+  assert.deepEqual(imported.body.skipped, []);
+
+  const loggedIn = await login('legacy_two', 'Legacy-import-2');
+  assert.equal(loggedIn.status, 200);
+  assert.equal(loggedIn.body.user.id, 'legacy-2');
+  assert.equal(loggedIn.body.user.name, 'Two');
+
+  // Importing again skips what is already there
+  const again = await importUsers({ users: rows });
+  assert.deepEqual(again.body.created, []);
+  assert.deepEqual(again.body.skipped.map((user) => user.id), ['legacy-2', 'legacy-3']);
+});
+
+test('invalid rows fail the whole batch with a reason per row', async () => {
+  const rows = [
+    { id: 'legacy-4', username: 'legacy_four', password: 'Legacy-import-4' },
+    { id: 'legacy-5', username: 'legacy_five', password: 'weak' },
+    { id: 'legacy-6', username: 'legacy_six' }
+  ];
+  const { status, body } = await importUsers({ users: rows });
+  assert.equal(status, 400);
+  assert.deepEqual(body.error.details.errors.map((error) => error.index), [1, 2]);
+  assert.equal((await login('legacy_four', 'Legacy-import-4')).status, 401);
+
+  assert.equal((await importUsers({ users: [] })).status, 400);
+});
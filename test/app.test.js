@@ -0,0 +1,53 @@
+// test/app.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+let app;
+
+test.before(async () => {
+  app = await startApp();
+});
+
+test.after(() => app.close());
+
+test('importing the app or the server starts nothing', () => {
+  const { createApp } = require('../app');
+  const { server, io } = createApp();
+  assert.equal(server.listening, false);
+  io.close();
+
+  // server.js only listens when run directly
+  const { start } = require('../server');
+  assert.equal(typeof start, 'function');
+});
+
+test('the root page says the server is running', async () => {
+  const { status, body } = await app.request('GET', '/');
+  assert.equal(status, 200);
+  assert.match(body.toString(), /running/);
+});
+
+test('the API documents are served', async () => {
+  const openapi = await app.request('GET', '/api/docs/openapi.json');
+  assert.equal(openapi.body.openapi, '3.1.0');
+  assert.ok(openapi.body.paths['/api/v1/friend-requests'].post);
+
+  const asyncapi = await app.request('GET', '/api/docs/asyncapi.json');
+  assert.ok(asyncapi.body.channels['chat message']);
+
+  const viewer = await app.request('GET', '/api/docs/');
+  assert.equal(viewer.status, 200);
+  assert.match(viewer.headers.get('content-type'), /text\/html/);
+});
+
+test('malformed JSON bodies get the error format', async () => {
+  const response = await fetch(`${app.url}/api/v1/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"username":'
+  });
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error.code, 'invalid_json');
+});
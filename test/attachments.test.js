@@ -0,0 +1,123 @@
+// test/attachments.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { startApp } = require('./support/app');
+const { STEP_TIMEOUT_MS } = require('./support/events');
+
+let app;
+let alice;
+let bob;
+let carol;
+
+test.before(async () => {
+  app = await startApp();
+  alice = await app.register('alice');
+  bob = await app.register('bob');
+  carol = await app.register('carol');
+  await app.befriend(alice, bob);
+});
+
+test.after(() => app.close());
+
+const upload = (user, buffer, type, filename) => {
+  const form = new FormData();
+  form.append('file', new Blob([buffer], { type }), filename);
+  return app.request('POST', '/api/v1/attachments', { token: user.token, form });
+};
+
+const png = (width, height) => sharp({ create: { width, height, channels: 3, background: '#336699' } }).png().toBuffer();
+
+test('uploading an image stores it with a thumbnail', async () => {
+  const image = await png(640, 480);
+  const { status, body } = await upload(alice, image, 'image/png', 'photo.png');
+  assert.equal(status, 201);
+  assert.equal(body.owner_id, alice.id);
+  assert.equal(body.mime_type, 'image/png');
+  assert.equal(body.original_name, 'photo.png');
+  assert.equal(body.width, 640);
+  assert.equal(body.height, 480);
+  assert.equal(body.has_thumbnail, true);
+  assert.ok(body.blurhash);
+
+  const download = await app.request('GET', `/api/v1/attachments/${body.id}`, { token: alice.token });
+  assert.equal(download.status, 200);
+  assert.equal(download.headers.get('content-type'), 'image/png');
+  assert.match(download.headers.get('content-disposition'), /^inline/);
+  assert.equal(download.body.length, body.size);
+
+  const thumbnail = await app.request('GET', `/api/v1/attachments/${body.id}/thumbnail`, { token: alice.token });
+  assert.equal(thumbnail.status, 200);
+  assert.equal(thumbnail.headers.get('content-type'), 'image/webp');
+  const { width } = await sharp(thumbnail.body).metadata();
+  assert.ok(width < 640);
+});
+
+test('the file type is sniffed, not taken from the upload', async () => {
+  const pdf = Buffer.from('%PDF-1.4\n1 0 obj\n<<>>\nendobj\ntrailer\n<<>>\n%%EOF\n');
+  const document = await upload(alice, pdf, 'image/png', 'notes.png');
+  assert.equal(document.status, 201);
+  assert.equal(document.body.mime_type, 'application/pdf');
+  assert.equal(document.body.has_thumbnail, false);
+
+  const download = await app.request('GET', `/api/v1/attachments/${document.body.id}`, { token: alice.token });
+  assert.match(download.headers.get('content-disposition'), /^attachment/);
+  assert.equal((await app.request('GET', `/api/v1/attachments/${document.body.id}/thumbnail`, { token: alice.token })).status, 404);
+
+  const unknown = await upload(alice, Buffer.from('just some text'), 'text/plain', 'notes.txt');
+  assert.equal(unknown.status, 415);
+});
+
+test('uploads need a file', async () => {
+  const empty = await app.request('POST', '/api/v1/attachments', { token: alice.token, form: new FormData() });
+  assert.equal(empty.status, 400);
+  const anonymous = await app.request('POST', '/api/v1/attachments', { form: new FormData() });
+  assert.equal(anonymous.status, 401);
+});
+
+test('attachments are visible to the uploader and the participants of messages that use them', async () => {
+  const { body: attachment } = await upload(alice, await png(32, 32), 'image/png', 'small.png');
+  assert.equal((await app.request('GET', `/api/v1/attachments/${attachment.id}`, { token: bob.token })).status, 404);
+
+  const socket = await app.connect(alice.token);
+  const ack = await socket.timeout(STEP_TIMEOUT_MS).emitWithAck('chat message', { receiverId: bob.id, attachmentId: attachment.id });
+  socket.close();
+  assert.equal(ack.message.message_type, 'image');
+  assert.equal(ack.message.attachment.id, attachment.id);
+
+  assert.equal((await app.request('GET', `/api/v1/attachments/${attachment.id}`, { token: bob.token })).status, 200);
+  assert.equal((await app.request('GET', `/api/v1/attachments/${attachment.id}/thumbnail`, { token: bob.token })).status, 200);
+  assert.equal((await app.request('GET', `/api/v1/attachments/${attachment.id}`, { token: carol.token })).status, 404);
+  assert.equal((await app.request('GET', '/api/v1/attachments/not-a-uuid', { token: alice.token })).status, 400);
+});
+
+test('a message deleted for everyone no longer shares its attachment', async () => {
+  const { body: attachment } = await upload(alice, await png(16, 16), 'image/png', 'oops.png');
+  const socket = await app.connect(alice.token);
+  const ack = await socket.timeout(STEP_TIMEOUT_MS).emitWithAck('chat message', { receiverId: bob.id, attachmentId: attachment.id });
+  socket.close();
+  assert.equal((await app.request('GET', `/api/v1/attachments/${attachment.id}`, { token: bob.token })).status, 200);
+
+  await app.request('DELETE', `/api/v1/messages/${ack.message.id}?scope=everyone`, { token: alice.token });
+  assert.equal((await app.request('GET', `/api/v1/attachments/${attachment.id}`, { token: bob.token })).status, 404);
+  assert.equal((await app.request('GET', `/api/v1/attachments/${attachment.id}/thumbnail`, { token: bob.token })).status, 404);
+  // The uploader keeps it
+  assert.equal((await app.request('GET', `/api/v1/attachments/${attachment.id}`, { token: alice.token })).status, 200);
+});
+
+test('uploaded images can be used as avatars', async () => {
+  const { body: attachment } = await upload(carol, await png(64, 64), 'image/png', 'me.png');
+
+  const updated = await app.request('PUT', '/api/v1/me', { token: carol.token, body: { avatarAttachmentId: attachment.id } });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.avatar.id, attachment.id);
+
+  // Anyone signed in can then see it
+  const profile = await app.request('GET', `/api/v1/users/${carol.id}`, { token: alice.token });
+  assert.equal(profile.body.avatar.id, attachment.id);
+  assert.equal((await app.request('GET', `/api/v1/attachments/${attachment.id}`, { token: alice.token })).status, 200);
+
+  // Someone else's upload is not an avatar option
+  assert.equal((await app.request('PUT', '/api/v1/me', { token: bob.token, body: { avatarAttachmentId: attachment.id } })).status, 400);
+});
@@ -0,0 +1,190 @@
+// test/auth.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+const { waitFor } = require('./support/events');
+
+let app;
+
+test.before(async () => {
+  app = await startApp();
+});
+
+test.after(() => app.close());
+
+test('register creates an account and signs it in', async () => {
+  const { status, body } = await app.request('POST', '/api/v1/auth/register', {
+    body: { username: 'ada_lovelace', password: 'Analytical-1', name: 'Ada' }
+  });
+  assert.equal(status, 201);
+  assert.equal(body.user.username, 'ada_lovelace');
+  assert.equal(body.user.name, 'Ada');
+  assert.ok(body.token);
+  assert.ok(body.refreshToken);
+  assert.equal(body.user.password_hash, undefined);
+
+  const me = await app.request('GET', '/api/v1/me', { token: body.token });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.id, body.user.id);
+});
+
+test('register rejects taken usernames, weak passwords and invalid bodies', async () => {
+  const taken = await app.request('POST', '/api/v1/auth/register', { body: { username: 'ada_lovelace', password: 'Analytical-2' } });
+  assert.equal(taken.status, 409);
+  assert.equal(taken.body.error.code, 'conflict');
+
+  const weak = await app.request('POST', '/api/v1/auth/register', { body: { username: 'weak_one', password: 'password' } });
+  assert.equal(weak.status, 400);
+
+  const invalid = await app.request('POST', '/api/v1/auth/register', { body: { username: 'x' } });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error.code, 'validation_failed');
+  assert.ok(invalid.body.error.details);
+});
+
+test('the unversioned /auth routes still work', async () => {
+  const { status } = await app.request('POST', '/auth/register', { body: { username: 'legacy_client', password: 'Legacy-client-1' } });
+  assert.equal(status, 201);
+  const login = await app.request('POST', '/auth/login', { body: { username: 'legacy_client', password: 'Legacy-client-1' } });
+  assert.equal(login.status, 200);
+});
+
+test('login checks the password', async () => {
+  const user = await app.register('grace');
+
+  const ok = await app.request('POST', '/api/v1/auth/login', { body: { username: user.username, password: user.password } });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.user.id, user.id);
+
+  const wrong = await app.request('POST', '/api/v1/auth/login', { body: { username: user.username, password: 'Not-the-password-1' } });
+  assert.equal(wrong.status, 401);
+
+  const unknown = await app.request('POST', '/api/v1/auth/login', { body: { username: 'nobody_here', password: user.password } });
+  assert.equal(unknown.status, 401);
+});
+
+test('unknown usernames still cost a password check', async (t) => {
+  const bcrypt = require('bcrypt');
+  const { DUMMY_PASSWORD_HASH } = require('../services/passwords');
+  const compare = t.mock.method(bcrypt, 'compare');
+
+  const { status } = await app.request('POST', '/api/v1/auth/login', { body: { username: 'nobody_at_all', password: 'Some-password-1' } });
+  assert.equal(status, 401);
+  assert.equal(compare.mock.callCount(), 1);
+  assert.equal(compare.mock.calls[0].arguments[1], DUMMY_PASSWORD_HASH);
+});
+
+test('too many wrong passwords lock the account for a while', async () => {
+  const user = await app.register('locked');
+  const attempt = () => app.request('POST', '/api/v1/auth/login', { body: { username: user.username, password: 'Wrong-password-1' } });
+
+  let last;
+  for (let i = 0; i < 6; i++) {
+    last = await attempt();
+  }
+  assert.equal(last.status, 429);
+  assert.ok(Number(last.headers.get('retry-after')) > 0);
+
+  // Even the right password waits until the lock expires
+  const right = await app.request('POST', '/api/v1/auth/login', { body: { username: user.username, password: user.password } });
+  assert.equal(right.status, 429);
+});
+
+test('refresh rotates the refresh token', async () => {
+  const user = await app.register('rotating');
+
+  const first = await app.request('POST', '/api/v1/auth/refresh', { body: { refreshToken: user.refreshToken } });
+  assert.equal(first.status, 200);
+  assert.notEqual(first.body.refreshToken, user.refreshToken);
+
+  const me = await app.request('GET', '/api/v1/me', { token: first.body.token });
+  assert.equal(me.status, 200);
+
+  // Reusing a rotated token revokes the session
+  const reused = await app.request('POST', '/api/v1/auth/refresh', { body: { refreshToken: user.refreshToken } });
+  assert.equal(reused.status, 401);
+  const afterReuse = await app.request('POST', '/api/v1/auth/refresh', { body: { refreshToken: first.body.refreshToken } });
+  assert.equal(afterReuse.status, 401);
+});
+
+// Access tokens live until they expire; the session behind them does not
+const assertSessionEnded = async (user) => {
+  const refresh = await app.request('POST', '/api/v1/auth/refresh', { body: { refreshToken: user.refreshToken } });
+  assert.equal(refresh.status, 401);
+  await assert.rejects(app.connect(user.token));
+};
+
+test('logout ends the session', async () => {
+  const user = await app.register('leaving');
+  const socket = await app.connect(user.token);
+  const disconnected = waitFor(socket, 'disconnect');
+
+  const logout = await app.request('POST', '/api/v1/auth/logout', { token: user.token });
+  assert.equal(logout.status, 200);
+  await disconnected;
+  await assertSessionEnded(user);
+
+  const anonymous = await app.request('POST', '/api/v1/auth/logout');
+  assert.equal(anonymous.status, 401);
+});
+
+test('logout with the refresh token needs no access token', async () => {
+  const user = await app.register('expired');
+  const socket = await app.connect(user.token);
+  const disconnected = waitFor(socket, 'disconnect');
+
+  const logout = await app.request('POST', '/api/v1/auth/logout', { body: { refreshToken: user.refreshToken } });
+  assert.equal(logout.status, 200);
+  await disconnected;
+  await assertSessionEnded(user);
+
+  const again = await app.request('POST', '/api/v1/auth/logout', { body: { refreshToken: user.refreshToken } });
+  assert.equal(again.status, 401);
+});
+
+test('a password reset link from email sets a new password and signs out everywhere', async () => {
+  const user = await app.register('forgetful', { email: 'forgetful@example.com' });
+
+  const forgot = await app.request('POST', '/api/v1/auth/forgot-password', { body: { email: 'forgetful@example.com' } });
+  assert.equal(forgot.status, 202);
+
+  // Answers the same for accounts that do not exist
+  const unknown = await app.request('POST', '/api/v1/auth/forgot-password', { body: { username: 'nobody_here' } });
+  assert.equal(unknown.status, 202);
+  assert.deepEqual(unknown.body, forgot.body);
+
+  let mail = null;
+  for (let i = 0; i < 50 && !mail; i++) {
+    mail = app.readMail();
+    if (!mail) await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  assert.ok(mail, 'no reset email was sent');
+  const token = decodeURIComponent(/[?&]token=([^\s&]+)/.exec(mail)[1]);
+
+  const reset = await app.request('POST', '/api/v1/auth/reset-password', { body: { token, newPassword: 'Brand-new-password-1' } });
+  assert.equal(reset.status, 200);
+
+  const reused = await app.request('POST', '/api/v1/auth/reset-password', { body: { token, newPassword: 'Another-password-1' } });
+  assert.equal(reused.status, 400);
+
+  await assertSessionEnded(user);
+
+  const login = await app.request('POST', '/api/v1/auth/login', { body: { username: user.username, password: 'Brand-new-password-1' } });
+  assert.equal(login.status, 200);
+});
+
+test('routes behind a login reject missing and invalid tokens', async () => {
+  const missing = await app.request('GET', '/api/v1/friends');
+  assert.equal(missing.status, 401);
+  assert.equal(missing.body.error.code, 'unauthorized');
+
+  const invalid = await app.request('GET', '/api/v1/friends', { token: 'not-a-token' });
+  assert.equal(invalid.status, 401);
+});
+
+test('unknown routes answer with the error format', async () => {
+  const { status, body } = await app.request('GET', '/api/v1/nothing-here');
+  assert.equal(status, 404);
+  assert.equal(body.error.code, 'not_found');
+});
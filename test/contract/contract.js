@@ -0,0 +1,226 @@
+// test/contract/contract.js
+//
+// Shared by the contract tests: starts the server, and checks every response,
+// socket event and ack against the OpenAPI and AsyncAPI documents the server
+// itself serves at /api/docs. An undocumented route, status or event, or a
+// body that does not match its schema, is a contract violation. Every check
+// is recorded, so the tests can also fail when part of the contract was never
+// exercised. Each server gets a database of its own (test/support/database.js).
+
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const os = require('node:os');
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { io } = require('socket.io-client');
+const { testSettings } = require('../support/app');
+const { STEP_TIMEOUT_MS, sleep, waitFor } = require('../support/events');
+const { createTestDatabase } = require('../support/database');
+
+// server.js on `port`, with a database of its own and the settings of
+// test/support/app.js: server.dir holds the mail it sends and its uploads.
+const startServer = async (port) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'contract-'));
+  const settings = testSettings(dir);
+  const database = await createTestDatabase();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+    env: { ...process.env, ...settings, PGDATABASE: database.name, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.url = `http://localhost:${port}`;
+  child.dir = dir;
+  child.database = database;
+  child.adminToken = settings.ADMIN_TOKEN;
+  child.output = '';
+  child.stdout.on('data', (chunk) => { child.output += chunk; });
+  child.stderr.on('data', (chunk) => { child.output += chunk; });
+  child.exited = new Promise((resolve) => child.on('exit', (code) => resolve(code)));
+
+  const deadline = Date.now() + STEP_TIMEOUT_MS * 2;
+  while (Date.now() < deadline && child.exitCode === null) {
+    try {
+      await fetch(child.url);
+      return child;
+    } catch {
+      await sleep(200);
+    }
+  }
+  child.kill('SIGKILL');
+  await child.exited;
+  await database.drop();
+  throw new Error(`${child.url} did not start:\n${child.output}`);
+};
+
+// Drain the server as in production; it must exit cleanly
+const stopServer = async (server) => {
+  if (server.exitCode === null) server.kill('SIGTERM');
+  const code = await server.exited;
+  await server.database.drop();
+  fs.rmSync(server.dir, { recursive: true, force: true });
+  return code;
+};
+
+// A JSON pointer into a document, as the fragment of a URI
+const pointer = (document, ...segments) => `${document}#/${segments
+  .map((segment) => encodeURIComponent(String(segment).replace(/~/g, '~0').replace(/\//g, '~1')))
+  .join('/')}`;
+
+// Express-style route templates as regular expressions
+const templatePattern = (template) => new RegExp(`^${template.replace(/\{\w+\}/g, '[^/]+')}$`);
+
+const createContract = async (server) => {
+  const fetchJson = async (route) => (await fetch(server.url + route)).json();
+  const openapi = await fetchJson('/api/docs/openapi.json');
+  const asyncapi = await fetchJson('/api/docs/asyncapi.json');
+
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+  ajv.addSchema(openapi, 'openapi.json');
+  ajv.addSchema(asyncapi, 'asyncapi.json');
+
+  const validators = new Map();
+  const check = (ref, value, what) => {
+    if (!validators.has(ref)) {
+      validators.set(ref, ajv.compile({ $ref: ref }));
+    }
+    const validator = validators.get(ref);
+    if (!validator(value)) {
+      assert.fail(`${what} does not match the contract: ${ajv.errorsText(validator.errors)}\n${JSON.stringify(value, null, 2)}`);
+    }
+  };
+
+  // Routes with fewer parameters first, so /users/search wins over /users/{id}
+  const templates = Object.keys(openapi.paths)
+    .map((template) => ({ template, pattern: templatePattern(template), params: (template.match(/\{/g) || []).length }))
+    .sort((a, b) => a.params - b.params);
+
+  const operations = Object.entries(openapi.paths)
+    .flatMap(([template, methods]) => Object.keys(methods).map((method) => `${method.toUpperCase()} ${template}`));
+  const clientEvents = Object.keys(asyncapi.channels).filter((event) => asyncapi.channels[event].publish);
+  const serverEvents = Object.keys(asyncapi.channels).filter((event) => asyncapi.channels[event].subscribe);
+
+  const exercised = new Set();
+  const acked = new Set();
+  const received = new Set();
+  // Violations found in socket listeners, where throwing would not fail a test
+  const violations = [];
+
+  // Check a response to method url against the operation it belongs to
+  const checkResponse = (method, url, response, body) => {
+    const { pathname } = new URL(url, server.url);
+    const operation = templates.find(({ pattern, template }) => pattern.test(pathname) && openapi.paths[template][method.toLowerCase()]);
+    assert.ok(operation, `${method} ${pathname} is not documented`);
+    const { template } = operation;
+    const name = `${method} ${template}`;
+
+    const documented = openapi.paths[template][method.toLowerCase()].responses[response.status];
+    assert.ok(documented, `${name} responded ${response.status}, which is not documented: ${JSON.stringify(body)}`);
+
+    const [mediaType] = Object.keys(documented.content || {});
+    if (mediaType === 'application/json') {
+      check(pointer('openapi.json', 'paths', template, method.toLowerCase(), 'responses', response.status, 'content', mediaType, 'schema'), body, `${name} ${response.status}`);
+    } else if (mediaType) {
+      const contentType = response.headers.get('content-type') || '';
+      assert.ok(mediaType === 'application/octet-stream' || contentType.startsWith(mediaType), `${name} sent ${contentType}, not ${mediaType}`);
+    } else {
+      assert.equal(body, null, `${name} ${response.status} should have no body`);
+    }
+    exercised.add(name);
+  };
+
+  const checkEvent = (event, payload) => {
+    const channel = asyncapi.channels[event];
+    assert.ok(channel && channel.subscribe, `The server emitted "${event}", which is not documented`);
+    check(pointer('asyncapi.json', 'channels', event, 'subscribe', 'message', 'payload'), payload, `"${event}" event`);
+    received.add(event);
+  };
+
+  const checkAck = (event, ack) => {
+    const channel = asyncapi.channels[event];
+    assert.ok(channel && channel.publish, `"${event}" is not a documented client event`);
+    check(pointer('asyncapi.json', 'channels', event, 'publish', 'message', 'x-ack'), ack, `"${event}" ack`);
+    acked.add(event);
+  };
+
+  // A request whose response is checked against the contract. Without
+  // `expect` any 2xx passes. `form` sends multipart FormData instead of JSON.
+  const request = async (method, route, { token, body, form, expect } = {}) => {
+    const response = await fetch(server.url + route, {
+      method,
+      headers: {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: form || (body ? JSON.stringify(body) : undefined)
+    });
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    const raw = Buffer.from(await response.arrayBuffer());
+    const data = isJson ? JSON.parse(raw.toString('utf8')) : (raw.length > 0 ? raw : null);
+
+    checkResponse(method, route, response, data);
+    if (expect) {
+      assert.equal(response.status, expect, `${method} ${route}: ${JSON.stringify(data)}`);
+    } else {
+      assert.ok(response.ok, `${method} ${route} failed with ${response.status}: ${JSON.stringify(data)}`);
+    }
+    return data;
+  };
+
+  // A socket whose every incoming event is checked
+  const connect = async (token) => {
+    const socket = io(server.url, { auth: { token }, transports: ['websocket'], reconnection: false });
+    socket.onAny((event, payload) => {
+      try {
+        checkEvent(event, payload);
+      } catch (err) {
+        violations.push(err);
+      }
+    });
+    await waitFor(socket, 'connect');
+    return socket;
+  };
+
+  // Emit a client event and check its ack
+  const emit = async (socket, event, payload) => {
+    const ack = await socket.timeout(STEP_TIMEOUT_MS).emitWithAck(event, payload);
+    checkAck(event, ack);
+    return ack;
+  };
+
+  return {
+    openapi,
+    asyncapi,
+    request,
+    connect,
+    emit,
+    checkEvent,
+    violations,
+    unexercised: () => operations.filter((operation) => !exercised.has(operation)),
+    unacked: () => clientEvents.filter((event) => !acked.has(event)),
+    unreceived: () => serverEvents.filter((event) => !received.has(event))
+  };
+};
+
+// A new account; the suffix keeps usernames unique across runs
+const register = async (contract, name, extra = {}) => {
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const password = `Contract-${suffix}-1`;
+  const credentials = await contract.request('POST', '/auth/register', {
+    body: { username: `${name}_${suffix}`, password, ...extra },
+    expect: 201
+  });
+  return { ...credentials, id: credentials.user.id, username: credentials.user.username, password };
+};
+
+module.exports = {
+  STEP_TIMEOUT_MS,
+  sleep,
+  waitFor,
+  startServer,
+  stopServer,
+  createContract,
+  register
+};
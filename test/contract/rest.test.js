@@ -0,0 +1,295 @@
+// test/contract/rest.test.js
+//
+// Calls every documented REST operation on a running server and checks each
+// response against the OpenAPI document it serves (see contract.js). Events
+// the calls set off on the users' sockets are checked against the AsyncAPI
+// document on the way. Fails if any operation was never called.
+//
+// Usage: node --test test/contract/rest.test.js (CONTRACT_PORT, default 5300)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const sharp = require('sharp');
+const { startServer, stopServer, createContract, register, sleep } = require('./contract');
+
+const PORT = parseInt(process.env.CONTRACT_PORT, 10) || 5300;
+
+let server;
+let contract;
+const sockets = [];
+const users = {};
+const state = {};
+
+// A public key bundle for POST /keys, signed like a real device would
+const createBundle = (deviceId) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const signingKey = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url').toString('base64');
+  const signedPreKey = crypto.randomBytes(32);
+  return {
+    deviceId,
+    identityKey: crypto.randomBytes(32).toString('base64'),
+    signingKey,
+    signedPreKey: { keyId: 1, publicKey: signedPreKey.toString('base64'), signature: crypto.sign(null, signedPreKey, privateKey).toString('base64') },
+    oneTimePreKeys: [1, 2].map((keyId) => ({ keyId, publicKey: crypto.randomBytes(32).toString('base64') }))
+  };
+};
+
+// The reset token from the newest email the server sent
+const readResetToken = () => {
+  const dir = path.join(server.dir, 'mail');
+  const [latest] = fs.readdirSync(dir).sort().reverse();
+  const match = /[?&]token=([^\s&]+)/.exec(fs.readFileSync(path.join(dir, latest), 'utf8'));
+  return decodeURIComponent(match[1]);
+};
+
+const waitForMail = async () => {
+  for (let i = 0; i < 25 && !fs.existsSync(path.join(server.dir, 'mail')); i++) {
+    await sleep(100);
+  }
+};
+
+test.before(async () => {
+  server = await startServer(PORT);
+  contract = await createContract(server);
+});
+
+test.after(async () => {
+  sockets.forEach((socket) => socket.close());
+  if (server) {
+    const code = await stopServer(server);
+    assert.equal(code, 0, server.output);
+  }
+});
+
+test('the docs viewer is served', async () => {
+  const redirect = await fetch(`${server.url}/api/docs`, { redirect: 'manual' });
+  assert.equal(redirect.status, 301);
+  const page = await fetch(`${server.url}/api/docs/`);
+  assert.equal(page.status, 200);
+  assert.match(page.headers.get('content-type'), /text\/html/);
+  const initializer = await (await fetch(`${server.url}/api/docs/swagger-initializer.js`)).text();
+  assert.match(initializer, /openapi\.json/);
+});
+
+test('auth', async () => {
+  users.alice = await register(contract, 'alice', { name: 'Alice', email: `alice_${Date.now()}@example.com` });
+  users.bob = await register(contract, 'bob');
+  users.carol = await register(contract, 'carol');
+  users.dave = await register(contract, 'dave');
+
+  await contract.request('POST', '/auth/register', { body: { username: users.bob.username, password: users.bob.password }, expect: 409 });
+  await contract.request('POST', '/auth/register', { body: { username: '' }, expect: 400 });
+
+  const login = await contract.request('POST', '/api/v1/auth/login', { body: { username: users.alice.username, password: users.alice.password } });
+  state.extraSession = login;
+  await contract.request('POST', '/auth/login', { body: { username: users.alice.username, password: 'wrong' }, expect: 401 });
+
+  const refreshed = await contract.request('POST', '/auth/refresh', { body: { refreshToken: users.bob.refreshToken } });
+  users.bob.refreshToken = refreshed.refreshToken;
+  await contract.request('POST', '/auth/refresh', { body: { refreshToken: 'not-a-token' }, expect: 401 });
+
+  await contract.request('POST', '/auth/forgot-password', { body: { username: users.alice.username }, expect: 202 });
+  await waitForMail();
+  await contract.request('POST', '/auth/reset-password', { body: { token: 'not-a-token', newPassword: 'Contract-reset-1' }, expect: 400 });
+  users.alice.password = `Reset-${crypto.randomBytes(4).toString('hex')}-1`;
+  await contract.request('POST', '/auth/reset-password', { body: { token: readResetToken(), newPassword: users.alice.password } });
+
+  // The reset signed alice out everywhere
+  const relogin = await contract.request('POST', '/auth/login', { body: { username: users.alice.username, password: users.alice.password } });
+  users.alice.token = relogin.token;
+  state.extraSession = await contract.request('POST', '/auth/login', { body: { username: users.alice.username, password: users.alice.password } });
+  await contract.request('POST', '/auth/logout', { token: state.extraSession.token });
+  await contract.request('POST', '/auth/logout', { expect: 401 });
+
+  // The versioned aliases of the /auth routes are documented on their own
+  const versioned = await register(contract, 'erin');
+  await contract.request('POST', '/api/v1/auth/register', { body: { username: versioned.username, password: versioned.password }, expect: 409 });
+  const rotated = await contract.request('POST', '/api/v1/auth/refresh', { body: { refreshToken: versioned.refreshToken } });
+  await contract.request('POST', '/api/v1/auth/forgot-password', { body: { username: versioned.username }, expect: 202 });
+  await contract.request('POST', '/api/v1/auth/reset-password', { body: { token: 'not-a-token', newPassword: 'Contract-reset-1' }, expect: 400 });
+  await contract.request('POST', '/api/v1/auth/logout', { body: { refreshToken: rotated.refreshToken } });
+  await contract.request('POST', '/api/v1/auth/logout', { body: { refreshToken: rotated.refreshToken }, expect: 401 });
+
+  for (const name of ['alice', 'bob', 'carol']) {
+    sockets.push(await contract.connect(users[name].token));
+  }
+});
+
+test('account', async () => {
+  const { alice, bob } = users;
+  await contract.request('GET', '/api/v1/me', { token: alice.token });
+  await contract.request('PUT', '/api/v1/me', { token: alice.token, body: { bio: 'Testing the contract', statusMessage: null } });
+  await contract.request('PUT', '/api/v1/me', { token: alice.token, body: { name: '   ' }, expect: 400 });
+
+  const newPassword = `Changed-${crypto.randomBytes(4).toString('hex')}-1`;
+  await contract.request('POST', '/api/v1/me/password', { token: bob.token, body: { currentPassword: 'wrong', newPassword }, expect: 401 });
+  await contract.request('POST', '/api/v1/me/password', { token: bob.token, body: { currentPassword: bob.password, newPassword } });
+  bob.password = newPassword;
+
+  const extra = await contract.request('POST', '/auth/login', { body: { username: alice.username, password: alice.password } });
+  const sessions = await contract.request('GET', '/api/v1/sessions', { token: alice.token });
+  const other = sessions.find((session) => !session.current);
+  await contract.request('DELETE', `/api/v1/sessions/${other.id}`, { token: alice.token });
+  await contract.request('DELETE', `/api/v1/sessions/${other.id}`, { token: alice.token, expect: 404 });
+  await contract.request('GET', '/api/v1/me', { token: extra.token, expect: 200 });
+});
+
+test('users', async () => {
+  const { alice, bob } = users;
+  await contract.request('GET', `/api/v1/users/search?q=${encodeURIComponent(bob.username)}`, { token: alice.token });
+  await contract.request('GET', '/api/v1/users/search', { token: alice.token, expect: 400 });
+  await contract.request('GET', `/api/v1/users/${bob.id}`, { token: alice.token });
+  await contract.request('GET', '/api/v1/users/no-such-user', { token: alice.token, expect: 404 });
+});
+
+test('friends and friend requests', async () => {
+  const { alice, bob, carol } = users;
+  const sent = await contract.request('POST', '/api/v1/friend-requests', { token: alice.token, body: { receiverUsername: bob.username }, expect: 201 });
+  await contract.request('POST', '/api/v1/friend-requests', { token: alice.token, body: { receiverUsername: bob.username }, expect: 409 });
+  await contract.request('POST', '/api/v1/friend-requests', { token: alice.token, body: { receiverUsername: 'no_such_user_here' }, expect: 404 });
+  await contract.request('GET', '/api/v1/friend-requests', { token: bob.token });
+  await contract.request('GET', '/api/v1/friend-requests/sent', { token: alice.token });
+  await contract.request('POST', `/api/v1/friend-requests/${sent.request_id}/accept`, { token: bob.token });
+  await contract.request('POST', `/api/v1/friend-requests/${sent.request_id}/accept`, { token: bob.token, expect: 404 });
+
+  const declined = await contract.request('POST', '/api/v1/friend-requests', { token: alice.token, body: { receiverUsername: carol.username }, expect: 201 });
+  await contract.request('POST', `/api/v1/friend-requests/${declined.request_id}/decline`, { token: carol.token });
+  const cancelled = await contract.request('POST', '/api/v1/friend-requests', { token: alice.token, body: { receiverUsername: carol.username }, expect: 201 });
+  await contract.request('DELETE', `/api/v1/friend-requests/${cancelled.request_id}`, { token: alice.token });
+  const accepted = await contract.request('POST', '/api/v1/friend-requests', { token: carol.token, body: { receiverUsername: alice.username }, expect: 201 });
+  await contract.request('POST', `/api/v1/friend-requests/${accepted.request_id}/accept`, { token: alice.token });
+
+  await contract.request('GET', '/api/v1/friends', { token: alice.token });
+  const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  await contract.request('PUT', `/api/v1/friends/${bob.id}/mute`, { token: alice.token, body: { until } });
+  await contract.request('PUT', `/api/v1/friends/${bob.id}/mute`, { token: alice.token, body: { until: '2000-01-01T00:00:00Z' }, expect: 400 });
+  await contract.request('DELETE', `/api/v1/friends/${bob.id}/mute`, { token: alice.token });
+});
+
+test('blocks', async () => {
+  const { alice, dave } = users;
+  await contract.request('POST', '/api/v1/blocks', { token: alice.token, body: { userId: dave.id }, expect: 201 });
+  await contract.request('POST', '/api/v1/blocks', { token: alice.token, body: { userId: dave.id }, expect: 200 });
+  await contract.request('GET', '/api/v1/blocks', { token: alice.token });
+  await contract.request('DELETE', `/api/v1/blocks/${dave.id}`, { token: alice.token });
+  await contract.request('DELETE', `/api/v1/blocks/${dave.id}`, { token: alice.token, expect: 404 });
+});
+
+test('encryption keys', async () => {
+  const { alice, bob, dave } = users;
+  await contract.request('POST', '/api/v1/keys', { token: alice.token, body: createBundle('alice-laptop') });
+  await contract.request('POST', '/api/v1/keys', { token: alice.token, body: { ...createBundle('alice-laptop'), identityKey: 'AAAA' }, expect: 400 });
+  await contract.request('GET', `/api/v1/keys/${alice.id}?deviceIds=alice-laptop`, { token: bob.token });
+  await contract.request('GET', `/api/v1/keys/${alice.id}`, { token: dave.token, expect: 403 });
+});
+
+test('push subscriptions', async () => {
+  const { bob } = users;
+  await contract.request('GET', '/api/v1/push/public-key', { token: bob.token });
+  const subscription = {
+    endpoint: `https://push.example.com/${crypto.randomUUID()}`,
+    keys: { p256dh: crypto.randomBytes(65).toString('base64url'), auth: crypto.randomBytes(16).toString('base64url') }
+  };
+  await contract.request('POST', '/api/v1/push/subscriptions', { token: bob.token, body: subscription, expect: 201 });
+  await contract.request('DELETE', '/api/v1/push/subscriptions', { token: bob.token, body: { endpoint: subscription.endpoint }, expect: 204 });
+  await contract.request('DELETE', '/api/v1/push/subscriptions', { token: bob.token, body: { endpoint: subscription.endpoint }, expect: 404 });
+});
+
+test('attachments', async () => {
+  const { alice, bob } = users;
+  const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#3366ff' } }).png().toBuffer();
+  const form = new FormData();
+  form.append('file', new Blob([png], { type: 'image/png' }), 'square.png');
+  const attachment = await contract.request('POST', '/api/v1/attachments', { token: alice.token, form, expect: 201 });
+  const empty = new FormData();
+  await contract.request('POST', '/api/v1/attachments', { token: alice.token, form: empty, expect: 400 });
+
+  await contract.request('GET', `/api/v1/attachments/${attachment.id}`, { token: alice.token });
+  await contract.request('GET', `/api/v1/attachments/${attachment.id}`, { token: bob.token, expect: 404 });
+  await contract.request('GET', `/api/v1/attachments/${attachment.id}/thumbnail`, { token: alice.token });
+
+  // Avatars are visible to everyone signed in
+  await contract.request('PUT', '/api/v1/me', { token: alice.token, body: { avatarAttachmentId: attachment.id } });
+  await contract.request('GET', `/api/v1/users/${alice.id}`, { token: bob.token });
+});
+
+test('group conversations', async () => {
+  const { alice, bob, carol, dave } = users;
+  const group = await contract.request('POST', '/api/v1/conversations', { token: alice.token, body: { name: 'Contract', memberIds: [bob.id] }, expect: 201 });
+  await contract.request('POST', '/api/v1/conversations', { token: alice.token, body: { name: 'Strangers', memberIds: [dave.id] }, expect: 403 });
+  state.groupId = group.id;
+
+  await contract.request('GET', '/api/v1/conversations', { token: bob.token });
+  await contract.request('GET', `/api/v1/conversations/${group.id}`, { token: bob.token });
+  await contract.request('GET', `/api/v1/conversations/${group.id}`, { token: carol.token, expect: 404 });
+  await contract.request('PUT', `/api/v1/conversations/${group.id}`, { token: alice.token, body: { name: 'Contract tests' } });
+  await contract.request('PUT', `/api/v1/conversations/${group.id}`, { token: bob.token, body: { name: 'Mine now' }, expect: 403 });
+  await contract.request('POST', `/api/v1/conversations/${group.id}/members`, { token: alice.token, body: { userIds: [carol.id] } });
+  await contract.request('PUT', `/api/v1/conversations/${group.id}/members/${carol.id}`, { token: alice.token, body: { role: 'admin' } });
+  await contract.request('PUT', `/api/v1/conversations/${group.id}/members/${dave.id}`, { token: alice.token, body: { role: 'admin' }, expect: 404 });
+
+  const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  await contract.request('PUT', `/api/v1/conversations/${group.id}/mute`, { token: bob.token, body: { until } });
+  await contract.request('DELETE', `/api/v1/conversations/${group.id}/mute`, { token: bob.token });
+});
+
+test('messages', async () => {
+  const { alice, bob } = users;
+  const [aliceSocket] = sockets;
+  const ack = await contract.emit(aliceSocket, 'chat message', { receiverId: bob.id, content: 'hello contract' });
+  assert.equal(ack.ok, true, JSON.stringify(ack.error));
+  const { message } = ack;
+
+  await contract.request('GET', `/api/v1/friends/${alice.id}/messages?limit=10`, { token: bob.token });
+  await contract.request('GET', `/api/v1/friends/${alice.id}/messages?before=not-a-cursor`, { token: bob.token, expect: 400 });
+  await contract.request('POST', '/api/v1/messages/read', { token: bob.token, body: { friendId: alice.id, upToMessageId: message.id } });
+  await contract.request('POST', '/api/v1/messages/read', { token: bob.token, body: { upToMessageId: message.id }, expect: 400 });
+
+  await contract.request('PUT', `/api/v1/messages/${message.id}`, { token: alice.token, body: { content: 'hello, contract' } });
+  await contract.request('PUT', `/api/v1/messages/${message.id}`, { token: bob.token, body: { content: 'not mine' }, expect: 403 });
+  await contract.request('GET', `/api/v1/messages/${message.id}/revisions`, { token: bob.token });
+  await contract.request('GET', `/api/v1/messages/${message.id}/image`, { token: bob.token, expect: 404 });
+
+  await contract.request('POST', `/api/v1/messages/${message.id}/reactions`, { token: bob.token, body: { emoji: '👍' } });
+  await contract.request('POST', `/api/v1/messages/${message.id}/reactions`, { token: bob.token, body: { emoji: 'thumbs' }, expect: 400 });
+  await contract.request('DELETE', `/api/v1/messages/${message.id}/reactions/${encodeURIComponent('👍')}`, { token: bob.token });
+
+  await contract.request('POST', `/api/v1/messages/${message.id}/forward`, { token: alice.token, body: { conversationId: state.groupId }, expect: 201 });
+  await contract.request('GET', `/api/v1/conversations/${state.groupId}/messages`, { token: bob.token });
+  await contract.request('POST', '/api/v1/messages/read', { token: bob.token, body: { conversationId: state.groupId, upToMessageId: message.id }, expect: 404 });
+
+  await contract.request('GET', '/api/v1/search/messages?q=contract', { token: bob.token });
+  await contract.request('GET', `/api/v1/search/messages?q=contract&conversationId=${crypto.randomUUID()}`, { token: bob.token, expect: 404 });
+
+  await contract.request('DELETE', `/api/v1/messages/${message.id}?scope=me`, { token: bob.token });
+  await contract.request('DELETE', `/api/v1/messages/${message.id}?scope=everyone`, { token: alice.token });
+  await contract.request('DELETE', `/api/v1/messages/${message.id}?scope=everyone`, { token: alice.token, expect: 409 });
+});
+
+test('leaving groups and friendships', async () => {
+  const { alice, bob, carol } = users;
+  await contract.request('DELETE', `/api/v1/conversations/${state.groupId}/members/${carol.id}`, { token: alice.token });
+  await contract.request('DELETE', `/api/v1/conversations/${state.groupId}/members/${carol.id}`, { token: alice.token, expect: 404 });
+  await contract.request('POST', `/api/v1/conversations/${state.groupId}/leave`, { token: bob.token });
+  await contract.request('POST', `/api/v1/conversations/${state.groupId}/leave`, { token: bob.token, expect: 404 });
+
+  await contract.request('DELETE', `/api/v1/friends/${carol.id}`, { token: alice.token });
+  await contract.request('DELETE', `/api/v1/friends/${carol.id}`, { token: alice.token, expect: 404 });
+});
+
+test('admin user import', async () => {
+  const row = { id: `legacy-${crypto.randomBytes(4).toString('hex')}`, username: `legacy_${crypto.randomBytes(4).toString('hex')}`, password: 'Legacy-import-1' };
+  await contract.request('POST', '/api/v1/admin/users/import', { token: 'wrong', body: { users: [row] }, expect: 401 });
+  await contract.request('POST', '/api/v1/admin/users/import', { token: server.adminToken, body: { users: [row], dryRun: true }, expect: 200 });
+  await contract.request('POST', '/api/v1/admin/users/import', { token: server.adminToken, body: { users: [row] }, expect: 201 });
+});
+
+test('every documented operation was called', async () => {
+  // Let the last socket events arrive
+  await sleep(200);
+  assert.deepEqual(contract.violations.map((err) => err.message), []);
+  assert.deepEqual(contract.unexercised(), []);
+});
@@ -0,0 +1,163 @@
+// test/contract/socket.test.js
+//
+// Sends every documented client event and sets off every documented server
+// event on a running server, checking payloads and acks against the AsyncAPI
+// document it serves (see contract.js). Fails if any event was never seen.
+//
+// Usage: node --test test/contract/socket.test.js (CONTRACT_PORT, default 5310)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { io } = require('socket.io-client');
+const { startServer, stopServer, createContract, register, waitFor, sleep } = require('./contract');
+
+const PORT = parseInt(process.env.CONTRACT_PORT, 10) || 5310;
+
+let server;
+let contract;
+const users = {};
+const sockets = {};
+
+const byUser = (userId) => (payload) => payload.user_id === userId;
+
+test.before(async () => {
+  server = await startServer(PORT);
+  contract = await createContract(server);
+  for (const name of ['alice', 'bob', 'carol']) {
+    users[name] = await register(contract, name);
+    sockets[name] = await contract.connect(users[name].token);
+  }
+});
+
+test.after(async () => {
+  Object.values(sockets).forEach((socket) => socket.close());
+  if (server) {
+    const code = await stopServer(server);
+    assert.equal(code, 0, server.output);
+  }
+});
+
+test('a bad token is refused in the handshake', async () => {
+  const socket = io(server.url, { auth: { token: 'not-a-token' }, transports: ['websocket'], reconnection: false });
+  const [err] = await waitFor(socket, 'connect_error');
+  socket.close();
+  assert.equal(typeof err.data.error.code, 'string');
+  assert.equal(typeof err.data.error.message, 'string');
+});
+
+test('every client event rejects a payload that breaks its schema', async () => {
+  for (const event of Object.keys(contract.asyncapi.channels).filter((name) => contract.asyncapi.channels[name].publish)) {
+    const ack = await contract.emit(sockets.alice, event, null);
+    assert.equal(ack.ok, false, event);
+    assert.equal(ack.error.code, 'validation_failed', event);
+  }
+});
+
+test('friend request events', async () => {
+  const { alice, bob, carol } = users;
+
+  const received = waitFor(sockets.bob, 'friend request received');
+  const sent = waitFor(sockets.alice, 'friend request sent');
+  const request = await contract.request('POST', '/api/v1/friend-requests', { token: alice.token, body: { receiverUsername: bob.username }, expect: 201 });
+  await Promise.all([received, sent]);
+
+  const accepted = waitFor(sockets.alice, 'friend request accepted');
+  await contract.request('POST', `/api/v1/friend-requests/${request.request_id}/accept`, { token: bob.token });
+  await accepted;
+
+  const declined = waitFor(sockets.carol, 'friend request declined');
+  const toDecline = await contract.request('POST', '/api/v1/friend-requests', { token: carol.token, body: { receiverUsername: alice.username }, expect: 201 });
+  await contract.request('POST', `/api/v1/friend-requests/${toDecline.request_id}/decline`, { token: alice.token });
+  await declined;
+
+  const cancelled = waitFor(sockets.alice, 'friend request cancelled');
+  const toCancel = await contract.request('POST', '/api/v1/friend-requests', { token: carol.token, body: { receiverUsername: alice.username }, expect: 201 });
+  await contract.request('DELETE', `/api/v1/friend-requests/${toCancel.request_id}`, { token: carol.token });
+  await cancelled;
+
+  const toAccept = await contract.request('POST', '/api/v1/friend-requests', { token: carol.token, body: { receiverUsername: alice.username }, expect: 201 });
+  await contract.request('POST', `/api/v1/friend-requests/${toAccept.request_id}/accept`, { token: alice.token });
+});
+
+test('presence', async () => {
+  const { bob } = users;
+  const offline = waitFor(sockets.alice, 'presence', (payload) => payload.user_id === bob.id && !payload.online);
+  sockets.bob.close();
+  await offline;
+
+  const online = waitFor(sockets.alice, 'presence', (payload) => payload.user_id === bob.id && payload.online);
+  sockets.bob = await contract.connect(bob.token);
+  await online;
+});
+
+test('direct messages', async () => {
+  const { alice, bob, carol } = users;
+
+  const incoming = waitFor(sockets.bob, 'chat message');
+  const sent = await contract.emit(sockets.alice, 'chat message', { receiverId: bob.id, content: 'hello over the socket' });
+  assert.equal(sent.ok, true, JSON.stringify(sent.error));
+  await incoming;
+  const { id: messageId } = sent.message;
+
+  const status = waitFor(sockets.alice, 'message status');
+  assert.equal((await contract.emit(sockets.bob, 'message delivered', { messageId })).ok, true);
+  await status;
+
+  const read = waitFor(sockets.alice, 'messages read');
+  assert.equal((await contract.emit(sockets.bob, 'mark read', { friendId: alice.id, upToMessageId: messageId })).ok, true);
+  await read;
+
+  const updated = waitFor(sockets.bob, 'message updated');
+  assert.equal((await contract.emit(sockets.alice, 'message edit', { messageId, content: 'hello, socket' })).ok, true);
+  await updated;
+
+  const reacted = waitFor(sockets.alice, 'reaction updated');
+  assert.equal((await contract.emit(sockets.bob, 'reaction add', { messageId, emoji: '🎉' })).ok, true);
+  await reacted;
+  assert.equal((await contract.emit(sockets.bob, 'reaction remove', { messageId, emoji: '🎉' })).ok, true);
+
+  const forwarded = waitFor(sockets.carol, 'chat message');
+  assert.equal((await contract.emit(sockets.alice, 'message forward', { messageId, receiverId: carol.id })).ok, true);
+  await forwarded;
+
+  const typing = waitFor(sockets.bob, 'typing', byUser(alice.id));
+  assert.equal((await contract.emit(sockets.alice, 'typing start', { friendId: bob.id })).ok, true);
+  await typing;
+  assert.equal((await contract.emit(sockets.alice, 'typing stop', { friendId: bob.id })).ok, true);
+  assert.equal((await contract.emit(sockets.bob, 'app state', { foreground: false })).ok, true);
+
+  const deleted = waitFor(sockets.bob, 'message deleted');
+  assert.equal((await contract.emit(sockets.alice, 'message delete', { messageId, scope: 'everyone' })).ok, true);
+  await deleted;
+});
+
+test('group events', async () => {
+  const { alice, bob } = users;
+
+  const created = waitFor(sockets.bob, 'conversation updated');
+  const group = await contract.request('POST', '/api/v1/conversations', { token: alice.token, body: { name: 'Sockets', memberIds: [bob.id] }, expect: 201 });
+  await created;
+
+  const typing = waitFor(sockets.alice, 'typing', byUser(bob.id));
+  assert.equal((await contract.emit(sockets.bob, 'typing start', { conversationId: group.id })).ok, true);
+  await typing;
+
+  const removed = waitFor(sockets.bob, 'conversation removed');
+  await contract.request('DELETE', `/api/v1/conversations/${group.id}/members/${bob.id}`, { token: alice.token });
+  await removed;
+});
+
+test('friend removed', async () => {
+  const { alice, carol } = users;
+  const removed = waitFor(sockets.carol, 'friend removed');
+  await contract.request('DELETE', `/api/v1/friends/${carol.id}`, { token: alice.token });
+  await removed;
+});
+
+test('every documented event was sent and received', async () => {
+  // Let the last events arrive
+  await sleep(200);
+  assert.deepEqual(contract.violations.map((err) => err.message), []);
+  assert.deepEqual(contract.unacked(), []);
+  assert.deepEqual(contract.unreceived(), []);
+});
@@ -0,0 +1,110 @@
+// test/contract/spec.test.js
+//
+// The API documents are generated from the code, so these checks keep the
+// code documentable: every route declares its summary and responses, path
+// parameters match their schemas, every schema compiles, and every client
+// event has an ack schema. No server or database needed.
+
+require('dotenv').config();
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { createRouters } = require('../../routes');
+const models = require('../../routes/models');
+const { listRoutes, routeDocs, buildOpenApi } = require('../../routes/openapi');
+const { buildAsyncApi } = require('../../sockets/asyncapi');
+const { CLIENT_EVENTS, ACKS, SERVER_EVENTS } = require('../../sockets/schemas');
+
+const routers = createRouters({ realtime: {} });
+const routes = listRoutes(routers);
+const openapi = buildOpenApi(routers);
+const asyncapi = buildAsyncApi();
+
+// Compiles a schema inside a document, with its $refs resolved there
+const compileIn = (ajv, ref) => ajv.compile({ $ref: ref });
+
+test('every route documents itself in exactly one validate()', () => {
+  for (const route of routes) {
+    const name = `${route.method.toUpperCase()} ${route.path}`;
+    const validators = route.handlers.filter((handler) => handler.schemas);
+    assert.equal(validators.length, 1, `${name} needs exactly one validate()`);
+
+    const docs = routeDocs(route);
+    assert.ok(docs.summary, `${name} has no summary`);
+    const statuses = Object.keys(docs.responses || {}).map(Number);
+    assert.ok(statuses.some((status) => status >= 200 && status < 300), `${name} documents no successful response`);
+    assert.ok((docs.errors || []).every((status) => status >= 400), `${name} lists a non-error status in errors`);
+  }
+});
+
+test('path parameters match the params schema', () => {
+  for (const route of routes) {
+    const name = `${route.method.toUpperCase()} ${route.path}`;
+    const inPath = (route.path.match(/:(\w+)/g) || []).map((param) => param.slice(1)).sort();
+    const docs = routeDocs(route);
+    const declared = docs.params ? Object.keys(docs.params.properties).sort() : [];
+    assert.deepEqual(declared, inPath, `${name} declares params ${declared.join(', ') || 'none'}`);
+  }
+});
+
+test('every route is in the OpenAPI document', () => {
+  const documented = Object.entries(openapi.paths)
+    .flatMap(([path, methods]) => Object.keys(methods).map((method) => `${method} ${path}`));
+  assert.equal(new Set(documented).size, routes.length);
+});
+
+test('every schema in the OpenAPI document compiles', () => {
+  const ajv = new Ajv({ strict: false });
+  addFormats(ajv);
+  ajv.addSchema(openapi, 'openapi.json');
+
+  for (const name of Object.keys(openapi.components.schemas)) {
+    compileIn(ajv, `openapi.json#/components/schemas/${name}`);
+  }
+  for (const [path, methods] of Object.entries(openapi.paths)) {
+    for (const [method, operation] of Object.entries(methods)) {
+      const base = `openapi.json#/paths/${encodeURIComponent(path.replace(/\//g, '~1'))}/${method}`;
+      operation.parameters.forEach((parameter, i) => compileIn(ajv, `${base}/parameters/${i}/schema`));
+      for (const [status, response] of Object.entries(operation.responses)) {
+        if (response.content && response.content['application/json']) {
+          compileIn(ajv, `${base}/responses/${status}/content/application~1json/schema`);
+        }
+      }
+    }
+  }
+});
+
+test('the response and event schemas pass strict mode', () => {
+  // Strict mode catches misspelt keywords, which the documents would silently carry
+  const ajv = new Ajv({ strict: true, strictRequired: false });
+  addFormats(ajv);
+  const schemas = [
+    ...Object.entries(models).filter(([name]) => /^[A-Z]/.test(name)),
+    ...Object.entries(ACKS).map(([event, schema]) => [`"${event}" ack`, schema]),
+    ...Object.entries(SERVER_EVENTS).map(([event, schema]) => [`"${event}" event`, schema])
+  ];
+  for (const [name, schema] of schemas) {
+    assert.doesNotThrow(() => ajv.compile(schema), name);
+  }
+});
+
+test('every client event has a handler schema and an ack schema', () => {
+  assert.deepEqual(Object.keys(ACKS).sort(), Object.keys(CLIENT_EVENTS).sort());
+});
+
+test('every socket event is in the AsyncAPI document', () => {
+  const ajv = new Ajv({ strict: false });
+  addFormats(ajv);
+  ajv.addSchema(asyncapi, 'asyncapi.json');
+
+  for (const event of Object.keys(CLIENT_EVENTS)) {
+    const channel = `asyncapi.json#/channels/${encodeURIComponent(event)}/publish/message`;
+    compileIn(ajv, `${channel}/payload`);
+    compileIn(ajv, `${channel}/x-ack`);
+  }
+  for (const event of Object.keys(SERVER_EVENTS)) {
+    compileIn(ajv, `asyncapi.json#/channels/${encodeURIComponent(event)}/subscribe/message/payload`);
+  }
+});
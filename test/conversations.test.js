@@ -0,0 +1,212 @@
+// test/conversations.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+const { waitFor, STEP_TIMEOUT_MS } = require('./support/events');
+
+let app;
+let alice;
+let bob;
+let carol;
+let dave;
+const sockets = [];
+
+test.before(async () => {
+  app = await startApp();
+  alice = await app.register('alice');
+  bob = await app.register('bob');
+  carol = await app.register('carol');
+  dave = await app.register('dave');
+  await app.befriend(alice, bob);
+  await app.befriend(alice, carol);
+});
+
+test.after(async () => {
+  sockets.forEach((socket) => socket.close());
+  await app.close();
+});
+
+const createGroup = async (owner, name, members) => {
+  const { status, body } = await app.request('POST', '/api/v1/conversations', {
+    token: owner.token,
+    body: { name, memberIds: members.map((member) => member.id) }
+  });
+  assert.equal(status, 201);
+  return body;
+};
+
+const memberIds = (conversation) => conversation.members.map((member) => member.id).sort();
+
+test('creating a group with friends', async () => {
+  const group = await createGroup(alice, 'Book club', [bob]);
+  assert.equal(group.name, 'Book club');
+  assert.equal(group.role, 'admin');
+  assert.deepEqual(memberIds(group), [alice.id, bob.id].sort());
+
+  const notFriends = await app.request('POST', '/api/v1/conversations', { token: alice.token, body: { name: 'Nope', memberIds: [dave.id] } });
+  assert.equal(notFriends.status, 403);
+  const noName = await app.request('POST', '/api/v1/conversations', { token: alice.token, body: { memberIds: [bob.id] } });
+  assert.equal(noName.status, 400);
+
+  const list = await app.request('GET', '/api/v1/conversations', { token: bob.token });
+  const summary = list.body.find((conversation) => conversation.id === group.id);
+  assert.equal(summary.role, 'member');
+  assert.equal(summary.member_count, 2);
+
+  const details = await app.request('GET', `/api/v1/conversations/${group.id}`, { token: bob.token });
+  assert.equal(details.body.role, 'member');
+  assert.equal((await app.request('GET', `/api/v1/conversations/${group.id}`, { token: carol.token })).status, 404);
+});
+
+test('only admins rename groups and manage members', async () => {
+  const group = await createGroup(alice, 'Climbing', [bob]);
+
+  assert.equal((await app.request('PUT', `/api/v1/conversations/${group.id}`, { token: bob.token, body: { name: 'Mine' } })).status, 403);
+  const renamed = await app.request('PUT', `/api/v1/conversations/${group.id}`, { token: alice.token, body: { name: 'Bouldering' } });
+  assert.equal(renamed.body.name, 'Bouldering');
+
+  const added = await app.request('POST', `/api/v1/conversations/${group.id}/members`, { token: alice.token, body: { userIds: [carol.id] } });
+  assert.deepEqual(added.body.added, [carol.id]);
+  const stranger = await app.request('POST', `/api/v1/conversations/${group.id}/members`, { token: alice.token, body: { userIds: [dave.id] } });
+  assert.equal(stranger.status, 403);
+  const byMember = await app.request('POST', `/api/v1/conversations/${group.id}/members`, { token: bob.token, body: { userIds: [carol.id] } });
+  assert.equal(byMember.status, 403);
+
+  const promoted = await app.request('PUT', `/api/v1/conversations/${group.id}/members/${bob.id}`, { token: alice.token, body: { role: 'admin' } });
+  assert.equal(promoted.body.role, 'admin');
+  assert.equal((await app.request('PUT', `/api/v1/conversations/${group.id}/members/${dave.id}`, { token: alice.token, body: { role: 'admin' } })).status, 404);
+  assert.equal((await app.request('PUT', `/api/v1/conversations/${group.id}/members/${bob.id}`, { token: alice.token, body: { role: 'owner' } })).status, 400);
+
+  // Now an admin, Bob can remove Carol
+  const removed = await app.request('DELETE', `/api/v1/conversations/${group.id}/members/${carol.id}`, { token: bob.token });
+  assert.equal(removed.status, 200);
+  assert.equal((await app.request('DELETE', `/api/v1/conversations/${group.id}/members/${carol.id}`, { token: bob.token })).status, 404);
+  assert.equal((await app.request('GET', `/api/v1/conversations/${group.id}`, { token: carol.token })).status, 404);
+});
+
+test('members hear about changes to the group', async () => {
+  const bobSocket = await app.connect(bob.token);
+  const carolSocket = await app.connect(carol.token);
+  sockets.push(bobSocket, carolSocket);
+  const group = await createGroup(alice, 'Announcements', [bob]);
+
+  const updated = waitFor(bobSocket, 'conversation updated', (conversation) => conversation.id === group.id && conversation.members.length === 3);
+  const joined = waitFor(carolSocket, 'conversation updated', (conversation) => conversation.id === group.id);
+  await app.request('POST', `/api/v1/conversations/${group.id}/members`, { token: alice.token, body: { userIds: [carol.id] } });
+  await Promise.all([updated, joined]);
+
+  const removed = waitFor(carolSocket, 'conversation removed');
+  await app.request('DELETE', `/api/v1/conversations/${group.id}/members/${carol.id}`, { token: alice.token });
+  const [payload] = await removed;
+  assert.deepEqual(payload, { conversation_id: group.id });
+});
+
+test('leaving hands the group on when the last admin goes', async () => {
+  const group = await createGroup(alice, 'Handover', [bob]);
+
+  const left = await app.request('POST', `/api/v1/conversations/${group.id}/leave`, { token: alice.token });
+  assert.equal(left.status, 200);
+  assert.equal((await app.request('POST', `/api/v1/conversations/${group.id}/leave`, { token: alice.token })).status, 404);
+
+  const details = await app.request('GET', `/api/v1/conversations/${group.id}`, { token: bob.token });
+  assert.equal(details.body.role, 'admin');
+  assert.deepEqual(memberIds(details.body), [bob.id]);
+});
+
+test('muting a group', async () => {
+  const group = await createGroup(alice, 'Noisy', [bob]);
+
+  const muted = await app.request('PUT', `/api/v1/conversations/${group.id}/mute`, { token: bob.token, body: {} });
+  assert.deepEqual(muted.body, { muted: true, muted_until: null });
+  const summary = (await app.request('GET', '/api/v1/conversations', { token: bob.token })).body.find((conversation) => conversation.id === group.id);
+  assert.equal(summary.muted, true);
+
+  const past = await app.request('PUT', `/api/v1/conversations/${group.id}/mute`, { token: bob.token, body: { until: '2000-01-01T00:00:00Z' } });
+  assert.equal(past.status, 400);
+  const unmuted = await app.request('DELETE', `/api/v1/conversations/${group.id}/mute`, { token: bob.token });
+  assert.deepEqual(unmuted.body, { muted: false, muted_until: null });
+  assert.equal((await app.request('PUT', `/api/v1/conversations/${group.id}/mute`, { token: carol.token, body: {} })).status, 404);
+});
+
+test('group history and read markers', async () => {
+  const group = await createGroup(alice, 'History', [bob]);
+  const socket = await app.connect(alice.token);
+  sockets.push(socket);
+
+  const sent = [];
+  for (const content of ['first', 'second']) {
+    const ack = await socket.timeout(STEP_TIMEOUT_MS).emitWithAck('chat message', { conversationId: group.id, content });
+    sent.push(ack.message);
+  }
+
+  const history = await app.request('GET', `/api/v1/conversations/${group.id}/messages?limit=1`, { token: bob.token });
+  assert.equal(history.body.messages.length, 1);
+  const older = await app.request('GET', `/api/v1/conversations/${group.id}/messages?before=${encodeURIComponent(history.body.next_cursor)}`, { token: bob.token });
+  assert.deepEqual([...history.body.messages, ...older.body.messages].map((message) => message.id).sort(), sent.map((message) => message.id).sort());
+  assert.equal((await app.request('GET', `/api/v1/conversations/${group.id}/messages`, { token: carol.token })).status, 404);
+
+  const unread = (await app.request('GET', '/api/v1/conversations', { token: bob.token })).body.find((conversation) => conversation.id === group.id);
+  assert.equal(unread.unread_count, 2);
+  const read = await app.request('POST', '/api/v1/messages/read', { token: bob.token, body: { conversationId: group.id, upToMessageId: sent[1].id } });
+  assert.equal(read.body.conversation_id, group.id);
+  const after = (await app.request('GET', '/api/v1/conversations', { token: bob.token })).body.find((conversation) => conversation.id === group.id);
+  assert.equal(after.unread_count, 0);
+});
+
+test('the group list puts the latest conversation first', async () => {
+  const quiet = await createGroup(alice, 'Quiet', [bob]);
+  const busy = await createGroup(alice, 'Busy', [bob]);
+  const socket = await app.connect(alice.token);
+  sockets.push(socket);
+  const listIds = async () => (await app.request('GET', '/api/v1/conversations', { token: bob.token })).body.map((conversation) => conversation.id);
+
+  assert.deepEqual((await listIds()).slice(0, 2), [busy.id, quiet.id]);
+  await socket.timeout(STEP_TIMEOUT_MS).emitWithAck('chat message', { conversationId: quiet.id, content: 'anyone here?' });
+  assert.deepEqual((await listIds()).slice(0, 2), [quiet.id, busy.id]);
+});
+
+test('members added later only see what was said after they joined', async () => {
+  const group = await createGroup(alice, 'Before and after', [bob]);
+  const socket = await app.connect(alice.token);
+  sockets.push(socket);
+  const send = (content) => socket.timeout(STEP_TIMEOUT_MS).emitWithAck('chat message', { conversationId: group.id, content });
+
+  const { message: before } = await send('planning the surprise party');
+  await app.request('POST', `/api/v1/conversations/${group.id}/members`, { token: alice.token, body: { userIds: [carol.id] } });
+  const { message: after } = await send('welcome carol');
+
+  const history = await app.request('GET', `/api/v1/conversations/${group.id}/messages`, { token: carol.token });
+  assert.deepEqual(history.body.messages.map((message) => message.id), [after.id]);
+  const found = await app.request('GET', `/api/v1/search/messages?q=surprise&conversationId=${group.id}`, { token: carol.token });
+  assert.deepEqual(found.body.results, []);
+  assert.equal((await app.request('GET', `/api/v1/messages/${before.id}/revisions`, { token: carol.token })).status, 404);
+
+  // Earlier members still see everything
+  const full = await app.request('GET', `/api/v1/conversations/${group.id}/messages`, { token: bob.token });
+  assert.deepEqual(full.body.messages.map((message) => message.id), [before.id, after.id]);
+});
+
+test('replies do not quote what a member missed before joining', async () => {
+  const group = await createGroup(alice, 'Quotes', [bob]);
+  const socket = await app.connect(alice.token);
+  const carolSocket = await app.connect(carol.token);
+  sockets.push(socket, carolSocket);
+  const send = (payload) => socket.timeout(STEP_TIMEOUT_MS).emitWithAck('chat message', { conversationId: group.id, ...payload });
+
+  const { message: earlier } = await send({ content: 'the gift is a bike' });
+  await app.request('POST', `/api/v1/conversations/${group.id}/members`, { token: alice.token, body: { userIds: [carol.id] } });
+  const delivered = waitFor(carolSocket, 'chat message');
+  const { message: reply } = await send({ content: 'keep it quiet', replyToId: earlier.id });
+
+  const [live] = await delivered;
+  assert.equal(live.reply_to.id, earlier.id);
+  assert.equal(live.reply_to.content, null);
+  const history = await app.request('GET', `/api/v1/conversations/${group.id}/messages`, { token: carol.token });
+  assert.deepEqual(history.body.messages.map((message) => message.id), [reply.id]);
+  assert.equal(history.body.messages[0].reply_to.content, null);
+
+  // Members who were there still see the quote in their history
+  const full = await app.request('GET', `/api/v1/conversations/${group.id}/messages`, { token: bob.token });
+  assert.equal(full.body.messages.find((message) => message.id === reply.id).reply_to.content, 'the gift is a bike');
+});
@@ -0,0 +1,159 @@
+// test/friends.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+let app;
+
+test.before(async () => {
+  app = await startApp();
+});
+
+test.after(() => app.close());
+
+const sendRequest = (sender, receiver) => app.request('POST', '/api/v1/friend-requests', {
+  token: sender.token,
+  body: { receiverUsername: receiver.username }
+});
+
+test('the friend request lifecycle', async () => {
+  const alice = await app.register('alice');
+  const bob = await app.register('bob');
+
+  const sent = await sendRequest(alice, bob);
+  assert.equal(sent.status, 201);
+  assert.equal(sent.body.status, 'pending');
+  assert.equal(sent.body.sender_id, alice.id);
+  assert.equal(sent.body.receiver_id, bob.id);
+
+  const received = await app.request('GET', '/api/v1/friend-requests', { token: bob.token });
+  assert.deepEqual(received.body.map((request) => request.request_id), [sent.body.request_id]);
+  const outgoing = await app.request('GET', '/api/v1/friend-requests/sent', { token: alice.token });
+  assert.deepEqual(outgoing.body.map((request) => request.receiver_id), [bob.id]);
+
+  const profile = await app.request('GET', `/api/v1/users/${bob.id}`, { token: alice.token });
+  assert.equal(profile.body.friendship, 'request_sent');
+
+  // Only the receiver can answer it
+  const byAlice = await app.request('POST', `/api/v1/friend-requests/${sent.body.request_id}/accept`, { token: alice.token });
+  assert.equal(byAlice.status, 404);
+
+  const accepted = await app.request('POST', `/api/v1/friend-requests/${sent.body.request_id}/accept`, { token: bob.token });
+  assert.equal(accepted.status, 200);
+  const again = await app.request('POST', `/api/v1/friend-requests/${sent.body.request_id}/accept`, { token: bob.token });
+  assert.equal(again.status, 404);
+
+  const aliceFriends = await app.request('GET', '/api/v1/friends', { token: alice.token });
+  assert.deepEqual(aliceFriends.body.map((friend) => friend.id), [bob.id]);
+  const bobFriends = await app.request('GET', '/api/v1/friends', { token: bob.token });
+  assert.deepEqual(bobFriends.body.map((friend) => friend.id), [alice.id]);
+  assert.equal((await app.request('GET', '/api/v1/friend-requests', { token: bob.token })).body.length, 0);
+});
+
+test('friend requests can be declined, withdrawn and sent again', async () => {
+  const carol = await app.register('carol');
+  const dave = await app.register('dave');
+
+  const first = await sendRequest(carol, dave);
+  const declined = await app.request('POST', `/api/v1/friend-requests/${first.body.request_id}/decline`, { token: dave.token });
+  assert.equal(declined.status, 200);
+
+  const second = await sendRequest(carol, dave);
+  assert.equal(second.status, 201);
+  const byDave = await app.request('DELETE', `/api/v1/friend-requests/${second.body.request_id}`, { token: dave.token });
+  assert.equal(byDave.status, 404);
+  const withdrawn = await app.request('DELETE', `/api/v1/friend-requests/${second.body.request_id}`, { token: carol.token });
+  assert.equal(withdrawn.status, 200);
+  assert.equal((await app.request('GET', '/api/v1/friend-requests/sent', { token: carol.token })).body.length, 0);
+
+  assert.equal((await sendRequest(dave, carol)).status, 201);
+});
+
+test('friend requests that cannot be sent', async () => {
+  const erin = await app.register('erin');
+  const frank = await app.register('frank');
+  await app.befriend(erin, frank);
+  const grace = await app.register('grace');
+
+  assert.equal((await sendRequest(erin, erin)).status, 400);
+  assert.equal((await sendRequest(erin, frank)).status, 409);
+  assert.equal((await sendRequest(erin, { username: 'nobody_here' })).status, 404);
+
+  assert.equal((await sendRequest(erin, grace)).status, 201);
+  assert.equal((await sendRequest(erin, grace)).status, 409);
+  assert.equal((await sendRequest(grace, erin)).status, 409);
+
+  const invalid = await app.request('POST', '/api/v1/friend-requests', { token: erin.token, body: {} });
+  assert.equal(invalid.status, 400);
+  const badId = await app.request('POST', '/api/v1/friend-requests/not-a-uuid/accept', { token: erin.token });
+  assert.equal(badId.status, 400);
+});
+
+test('muting and unfriending', async () => {
+  const heidi = await app.register('heidi');
+  const ivan = await app.register('ivan');
+  await app.befriend(heidi, ivan);
+
+  const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const muted = await app.request('PUT', `/api/v1/friends/${ivan.id}/mute`, { token: heidi.token, body: { until } });
+  assert.equal(muted.status, 200);
+  assert.equal(muted.body.muted, true);
+  assert.equal(new Date(muted.body.muted_until).toISOString(), until);
+
+  const [friend] = (await app.request('GET', '/api/v1/friends', { token: heidi.token })).body;
+  assert.equal(friend.muted, true);
+
+  const past = await app.request('PUT', `/api/v1/friends/${ivan.id}/mute`, { token: heidi.token, body: { until: '2000-01-01T00:00:00Z' } });
+  assert.equal(past.status, 400);
+
+  const unmuted = await app.request('DELETE', `/api/v1/friends/${ivan.id}/mute`, { token: heidi.token });
+  assert.deepEqual(unmuted.body, { muted: false, muted_until: null });
+
+  const removed = await app.request('DELETE', `/api/v1/friends/${ivan.id}`, { token: heidi.token });
+  assert.equal(removed.status, 200);
+  assert.equal((await app.request('GET', '/api/v1/friends', { token: ivan.token })).body.length, 0);
+  assert.equal((await app.request('DELETE', `/api/v1/friends/${ivan.id}`, { token: heidi.token })).status, 404);
+  assert.equal((await app.request('PUT', `/api/v1/friends/${ivan.id}/mute`, { token: heidi.token, body: {} })).status, 404);
+});
+
+test('blocking ends the friendship and stops requests both ways', async () => {
+  const judy = await app.register('judy');
+  const mallory = await app.register('mallory');
+  await app.befriend(judy, mallory);
+
+  const blocked = await app.request('POST', '/api/v1/blocks', { token: judy.token, body: { userId: mallory.id } });
+  assert.equal(blocked.status, 201);
+  assert.equal((await app.request('POST', '/api/v1/blocks', { token: judy.token, body: { userId: mallory.id } })).status, 200);
+  assert.equal((await app.request('POST', '/api/v1/blocks', { token: judy.token, body: { userId: judy.id } })).status, 400);
+
+  const list = await app.request('GET', '/api/v1/blocks', { token: judy.token });
+  assert.deepEqual(list.body.map((user) => user.id), [mallory.id]);
+  assert.equal((await app.request('GET', '/api/v1/friends', { token: judy.token })).body.length, 0);
+
+  assert.equal((await sendRequest(mallory, judy)).status, 403);
+  assert.equal((await sendRequest(judy, mallory)).status, 403);
+
+  const unblocked = await app.request('DELETE', `/api/v1/blocks/${mallory.id}`, { token: judy.token });
+  assert.equal(unblocked.status, 200);
+  assert.equal((await app.request('DELETE', `/api/v1/blocks/${mallory.id}`, { token: judy.token })).status, 404);
+  assert.equal((await sendRequest(mallory, judy)).status, 201);
+});
+
+test('user search and profiles', async () => {
+  const searcher = await app.register('searcher');
+  const target = await app.register('findable', { name: 'Findable Person' });
+
+  const found = await app.request('GET', `/api/v1/users/search?q=${target.username}`, { token: searcher.token });
+  assert.equal(found.status, 200);
+  const result = found.body.results.find((user) => user.id === target.id);
+  assert.ok(result);
+  assert.equal(result.friendship, 'none');
+
+  assert.equal((await app.request('GET', '/api/v1/users/search', { token: searcher.token })).status, 400);
+  assert.equal((await app.request('GET', '/api/v1/users/search?q=%20%20', { token: searcher.token })).status, 400);
+
+  const self = await app.request('GET', `/api/v1/users/${searcher.id}`, { token: searcher.token });
+  assert.equal(self.body.friendship, 'self');
+  assert.equal((await app.request('GET', '/api/v1/users/no-such-user', { token: searcher.token })).status, 404);
+});
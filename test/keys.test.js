@@ -0,0 +1,115 @@
+// test/keys.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startApp } = require('./support/app');
+const { waitFor, STEP_TIMEOUT_MS } = require('./support/events');
+
+let app;
+let alice;
+let bob;
+let mallory;
+
+// A device's public keys, with the signed prekey signed the way clients do
+const createBundle = (deviceId, oneTimePreKeyIds = [1, 2]) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const signedPreKey = crypto.randomBytes(32);
+  return {
+    deviceId,
+    identityKey: crypto.randomBytes(32).toString('base64'),
+    signingKey: Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url').toString('base64'),
+    signedPreKey: {
+      keyId: 1,
+      publicKey: signedPreKey.toString('base64'),
+      signature: crypto.sign(null, signedPreKey, privateKey).toString('base64')
+    },
+    oneTimePreKeys: oneTimePreKeyIds.map((keyId) => ({ keyId, publicKey: crypto.randomBytes(32).toString('base64') }))
+  };
+};
+
+const publish = (user, bundle) => app.request('POST', '/api/v1/keys', { token: user.token, body: bundle });
+
+test.before(async () => {
+  app = await startApp();
+  alice = await app.register('alice');
+  bob = await app.register('bob');
+  mallory = await app.register('mallory');
+  await app.befriend(alice, bob);
+});
+
+test.after(() => app.close());
+
+test('publishing a key bundle', async () => {
+  const bundle = createBundle('alice-phone');
+  const published = await publish(alice, bundle);
+  assert.equal(published.status, 200);
+  assert.deepEqual(published.body, { device_id: 'alice-phone', one_time_prekeys: 2 });
+
+  // Publishing the same keys again tops up the one-time prekeys
+  const toppedUp = await publish(alice, { ...bundle, oneTimePreKeys: createBundle('alice-phone', [3]).oneTimePreKeys });
+  assert.equal(toppedUp.body.one_time_prekeys, 3);
+});
+
+test('bundles with bad keys or signatures are refused', async () => {
+  const shortKey = { ...createBundle('bad-device'), identityKey: Buffer.alloc(16).toString('base64') };
+  assert.equal((await publish(bob, shortKey)).status, 400);
+
+  const forged = createBundle('bad-device');
+  forged.signedPreKey.signature = crypto.randomBytes(64).toString('base64');
+  assert.equal((await publish(bob, forged)).status, 400);
+
+  assert.equal((await publish(bob, { ...createBundle('bad device'), deviceId: 'bad device' })).status, 400);
+  assert.equal((await publish(bob, { deviceId: 'missing-keys' })).status, 400);
+});
+
+test('friends claim one one-time prekey per call', async () => {
+  await publish(bob, createBundle('bob-laptop', [7]));
+
+  const first = await app.request('GET', `/api/v1/keys/${bob.id}`, { token: alice.token });
+  assert.equal(first.status, 200);
+  const [device] = first.body.devices;
+  assert.equal(device.device_id, 'bob-laptop');
+  assert.equal(device.one_time_prekey.key_id, 7);
+
+  // Used up; the signed prekey still works
+  const second = await app.request('GET', `/api/v1/keys/${bob.id}?deviceIds=bob-laptop`, { token: alice.token });
+  assert.equal(second.body.devices[0].one_time_prekey, null);
+  assert.equal(second.body.devices[0].signed_prekey.key_id, 1);
+
+  const none = await app.request('GET', `/api/v1/keys/${bob.id}?deviceIds=other-device`, { token: alice.token });
+  assert.deepEqual(none.body.devices, []);
+
+  assert.equal((await app.request('GET', `/api/v1/keys/${bob.id}`, { token: mallory.token })).status, 403);
+  assert.equal((await app.request('GET', `/api/v1/keys/${bob.id}?deviceIds=a,,b`, { token: alice.token })).status, 400);
+});
+
+test('an encrypted message reaches each device with its own envelope', async () => {
+  const carol = await app.register('carol');
+  const dave = await app.register('dave');
+  await app.befriend(carol, dave);
+  const carolSocket = await app.connect(carol.token);
+  const daveSocket = await app.connect(dave.token);
+  await publish(carol, createBundle('carol-phone'));
+  await publish(dave, createBundle('dave-phone'));
+
+  const envelopes = [{ userId: dave.id, deviceId: 'dave-phone', type: 'prekey', body: Buffer.from('ciphertext').toString('base64') }];
+  const received = waitFor(daveSocket, 'chat message');
+  const ack = await carolSocket.timeout(STEP_TIMEOUT_MS).emitWithAck('chat message', { receiverId: dave.id, encrypted: { envelopes } });
+  assert.equal(ack.ok, true, JSON.stringify(ack.error));
+  assert.equal(ack.message.encrypted, true);
+  assert.equal(ack.message.content, null);
+
+  const [message] = await received;
+  assert.deepEqual(message.envelope, { type: 'prekey', body: envelopes[0].body });
+
+  // A device the sender did not know about, signed in as its own session
+  const laptop = await app.request('POST', '/api/v1/auth/login', { body: { username: dave.username, password: dave.password } });
+  await publish(laptop.body, createBundle('dave-laptop'));
+  const stale = await carolSocket.timeout(STEP_TIMEOUT_MS).emitWithAck('chat message', { receiverId: dave.id, encrypted: { envelopes } });
+  assert.equal(stale.ok, false);
+  assert.deepEqual(stale.error.details.missing_devices.map((device) => device.device_id), ['dave-laptop']);
+
+  carolSocket.close();
+  daveSocket.close();
+});
@@ -0,0 +1,191 @@
+// test/messages.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+const { STEP_TIMEOUT_MS } = require('./support/events');
+
+let app;
+let alice;
+let bob;
+let carol;
+const sockets = [];
+
+// Sends a 'chat message' and resolves with the saved message
+const send = async (socket, payload) => {
+  const ack = await socket.timeout(STEP_TIMEOUT_MS).emitWithAck('chat message', payload);
+  assert.equal(ack.ok, true, JSON.stringify(ack.error));
+  return ack.message;
+};
+
+test.before(async () => {
+  app = await startApp();
+  alice = await app.register('alice');
+  bob = await app.register('bob');
+  carol = await app.register('carol');
+  await app.befriend(alice, bob);
+  await app.befriend(alice, carol);
+  alice.socket = await app.connect(alice.token);
+  sockets.push(alice.socket);
+});
+
+test.after(async () => {
+  sockets.forEach((socket) => socket.close());
+  await app.close();
+});
+
+test('direct chat history pages back with a cursor', async () => {
+  const sent = [];
+  for (const content of ['one', 'two', 'three']) {
+    sent.push(await send(alice.socket, { receiverId: bob.id, content }));
+  }
+
+  const first = await app.request('GET', `/api/v1/friends/${alice.id}/messages?limit=2`, { token: bob.token });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.messages.length, 2);
+  assert.ok(first.body.next_cursor);
+
+  const second = await app.request('GET', `/api/v1/friends/${alice.id}/messages?limit=2&before=${encodeURIComponent(first.body.next_cursor)}`, { token: bob.token });
+  const seen = [...first.body.messages, ...second.body.messages].map((message) => message.id);
+  assert.deepEqual([...seen].sort(), sent.map((message) => message.id).sort());
+
+  const invalid = await app.request('GET', `/api/v1/friends/${alice.id}/messages?before=not-a-cursor`, { token: bob.token });
+  assert.equal(invalid.status, 400);
+  const both = await app.request('GET', `/api/v1/friends/${alice.id}/messages?before=${first.body.next_cursor}&after=${first.body.next_cursor}`, { token: bob.token });
+  assert.equal(both.status, 400);
+});
+
+test('read receipts clear the unread count', async () => {
+  const message = await send(alice.socket, { receiverId: bob.id, content: 'are you there?' });
+
+  const unread = (await app.request('GET', '/api/v1/friends', { token: bob.token })).body.find((friend) => friend.id === alice.id);
+  assert.ok(unread.unread_count > 0);
+
+  const read = await app.request('POST', '/api/v1/messages/read', { token: bob.token, body: { friendId: alice.id, upToMessageId: message.id } });
+  assert.equal(read.status, 200);
+  assert.equal(read.body.reader_id, bob.id);
+  assert.ok(read.body.message_ids.includes(message.id));
+
+  const after = (await app.request('GET', '/api/v1/friends', { token: bob.token })).body.find((friend) => friend.id === alice.id);
+  assert.equal(after.unread_count, 0);
+
+  const both = await app.request('POST', '/api/v1/messages/read', {
+    token: bob.token,
+    body: { friendId: alice.id, conversationId: message.id, upToMessageId: message.id }
+  });
+  assert.equal(both.status, 400);
+});
+
+test('senders can edit their messages and participants can see the revisions', async () => {
+  const message = await send(alice.socket, { receiverId: bob.id, content: 'helo' });
+
+  const edited = await app.request('PUT', `/api/v1/messages/${message.id}`, { token: alice.token, body: { content: 'hello' } });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.content, 'hello');
+  assert.ok(edited.body.edited_at);
+
+  const revisions = await app.request('GET', `/api/v1/messages/${message.id}/revisions`, { token: bob.token });
+  assert.deepEqual(revisions.body.map((revision) => revision.content), ['helo']);
+
+  assert.equal((await app.request('PUT', `/api/v1/messages/${message.id}`, { token: bob.token, body: { content: 'mine now' } })).status, 403);
+  assert.equal((await app.request('GET', `/api/v1/messages/${message.id}/revisions`, { token: carol.token })).status, 404);
+});
+
+test('reactions', async () => {
+  const message = await send(alice.socket, { receiverId: bob.id, content: 'good news' });
+
+  const added = await app.request('POST', `/api/v1/messages/${message.id}/reactions`, { token: bob.token, body: { emoji: '🎉' } });
+  assert.equal(added.status, 200);
+  assert.equal(added.body.message_id, message.id);
+  assert.deepEqual(added.body.reactions.map(({ emoji, count, user_ids: userIds }) => ({ emoji, count, userIds })), [
+    { emoji: '🎉', count: 1, userIds: [bob.id] }
+  ]);
+
+  const removed = await app.request('DELETE', `/api/v1/messages/${message.id}/reactions/${encodeURIComponent('🎉')}`, { token: bob.token });
+  assert.deepEqual(removed.body.reactions, []);
+
+  assert.equal((await app.request('POST', `/api/v1/messages/${message.id}/reactions`, { token: bob.token, body: { emoji: 'tada' } })).status, 400);
+  assert.equal((await app.request('POST', `/api/v1/messages/${message.id}/reactions`, { token: carol.token, body: { emoji: '🎉' } })).status, 404);
+});
+
+test('no reacting once a block has ended the friendship', async () => {
+  const dave = await app.register('dave');
+  await app.befriend(alice, dave);
+  const message = await send(alice.socket, { receiverId: dave.id, content: 'still there?' });
+  const react = (user) => app.request('POST', `/api/v1/messages/${message.id}/reactions`, { token: user.token, body: { emoji: '👍' } });
+
+  await app.request('POST', '/api/v1/blocks', { token: alice.token, body: { userId: dave.id } });
+  assert.equal((await react(dave)).status, 403);
+  assert.equal((await react(alice)).status, 403);
+  const removed = await app.request('DELETE', `/api/v1/messages/${message.id}/reactions/${encodeURIComponent('👍')}`, { token: dave.token });
+  assert.equal(removed.status, 403);
+});
+
+test('forwarding to a friend', async () => {
+  const message = await send(alice.socket, { receiverId: bob.id, content: 'pass it on' });
+
+  const forwarded = await app.request('POST', `/api/v1/messages/${message.id}/forward`, { token: alice.token, body: { receiverId: carol.id } });
+  assert.equal(forwarded.status, 201);
+  assert.equal(forwarded.body.forwarded_from_id, message.id);
+  assert.equal(forwarded.body.receiver_id, carol.id);
+  assert.equal(forwarded.body.content, 'pass it on');
+
+  // Bob and Carol are not friends
+  const notFriends = await app.request('POST', `/api/v1/messages/${message.id}/forward`, { token: bob.token, body: { receiverId: carol.id } });
+  assert.equal(notFriends.status, 403);
+});
+
+test('deleting for yourself and for everyone', async () => {
+  const message = await send(alice.socket, { receiverId: bob.id, content: 'oops, wrong chat' });
+  const history = async (user, friend) => (await app.request('GET', `/api/v1/friends/${friend.id}/messages`, { token: user.token })).body.messages;
+
+  const hidden = await app.request('DELETE', `/api/v1/messages/${message.id}?scope=me`, { token: bob.token });
+  assert.equal(hidden.status, 200);
+  assert.equal(hidden.body.message, null);
+  assert.ok(!(await history(bob, alice)).some((row) => row.id === message.id));
+  assert.ok((await history(alice, bob)).some((row) => row.id === message.id));
+
+  assert.equal((await app.request('DELETE', `/api/v1/messages/${message.id}?scope=everyone`, { token: bob.token })).status, 403);
+
+  const unsent = await app.request('DELETE', `/api/v1/messages/${message.id}?scope=everyone`, { token: alice.token });
+  assert.equal(unsent.status, 200);
+  assert.equal(unsent.body.scope, 'everyone');
+  assert.ok(unsent.body.message.deleted_at);
+  assert.equal(unsent.body.message.content, null);
+  assert.equal((await app.request('DELETE', `/api/v1/messages/${message.id}?scope=everyone`, { token: alice.token })).status, 409);
+  assert.equal((await app.request('DELETE', `/api/v1/messages/${message.id}?scope=all`, { token: alice.token })).status, 400);
+});
+
+test('search finds your messages and nobody else\'s', async () => {
+  await send(alice.socket, { receiverId: bob.id, content: 'the aardvark report is ready' });
+
+  const found = await app.request('GET', '/api/v1/search/messages?q=aardvark', { token: bob.token });
+  assert.equal(found.status, 200);
+  assert.equal(found.body.results.length, 1);
+  assert.match(found.body.results[0].snippet, /aardvark/);
+
+  const filtered = await app.request('GET', `/api/v1/search/messages?q=aardvark&friendId=${carol.id}`, { token: bob.token });
+  assert.equal(filtered.body.results.length, 0);
+  const outsider = await app.request('GET', '/api/v1/search/messages?q=aardvark', { token: carol.token });
+  assert.equal(outsider.body.results.length, 0);
+
+  assert.equal((await app.request('GET', '/api/v1/search/messages', { token: bob.token })).status, 400);
+  const unknownGroup = await app.request('GET', '/api/v1/search/messages?q=aardvark&conversationId=00000000-0000-4000-8000-000000000000', { token: bob.token });
+  assert.equal(unknownGroup.status, 404);
+});
+
+test('a date-only search range includes its last day', async () => {
+  const message = await send(alice.socket, { receiverId: bob.id, content: 'the pangolin minutes' });
+  // The day it was sent, in the database's time zone
+  const { rows: [{ day }] } = await app.pool.query('SELECT $1::timestamptz::date::text AS day', [message.created_at]);
+  const search = (range) => app.request('GET', `/api/v1/search/messages?q=pangolin&${range}`, { token: bob.token });
+
+  assert.equal((await search(`from=${day}&to=${day}`)).body.results.length, 1);
+  assert.equal((await search(`to=${encodeURIComponent(message.created_at)}`)).body.results.length, 0);
+});
+
+test('messages without an inline image', async () => {
+  const message = await send(alice.socket, { receiverId: bob.id, content: 'no picture' });
+  const image = await app.request('GET', `/api/v1/messages/${message.id}/image`, { token: bob.token });
+  assert.equal(image.status, 404);
+});
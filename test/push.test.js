@@ -0,0 +1,135 @@
+// test/push.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const { startApp } = require('./support/app');
+
+let app;
+
+test.before(async () => {
+  app = await startApp();
+});
+
+test.after(() => app.close());
+
+// What PushSubscription.toJSON() gives a browser
+const createSubscription = () => ({
+  endpoint: `https://push.example.com/send/${crypto.randomUUID()}`,
+  keys: { p256dh: crypto.randomBytes(65).toString('base64url'), auth: crypto.randomBytes(16).toString('base64url') }
+});
+
+test('the VAPID public key', async () => {
+  const user = await app.register('subscriber');
+  const { status, body } = await app.request('GET', '/api/v1/push/public-key', { token: user.token });
+  assert.equal(status, 200);
+  assert.equal(body.public_key, process.env.VAPID_PUBLIC_KEY);
+});
+
+test('subscribing and unsubscribing', async () => {
+  const user = await app.register('subscriber');
+  const subscription = createSubscription();
+
+  const created = await app.request('POST', '/api/v1/push/subscriptions', { token: user.token, body: subscription });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body, { endpoint: subscription.endpoint });
+  // Browsers resubscribe with the same endpoint
+  assert.equal((await app.request('POST', '/api/v1/push/subscriptions', { token: user.token, body: subscription })).status, 201);
+
+  const removed = await app.request('DELETE', '/api/v1/push/subscriptions', { token: user.token, body: { endpoint: subscription.endpoint } });
+  assert.equal(removed.status, 204);
+  assert.equal(removed.body, null);
+  assert.equal((await app.request('DELETE', '/api/v1/push/subscriptions', { token: user.token, body: { endpoint: subscription.endpoint } })).status, 404);
+});
+
+test('subscriptions that are refused', async () => {
+  const user = await app.register('subscriber');
+  const subscription = createSubscription();
+  const subscribe = (body) => app.request('POST', '/api/v1/push/subscriptions', { token: user.token, body });
+
+  assert.equal((await subscribe({ ...subscription, endpoint: 'http://push.example.com/send/1' })).status, 400);
+  // Endpoints that point into the server's own network
+  for (const endpoint of [
+    'https://localhost/send/1',
+    'https://127.0.0.1:8080/send/1',
+    'https://2130706433/send/1',
+    'https://10.1.2.3/send/1',
+    'https://192.168.0.10/send/1',
+    'https://169.254.169.254/latest/meta-data',
+    'https://[::1]/send/1',
+    'https://[::ffff:127.0.0.1]/send/1',
+    'https://[fd00::1]/send/1',
+    'https://224.0.0.1/send/1',
+    'https://240.0.0.1/send/1',
+    'https://[64:ff9b::10.0.0.1]/send/1',
+    'https://[::ffff:0:10.0.0.1]/send/1'
+  ]) {
+    assert.equal((await subscribe({ ...subscription, endpoint })).status, 400, endpoint);
+  }
+  assert.equal((await subscribe({ ...subscription, keys: { ...subscription.keys, auth: crypto.randomBytes(8).toString('base64url') } })).status, 400);
+  assert.equal((await subscribe({ endpoint: subscription.endpoint })).status, 400);
+  assert.equal((await app.request('POST', '/api/v1/push/subscriptions', { body: subscription })).status, 401);
+});
+
+test('a subscription stops receiving pushes when its session ends', async () => {
+  // Required once startApp() has pointed the pool at the test database
+  const { pushSubscriptions } = require('../db/repositories');
+  const user = await app.register('subscriber');
+  const subscription = createSubscription();
+  await app.request('POST', '/api/v1/push/subscriptions', { token: user.token, body: subscription });
+  assert.deepEqual((await pushSubscriptions.listActive(user.id)).map((row) => row.endpoint), [subscription.endpoint]);
+
+  await app.request('POST', '/api/v1/auth/logout', { token: user.token });
+  assert.deepEqual(await pushSubscriptions.listActive(user.id), []);
+});
+
+test('someone else\'s subscription cannot be removed', async () => {
+  const owner = await app.register('owner');
+  const other = await app.register('other');
+  const subscription = createSubscription();
+  await app.request('POST', '/api/v1/push/subscriptions', { token: owner.token, body: subscription });
+
+  assert.equal((await app.request('DELETE', '/api/v1/push/subscriptions', { token: other.token, body: { endpoint: subscription.endpoint } })).status, 404);
+  assert.equal((await app.request('DELETE', '/api/v1/push/subscriptions', { token: owner.token, body: { endpoint: subscription.endpoint } })).status, 204);
+});
+
+test('a name that resolves somewhere else when sending is not connected to', async (t) => {
+  // Stands in for a service inside the server's network
+  const internal = http.createServer((req, res) => res.end());
+  let connections = 0;
+  internal.on('connection', () => { connections += 1; });
+  await new Promise((resolve) => internal.listen(0, '127.0.0.1', resolve));
+  t.after(() => internal.close());
+
+  // The name looks public when checked, then points at the internal service
+  const host = 'push.rebinding.test';
+  const lookups = [];
+  const { lookup } = dns;
+  t.mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }]);
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+    if (hostname !== host) return lookup(hostname, options, callback);
+    lookups.push(hostname);
+    return options.all ? callback(null, [{ address: '127.0.0.1', family: 4 }]) : callback(null, '127.0.0.1', 4);
+  });
+  const errors = t.mock.method(console, 'error', () => {});
+
+  const user = await app.register('rebound');
+  const browser = crypto.createECDH('prime256v1');
+  browser.generateKeys();
+  const subscription = {
+    endpoint: `https://${host}:${internal.address().port}/send/1`,
+    keys: { p256dh: browser.getPublicKey().toString('base64url'), auth: crypto.randomBytes(16).toString('base64url') }
+  };
+  assert.equal((await app.request('POST', '/api/v1/push/subscriptions', { token: user.token, body: subscription })).status, 201);
+
+  const { createPushDispatcher } = require('../services/push');
+  const dispatcher = createPushDispatcher({ isAway: async () => true });
+  dispatcher.notifyFriendRequest({ receiver_id: user.id, sender_username: 'someone' });
+  await dispatcher.flushAll();
+
+  assert.deepEqual(lookups, [host]);
+  assert.equal(connections, 0);
+  assert.match(errors.mock.calls[0].arguments[1], /resolves to a local network address/);
+});
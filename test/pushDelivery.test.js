@@ -0,0 +1,71 @@
+// test/pushDelivery.test.js
+//
+// Sending notifications to a mock push service on this machine, so local
+// endpoints are allowed here (PUSH_ALLOW_LOCAL_ENDPOINTS); test/push.test.js
+// covers refusing them.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { startApp } = require('./support/app');
+
+let app;
+
+test.before(async () => {
+  process.env.PUSH_ALLOW_LOCAL_ENDPOINTS = 'true';
+  app = await startApp();
+});
+
+test.after(() => app.close());
+
+// An http server on a free local port that answers with respond(req, res)
+const listen = async (t, respond) => {
+  const server = http.createServer((req, res) => {
+    server.requests.push(req.url);
+    req.resume();
+    req.on('end', () => respond(req, res));
+  });
+  server.requests = [];
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  server.url = `http://127.0.0.1:${server.address().port}`;
+  return server;
+};
+
+const subscribe = async (user, endpoint) => {
+  const browser = crypto.createECDH('prime256v1');
+  browser.generateKeys();
+  const keys = { p256dh: browser.getPublicKey().toString('base64url'), auth: crypto.randomBytes(16).toString('base64url') };
+  const { status } = await app.request('POST', '/api/v1/push/subscriptions', { token: user.token, body: { endpoint, keys } });
+  assert.equal(status, 201);
+};
+
+const pushFriendRequest = async (user) => {
+  const { createPushDispatcher } = require('../services/push');
+  const dispatcher = createPushDispatcher({ isAway: async () => true });
+  dispatcher.notifyFriendRequest({ receiver_id: user.id, sender_username: 'someone' });
+  await dispatcher.flushAll();
+};
+
+test('notifications are posted to the subscription endpoint', async (t) => {
+  const pushService = await listen(t, (req, res) => res.writeHead(201).end());
+  const user = await app.register('subscriber');
+  await subscribe(user, `${pushService.url}/send/1`);
+
+  await pushFriendRequest(user);
+  assert.deepEqual(pushService.requests, ['/send/1']);
+});
+
+test('redirects from the push service are not followed', async (t) => {
+  const internal = await listen(t, (req, res) => res.end());
+  const pushService = await listen(t, (req, res) => res.writeHead(307, { Location: `${internal.url}/latest/meta-data` }).end());
+  const warnings = t.mock.method(console, 'warn', () => {});
+  const user = await app.register('redirected');
+  await subscribe(user, `${pushService.url}/send/2`);
+
+  await pushFriendRequest(user);
+  assert.deepEqual(pushService.requests, ['/send/2']);
+  assert.deepEqual(internal.requests, []);
+  assert.match(warnings.mock.calls[0].arguments[0], /answered 307/);
+});
@@ -0,0 +1,221 @@
+// test/sockets.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+const { waitFor, sleep, STEP_TIMEOUT_MS } = require('./support/events');
+
+let app;
+const sockets = [];
+
+// A new user with a connected socket; connect() adds more devices
+const signUp = async (name) => {
+  const user = await app.register(name);
+  user.socket = await connect(user);
+  return user;
+};
+
+const connect = async (user) => {
+  const socket = await app.connect(user.token);
+  sockets.push(socket);
+  return socket;
+};
+
+const emit = (socket, event, payload) => socket.timeout(STEP_TIMEOUT_MS).emitWithAck(event, payload);
+
+// Resolves with the next 'chat message' a socket receives with this content
+const nextMessage = (socket, content) => waitFor(socket, 'chat message', (message) => message.content === content)
+  .then(([message]) => message);
+
+// Fails if the socket receives a 'chat message' with this content within ms
+const assertNoMessage = async (socket, content, ms = 300) => {
+  let received = false;
+  const listener = (message) => {
+    if (message.content === content) received = true;
+  };
+  socket.on('chat message', listener);
+  await sleep(ms);
+  socket.off('chat message', listener);
+  assert.equal(received, false, `"${content}" should not have been delivered`);
+};
+
+test.before(async () => {
+  app = await startApp();
+});
+
+test.after(async () => {
+  sockets.forEach((socket) => socket.close());
+  await app.close();
+});
+
+test('a handshake needs a valid access token', async () => {
+  await assert.rejects(app.connect(undefined), (err) => err.data.error.code === 'unauthorized');
+  await assert.rejects(app.connect('not-a-token'), (err) => err.data.error.code === 'unauthorized');
+});
+
+test('a direct message reaches every device of both participants', async () => {
+  const alice = await signUp('alice');
+  const bob = await signUp('bob');
+  await app.befriend(alice, bob);
+  const aliceLaptop = await connect(alice);
+  const bobTablet = await connect(bob);
+
+  const deliveries = [alice.socket, aliceLaptop, bob.socket, bobTablet].map((socket) => nextMessage(socket, 'hi bob'));
+  const ack = await emit(alice.socket, 'chat message', { receiverId: bob.id, content: 'hi bob' });
+  assert.equal(ack.ok, true);
+  assert.equal(ack.message.sender_id, alice.id);
+  assert.equal(ack.message.receiver_id, bob.id);
+  assert.equal(ack.message.message_type, 'text');
+
+  for (const message of await Promise.all(deliveries)) {
+    assert.equal(message.id, ack.message.id);
+  }
+});
+
+test('the receiver acknowledges delivery and reads', async () => {
+  const alice = await signUp('alice');
+  const bob = await signUp('bob');
+  await app.befriend(alice, bob);
+
+  const received = nextMessage(bob.socket, 'did you get this?');
+  const { message } = await emit(alice.socket, 'chat message', { receiverId: bob.id, content: 'did you get this?' });
+  await received;
+
+  const status = waitFor(alice.socket, 'message status');
+  assert.equal((await emit(bob.socket, 'message delivered', { messageId: message.id })).ok, true);
+  const [delivered] = await status;
+  assert.equal(delivered.id, message.id);
+  assert.equal(delivered.receiver_id, bob.id);
+  assert.ok(delivered.delivered_at);
+
+  const read = waitFor(alice.socket, 'messages read');
+  const ack = await emit(bob.socket, 'mark read', { friendId: alice.id, upToMessageId: message.id });
+  assert.equal(ack.ok, true);
+  const [receipt] = await read;
+  assert.deepEqual(receipt.message_ids, [message.id]);
+});
+
+test('messages to offline friends wait in the chat history', async () => {
+  const alice = await signUp('alice');
+  const bob = await app.register('bob');
+  await app.befriend(alice, bob);
+
+  const { message } = await emit(alice.socket, 'chat message', { receiverId: bob.id, content: 'see you later' });
+  assert.equal(message.delivered_at, null);
+
+  const history = await app.request('GET', `/api/v1/friends/${alice.id}/messages`, { token: bob.token });
+  assert.deepEqual(history.body.messages.map((row) => row.id), [message.id]);
+});
+
+test('retrying with the same clientMessageId does not send twice', async () => {
+  const alice = await signUp('alice');
+  const bob = await signUp('bob');
+  await app.befriend(alice, bob);
+
+  const payload = { receiverId: bob.id, content: 'only once', clientMessageId: 'retry-1' };
+  const received = nextMessage(bob.socket, 'only once');
+  const first = await emit(alice.socket, 'chat message', payload);
+  await received;
+  const retry = emit(alice.socket, 'chat message', payload);
+  await assertNoMessage(bob.socket, 'only once');
+  assert.equal((await retry).message.id, first.message.id);
+});
+
+test('replies point at a message in the same chat', async () => {
+  const alice = await signUp('alice');
+  const bob = await signUp('bob');
+  await app.befriend(alice, bob);
+
+  const { message: question } = await emit(alice.socket, 'chat message', { receiverId: bob.id, content: 'lunch?' });
+  const reply = await emit(bob.socket, 'chat message', { receiverId: alice.id, content: 'yes', replyToId: question.id });
+  assert.equal(reply.message.reply_to_id, question.id);
+
+  const elsewhere = await emit(bob.socket, 'chat message', { receiverId: alice.id, content: 'no', replyToId: '00000000-0000-4000-8000-000000000000' });
+  assert.equal(elsewhere.ok, false);
+});
+
+test('only friends can message each other', async () => {
+  const alice = await signUp('alice');
+  const stranger = await signUp('stranger');
+
+  const ack = await emit(stranger.socket, 'chat message', { receiverId: alice.id, content: 'hello?' });
+  assert.equal(ack.ok, false);
+  assert.equal(ack.error.code, 'forbidden');
+  await assertNoMessage(alice.socket, 'hello?');
+
+  // Nor once a block has ended the friendship
+  await app.befriend(alice, stranger);
+  await app.request('POST', '/api/v1/blocks', { token: alice.token, body: { userId: stranger.id } });
+  const blocked = await emit(stranger.socket, 'chat message', { receiverId: alice.id, content: 'hello again' });
+  assert.equal(blocked.error.code, 'forbidden');
+});
+
+test('invalid messages are refused in the ack', async () => {
+  const alice = await signUp('alice');
+  const bob = await signUp('bob');
+  await app.befriend(alice, bob);
+
+  const noTarget = await emit(alice.socket, 'chat message', { content: 'to whom?' });
+  assert.equal(noTarget.ok, false);
+  assert.equal(noTarget.error.code, 'validation_failed');
+
+  const bothTargets = await emit(alice.socket, 'chat message', { receiverId: bob.id, conversationId: '00000000-0000-4000-8000-000000000000', content: 'x' });
+  assert.equal(bothTargets.error.code, 'validation_failed');
+
+  const empty = await emit(alice.socket, 'chat message', { receiverId: bob.id, content: '' });
+  assert.equal(empty.ok, false);
+  assert.equal(empty.error.code, 'bad_request');
+
+  const notAnObject = await emit(alice.socket, 'chat message', 'hello');
+  assert.equal(notAnObject.error.code, 'validation_failed');
+});
+
+test('group messages reach every member', async () => {
+  const alice = await signUp('alice');
+  const bob = await signUp('bob');
+  const carol = await signUp('carol');
+  const outsider = await signUp('outsider');
+  await app.befriend(alice, bob);
+  await app.befriend(alice, carol);
+
+  const group = await app.request('POST', '/api/v1/conversations', { token: alice.token, body: { name: 'Lunch', memberIds: [bob.id, carol.id] } });
+  assert.equal(group.status, 201);
+
+  const deliveries = [alice, bob, carol].map((user) => nextMessage(user.socket, 'noon?'));
+  const ack = await emit(bob.socket, 'chat message', { conversationId: group.body.id, content: 'noon?' });
+  assert.equal(ack.message.conversation_id, group.body.id);
+  await Promise.all(deliveries);
+
+  const denied = await emit(outsider.socket, 'chat message', { conversationId: group.body.id, content: 'let me in' });
+  assert.equal(denied.error.code, 'forbidden');
+});
+
+test('typing indicators reach the friend', async () => {
+  const alice = await signUp('alice');
+  const bob = await signUp('bob');
+  await app.befriend(alice, bob);
+
+  const started = waitFor(bob.socket, 'typing', (payload) => payload.user_id === alice.id && payload.typing);
+  assert.equal((await emit(alice.socket, 'typing start', { friendId: bob.id })).ok, true);
+  await started;
+
+  // Sending the message ends the indicator
+  const stopped = waitFor(bob.socket, 'typing', (payload) => payload.user_id === alice.id && !payload.typing);
+  await emit(alice.socket, 'chat message', { receiverId: bob.id, content: 'done typing' });
+  await stopped;
+});
+
+test('friends see each other come online and go offline', async () => {
+  const alice = await signUp('alice');
+  const bob = await app.register('bob');
+  await app.befriend(alice, bob);
+
+  const online = waitFor(alice.socket, 'presence', (payload) => payload.user_id === bob.id && payload.online);
+  const bobSocket = await connect(bob);
+  await online;
+
+  const offline = waitFor(alice.socket, 'presence', (payload) => payload.user_id === bob.id && !payload.online);
+  bobSocket.close();
+  const [presence] = await offline;
+  assert.ok(presence.last_seen_at);
+});
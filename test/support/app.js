@@ -0,0 +1,126 @@
+// test/support/app.js
+//
+// Runs the app in the test process: settings for a self-contained run (mail
+// and uploads in a temporary directory, an admin token, push keys), a database
+// of its own (./database.js), and the server on a free port. Call startApp()
+// once per test file, before anything requires the app, since modules read
+// their settings when they load.
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const webpush = require('web-push');
+const { io } = require('socket.io-client');
+const { createTestDatabase } = require('./database');
+
+// Settings for a run that keeps everything it writes under dir
+const testSettings = (dir) => {
+  const vapidKeys = webpush.generateVAPIDKeys();
+  return {
+    JWT_SECRET: process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex'),
+    MAIL_TRANSPORT: 'file',
+    MAIL_DIR: path.join(dir, 'mail'),
+    STORAGE_DRIVER: 'local',
+    STORAGE_DIR: path.join(dir, 'uploads'),
+    ADMIN_TOKEN: crypto.randomBytes(24).toString('hex'),
+    VAPID_PUBLIC_KEY: vapidKeys.publicKey,
+    VAPID_PRIVATE_KEY: vapidKeys.privateKey,
+    VAPID_SUBJECT: 'mailto:tests@example.com',
+    PUBSUB_ADAPTER: 'memory',
+    // Every test registers and logs in from the same address
+    AUTH_MAX_ATTEMPTS_PER_IP: '10000'
+  };
+};
+
+// Calls to a server at url: request() resolves with { status, headers, body },
+// body being parsed JSON, a Buffer, or null when there is none
+const createClient = (url) => {
+  const request = async (method, route, { token, body, form } = {}) => {
+    const response = await fetch(url + route, {
+      method,
+      headers: {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: form || (body ? JSON.stringify(body) : undefined)
+    });
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    const raw = Buffer.from(await response.arrayBuffer());
+    const data = isJson ? JSON.parse(raw.toString('utf8')) : (raw.length > 0 ? raw : null);
+    return { status: response.status, headers: response.headers, body: data };
+  };
+
+  // A new account, with its tokens and password
+  const register = async (name, extra = {}) => {
+    const suffix = crypto.randomBytes(4).toString('hex');
+    const password = `Test-${suffix}-1`;
+    const { status, body } = await request('POST', '/api/v1/auth/register', {
+      body: { username: `${name}_${suffix}`, password, ...extra }
+    });
+    if (status !== 201) {
+      throw new Error(`Registering ${name} failed with ${status}: ${JSON.stringify(body)}`);
+    }
+    return { ...body, id: body.user.id, username: body.user.username, password };
+  };
+
+  // Two users who are friends
+  const befriend = async (sender, receiver) => {
+    const sent = await request('POST', '/api/v1/friend-requests', { token: sender.token, body: { receiverUsername: receiver.username } });
+    const accepted = await request('POST', `/api/v1/friend-requests/${sent.body.request_id}/accept`, { token: receiver.token });
+    if (accepted.status !== 200) {
+      throw new Error(`Befriending failed with ${accepted.status}: ${JSON.stringify(accepted.body)}`);
+    }
+  };
+
+  // A connected socket for the access token; rejects with the connect_error
+  const connect = (token) => new Promise((resolve, reject) => {
+    const socket = io(url, { auth: { token }, transports: ['websocket'], reconnection: false });
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', (err) => {
+      socket.close();
+      reject(err);
+    });
+  });
+
+  return { request, register, befriend, connect };
+};
+
+// Resolves with { url, dir, adminToken, pool, ...createClient(url), readMail(), close() }
+const startApp = async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'messenger-test-'));
+  const settings = testSettings(dir);
+  Object.assign(process.env, settings);
+
+  const database = await createTestDatabase();
+  process.env.PGDATABASE = database.name;
+
+  const { createApp } = require('../../app');
+  const pool = require('../../db/pool');
+  const instance = createApp();
+  const port = await instance.listen(0);
+  const url = `http://localhost:${port}`;
+
+  // The newest email the app sent, as text
+  const readMail = () => {
+    const files = fs.existsSync(settings.MAIL_DIR) ? fs.readdirSync(settings.MAIL_DIR).sort() : [];
+    return files.length ? fs.readFileSync(path.join(settings.MAIL_DIR, files[files.length - 1]), 'utf8') : null;
+  };
+
+  const close = async () => {
+    await instance.close();
+    await pool.end();
+    await database.drop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  return { url, dir, adminToken: settings.ADMIN_TOKEN, pool, ...createClient(url), readMail, close };
+};
+
+module.exports = {
+  testSettings,
+  createClient,
+  startApp
+};
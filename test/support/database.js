@@ -0,0 +1,59 @@
+// test/support/database.js
+//
+// A database of its own for each test file: created on the Postgres server
+// the PG* settings point at (a local one; see .env), migrated to the latest
+// version, and dropped when the file is done. Nothing else on that server is
+// touched, so runs never see each other's data.
+
+const crypto = require('crypto');
+const { Client, Pool } = require('pg');
+const { migrateUp } = require('../../db/migrate');
+
+// The settings of db/pool.js, for another database
+const settingsFor = (database) => ({
+  user: process.env.PGUSER,
+  host: process.env.PGHOST,
+  database,
+  password: process.env.PGPASSWORD,
+  port: process.env.PGPORT,
+  ssl: process.env.PGSSL === 'false' ? false : {
+    rejectUnauthorized: false
+  }
+});
+
+// Run sql on the server, through an existing database
+const onServer = async (database, sql) => {
+  const client = new Client(settingsFor(database));
+  await client.connect();
+  try {
+    await client.query(sql);
+  } finally {
+    await client.end();
+  }
+};
+
+// Creates and migrates a database; resolves with { name, drop() }. Close any
+// pool connected to it before drop(), which otherwise ends those connections.
+const createTestDatabase = async () => {
+  const name = `messenger_test_${process.pid}_${crypto.randomBytes(4).toString('hex')}`;
+  // The configured database; the tests may point PGDATABASE at the new one
+  const serverDatabase = process.env.PGDATABASE;
+  await onServer(serverDatabase, `CREATE DATABASE ${name}`);
+
+  const pool = new Pool(settingsFor(name));
+  try {
+    await migrateUp(pool, { log: () => {} });
+  } catch (err) {
+    await pool.end();
+    await onServer(serverDatabase, `DROP DATABASE ${name} WITH (FORCE)`);
+    throw err;
+  }
+  await pool.end();
+
+  return {
+    name,
+    drop: () => onServer(serverDatabase, `DROP DATABASE IF EXISTS ${name} WITH (FORCE)`)
+  };
+};
+
+module.exports = { createTestDatabase };
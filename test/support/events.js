@@ -0,0 +1,31 @@
+// test/support/events.js
+//
+// Waiting on sockets and other event emitters, shared by the tests and the
+// harnesses in scripts/.
+
+// How long any single step may take before it counts as failed
+const STEP_TIMEOUT_MS = 5000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves with the arguments of the next `event` that passes predicate,
+// rejects after STEP_TIMEOUT_MS
+const waitFor = (emitter, event, predicate = () => true) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    emitter.off(event, listener);
+    reject(new Error(`Timed out waiting for "${event}"`));
+  }, STEP_TIMEOUT_MS);
+  const listener = (...args) => {
+    if (!predicate(...args)) return;
+    clearTimeout(timer);
+    emitter.off(event, listener);
+    resolve(args);
+  };
+  emitter.on(event, listener);
+});
+
+module.exports = {
+  STEP_TIMEOUT_MS,
+  sleep,
+  waitFor
+};